@@ -46,6 +46,11 @@ const Footer = () => {
                   Order History
                 </Link>
               </li>
+              <li>
+                <Link to="/order-lookup" className="hover:text-white transition-colors">
+                  Find an Order
+                </Link>
+              </li>
             </ul>
           </div>
 
@@ -43,6 +43,12 @@ const Navbar = () => {
             >
               Products
             </Link>
+            <Link
+              to="/wishlist"
+              className="text-gray-700 hover:text-primary-600 transition-colors"
+            >
+              Wishlist
+            </Link>
             <Link
               to="/cart"
               className="text-gray-700 hover:text-primary-600 transition-colors"
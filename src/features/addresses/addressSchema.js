@@ -0,0 +1,43 @@
+import { z } from 'zod'
+import { isValidPhoneNumber, isValidZipCode } from '@utils/validators'
+
+// Empty address form values (customer_addresses fields)
+export const EMPTY_ADDRESS = {
+  label: '',
+  full_name: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postal_code: '',
+  country: '',
+  phone: '',
+}
+
+// Validation schema shared by the address book and checkout
+export const addressSchema = z.object({
+  label: z.string().trim().optional(),
+  full_name: z.string().trim().min(2, 'Full name is required'),
+  line1: z.string().trim().min(1, 'Address is required'),
+  line2: z.string().trim().optional(),
+  city: z.string().trim().min(1, 'City is required'),
+  region: z.string().trim().optional(),
+  postal_code: z.string().trim().optional(),
+  country: z.string().regex(/^[A-Z]{2}$/, 'Country is required'),
+  phone: z.string().trim().optional()
+    .refine(phone => !phone || isValidPhoneNumber(phone), 'Please enter a valid phone number'),
+}).refine(
+  address => address.country !== 'US' || isValidZipCode(address.postal_code || ''),
+  { message: 'Please enter a valid ZIP code', path: ['postal_code'] }
+)
+
+/**
+ * Form values for an address (null columns become empty strings)
+ * @param {Object} address - Saved address, or nothing for a new one
+ * @returns {Object} Values with every EMPTY_ADDRESS field
+ */
+export const toAddressFormValues = (address = {}) => {
+  return Object.fromEntries(
+    Object.keys(EMPTY_ADDRESS).map(field => [field, address?.[field] ?? ''])
+  )
+}
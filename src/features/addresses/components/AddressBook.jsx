@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import Badge from '@components/ui/Badge'
+import Button from '@components/ui/Button'
+import Card from '@components/ui/Card'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { formatAddress } from '@utils/formatters'
+import { useAddresses } from '../hooks/useAddresses'
+import AddressForm from './AddressForm'
+
+/**
+ * Address book management for the account page: list, add, edit, delete and set defaults
+ */
+const AddressBook = () => {
+  const {
+    addresses,
+    loading,
+    error,
+    addAddress,
+    updateAddress,
+    removeAddress,
+    setDefault,
+  } = useAddresses()
+  // null = no form open, 'new' = adding, otherwise the ID of the address being edited
+  const [editing, setEditing] = useState(null)
+
+  const handleSave = async (address) => {
+    const result = editing === 'new'
+      ? await addAddress(address)
+      : await updateAddress(editing, address)
+
+    if (result.error) {
+      toast.error('Failed to save address')
+    } else {
+      toast.success('Address saved')
+      setEditing(null)
+    }
+    return result
+  }
+
+  const handleRemove = async (addressId) => {
+    const result = await removeAddress(addressId)
+    if (result.error) {
+      toast.error('Failed to delete address')
+    }
+  }
+
+  const handleSetDefault = async (addressId, type) => {
+    const result = await setDefault(addressId, type)
+    if (result.error) {
+      toast.error('Failed to update default address')
+    }
+  }
+
+  if (loading && addresses.length === 0) return <LoadingSpinner />
+
+  return (
+    <section className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">Address book</h2>
+        {editing === null && (
+          <Button size="sm" onClick={() => setEditing('new')}>
+            Add address
+          </Button>
+        )}
+      </div>
+
+      {error && <p className="text-red-600">Failed to load addresses</p>}
+
+      {editing === 'new' && (
+        <Card>
+          <AddressForm onSubmit={handleSave} onCancel={() => setEditing(null)} />
+        </Card>
+      )}
+
+      {!error && addresses.length === 0 && editing === null && (
+        <p className="text-gray-600">You haven't saved any addresses yet.</p>
+      )}
+
+      {addresses.map(address => (
+        <Card key={address.id}>
+          {editing === address.id ? (
+            <AddressForm
+              initialValues={address}
+              onSubmit={handleSave}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <div className="space-y-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-900">{address.label || address.full_name}</span>
+                {address.is_default_shipping && <Badge size="sm" variant="primary">Default shipping</Badge>}
+                {address.is_default_billing && <Badge size="sm" variant="info">Default billing</Badge>}
+              </div>
+              <p className="text-sm text-gray-600">{formatAddress(address)}</p>
+              {address.phone && <p className="text-sm text-gray-600">{address.phone}</p>}
+              <div className="flex flex-wrap gap-2">
+                <Button size="sm" variant="outline" onClick={() => setEditing(address.id)}>
+                  Edit
+                </Button>
+                {!address.is_default_shipping && (
+                  <Button size="sm" variant="secondary" onClick={() => handleSetDefault(address.id, 'shipping')}>
+                    Use for shipping
+                  </Button>
+                )}
+                {!address.is_default_billing && (
+                  <Button size="sm" variant="secondary" onClick={() => handleSetDefault(address.id, 'billing')}>
+                    Use for billing
+                  </Button>
+                )}
+                <Button size="sm" variant="danger" onClick={() => handleRemove(address.id)}>
+                  Delete
+                </Button>
+              </div>
+            </div>
+          )}
+        </Card>
+      ))}
+    </section>
+  )
+}
+
+export default AddressBook
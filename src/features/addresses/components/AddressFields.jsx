@@ -0,0 +1,55 @@
+import Input from '@components/ui/Input'
+import { SHIPPING_COUNTRIES } from '@utils/constants'
+
+/**
+ * Inputs for a structured address, for a react-hook-form form using addressSchema
+ * @param {Function} props.register - register from useForm
+ * @param {Object} props.errors - formState.errors from useForm
+ * @param {boolean} props.showLabel - Show the optional label field (address book only)
+ */
+const AddressFields = ({ register, errors = {}, showLabel = false }) => {
+  const field = (name) => ({
+    error: errors[name]?.message,
+    ...register(name),
+  })
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      {showLabel && (
+        <Input label="Label (optional)" placeholder="Home, Work…" {...field('label')} />
+      )}
+      <Input label="Full name" autoComplete="name" {...field('full_name')} />
+      <div className="sm:col-span-2">
+        <Input label="Address line 1" autoComplete="address-line1" {...field('line1')} />
+      </div>
+      <div className="sm:col-span-2">
+        <Input label="Address line 2 (optional)" autoComplete="address-line2" {...field('line2')} />
+      </div>
+      <Input label="City" autoComplete="address-level2" {...field('city')} />
+      <Input label="State / region" autoComplete="address-level1" {...field('region')} />
+      <Input label="Postal code" autoComplete="postal-code" {...field('postal_code')} />
+      <div>
+        <label htmlFor="address-country" className="block text-sm font-medium text-gray-700 mb-1">
+          Country
+        </label>
+        <select
+          id="address-country"
+          autoComplete="country"
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+          {...register('country')}
+        >
+          <option value="">Select…</option>
+          {SHIPPING_COUNTRIES.map(country => (
+            <option key={country.code} value={country.code}>{country.name}</option>
+          ))}
+        </select>
+        {errors.country && (
+          <p className="mt-1 text-sm text-red-600">{errors.country.message}</p>
+        )}
+      </div>
+      <Input label="Phone (optional)" type="tel" autoComplete="tel" {...field('phone')} />
+    </div>
+  )
+}
+
+export default AddressFields
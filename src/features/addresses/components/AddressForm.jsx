@@ -0,0 +1,38 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import Button from '@components/ui/Button'
+import { addressSchema, toAddressFormValues } from '../addressSchema'
+import AddressFields from './AddressFields'
+
+/**
+ * Add / edit form for an address book entry
+ * @param {Object} props.initialValues - Address to edit (omit to add a new one)
+ * @param {Function} props.onSubmit - Called with the validated address; returns { error }
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ */
+const AddressForm = ({ initialValues, onSubmit, onCancel }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(addressSchema),
+    defaultValues: toAddressFormValues(initialValues),
+  })
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <AddressFields register={register} errors={errors} showLabel />
+      <div className="flex gap-2">
+        <Button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : 'Save address'}
+        </Button>
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+export default AddressForm
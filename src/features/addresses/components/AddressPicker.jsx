@@ -0,0 +1,55 @@
+import { clsx } from 'clsx'
+import Badge from '@components/ui/Badge'
+import { formatAddress } from '@utils/formatters'
+
+// Value used for the "new address" option
+export const NEW_ADDRESS = 'new'
+
+/**
+ * Radio list of saved addresses plus a "new address" option, for checkout
+ * @param {Array<Object>} props.addresses - Saved addresses from useAddresses
+ * @param {string} props.value - Selected address ID, or NEW_ADDRESS
+ * @param {Function} props.onChange - Called with the selected address ID or NEW_ADDRESS
+ */
+const AddressPicker = ({ addresses, value, onChange }) => {
+  const options = [
+    ...addresses.map(address => ({
+      id: address.id,
+      title: address.label || address.full_name,
+      detail: formatAddress(address),
+      isDefault: address.is_default_shipping,
+    })),
+    { id: NEW_ADDRESS, title: 'Use a new address' },
+  ]
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className="block text-sm font-medium text-gray-700 mb-1">Ship to</legend>
+      {options.map(option => (
+        <label
+          key={option.id}
+          className={clsx(
+            'flex items-start gap-3 p-3 border rounded-lg cursor-pointer',
+            value === option.id ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+          )}
+        >
+          <input
+            type="radio"
+            name="shipping-address"
+            value={option.id}
+            checked={value === option.id}
+            onChange={() => onChange(option.id)}
+            className="mt-1"
+          />
+          <span>
+            <span className="font-medium text-gray-900">{option.title}</span>
+            {option.isDefault && <Badge size="sm" className="ml-2">Default</Badge>}
+            {option.detail && <span className="block text-sm text-gray-500">{option.detail}</span>}
+          </span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
+
+export default AddressPicker
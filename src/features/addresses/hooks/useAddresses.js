@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress,
+} from '../services/addressService'
+
+/**
+ * Custom hook for the signed-in customer's address book
+ * Mutations refetch the list, since changing a default also changes other addresses.
+ * @returns {Object} Addresses, default shipping address, loading state, error, and mutation functions
+ */
+export const useAddresses = () => {
+  const [addresses, setAddresses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refetch = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const result = await getAddresses()
+
+    if (result.error) {
+      setError(result.error)
+    } else {
+      setAddresses(result.data)
+    }
+
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    refetch()
+  }, [refetch])
+
+  // Run a mutation, then reload the list when it succeeds
+  const withRefetch = (mutation) => async (...args) => {
+    const result = await mutation(...args)
+    if (!result.error) {
+      await refetch()
+    }
+    return result
+  }
+
+  return {
+    addresses,
+    defaultShippingAddress: addresses.find(address => address.is_default_shipping) || null,
+    loading,
+    error,
+    addAddress: withRefetch(createAddress),
+    updateAddress: withRefetch(updateAddress),
+    removeAddress: withRefetch(deleteAddress),
+    setDefault: withRefetch(setDefaultAddress),
+    refetch,
+  }
+}
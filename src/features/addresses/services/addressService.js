@@ -0,0 +1,150 @@
+import { supabase } from '@lib/supabase'
+
+/**
+ * Address Service
+ * Handles the signed-in customer's address book (customer_addresses).
+ * Setting a default clears the flag on the customer's other addresses, and the
+ * first address saved becomes the default (both done by a database trigger).
+ */
+
+/**
+ * Convert form values to a customer_addresses row (empty optional fields become null)
+ * @param {Object} address - Address form values
+ * @returns {Object} Row values
+ */
+const toAddressRow = (address) => ({
+  label: address.label?.trim() || null,
+  full_name: address.full_name.trim(),
+  line1: address.line1.trim(),
+  line2: address.line2?.trim() || null,
+  city: address.city.trim(),
+  region: address.region?.trim() || null,
+  postal_code: address.postal_code?.trim() || null,
+  country: address.country,
+  phone: address.phone?.trim() || null,
+})
+
+/**
+ * Get the current user's addresses, default shipping address first
+ * @returns {Promise<Object>} Addresses and error
+ */
+export const getAddresses = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .select('*')
+      .order('is_default_shipping', { ascending: false })
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching addresses:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Add an address to the current user's address book
+ * @param {Object} address - Address fields (see addressSchema)
+ * @param {Object} options - { isDefaultShipping, isDefaultBilling }
+ * @returns {Promise<Object>} Created address and error
+ */
+export const createAddress = async (address, { isDefaultShipping = false, isDefaultBilling = false } = {}) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User must be authenticated')
+    }
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .insert({
+        ...toAddressRow(address),
+        customer_id: user.id,
+        is_default_shipping: isDefaultShipping,
+        is_default_billing: isDefaultBilling,
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error creating address:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Update an address
+ * Orders keep their own copy of the address, so this doesn't change past orders.
+ * @param {string} addressId - The address ID
+ * @param {Object} address - Address fields (see addressSchema)
+ * @returns {Promise<Object>} Updated address and error
+ */
+export const updateAddress = async (addressId, address) => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .update(toAddressRow(address))
+      .eq('id', addressId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating address:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Delete an address
+ * @param {string} addressId - The address ID
+ * @returns {Promise<Object>} Error if any
+ */
+export const deleteAddress = async (addressId) => {
+  try {
+    const { error } = await supabase
+      .from('customer_addresses')
+      .delete()
+      .eq('id', addressId)
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error deleting address:', error)
+    return { error }
+  }
+}
+
+/**
+ * Make an address the default shipping or billing address
+ * @param {string} addressId - The address ID
+ * @param {'shipping'|'billing'} type - Which default to set
+ * @returns {Promise<Object>} Updated address and error
+ */
+export const setDefaultAddress = async (addressId, type) => {
+  try {
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .update({ [`is_default_${type}`]: true })
+      .eq('id', addressId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error setting default address:', error)
+    return { data: null, error }
+  }
+}
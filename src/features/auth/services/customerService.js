@@ -65,7 +65,7 @@ export const updateCustomerProfile = async (updates) => {
 }
 
 /**
- * Get customer statistics (orders, spending, etc.)
+ * Get customer statistics (orders, spending net of refunds, etc.)
  * @returns {Promise<Object>} Customer stats and error
  */
 export const getCustomerStats = async () => {
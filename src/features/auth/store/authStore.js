@@ -1,6 +1,9 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
 import { supabase } from '@lib/supabase'
+import useCartStore from '@features/cart/store/cartStore'
+import useWishlist from '@features/wishlist/store/wishlistStore'
+import useRecentlyViewedStore from '@features/products/store/recentlyViewedStore'
 
 const useAuthStore = create(
   persist(
@@ -15,6 +18,13 @@ const useAuthStore = create(
           const { data: { session } } = await supabase.auth.getSession()
           set({ session, user: session?.user || null, loading: false })
 
+          // Load the account cart, wishlist and viewing history for a returning session
+          if (session) {
+            useCartStore.getState().syncWithAccount()
+            useWishlist.getState().syncWithAccount()
+            useRecentlyViewedStore.getState().syncWithAccount()
+          }
+
           // Listen for auth changes
           supabase.auth.onAuthStateChange((_event, session) => {
             set({ session, user: session?.user || null })
@@ -46,6 +56,14 @@ const useAuthStore = create(
 
         if (error) throw error
         set({ session: data.session, user: data.user })
+
+        // Merge the guest cart, wishlist and viewing history into the account
+        await Promise.all([
+          useCartStore.getState().syncWithAccount(),
+          useWishlist.getState().syncWithAccount(),
+          useRecentlyViewedStore.getState().syncWithAccount(),
+        ])
+
         return data
       },
 
@@ -54,6 +72,11 @@ const useAuthStore = create(
         const { error } = await supabase.auth.signOut()
         if (error) throw error
         set({ session: null, user: null })
+
+        // Don't leave the account's cart and lists behind on a shared computer
+        useCartStore.getState().resetLocalCart()
+        useWishlist.getState().clear()
+        useRecentlyViewedStore.getState().clear()
       },
 
       // Update user profile
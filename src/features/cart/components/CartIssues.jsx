@@ -0,0 +1,48 @@
+import toast from 'react-hot-toast'
+import Button from '@components/ui/Button'
+import { formatCurrency } from '@utils/formatters'
+import { CART_ISSUE } from '@utils/constants'
+
+const describeIssue = (issue) => {
+  switch (issue.type) {
+    case CART_ISSUE.PRICE_CHANGED:
+      return `price changed from ${formatCurrency(issue.oldPrice)} to ${formatCurrency(issue.price)}`
+    case CART_ISSUE.QUANTITY_REDUCED:
+      return `only ${issue.available} left (you have ${issue.quantity})`
+    case CART_ISSUE.OUT_OF_STOCK:
+      return 'is out of stock and will be removed'
+    default:
+      return 'is no longer available and will be removed'
+  }
+}
+
+/**
+ * Banner listing cart changes since items were added, with a button to accept them
+ * @param {Function} props.onAccept - Applies the changes; resolves to { error }
+ */
+const CartIssues = ({ issues, onAccept }) => {
+  if (issues.length === 0) return null
+
+  const handleAccept = async () => {
+    const { error } = await onAccept()
+    if (error) toast.error('Failed to update your cart. Please try again.')
+  }
+
+  return (
+    <div className="mb-6 p-4 border border-yellow-300 bg-yellow-50 rounded-lg">
+      <h2 className="font-semibold text-yellow-900 mb-2">Some items in your cart have changed</h2>
+      <ul className="list-disc ml-5 space-y-1 text-sm text-yellow-900 mb-4">
+        {issues.map(issue => (
+          <li key={`${issue.lineId}:${issue.type}`}>
+            <span className="font-medium">{issue.name}</span> {describeIssue(issue)}
+          </li>
+        ))}
+      </ul>
+      <Button size="sm" onClick={handleAccept}>
+        Accept changes
+      </Button>
+    </div>
+  )
+}
+
+export default CartIssues
@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react'
+import useCartStore from '../store/cartStore'
+import { validateCart } from '../services/cartService'
+
+/**
+ * Custom hook that revalidates the cart against live prices and stock
+ * Runs on mount and whenever the cart's lines, quantities or prices change.
+ * @returns {Object} Issues, acceptChanges function, loading state, and error
+ */
+export const useCartValidation = () => {
+  const items = useCartStore(state => state.items)
+  const applyCartIssues = useCartStore(state => state.applyCartIssues)
+  const [issues, setIssues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Only re-check when something that affects validity changes
+  const cartKey = items.map(item => `${item.lineId}:${item.quantity}:${item.price}`).join(',')
+
+  const revalidate = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const result = await validateCart(useCartStore.getState().items)
+
+    if (result.error) {
+      setError(result.error)
+    } else {
+      setIssues(result.data)
+    }
+
+    setLoading(false)
+    return result
+  }, [])
+
+  useEffect(() => {
+    revalidate()
+  }, [cartKey, revalidate])
+
+  // Apply every reported fix to the cart; the changed cart is then re-checked
+  const acceptChanges = () => {
+    return applyCartIssues(issues)
+  }
+
+  return {
+    issues,
+    isValid: !loading && !error && issues.length === 0,
+    loading,
+    error,
+    acceptChanges,
+    revalidate,
+  }
+}
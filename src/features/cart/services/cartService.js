@@ -0,0 +1,226 @@
+import { supabase } from '@lib/supabase'
+import { CART_ISSUE } from '@utils/constants'
+
+/**
+ * Cart Service
+ * Handles the signed-in customer's server-side cart and cart revalidation.
+ * Guest carts live in the cart store (localStorage) until login.
+ */
+
+/**
+ * Merge cart lines into the current user's cart and fetch the result
+ * Quantities of lines already in the account cart are summed and capped by stock
+ * @param {Array<Object>} items - Cart store items (with id, variant and quantity)
+ * @returns {Promise<Object>} Cart ({ id, items }) and error
+ */
+export const mergeCart = async (items = []) => {
+  try {
+    const { data: cartId, error: mergeError } = await supabase
+      .rpc('merge_cart_items', {
+        items: items.map(item => ({
+          product_id: item.id,
+          variant_id: item.variant?.id ?? null,
+          quantity: item.quantity,
+        })),
+      })
+
+    if (mergeError) throw mergeError
+
+    const { data, error } = await supabase
+      .from('cart_items')
+      .select(`
+        product_id,
+        variant_id,
+        quantity,
+        created_at,
+        products (
+          *,
+          product_images (
+            id,
+            image_url,
+            is_primary,
+            display_order,
+            medium_path,
+            thumbnail_path
+          )
+        ),
+        product_variants (
+          id,
+          sku,
+          options,
+          price,
+          stock_quantity,
+          image_id
+        )
+      `)
+      .eq('cart_id', cartId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return {
+      data: {
+        id: cartId,
+        items: data.map(row => ({
+          product: row.products,
+          variant: row.product_variants,
+          quantity: row.quantity,
+        })),
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error merging cart:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Set the quantity of a cart line (adding the line if needed)
+ * @param {string} cartId - The cart ID
+ * @param {string} productId - The product ID
+ * @param {string|null} variantId - The variant ID, if any
+ * @param {number} quantity - New quantity (must be positive)
+ * @returns {Promise<Object>} Error, if any
+ */
+export const saveCartItem = async (cartId, productId, variantId, quantity) => {
+  try {
+    const { error } = await supabase
+      .from('cart_items')
+      .upsert(
+        {
+          cart_id: cartId,
+          product_id: productId,
+          variant_id: variantId ?? null,
+          quantity,
+        },
+        { onConflict: 'cart_id,product_id,variant_id' }
+      )
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error saving cart item:', error)
+    return { error }
+  }
+}
+
+/**
+ * Remove a cart line
+ * @param {string} cartId - The cart ID
+ * @param {string} productId - The product ID
+ * @param {string|null} variantId - The variant ID, if any
+ * @returns {Promise<Object>} Error, if any
+ */
+export const removeCartItem = async (cartId, productId, variantId = null) => {
+  try {
+    let query = supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cartId)
+      .eq('product_id', productId)
+
+    query = variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null)
+
+    const { error } = await query
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error removing cart item:', error)
+    return { error }
+  }
+}
+
+/**
+ * Remove every line from a cart
+ * @param {string} cartId - The cart ID
+ * @returns {Promise<Object>} Error, if any
+ */
+export const clearCartItems = async (cartId) => {
+  try {
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cartId)
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error clearing cart:', error)
+    return { error }
+  }
+}
+
+/**
+ * Re-check cart lines against live product prices and stock
+ * Each issue describes one line and the change that fixes it:
+ * - price_changed: `price` is the current price
+ * - quantity_reduced: only `available` units are left
+ * - out_of_stock / unavailable: the line should be removed (unavailable = product
+ *   deleted or variant no longer sold)
+ * @param {Array<Object>} items - Cart store items
+ * @returns {Promise<Object>} Issues as { type, lineId, name, ... } and error
+ */
+export const validateCart = async (items) => {
+  try {
+    if (items.length === 0) return { data: [], error: null }
+
+    const { data: products, error } = await supabase
+      .from('products')
+      .select(`
+        id,
+        price,
+        stock_quantity,
+        product_variants (
+          id,
+          price,
+          stock_quantity,
+          is_active
+        )
+      `)
+      .in('id', [...new Set(items.map(item => item.id))])
+
+    if (error) throw error
+
+    const productsById = new Map(products.map(product => [product.id, product]))
+    const issues = []
+
+    items.forEach(item => {
+      const product = productsById.get(item.id)
+      const variant = item.variant
+        ? product?.product_variants.find(v => v.id === item.variant.id && v.is_active)
+        : null
+      const issue = { lineId: item.lineId, name: item.name, variant: item.variant }
+
+      if (!product || (item.variant && !variant)) {
+        issues.push({ ...issue, type: CART_ISSUE.UNAVAILABLE })
+        return
+      }
+
+      const available = variant ? variant.stock_quantity : product.stock_quantity
+      const price = Number(variant?.price ?? product.price)
+
+      if (available === 0) {
+        issues.push({ ...issue, type: CART_ISSUE.OUT_OF_STOCK })
+        return
+      }
+
+      if (item.quantity > available) {
+        issues.push({ ...issue, type: CART_ISSUE.QUANTITY_REDUCED, quantity: item.quantity, available })
+      }
+
+      if (price !== Number(item.price)) {
+        issues.push({ ...issue, type: CART_ISSUE.PRICE_CHANGED, oldPrice: item.price, price })
+      }
+    })
+
+    return { data: issues, error: null }
+  } catch (error) {
+    console.error('Error validating cart:', error)
+    return { data: null, error }
+  }
+}
@@ -1,59 +1,197 @@
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import { CART_ISSUE } from '@utils/constants'
+import { getCartLineId } from '@utils/cart'
+import {
+  mergeCart,
+  saveCartItem,
+  removeCartItem,
+  clearCartItems,
+} from '../services/cartService'
 
+/**
+ * Build a cart line for a product (and optional variant)
+ * The line is priced at the variant's override if it has one
+ * @param {Object} product - The product
+ * @param {Object|null} variant - The variant, if any
+ * @param {number} quantity - Quantity
+ * @returns {Object} Cart item
+ */
+const buildCartItem = (product, variant, quantity) => ({
+  ...product,
+  lineId: getCartLineId(product.id, variant?.id),
+  variant,
+  price: variant?.price ?? product.price,
+  quantity,
+})
+
+/**
+ * Put a cart line back the way it was before a change the server rejected
+ * @param {Array<Object>} items - Current cart items
+ * @param {string} lineId - The line that changed
+ * @param {Object|null} previousItem - The line before the change (null if it was added)
+ * @returns {Array<Object>} Cart items with the line restored
+ */
+const restoreLine = (items, lineId, previousItem) => {
+  if (!previousItem) {
+    return items.filter(item => item.lineId !== lineId)
+  }
+
+  return items.some(item => item.lineId === lineId)
+    ? items.map(item => item.lineId === lineId ? previousItem : item)
+    : [...items, previousItem]
+}
+
+/**
+ * Cart store
+ * Guests keep their cart in localStorage. After login (see authStore.signIn) the guest
+ * cart is merged into the account cart and every change is also saved to Supabase.
+ * Changes are applied locally first, then undone if saving them fails; the actions
+ * resolve to { error }.
+ */
 const useCartStore = create(
   persist(
     (set, get) => ({
       items: [],
+      // Account cart ID; null for guests
+      cartId: null,
+
+      // Save a line's quantity to the account cart (no-op for guests),
+      // restoring previousItem if that fails
+      saveLine: async (lineId, previousItem = null) => {
+        const { cartId, items } = get()
+        const item = items.find(i => i.lineId === lineId)
+        if (!cartId || !item) return { error: null }
+
+        const { error } = await saveCartItem(cartId, item.id, item.variant?.id, item.quantity)
+
+        if (error) {
+          set({ items: restoreLine(get().items, lineId, previousItem) })
+        }
+
+        return { error }
+      },
+
+      // Merge the guest cart into the signed-in user's cart and load it
+      syncWithAccount: async () => {
+        const { cartId, items } = get()
+
+        // Once synced, the account cart already has everything in the local cart
+        const { data, error } = await mergeCart(cartId ? [] : items)
 
-      // Add item to cart
-      addItem: (product, quantity = 1) => {
+        if (error) return { error }
+
+        set({
+          cartId: data.id,
+          items: data.items.map(({ product, variant, quantity }) =>
+            buildCartItem(product, variant, quantity)
+          ),
+        })
+
+        return { error: null }
+      },
+
+      // Forget the local copy of the cart (on sign out); the account cart is kept
+      resetLocalCart: () => {
+        set({ items: [], cartId: null })
+      },
+
+      // Add item to cart (optionally a specific variant of the product)
+      addItem: async (product, quantity = 1, variant = null) => {
         const items = get().items
-        const existingItem = items.find(item => item.id === product.id)
+        const lineId = getCartLineId(product.id, variant?.id)
+        const existingItem = items.find(item => item.lineId === lineId)
 
         if (existingItem) {
           // Update quantity if item already exists
           set({
             items: items.map(item =>
-              item.id === product.id
+              item.lineId === lineId
                 ? { ...item, quantity: item.quantity + quantity }
                 : item
             )
           })
         } else {
-          // Add new item
-          set({
-            items: [...items, { ...product, quantity }]
-          })
+          set({ items: [...items, buildCartItem(product, variant, quantity)] })
         }
+
+        return get().saveLine(lineId, existingItem)
       },
 
       // Remove item from cart
-      removeItem: (productId) => {
+      removeItem: async (lineId) => {
+        const { cartId, items } = get()
+        const item = items.find(i => i.lineId === lineId)
+
         set({
-          items: get().items.filter(item => item.id !== productId)
+          items: items.filter(i => i.lineId !== lineId)
         })
+
+        if (!cartId || !item) return { error: null }
+
+        const { error } = await removeCartItem(cartId, item.id, item.variant?.id)
+
+        if (error) {
+          set({ items: restoreLine(get().items, lineId, item) })
+        }
+
+        return { error }
       },
 
       // Update item quantity
-      updateQuantity: (productId, quantity) => {
+      updateQuantity: async (lineId, quantity) => {
         if (quantity <= 0) {
-          get().removeItem(productId)
-          return
+          return get().removeItem(lineId)
         }
 
+        const previousItem = get().getItem(lineId)
+
         set({
           items: get().items.map(item =>
-            item.id === productId
+            item.lineId === lineId
               ? { ...item, quantity }
               : item
           )
         })
+
+        return get().saveLine(lineId, previousItem)
+      },
+
+      // Accept the fixes for issues reported by validateCart
+      applyCartIssues: async (issues) => {
+        const results = await Promise.all(issues.map(issue => {
+          switch (issue.type) {
+            case CART_ISSUE.PRICE_CHANGED:
+              set({
+                items: get().items.map(item =>
+                  item.lineId === issue.lineId ? { ...item, price: issue.price } : item
+                )
+              })
+              return { error: null }
+            case CART_ISSUE.QUANTITY_REDUCED:
+              return get().updateQuantity(issue.lineId, issue.available)
+            default:
+              return get().removeItem(issue.lineId)
+          }
+        }))
+
+        return { error: results.find(result => result.error)?.error ?? null }
       },
 
       // Clear cart
-      clearCart: () => {
+      clearCart: async () => {
+        const { cartId, items } = get()
         set({ items: [] })
+
+        if (!cartId) return { error: null }
+
+        const { error } = await clearCartItems(cartId)
+
+        if (error) {
+          set({ items })
+        }
+
+        return { error }
       },
 
       // Get cart total
@@ -72,18 +210,39 @@ const useCartStore = create(
         )
       },
 
-      // Check if product is in cart
-      isInCart: (productId) => {
-        return get().items.some(item => item.id === productId)
+      // Check if product (or a specific variant of it) is in cart
+      isInCart: (productId, variantId = null) => {
+        return get().items.some(item =>
+          variantId
+            ? item.lineId === getCartLineId(productId, variantId)
+            : item.id === productId
+        )
       },
 
       // Get specific cart item
-      getItem: (productId) => {
-        return get().items.find(item => item.id === productId)
+      getItem: (lineId) => {
+        return get().items.find(item => item.lineId === lineId)
       },
     }),
     {
       name: 'cart-storage',
+      version: 1,
+      partialize: (state) => ({ items: state.items, cartId: state.cartId }),
+      // Carts saved before variants existed are keyed on product.id only
+      migrate: (persistedState, version) => {
+        if (version === 0) {
+          return {
+            ...persistedState,
+            items: (persistedState?.items || []).map(item => ({
+              ...item,
+              lineId: item.id,
+              variant: null,
+            })),
+          }
+        }
+
+        return persistedState
+      },
     }
   )
 )
@@ -0,0 +1,23 @@
+import { z } from 'zod'
+import { CARD_PAYMENT_METHODS, PAYMENT_METHODS } from '@utils/constants'
+import { isValidCreditCard } from '@utils/validators'
+
+// Contact step
+export const contactSchema = z.object({
+  email: z.string().trim().email('Please enter a valid email address'),
+})
+
+// Shipping method step
+export const shippingMethodSchema = z.object({
+  shippingMethodId: z.string({ error: 'Please choose a shipping method' })
+    .min(1, 'Please choose a shipping method'),
+})
+
+// Payment step (the shipping address step uses addressSchema)
+export const paymentSchema = z.object({
+  method: z.enum(Object.values(PAYMENT_METHODS), { error: 'Please choose a payment method' }),
+  cardNumber: z.string().trim().optional(),
+}).refine(
+  payment => !CARD_PAYMENT_METHODS.includes(payment.method) || isValidCreditCard(payment.cardNumber || ''),
+  { message: 'Please enter a valid card number', path: ['cardNumber'] }
+)
@@ -0,0 +1,82 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import useAuthStore from '@features/auth/store/authStore'
+import { addressSchema, toAddressFormValues } from '@features/addresses/addressSchema'
+import AddressPicker, { NEW_ADDRESS } from '@features/addresses/components/AddressPicker'
+import AddressFields from '@features/addresses/components/AddressFields'
+import useCheckoutStore from '../store/checkoutStore'
+import StepActions from './StepActions'
+
+/**
+ * Shipping address step: a saved address or a new one
+ * @param {Array<Object>} props.addresses - Saved addresses from useAddresses
+ * @param {Function} props.onNext - Go to the next step
+ * @param {Function} props.onBack - Go to the previous step
+ */
+const AddressStep = ({ addresses, onNext, onBack }) => {
+  const { user } = useAuthStore()
+  const { addressId, address, saveAddress, update } = useCheckoutStore()
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(addressSchema),
+    defaultValues: toAddressFormValues(address),
+  })
+
+  // Save as the customer types so a refresh keeps it
+  useEffect(() => {
+    const subscription = watch(values => update({ address: values }))
+    return () => subscription.unsubscribe()
+  }, [watch, update])
+
+  const onSubmit = (e) => {
+    // Saved addresses were validated when they were saved
+    if (addressId !== NEW_ADDRESS) {
+      e.preventDefault()
+      onNext()
+      return
+    }
+
+    handleSubmit(data => {
+      update({ address: data })
+      onNext()
+    })(e)
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="space-y-4">
+      {addresses.length > 0 && (
+        <AddressPicker
+          addresses={addresses}
+          value={addressId}
+          onChange={(id) => update({ addressId: id })}
+        />
+      )}
+
+      {addressId === NEW_ADDRESS && (
+        <>
+          <AddressFields register={register} errors={errors} />
+          {user && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={saveAddress}
+                onChange={(e) => update({ saveAddress: e.target.checked })}
+              />
+              Save this address to my address book
+            </label>
+          )}
+        </>
+      )}
+
+      <StepActions onBack={onBack} disabled={!addressId} />
+    </form>
+  )
+}
+
+export default AddressStep
@@ -0,0 +1,38 @@
+import { clsx } from 'clsx'
+import { CHECKOUT_STEPS } from '../store/checkoutStore'
+
+/**
+ * Checkout progress bar; finished steps can be clicked to go back to them
+ * @param {number} props.current - Index of the current step in CHECKOUT_STEPS
+ * @param {Function} props.onSelect - Called with a step ID
+ * @param {boolean} props.locked - Disable going back (e.g. once the order is placed)
+ */
+const CheckoutSteps = ({ current, onSelect, locked = false }) => {
+  return (
+    <ol className="flex flex-wrap gap-2 text-sm">
+      {CHECKOUT_STEPS.map((step, index) => {
+        const done = index < current
+
+        return (
+          <li key={step.id} className="flex items-center gap-2">
+            <button
+              type="button"
+              disabled={!done || locked}
+              onClick={() => onSelect(step.id)}
+              className={clsx(
+                'px-3 py-1 rounded-full border',
+                index === current && 'border-primary-500 bg-primary-50 text-primary-700 font-medium',
+                done && 'border-gray-300 text-gray-700 enabled:hover:bg-gray-100',
+                index > current && 'border-gray-200 text-gray-400'
+              )}
+            >
+              {index + 1}. {step.label}
+            </button>
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default CheckoutSteps
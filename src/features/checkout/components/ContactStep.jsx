@@ -0,0 +1,66 @@
+import { useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import useAuthStore from '@features/auth/store/authStore'
+import Input from '@components/ui/Input'
+import { contactSchema } from '../checkoutSchemas'
+import useCheckoutStore from '../store/checkoutStore'
+import StepActions from './StepActions'
+
+/**
+ * Contact step: the email for the order (the account email when signed in)
+ * @param {Function} props.onNext - Go to the next step
+ */
+const ContactStep = ({ onNext }) => {
+  const { user } = useAuthStore()
+  const { email, update } = useCheckoutStore()
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(contactSchema),
+    defaultValues: { email: user?.email || email },
+  })
+
+  // Save as the customer types so a refresh keeps it
+  useEffect(() => {
+    if (user) return undefined
+
+    const subscription = watch(values => update({ email: values.email }))
+    return () => subscription.unsubscribe()
+  }, [user, watch, update])
+
+  const onSubmit = (data) => {
+    update({ email: data.email })
+    onNext()
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <Input
+        label="Email"
+        type="email"
+        autoComplete="email"
+        readOnly={!!user}
+        error={errors.email?.message}
+        {...register('email')}
+      />
+      {!user && (
+        <p className="text-sm text-gray-500">
+          Checking out as a guest. You'll need this email to look up your order.{' '}
+          <Link to="/login" state={{ from: { pathname: '/checkout' } }} className="text-primary-600 hover:text-primary-700">
+            Sign in
+          </Link>
+          {' '}instead?
+        </p>
+      )}
+      <StepActions />
+    </form>
+  )
+}
+
+export default ContactStep
@@ -0,0 +1,42 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import PaymentMethodPicker from '@features/payments/components/PaymentMethodPicker'
+import { paymentSchema } from '../checkoutSchemas'
+import useCheckoutStore from '../store/checkoutStore'
+import StepActions from './StepActions'
+
+/**
+ * Payment step: method and card number
+ * The card number is handed back to the page rather than saved with the rest of
+ * the progress, so it never reaches sessionStorage.
+ * @param {string} props.cardNumber - Card number entered earlier this visit
+ * @param {Function} props.onNext - Called with the card number, then goes to the next step
+ * @param {Function} props.onBack - Go to the previous step (omit once the order is placed)
+ */
+const PaymentStep = ({ cardNumber, onNext, onBack }) => {
+  const { paymentMethod, update } = useCheckoutStore()
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(paymentSchema),
+    defaultValues: { method: paymentMethod, cardNumber },
+  })
+
+  const onSubmit = (data) => {
+    update({ paymentMethod: data.method })
+    onNext(data.cardNumber || '')
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <PaymentMethodPicker register={register} errors={errors} method={watch('method')} />
+      <StepActions onBack={onBack} submitLabel="Review Order" />
+    </form>
+  )
+}
+
+export default PaymentStep
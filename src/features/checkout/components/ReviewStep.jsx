@@ -0,0 +1,86 @@
+import { formatAddress } from '@utils/formatters'
+import { CARD_PAYMENT_METHODS } from '@utils/constants'
+import { getDeliveryEstimate } from '@features/shipping/services/shippingService'
+import { getPaymentMethodLabel } from '@features/payments/services/paymentService'
+import Button from '@components/ui/Button'
+
+/**
+ * One reviewed section with an edit link back to its step
+ */
+const ReviewSection = ({ title, onEdit, children }) => (
+  <div className="flex justify-between gap-4 py-3">
+    <div>
+      <h3 className="text-sm font-medium text-gray-500">{title}</h3>
+      <div className="text-gray-900">{children}</div>
+    </div>
+    {onEdit && (
+      <button type="button" onClick={onEdit} className="text-sm text-primary-600 hover:text-primary-700">
+        Edit
+      </button>
+    )}
+  </div>
+)
+
+/**
+ * Review step: everything entered so far, and the button that places the order
+ * @param {string} props.email - Contact email
+ * @param {Object} props.address - Shipping address
+ * @param {Object} props.shippingRate - Chosen shipping rate
+ * @param {string} props.paymentMethod - One of PAYMENT_METHODS
+ * @param {string} props.cardNumber - Card number (only the last digits are shown)
+ * @param {Function} props.onEdit - Called with a step ID
+ * @param {Function} props.onPlaceOrder - Place (or, once placed, pay for) the order
+ * @param {boolean} props.placed - Whether the order was already placed and only needs
+ *   paying; only the payment can be changed then
+ * @param {boolean} props.disabled - Disable the place order button
+ * @param {string} props.status - Button text while busy, if busy
+ */
+const ReviewStep = ({
+  email,
+  address,
+  shippingRate,
+  paymentMethod,
+  cardNumber,
+  onEdit,
+  onPlaceOrder,
+  placed = false,
+  disabled = false,
+  status,
+}) => {
+  const edit = (step) => (!placed || step === 'payment') ? () => onEdit(step) : undefined
+
+  return (
+    <div className="space-y-4">
+      {placed && (
+        <p className="text-sm text-gray-700">
+          Your order has been saved. Complete the payment to confirm it.
+        </p>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        <ReviewSection title="Contact" onEdit={edit('contact')}>
+          {email}
+        </ReviewSection>
+        <ReviewSection title="Ship to" onEdit={edit('address')}>
+          {formatAddress(address)}
+        </ReviewSection>
+        <ReviewSection title="Shipping method" onEdit={edit('shipping')}>
+          {shippingRate?.name}
+          {shippingRate && (
+            <span className="block text-sm text-gray-500">{getDeliveryEstimate(shippingRate)}</span>
+          )}
+        </ReviewSection>
+        <ReviewSection title="Payment" onEdit={edit('payment')}>
+          {getPaymentMethodLabel(paymentMethod)}
+          {CARD_PAYMENT_METHODS.includes(paymentMethod) && cardNumber && ` ending in ${cardNumber.replace(/\s/g, '').slice(-4)}`}
+        </ReviewSection>
+      </div>
+
+      <Button type="button" className="w-full" disabled={disabled} onClick={onPlaceOrder}>
+        {status || (placed ? 'Pay Now' : 'Place Order')}
+      </Button>
+    </div>
+  )
+}
+
+export default ReviewStep
@@ -0,0 +1,64 @@
+import { Controller, useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import ShippingMethodPicker from '@features/shipping/components/ShippingMethodPicker'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { shippingMethodSchema } from '../checkoutSchemas'
+import useCheckoutStore from '../store/checkoutStore'
+import StepActions from './StepActions'
+
+/**
+ * Shipping method step
+ * @param {Object} props.shippingRates - State from useShippingRates
+ * @param {Function} props.onNext - Go to the next step
+ * @param {Function} props.onBack - Go to the previous step
+ */
+const ShippingStep = ({ shippingRates, onNext, onBack }) => {
+  const { shippingMethodId, update } = useCheckoutStore()
+  const { rates, loading } = shippingRates
+
+  const {
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(shippingMethodSchema),
+    values: { shippingMethodId: shippingMethodId ?? '' },
+  })
+
+  const onSubmit = (data) => {
+    update({ shippingMethodId: data.shippingMethodId })
+    onNext()
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      {loading && rates.length === 0 ? (
+        <LoadingSpinner />
+      ) : rates.length === 0 ? (
+        <p className="text-sm text-red-600">We don't ship to this address yet</p>
+      ) : (
+        <Controller
+          name="shippingMethodId"
+          control={control}
+          render={({ field }) => (
+            <ShippingMethodPicker
+              rates={rates}
+              value={field.value}
+              onChange={(id) => {
+                field.onChange(id)
+                update({ shippingMethodId: id })
+              }}
+            />
+          )}
+        />
+      )}
+      {errors.shippingMethodId && (
+        <p className="text-sm text-red-600">{errors.shippingMethodId.message}</p>
+      )}
+
+      <StepActions onBack={onBack} disabled={loading || rates.length === 0} />
+    </form>
+  )
+}
+
+export default ShippingStep
@@ -0,0 +1,24 @@
+import Button from '@components/ui/Button'
+
+/**
+ * Back / continue buttons at the bottom of a checkout step
+ * @param {Function} props.onBack - Go to the previous step (omit on the first step)
+ * @param {string} props.submitLabel - Continue button text
+ * @param {boolean} props.disabled - Disable the continue button
+ */
+const StepActions = ({ onBack, submitLabel = 'Continue', disabled = false }) => {
+  return (
+    <div className="flex justify-between gap-2 pt-2">
+      {onBack ? (
+        <Button type="button" variant="outline" onClick={onBack}>
+          Back
+        </Button>
+      ) : <span />}
+      <Button type="submit" disabled={disabled}>
+        {submitLabel}
+      </Button>
+    </div>
+  )
+}
+
+export default StepActions
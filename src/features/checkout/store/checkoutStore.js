@@ -0,0 +1,62 @@
+import { create } from 'zustand'
+import { persist, createJSONStorage } from 'zustand/middleware'
+import { EMPTY_ADDRESS } from '@features/addresses/addressSchema'
+import { PAYMENT_METHODS, STORAGE_KEYS } from '@utils/constants'
+
+// Checkout steps, in order
+export const CHECKOUT_STEPS = [
+  { id: 'contact', label: 'Contact' },
+  { id: 'address', label: 'Address' },
+  { id: 'shipping', label: 'Shipping' },
+  { id: 'payment', label: 'Payment' },
+  { id: 'review', label: 'Review' },
+]
+
+const INITIAL_STATE = {
+  step: 'contact',
+  email: '',
+  // Saved address ID, NEW_ADDRESS, or null until the address book has loaded
+  addressId: null,
+  address: EMPTY_ADDRESS,
+  saveAddress: true,
+  shippingMethodId: null,
+  paymentMethod: PAYMENT_METHODS.CREDIT_CARD,
+  couponCode: null,
+  // An order that was placed but not paid yet ({ id, order_number, total_amount,
+  // guest_lookup_token, cartKey }); cartKey is the cart it was placed from
+  placedOrder: null,
+}
+
+/**
+ * Checkout progress store
+ * Kept in sessionStorage so refreshing the checkout page doesn't lose what was entered.
+ * Card numbers are never stored here.
+ */
+const useCheckoutStore = create(
+  persist(
+    (set) => ({
+      ...INITIAL_STATE,
+
+      // Go to a step by ID
+      goToStep: (step) => {
+        set({ step })
+      },
+
+      // Save some of the progress (any INITIAL_STATE fields)
+      update: (values) => {
+        set(values)
+      },
+
+      // Start over (after the order is paid)
+      reset: () => {
+        set(INITIAL_STATE)
+      },
+    }),
+    {
+      name: STORAGE_KEYS.CHECKOUT,
+      storage: createJSONStorage(() => sessionStorage),
+    }
+  )
+)
+
+export default useCheckoutStore
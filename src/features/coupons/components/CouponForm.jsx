@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import Button from '@components/ui/Button'
+import Input from '@components/ui/Input'
+import { COUPON_TYPE } from '@utils/constants'
+
+/**
+ * Coupon code entry for checkout
+ * Rendered inside the checkout form, so it applies on button click / Enter
+ * instead of using a nested <form>.
+ * @param {Object} props.coupon - State from useCoupon
+ */
+const CouponForm = ({ coupon }) => {
+  const [value, setValue] = useState('')
+
+  const handleApply = async () => {
+    if (!value.trim()) return
+
+    const result = await coupon.apply(value)
+    if (!result.error) {
+      setValue('')
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      handleApply()
+    }
+  }
+
+  if (coupon.code) {
+    return (
+      <div className="space-y-1 text-sm">
+        <div className="flex items-center justify-between gap-4">
+          <span className="font-medium text-gray-900">Coupon {coupon.code}</span>
+          <button
+            type="button"
+            onClick={coupon.remove}
+            className="text-red-600 hover:text-red-700"
+          >
+            Remove
+          </button>
+        </div>
+        {coupon.discount?.type === COUPON_TYPE.FREE_SHIPPING && (
+          <p className="text-green-700">Free shipping applied</p>
+        )}
+        {coupon.error && (
+          <p className="text-red-600">{coupon.error.message}</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-start gap-2">
+      <Input
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Coupon code"
+        aria-label="Coupon code"
+        error={coupon.error?.message}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        onClick={handleApply}
+        disabled={coupon.loading || !value.trim()}
+      >
+        Apply
+      </Button>
+    </div>
+  )
+}
+
+export default CouponForm
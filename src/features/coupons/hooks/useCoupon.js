@@ -0,0 +1,70 @@
+import { useState, useEffect, useCallback } from 'react'
+import { applyCoupon } from '../services/couponService'
+
+/**
+ * Custom hook for a coupon code applied to the cart
+ * The discount is recalculated whenever the cart's lines or quantities change,
+ * so it always matches what the order will be charged; a code that stops applying is removed.
+ * @param {Array<Object>} items - Cart store items
+ * @param {string} initialCode - Code to start with (e.g. restored checkout progress)
+ * @returns {Object} Applied code, discount breakdown, apply/remove functions, loading state, and error
+ */
+export const useCoupon = (items, initialCode = null) => {
+  const [code, setCode] = useState(initialCode)
+  const [discount, setDiscount] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const cartKey = items.map(item => `${item.lineId}:${item.quantity}`).join(',')
+
+  const calculate = useCallback(async (couponCode, cartItems) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await applyCoupon(couponCode, cartItems)
+
+    if (result.error) {
+      setError(result.error)
+      setDiscount(null)
+    } else {
+      setDiscount(result.data)
+    }
+
+    setLoading(false)
+    return result
+  }, [])
+
+  // Recalculate an applied coupon when the cart lines change. If it no longer
+  // applies, take it off rather than keep a code that isn't discounting anything;
+  // the error stays set so the coupon form can say why.
+  useEffect(() => {
+    if (code && items.length > 0) {
+      calculate(code, items).then(result => {
+        if (result.error) setCode(current => current === code ? null : current)
+      })
+    }
+  }, [cartKey])
+
+  const apply = async (couponCode) => {
+    const result = await calculate(couponCode, items)
+    if (!result.error) {
+      setCode(result.data.code)
+    }
+    return result
+  }
+
+  const remove = () => {
+    setCode(null)
+    setDiscount(null)
+    setError(null)
+  }
+
+  return {
+    code,
+    discount,
+    loading,
+    error,
+    apply,
+    remove,
+  }
+}
@@ -0,0 +1,93 @@
+import { supabase } from '@lib/supabase'
+import { getCartLineId } from '@utils/cart'
+import { COUPON_ERROR } from '@utils/constants'
+import { formatCurrency } from '@utils/formatters'
+
+/**
+ * Coupon Service
+ * Checks coupon codes against a cart. Codes are validated and priced on the server
+ * (calculate_coupon_discount), the same way place_order applies them.
+ */
+
+const COUPON_ERROR_MESSAGES = {
+  [COUPON_ERROR.NOT_FOUND]: 'This coupon code is not valid',
+  [COUPON_ERROR.NOT_STARTED]: 'This coupon is not active yet',
+  [COUPON_ERROR.EXPIRED]: 'This coupon has expired',
+  [COUPON_ERROR.USAGE_LIMIT_REACHED]: 'This coupon is no longer available',
+  [COUPON_ERROR.LOGIN_REQUIRED]: 'Please sign in to use this coupon',
+  [COUPON_ERROR.CUSTOMER_LIMIT_REACHED]: 'You have already used this coupon',
+  [COUPON_ERROR.NO_ELIGIBLE_ITEMS]: 'This coupon does not apply to any items in your cart',
+}
+
+/**
+ * Get a customer-facing message for a coupon error code
+ * @param {string} code - One of COUPON_ERROR
+ * @param {Object} details - Extra details from the server (e.g. min_subtotal)
+ * @returns {string} Error message
+ */
+export const getCouponErrorMessage = (code, details = {}) => {
+  if (code === COUPON_ERROR.MIN_SUBTOTAL_NOT_MET) {
+    return details.min_subtotal != null
+      ? `Spend at least ${formatCurrency(details.min_subtotal)} to use this coupon`
+      : 'Your order does not meet the minimum for this coupon'
+  }
+
+  return COUPON_ERROR_MESSAGES[code] || 'This coupon code is not valid'
+}
+
+/**
+ * Apply a coupon code to a cart and get the line-by-line discount
+ * Amounts use current catalog prices, so they match what place_order will charge.
+ * When the code can't be used, `error.couponError` is one of COUPON_ERROR.
+ * @param {string} code - Coupon code (case-insensitive)
+ * @param {Array<Object>} cart - Cart store items (with lineId, id, variant and quantity)
+ * @returns {Promise<Object>} Discount breakdown and error:
+ *   { code, type, freeShipping, subtotal, discountAmount, total,
+ *     lines: [{ lineId, quantity, unitPrice, lineTotal, eligible, discount }] }
+ */
+export const applyCoupon = async (code, cart) => {
+  try {
+    const { data, error } = await supabase.rpc('calculate_coupon_discount', {
+      coupon_code: code.trim(),
+      items: cart.map(item => ({
+        product_id: item.id,
+        variant_id: item.variant?.id ?? null,
+        quantity: item.quantity,
+      })),
+    })
+
+    if (error) throw error
+
+    if (data.error) {
+      const couponError = new Error(getCouponErrorMessage(data.error, data))
+      couponError.couponError = data.error
+      throw couponError
+    }
+
+    const subtotal = Number(data.subtotal)
+    const discountAmount = Number(data.discount_amount)
+
+    return {
+      data: {
+        code: data.code,
+        type: data.discount_type,
+        freeShipping: data.free_shipping,
+        subtotal,
+        discountAmount,
+        total: subtotal - discountAmount,
+        lines: data.lines.map(line => ({
+          lineId: getCartLineId(line.product_id, line.variant_id),
+          quantity: line.quantity,
+          unitPrice: Number(line.unit_price),
+          lineTotal: Number(line.line_total),
+          eligible: line.eligible,
+          discount: Number(line.discount),
+        })),
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error applying coupon:', error)
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,34 @@
+import toast from 'react-hot-toast'
+import { useInvoice } from '../hooks/useInvoice'
+
+const actionClassName = 'text-sm text-primary-600 hover:text-primary-700 disabled:text-gray-400'
+
+/**
+ * "Download invoice" and "View invoice" actions for a paid order
+ * @param {Object} props.order - The order
+ * @param {string} props.lookupToken - The order's guest_lookup_token (guest orders only)
+ */
+const InvoiceActions = ({ order, lookupToken = null }) => {
+  const { downloadInvoice, openInvoice, loading } = useInvoice()
+
+  const handle = async (action) => {
+    const result = await action(order.id, lookupToken)
+
+    if (result.error) {
+      toast.error(result.error.message || 'Failed to load invoice')
+    }
+  }
+
+  return (
+    <>
+      <button type="button" className={actionClassName} onClick={() => handle(downloadInvoice)} disabled={loading}>
+        Download invoice
+      </button>
+      <button type="button" className={actionClassName} onClick={() => handle(openInvoice)} disabled={loading}>
+        View invoice
+      </button>
+    </>
+  )
+}
+
+export default InvoiceActions
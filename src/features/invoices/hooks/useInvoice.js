@@ -0,0 +1,36 @@
+import { useState } from 'react'
+import {
+  downloadInvoice as downloadInvoiceService,
+  openInvoice as openInvoiceService,
+} from '../services/invoiceService'
+
+/**
+ * Custom hook for downloading and viewing an order's invoice
+ * Call openInvoice straight from a click handler so the new tab isn't blocked.
+ * @returns {Object} Download and open functions, loading state, and error
+ */
+export const useInvoice = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (action, orderId, lookupToken) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await action(orderId, lookupToken)
+
+    if (result.error) {
+      setError(result.error)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    downloadInvoice: (orderId, lookupToken = null) => run(downloadInvoiceService, orderId, lookupToken),
+    openInvoice: (orderId, lookupToken = null) => run(openInvoiceService, orderId, lookupToken),
+    loading,
+    error,
+  }
+}
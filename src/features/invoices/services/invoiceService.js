@@ -0,0 +1,375 @@
+import { supabase } from '@lib/supabase'
+import { buildPdf, measureText, wrapText, PDF_PAGE_SIZE } from '@utils/pdf'
+import { downloadFile } from '@utils/file'
+import { formatAddress, formatCurrency, formatDate } from '@utils/formatters'
+
+/**
+ * Invoice Service
+ * Orders are invoiced when their payment is captured (issue_invoice in the database),
+ * which keeps a copy of the lines and totals. Invoices are rendered from that copy,
+ * as a print-ready HTML page or a PDF built in the browser.
+ */
+
+/**
+ * Check if an order has an invoice
+ * @param {Object} order - Order with `invoices` (getUserOrders, getOrderById or getGuestOrder)
+ * @returns {boolean} Whether the order has been paid and invoiced
+ */
+export const hasInvoice = (order) => {
+  return !!order?.invoices?.invoice_number
+}
+
+/**
+ * Get an order's invoice
+ * @param {string} orderId - The order ID
+ * @param {string} lookupToken - The order's guest_lookup_token (guest orders only)
+ * @returns {Promise<Object>} Invoice ({ invoice_number, seller, bill_to, lines, totals, ... }) and error
+ */
+export const getInvoice = async (orderId, lookupToken = null) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_invoice', { order_uuid: orderId, lookup_token: lookupToken })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching invoice:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Format an amount for an invoice, with a minus sign for amounts taken off
+ * @param {number} amount - The amount
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount) => {
+  return amount < 0 ? `−${formatCurrency(-amount)}` : formatCurrency(amount)
+}
+
+/**
+ * Everything printed on an invoice, shared by the HTML and PDF versions
+ * @param {Object} invoice - The invoice (from getInvoice)
+ * @returns {Object} Invoice number and dates, seller, customer, lines and totals
+ */
+export const getInvoiceData = (invoice) => {
+  const { bill_to: billTo, totals: billed } = invoice
+  const address = billTo.address
+  const tax = Number(billed.tax_amount)
+  const discount = Number(billed.discount_amount)
+  const cancelled = Number(billed.cancelled_amount || 0)
+
+  const totals = [
+    { label: 'Subtotal', amount: Number(billed.subtotal_amount) },
+    discount > 0 && {
+      label: `Discount${billed.coupon_code ? ` (${billed.coupon_code})` : ''}`,
+      amount: -discount,
+    },
+    {
+      label: `Shipping${billed.shipping_method_name ? ` (${billed.shipping_method_name})` : ''}`,
+      amount: Number(billed.shipping_amount),
+    },
+    {
+      label: tax > 0 && billed.tax_included ? 'Tax (included)' : 'Tax',
+      amount: tax,
+    },
+    cancelled > 0 && { label: 'Cancelled items', amount: -cancelled },
+    { label: 'Total', amount: Number(billed.total_amount), bold: true },
+  ].filter(Boolean)
+
+  return {
+    invoiceNumber: invoice.invoice_number,
+    issuedOn: formatDate(invoice.issued_at),
+    paidOn: formatDate(invoice.paid_at),
+    orderNumber: invoice.order_number,
+    orderedOn: formatDate(invoice.ordered_at),
+    seller: {
+      name: invoice.seller.name,
+      lines: [
+        ...(invoice.seller.address || []),
+        invoice.seller.email,
+        invoice.seller.tax_id && `Tax ID: ${invoice.seller.tax_id}`,
+      ].filter(Boolean),
+    },
+    customer: {
+      name: billTo.name,
+      lines: [
+        billTo.email,
+        formatAddress({ ...address, full_name: null, name: null }) || billTo.address_text,
+        address?.phone,
+      ].filter(Boolean),
+    },
+    lines: invoice.lines.map(line => ({
+      id: line.order_item_id,
+      description: line.description,
+      note: line.cancelled_quantity > 0 ? `${line.cancelled_quantity} cancelled` : '',
+      quantity: line.quantity,
+      unitPrice: formatCurrency(line.unit_price),
+      amount: formatCurrency(line.quantity * line.unit_price),
+    })),
+    totals: totals.map(row => ({ ...row, text: formatAmount(row.amount) })),
+  }
+}
+
+/**
+ * Escape text for HTML
+ * @param {any} value - Text to show
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[char])
+}
+
+/**
+ * Render an invoice as a standalone, print-ready HTML page
+ * @param {Object} invoice - The invoice (from getInvoice)
+ * @returns {string} HTML document
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const data = getInvoiceData(invoice)
+  const lines = (values) => values.map(value => `<div>${escapeHtml(value)}</div>`).join('')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(data.invoiceNumber)}</title>
+<style>
+  @page { size: letter; margin: 0.75in; }
+  body { font-family: Helvetica, Arial, sans-serif; color: #111827; font-size: 14px; max-width: 8in; margin: 2rem auto; padding: 0 1rem; }
+  header { display: flex; justify-content: space-between; gap: 2rem; margin-bottom: 2rem; }
+  h1 { font-size: 1.75rem; margin: 0 0 0.5rem; text-align: right; }
+  h2 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+  h3 { font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 0 0 0.25rem; }
+  .muted { color: #6b7280; }
+  .meta { text-align: right; }
+  table { width: 100%; border-collapse: collapse; margin: 2rem 0 1rem; }
+  th { text-align: left; font-size: 0.75rem; text-transform: uppercase; color: #6b7280; border-bottom: 1px solid #d1d5db; padding: 0.5rem 0; }
+  td { border-bottom: 1px solid #f3f4f6; padding: 0.5rem 0; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; padding-left: 1rem; }
+  .totals { margin-left: auto; width: 18rem; }
+  .totals div { display: flex; justify-content: space-between; padding: 0.25rem 0; }
+  .totals .bold { font-weight: bold; font-size: 1.1rem; border-top: 1px solid #d1d5db; margin-top: 0.25rem; padding-top: 0.5rem; }
+  footer { margin-top: 3rem; }
+  @media print {
+    body { margin: 0; max-width: none; padding: 0; }
+    .no-print { display: none; }
+  }
+</style>
+</head>
+<body>
+<p class="no-print"><button onclick="window.print()">Print</button></p>
+<header>
+  <div>
+    <h2>${escapeHtml(data.seller.name)}</h2>
+    <div class="muted">${lines(data.seller.lines)}</div>
+  </div>
+  <div class="meta">
+    <h1>Invoice</h1>
+    <div>Invoice ${escapeHtml(data.invoiceNumber)}</div>
+    <div>Issued ${escapeHtml(data.issuedOn)}</div>
+    <div>Order #${escapeHtml(data.orderNumber)} (${escapeHtml(data.orderedOn)})</div>
+    ${data.paidOn ? `<div>Paid ${escapeHtml(data.paidOn)}</div>` : ''}
+  </div>
+</header>
+<section>
+  <h3>Bill to</h3>
+  <div><strong>${escapeHtml(data.customer.name)}</strong></div>
+  <div class="muted">${lines(data.customer.lines)}</div>
+</section>
+<table>
+  <thead>
+    <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+  </thead>
+  <tbody>
+    ${data.lines.map(line => `<tr>
+      <td>${escapeHtml(line.description)}${line.note ? `<div class="muted">${escapeHtml(line.note)}</div>` : ''}</td>
+      <td class="num">${line.quantity}</td>
+      <td class="num">${escapeHtml(line.unitPrice)}</td>
+      <td class="num">${escapeHtml(line.amount)}</td>
+    </tr>`).join('\n    ')}
+  </tbody>
+</table>
+<div class="totals">
+  ${data.totals.map(row => `<div${row.bold ? ' class="bold"' : ''}><span>${escapeHtml(row.label)}</span><span>${escapeHtml(row.text)}</span></div>`).join('\n  ')}
+</div>
+<footer class="muted">Thank you for your order.</footer>
+</body>
+</html>`
+}
+
+/**
+ * Render an invoice as a PDF (US Letter)
+ * @param {Object} invoice - The invoice (from getInvoice)
+ * @returns {Blob} PDF file
+ */
+export const buildInvoicePdf = (invoice) => {
+  const data = getInvoiceData(invoice)
+  const margin = 54
+  const right = PDF_PAGE_SIZE.width - margin
+  const bottom = PDF_PAGE_SIZE.height - margin
+  const columns = { quantity: right - 170, unitPrice: right - 85, amount: right }
+  const descriptionWidth = columns.quantity - margin - 40
+
+  const pages = [[]]
+  let page = pages[0]
+  let y = margin
+
+  const text = (x, value, options = {}) => page.push({ type: 'text', x, y, text: value, ...options })
+  const rule = () => page.push({ type: 'line', x1: margin, y1: y, x2: right, y2: y })
+
+  const tableHeader = () => {
+    const options = { size: 8, bold: true, gray: 0.4 }
+    text(margin, 'ITEM', options)
+    text(columns.quantity, 'QTY', { ...options, align: 'right' })
+    text(columns.unitPrice, 'UNIT PRICE', { ...options, align: 'right' })
+    text(columns.amount, 'AMOUNT', { ...options, align: 'right' })
+    y += 6
+    rule()
+    y += 14
+  }
+
+  // Start a new page (repeating the table header) when the next block won't fit
+  const ensureSpace = (height, withHeader = true) => {
+    if (y + height <= bottom) return
+    page = []
+    pages.push(page)
+    y = margin
+    if (withHeader) tableHeader()
+  }
+
+  // Seller on the left, invoice details on the right
+  y += 18
+  text(margin, data.seller.name, { size: 16, bold: true })
+  text(right, 'INVOICE', { size: 20, bold: true, align: 'right' })
+
+  const meta = [
+    `Invoice ${data.invoiceNumber}`,
+    `Issued ${data.issuedOn}`,
+    `Order #${data.orderNumber} (${data.orderedOn})`,
+    data.paidOn && `Paid ${data.paidOn}`,
+  ].filter(Boolean)
+  const headerTop = y
+
+  data.seller.lines.forEach((line, index) => {
+    y = headerTop + 16 + index * 13
+    text(margin, line, { size: 9, gray: 0.4 })
+  })
+  meta.forEach((line, index) => {
+    y = headerTop + 16 + index * 13
+    text(right, line, { size: 9, align: 'right' })
+  })
+  y = headerTop + 16 + Math.max(data.seller.lines.length, meta.length) * 13 + 20
+
+  // Bill to
+  text(margin, 'BILL TO', { size: 8, bold: true, gray: 0.4 })
+  y += 14
+  text(margin, data.customer.name, { size: 10, bold: true })
+  data.customer.lines
+    .flatMap(line => wrapText(line, right - margin, 9))
+    .forEach(line => {
+      y += 13
+      text(margin, line, { size: 9, gray: 0.4 })
+    })
+  y += 32
+
+  // Line items
+  tableHeader()
+  data.lines.forEach(line => {
+    const description = wrapText(line.description, descriptionWidth, 10)
+    ensureSpace(description.length * 13 + (line.note ? 12 : 0) + 8)
+
+    text(columns.quantity, String(line.quantity), { size: 10, align: 'right' })
+    text(columns.unitPrice, line.unitPrice, { size: 10, align: 'right' })
+    text(columns.amount, line.amount, { size: 10, align: 'right' })
+    description.forEach((part, index) => {
+      if (index > 0) y += 13
+      text(margin, part, { size: 10 })
+    })
+    if (line.note) {
+      y += 12
+      text(margin, line.note, { size: 8, gray: 0.4 })
+    }
+    y += 8
+    rule()
+    y += 14
+  })
+
+  // Totals, right-aligned under the amounts
+  ensureSpace(data.totals.length * 16 + 40, false)
+  y += 6
+  const labelX = columns.amount - Math.max(...data.totals.map(row => measureText(row.text, 11, true))) - 24
+  data.totals.forEach(row => {
+    if (row.bold) {
+      page.push({ type: 'line', x1: labelX - 120, y1: y - 10, x2: right, y2: y - 10 })
+      y += 6
+    }
+    const options = { size: row.bold ? 11 : 10, bold: !!row.bold }
+    text(labelX, row.label, { ...options, align: 'right' })
+    text(columns.amount, row.text, { ...options, align: 'right' })
+    y += 16
+  })
+
+  y += 24
+  text(margin, 'Thank you for your order.', { size: 9, gray: 0.4 })
+
+  return buildPdf(pages, { title: `Invoice ${data.invoiceNumber}` })
+}
+
+/**
+ * Download an order's invoice as a PDF
+ * @param {string} orderId - The order ID
+ * @param {string} lookupToken - The order's guest_lookup_token (guest orders only)
+ * @returns {Promise<Object>} Invoice and error
+ */
+export const downloadInvoice = async (orderId, lookupToken = null) => {
+  try {
+    const { data: invoice, error } = await getInvoice(orderId, lookupToken)
+    if (error) throw error
+
+    downloadFile(buildInvoicePdf(invoice), `${invoice.invoice_number}.pdf`)
+
+    return { data: invoice, error: null }
+  } catch (error) {
+    console.error('Error downloading invoice:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Open an order's invoice as a print-ready page in a new tab
+ * The tab is opened before anything is loaded so popup blockers allow it; call this
+ * straight from a click handler.
+ * @param {string} orderId - The order ID
+ * @param {string} lookupToken - The order's guest_lookup_token (guest orders only)
+ * @returns {Promise<Object>} Invoice and error
+ */
+export const openInvoice = async (orderId, lookupToken = null) => {
+  const invoiceWindow = window.open('', '_blank')
+
+  try {
+    if (!invoiceWindow) {
+      throw new Error('Allow pop-ups for this site to view the invoice')
+    }
+
+    const { data: invoice, error } = await getInvoice(orderId, lookupToken)
+    if (error) throw error
+
+    invoiceWindow.document.open()
+    invoiceWindow.document.write(renderInvoiceHtml(invoice))
+    invoiceWindow.document.close()
+
+    return { data: invoice, error: null }
+  } catch (error) {
+    console.error('Error opening invoice:', error)
+    invoiceWindow?.close()
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,10 @@
+import { z } from 'zod'
+
+// Cancel items form: a quantity per order line (keyed by order item ID) and an optional reason
+export const cancelItemsSchema = z.object({
+  quantities: z.record(z.string(), z.coerce.number().int().min(0)),
+  reason: z.string().trim().max(500, 'Please keep the reason under 500 characters').optional(),
+}).refine(
+  request => Object.values(request.quantities).some(quantity => quantity > 0),
+  { message: 'Choose at least one item to cancel', path: ['quantities'] }
+)
@@ -0,0 +1,85 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import Button from '@components/ui/Button'
+import { cancelItemsSchema } from '../cancelItemsSchema'
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+/**
+ * Form to choose units of an order's lines to cancel
+ * At least one unit has to stay on the order; to cancel everything, cancel the order.
+ * @param {Object} props.order - Order with order_items
+ * @param {Object} props.activeQuantities - Units not yet cancelled per order item ID
+ * @param {Function} props.onSubmit - Called with { items, reason } (see cancelOrderItems)
+ * @param {boolean} props.submitting - Whether the cancellation is being sent
+ */
+const CancelItemsForm = ({ order, activeQuantities, onSubmit, submitting = false }) => {
+  const lines = order.order_items.filter(item => activeQuantities[item.id] > 0)
+  const activeTotal = lines.reduce((sum, item) => sum + activeQuantities[item.id], 0)
+
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(cancelItemsSchema),
+    defaultValues: {
+      quantities: Object.fromEntries(lines.map(item => [item.id, 0])),
+      reason: '',
+    },
+  })
+
+  const submit = (data) => {
+    const items = Object.entries(data.quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity }))
+
+    if (items.reduce((sum, item) => sum + item.quantity, 0) >= activeTotal) {
+      setError('quantities', { message: 'To cancel every item, cancel the order instead' })
+      return
+    }
+
+    onSubmit({ items, reason: data.reason })
+  }
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-1">Items to cancel</legend>
+        {lines.map(item => (
+          <label key={item.id} className="flex items-center justify-between gap-4 text-sm text-gray-700">
+            <span>
+              {item.products?.name || 'Product no longer available'}
+              {item.product_variants && ` (${Object.values(item.product_variants.options).join(', ')})`}
+            </span>
+            <select className={`${inputClassName} w-24`} {...register(`quantities.${item.id}`)}>
+              {Array.from({ length: activeQuantities[item.id] + 1 }, (_, quantity) => (
+                <option key={quantity} value={quantity}>{quantity}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {errors.quantities && (
+          <p className="text-sm text-red-600">{errors.quantities.message}</p>
+        )}
+      </fieldset>
+
+      <div>
+        <label htmlFor="cancel-reason" className="block text-sm font-medium text-gray-700 mb-1">
+          Reason (optional)
+        </label>
+        <textarea id="cancel-reason" rows={2} className={inputClassName} {...register('reason')} />
+        {errors.reason && (
+          <p className="mt-1 text-sm text-red-600">{errors.reason.message}</p>
+        )}
+      </div>
+
+      <Button type="submit" variant="danger" disabled={submitting}>
+        {submitting ? 'Cancelling...' : 'Cancel Items'}
+      </Button>
+    </form>
+  )
+}
+
+export default CancelItemsForm
@@ -0,0 +1,73 @@
+import Badge from '@components/ui/Badge'
+import Card from '@components/ui/Card'
+import { formatAddress, formatCurrency, formatDate } from '@utils/formatters'
+import { getOrderStatusInfo } from '../services/orderService'
+import OrderTimeline from './OrderTimeline'
+import OrderTotals from './OrderTotals'
+
+/**
+ * Order summary card: status, items (with any cancelled units) and the
+ * subtotal / discount / tax / total breakdown
+ * Orders fetched with their order_status_history (getOrderById, guest lookups) also
+ * show the status timeline.
+ * @param {Object} props.order - Order with order_items (as returned by getUserOrders)
+ * @param {ReactNode} props.actions - Optional links or buttons shown at the bottom
+ */
+const OrderCard = ({ order, actions }) => {
+  const statusInfo = getOrderStatusInfo(order.status)
+  const items = order.order_items || []
+
+  return (
+    <Card className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <p className="font-semibold text-gray-900">Order #{order.order_number || order.id.slice(0, 8)}</p>
+          <p className="text-sm text-gray-500">{formatDate(order.created_at)}</p>
+        </div>
+        <Badge variant={statusInfo.color}>{statusInfo.label}</Badge>
+      </div>
+
+      <ul className="divide-y divide-gray-100 text-sm text-gray-700">
+        {items.map(item => (
+          <li key={item.id} className="flex justify-between gap-4 py-2">
+            <span>
+              {item.products?.name || 'Product no longer available'}
+              {item.product_variants && ` (${Object.values(item.product_variants.options).join(', ')})`}
+              {' '}× {item.quantity}
+              {item.cancelled_quantity > 0 && (
+                <span className="text-red-600"> ({item.cancelled_quantity} cancelled)</span>
+              )}
+            </span>
+            <span>{formatCurrency(item.quantity * item.price_at_time)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-sm text-gray-600">
+        Ship to: {formatAddress(order.shipping_address_snapshot) || order.shipping_address}
+      </p>
+
+      <OrderTotals
+        subtotal={Number(order.subtotal_amount)}
+        discount={Number(order.discount_amount)}
+        couponCode={order.coupon_code}
+        shipping={Number(order.shipping_amount)}
+        shippingMethod={order.shipping_method_name}
+        tax={Number(order.tax_amount)}
+        taxIncluded={Number(order.tax_amount) > 0 && items.every(item => item.tax_included)}
+        cancelled={Number(order.cancelled_amount || 0)}
+        total={Number(order.total_amount)}
+      />
+
+      {order.order_status_history?.length > 0 && (
+        <OrderTimeline history={order.order_status_history} />
+      )}
+
+      {actions && (
+        <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-100">{actions}</div>
+      )}
+    </Card>
+  )
+}
+
+export default OrderCard
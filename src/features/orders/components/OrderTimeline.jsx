@@ -0,0 +1,44 @@
+import { clsx } from 'clsx'
+import { formatDate } from '@utils/formatters'
+import { getOrderStatusInfo } from '../services/orderService'
+
+const ACTOR_LABELS = {
+  customer: 'by you',
+  staff: 'by our team',
+}
+
+/**
+ * Order status timeline, oldest change first
+ * @param {Array<Object>} props.history - order_status_history rows (from getOrderById)
+ */
+const OrderTimeline = ({ history }) => {
+  return (
+    <ol className="space-y-3 border-l border-gray-200 pl-4 text-sm">
+      {history.map((entry, index) => {
+        const statusInfo = getOrderStatusInfo(entry.to_status)
+        const latest = index === history.length - 1
+
+        return (
+          <li key={entry.id} className="relative">
+            <span
+              className={clsx(
+                'absolute -left-[21px] top-1.5 h-2.5 w-2.5 rounded-full',
+                latest ? 'bg-primary-600' : 'bg-gray-300'
+              )}
+            />
+            <p className={clsx('font-medium', latest ? 'text-gray-900' : 'text-gray-700')}>
+              {entry.from_status ? statusInfo.label : 'Order placed'}
+              {ACTOR_LABELS[entry.actor] && (
+                <span className="font-normal text-gray-500"> {ACTOR_LABELS[entry.actor]}</span>
+              )}
+            </p>
+            <p className="text-gray-500">{formatDate(entry.created_at, 'PPp')}</p>
+            {entry.note && <p className="text-gray-600">{entry.note}</p>}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default OrderTimeline
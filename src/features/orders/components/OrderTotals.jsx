@@ -0,0 +1,61 @@
+import { formatCurrency } from '@utils/formatters'
+
+/**
+ * Subtotal / discount / shipping / tax / total breakdown for checkout and order screens
+ * Pass `tax` or `shipping` as null when it isn't known yet (no address or method chosen).
+ * @param {number} props.subtotal - Item total before discounts
+ * @param {number} props.discount - Coupon discount
+ * @param {string} props.couponCode - Applied coupon code, shown next to the discount
+ * @param {number|null} props.shipping - Shipping cost
+ * @param {string} props.shippingMethod - Shipping method name, shown next to the cost
+ * @param {number|null} props.tax - Tax amount
+ * @param {boolean} props.taxIncluded - Whether the tax is already included in prices
+ * @param {number} props.cancelled - Amount taken off for cancelled items
+ * @param {number} props.total - Amount charged
+ */
+const OrderTotals = ({
+  subtotal,
+  discount = 0,
+  couponCode,
+  shipping = 0,
+  shippingMethod,
+  tax = 0,
+  taxIncluded = false,
+  cancelled = 0,
+  total,
+}) => {
+  return (
+    <dl className="space-y-2 text-sm text-gray-700">
+      <div className="flex justify-between">
+        <dt>Subtotal</dt>
+        <dd>{formatCurrency(subtotal)}</dd>
+      </div>
+      {discount > 0 && (
+        <div className="flex justify-between text-green-700">
+          <dt>Discount{couponCode && ` (${couponCode})`}</dt>
+          <dd>−{formatCurrency(discount)}</dd>
+        </div>
+      )}
+      <div className="flex justify-between">
+        <dt>Shipping{shippingMethod && ` (${shippingMethod})`}</dt>
+        <dd>{shipping === null ? 'Choose a method' : shipping === 0 ? 'Free' : formatCurrency(shipping)}</dd>
+      </div>
+      <div className="flex justify-between">
+        <dt>{taxIncluded ? 'Tax (included)' : 'Tax'}</dt>
+        <dd>{tax === null ? 'Calculated from address' : formatCurrency(tax)}</dd>
+      </div>
+      {cancelled > 0 && (
+        <div className="flex justify-between text-red-600">
+          <dt>Cancelled items</dt>
+          <dd>−{formatCurrency(cancelled)}</dd>
+        </div>
+      )}
+      <div className="flex justify-between text-lg font-semibold text-gray-900 border-t pt-2">
+        <dt>Total</dt>
+        <dd>{formatCurrency(total)}</dd>
+      </div>
+    </dl>
+  )
+}
+
+export default OrderTotals
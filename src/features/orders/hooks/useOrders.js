@@ -2,11 +2,17 @@ import { useState, useEffect } from 'react'
 import {
   getUserOrders,
   getOrderById,
+  getGuestOrder,
+  getStatusTimestamps,
+  lookupOrder as lookupOrderService,
   createOrder as createOrderService,
   cancelOrder as cancelOrderService,
+  cancelOrderItems as cancelOrderItemsService,
   getOrderStats,
   getRecentOrders,
+  getOrderStatusTransitions,
 } from '../services/orderService'
+import useInfiniteList from '@hooks/useInfiniteList'
 
 /**
  * Custom hook to fetch user's orders
@@ -67,10 +73,33 @@ export const useOrders = ({ status, limit = 10, page = 1 } = {}) => {
   }
 }
 
+/**
+ * Custom hook for an infinitely scrolling order history using cursor pagination
+ * Attach `sentinelRef` to an element below the list to load pages as it scrolls into view
+ * @param {Object} options - Query options
+ * @param {string} options.status - Filter by status
+ * @param {number} options.limit - Orders per page
+ * @returns {Object} Orders loaded so far, loading state, error, hasMore, loadMore, sentinelRef
+ */
+export const useInfiniteOrders = ({ status, limit = 10 } = {}) => {
+  const key = JSON.stringify(['orders', status, limit])
+
+  const { items, ...list } = useInfiniteList(key, (cursor) =>
+    getUserOrders({ status, limit, cursor })
+  )
+
+  return {
+    orders: items,
+    ...list,
+  }
+}
+
 /**
  * Custom hook to fetch a single order
+ * Also returns when the order entered each status (pendingAt, processingAt,
+ * shippedAt, deliveredAt, cancelledAt; null if it hasn't).
  * @param {string} orderId - The order ID
- * @returns {Object} Order data, loading state, and error
+ * @returns {Object} Order data, status timestamps, loading state, and error
  */
 export const useOrder = (orderId) => {
   const [order, setOrder] = useState(null)
@@ -117,14 +146,96 @@ export const useOrder = (orderId) => {
 
   return {
     order,
+    ...getStatusTimestamps(order),
     loading,
     error,
     refetch,
   }
 }
 
+/**
+ * Custom hook to fetch a guest order from its lookup token (works signed out)
+ * @param {string} lookupToken - The order's guest_lookup_token
+ * @returns {Object} Order data (null if not found), loading state, and error
+ */
+export const useGuestOrder = (lookupToken) => {
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!lookupToken) {
+      setLoading(false)
+      return
+    }
+
+    const fetchOrder = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getGuestOrder(lookupToken)
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setOrder(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchOrder()
+  }, [lookupToken])
+
+  return {
+    order,
+    loading,
+    error,
+  }
+}
+
+/**
+ * Custom hook for looking up an order by order number and email
+ * `order` stays null until a lookup succeeds; `notFound` is set when nothing matched.
+ * @returns {Object} Lookup function, order, notFound flag, loading state, and error
+ */
+export const useOrderLookup = () => {
+  const [order, setOrder] = useState(null)
+  const [notFound, setNotFound] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const lookupOrder = async (orderNumber, email) => {
+    setLoading(true)
+    setError(null)
+    setNotFound(false)
+
+    const result = await lookupOrderService(orderNumber, email)
+
+    if (result.error) {
+      setError(result.error)
+      setOrder(null)
+    } else {
+      setOrder(result.data)
+      setNotFound(!result.data)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    lookupOrder,
+    order,
+    notFound,
+    loading,
+    error,
+  }
+}
+
 /**
  * Custom hook for creating orders
+ * `lineErrors` lists cart lines that couldn't be fulfilled (see createOrder)
  * @returns {Object} Create order function and state
  */
 export const useCreateOrder = () => {
@@ -159,6 +270,7 @@ export const useCreateOrder = () => {
     createOrder,
     loading,
     error,
+    lineErrors: error?.lineErrors || [],
     createdOrder,
     reset,
   }
@@ -172,11 +284,11 @@ export const useCancelOrder = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const cancelOrder = async (orderId) => {
+  const cancelOrder = async (orderId, lookupToken = null) => {
     setLoading(true)
     setError(null)
 
-    const result = await cancelOrderService(orderId)
+    const result = await cancelOrderService(orderId, lookupToken)
 
     if (result.error) {
       setError(result.error)
@@ -193,6 +305,35 @@ export const useCancelOrder = () => {
   }
 }
 
+/**
+ * Custom hook for cancelling some units of an order's lines
+ * @returns {Object} Cancel items function and state
+ */
+export const useCancelOrderItems = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const cancelOrderItems = async (orderId, items, reason) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await cancelOrderItemsService(orderId, items, reason)
+
+    if (result.error) {
+      setError(result.error)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    cancelOrderItems,
+    loading,
+    error,
+  }
+}
+
 /**
  * Custom hook to fetch order statistics
  * @returns {Object} Order stats, loading state, and error
@@ -263,3 +404,39 @@ export const useRecentOrders = (limit = 5) => {
     error,
   }
 }
+
+/**
+ * Custom hook to fetch the allowed order status changes
+ * Pass them to canCancelOrder and the other status checks.
+ * @returns {Object} Transitions, loading state, and error
+ */
+export const useOrderStatusTransitions = () => {
+  const [transitions, setTransitions] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchTransitions = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getOrderStatusTransitions()
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setTransitions(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchTransitions()
+  }, [])
+
+  return {
+    transitions,
+    loading,
+    error,
+  }
+}
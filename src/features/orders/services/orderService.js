@@ -1,4 +1,16 @@
 import { supabase } from '@lib/supabase'
+import { applyCursor, getNextCursor } from '@utils/pagination'
+import { getCartLineId } from '@utils/cart'
+import { getCouponErrorMessage } from '@features/coupons/services/couponService'
+import { toShippingPayload } from '@features/shipping/services/shippingService'
+import { getOrderPayments, refundOrderPayments, voidPayment } from '@features/payments/services/paymentService'
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_ACTOR,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  RETURN_STATUS,
+} from '@utils/constants'
 
 /**
  * Order Service
@@ -7,55 +19,73 @@ import { supabase } from '@lib/supabase'
 
 /**
  * Create a new order from cart items
+ * Calls the place_order RPC, which prices and taxes the lines and charges the chosen
+ * shipping method on the server, checks and decrements stock, and inserts the order
+ * and its items in one transaction.
+ * When some lines can't be fulfilled nothing is written and `error.lineErrors` lists
+ * them as { lineId, product_id, variant_id, code, requested, available }
+ * (code is one of ORDER_LINE_ERROR). An invalid coupon also writes nothing and sets
+ * `error.couponError` (one of COUPON_ERROR), and a shipping method that isn't offered for
+ * the address sets `error.shippingError`.
+ * The order is created as pending; it moves to processing once it is paid
+ * (see paymentService.payForOrder).
+ * Signed-out customers check out as guests by passing `orderData.email`; the returned
+ * guest order carries its `guest_lookup_token`, needed to pay for it and view it later.
  * @param {Object} orderData - Order information
- * @param {string} orderData.shippingAddress - Full shipping address
- * @param {Array} cartItems - Array of cart items with {product_id, quantity, price}
+ * @param {string} orderData.email - Contact email (guest checkout only)
+ * @param {Object} orderData.shippingAddress - Structured shipping address ({ full_name, line1,
+ *   line2, city, region, postal_code, country, phone }); copied onto the order
+ * @param {string} orderData.shippingMethodId - Shipping method ID (from shippingService.getRates)
+ * @param {string} orderData.couponCode - Optional coupon code
+ * @param {Array} cartItems - Array of cart items with {id, variant, quantity}
  * @returns {Promise<Object>} Created order data and error
  */
 export const createOrder = async (orderData, cartItems) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
 
-    if (!user) {
-      throw new Error('User must be authenticated to create an order')
+    if (!user && !orderData.email) {
+      throw new Error('Email is required for guest checkout')
     }
 
-    // Calculate total amount
-    const totalAmount = cartItems.reduce(
-      (sum, item) => sum + (item.price * item.quantity),
-      0
-    )
-
-    // Create the order
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert({
-        customer_id: user.id,
-        total_amount: totalAmount,
-        status: 'pending',
-        shipping_address: orderData.shippingAddress,
-      })
-      .select()
-      .single()
+    const { data, error } = await supabase.rpc('place_order', {
+      items: cartItems.map(item => ({
+        product_id: item.product_id || item.id,
+        variant_id: item.variant?.id || item.variant_id || null,
+        quantity: item.quantity,
+      })),
+      shipping: toShippingPayload(orderData.shippingAddress, orderData.shippingMethodId),
+      coupon_code: orderData.couponCode || null,
+      guest_email: user ? null : orderData.email,
+    })
 
-    if (orderError) throw orderError
+    if (error) throw error
 
-    // Create order items
-    const orderItems = cartItems.map(item => ({
-      order_id: order.id,
-      product_id: item.product_id || item.id,
-      quantity: item.quantity,
-      price_at_time: item.price,
-    }))
+    if (data.coupon_error) {
+      const couponError = new Error(getCouponErrorMessage(data.coupon_error))
+      couponError.couponError = data.coupon_error
+      throw couponError
+    }
 
-    const { error: itemsError } = await supabase
-      .from('order_items')
-      .insert(orderItems)
+    if (data.shipping_error) {
+      const shippingError = new Error('The selected shipping method is not available for this address')
+      shippingError.shippingError = data.shipping_error
+      throw shippingError
+    }
 
-    if (itemsError) throw itemsError
+    if (data.errors.length > 0) {
+      const lineError = new Error('Some items could not be ordered')
+      lineError.lineErrors = data.errors.map(lineErr => ({
+        ...lineErr,
+        lineId: getCartLineId(lineErr.product_id, lineErr.variant_id),
+      }))
+      throw lineError
+    }
 
-    // Fetch the complete order with items
-    return await getOrderById(order.id)
+    // Fetch the complete order with items (guests can't read orders directly)
+    return data.lookup_token
+      ? await getGuestOrder(data.lookup_token)
+      : await getOrderById(data.order_id)
   } catch (error) {
     console.error('Error creating order:', error)
     return { data: null, error }
@@ -63,14 +93,16 @@ export const createOrder = async (orderData, cartItems) => {
 }
 
 /**
- * Get all orders for the current user
+ * Get all orders for the current user, newest first
+ * Pass `cursor` (from a previous `nextCursor`) for keyset pagination instead of `offset`
  * @param {Object} options - Query options
  * @param {string} options.status - Filter by status
  * @param {number} options.limit - Limit number of results
  * @param {number} options.offset - Offset for pagination
- * @returns {Promise<Object>} Orders data and error
+ * @param {string} options.cursor - Cursor for keyset pagination (overrides offset)
+ * @returns {Promise<Object>} Orders data, total count, next cursor and error
  */
-export const getUserOrders = async ({ status, limit = 10, offset = 0 } = {}) => {
+export const getUserOrders = async ({ status, limit = 10, offset = 0, cursor = null } = {}) => {
   try {
     const { data: { user } } = await supabase.auth.getUser()
 
@@ -85,8 +117,20 @@ export const getUserOrders = async ({ status, limit = 10, offset = 0 } = {}) =>
         order_items (
           id,
           product_id,
+          variant_id,
           quantity,
+          cancelled_quantity,
+          cancelled_amount,
           price_at_time,
+          discount_amount,
+          tax_rate,
+          tax_amount,
+          tax_included,
+          product_variants (
+            id,
+            sku,
+            options
+          ),
           products (
             id,
             name,
@@ -95,11 +139,20 @@ export const getUserOrders = async ({ status, limit = 10, offset = 0 } = {}) =>
               is_primary
             )
           )
+        ),
+        invoices (
+          invoice_number
         )
-      `)
+      `, { count: 'exact' })
       .eq('customer_id', user.id)
       .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1)
+      .order('id', { ascending: false })
+
+    if (cursor) {
+      query = applyCursor(query, cursor, 'created_at', false).limit(limit)
+    } else {
+      query = query.range(offset, offset + limit - 1)
+    }
 
     // Filter by status if provided
     if (status) {
@@ -110,7 +163,12 @@ export const getUserOrders = async ({ status, limit = 10, offset = 0 } = {}) =>
 
     if (error) throw error
 
-    return { data, error: null, count }
+    return {
+      data,
+      error: null,
+      count,
+      nextCursor: getNextCursor(data, limit, 'created_at'),
+    }
   } catch (error) {
     console.error('Error fetching user orders:', error)
     return { data: null, error }
@@ -119,6 +177,8 @@ export const getUserOrders = async ({ status, limit = 10, offset = 0 } = {}) =>
 
 /**
  * Get a single order by ID
+ * Includes `order_status_history`, oldest change first, and the `refunds` for
+ * cancelled lines.
  * @param {string} orderId - The order ID
  * @returns {Promise<Object>} Order data and error
  */
@@ -131,8 +191,20 @@ export const getOrderById = async (orderId) => {
         order_items (
           id,
           product_id,
+          variant_id,
           quantity,
+          cancelled_quantity,
+          cancelled_amount,
           price_at_time,
+          discount_amount,
+          tax_rate,
+          tax_amount,
+          tax_included,
+          product_variants (
+            id,
+            sku,
+            options
+          ),
           products (
             id,
             name,
@@ -143,9 +215,31 @@ export const getOrderById = async (orderId) => {
               is_primary
             )
           )
+        ),
+        order_status_history (
+          id,
+          from_status,
+          to_status,
+          actor,
+          note,
+          created_at
+        ),
+        refunds (
+          id,
+          order_item_id,
+          quantity,
+          amount,
+          reason,
+          status,
+          refunded_at,
+          created_at
+        ),
+        invoices (
+          invoice_number
         )
       `)
       .eq('id', orderId)
+      .order('created_at', { referencedTable: 'order_status_history', ascending: true })
       .single()
 
     if (error) throw error
@@ -157,26 +251,65 @@ export const getOrderById = async (orderId) => {
   }
 }
 
+/**
+ * Get a guest order by the lookup token it was given at checkout (works signed out)
+ * @param {string} lookupToken - The order's guest_lookup_token
+ * @returns {Promise<Object>} Order data (null if not found) and error
+ */
+export const getGuestOrder = async (lookupToken) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_guest_order', { token: lookupToken })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching guest order:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Find an order by its order number and the email it was placed with (works signed out)
+ * @param {string} orderNumber - Order number (e.g. BF-3F9A1C2E, case-insensitive)
+ * @param {string} email - Email used at checkout
+ * @returns {Promise<Object>} Order data (null if they don't match) and error
+ */
+export const lookupOrder = async (orderNumber, email) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('lookup_order', { order_ref: orderNumber, email })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error looking up order:', error)
+    return { data: null, error }
+  }
+}
+
 /**
  * Update order status
+ * Goes through the update_order_status RPC so the note is kept in the order's
+ * status history. The database rejects changes that order_status_transitions
+ * doesn't allow for the caller (see canChangeOrderStatus).
  * @param {string} orderId - The order ID
  * @param {string} newStatus - New status (pending, processing, shipped, delivered, cancelled)
+ * @param {string} note - Optional note for the status history (e.g. a tracking number)
  * @returns {Promise<Object>} Updated order data and error
  */
-export const updateOrderStatus = async (orderId, newStatus) => {
+export const updateOrderStatus = async (orderId, newStatus, note = null) => {
   try {
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled']
+    const validStatuses = Object.values(ORDER_STATUS)
 
     if (!validStatuses.includes(newStatus)) {
       throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`)
     }
 
     const { data, error } = await supabase
-      .from('orders')
-      .update({ status: newStatus })
-      .eq('id', orderId)
-      .select()
-      .single()
+      .rpc('update_order_status', { order_uuid: orderId, new_status: newStatus, note })
 
     if (error) throw error
 
@@ -189,31 +322,123 @@ export const updateOrderStatus = async (orderId, newStatus) => {
 
 /**
  * Cancel an order
+ * Uncaptured payments are voided before the status changes; captured ones are refunded
+ * by the server once the order is cancelled. The order stays cancelled if refunding
+ * fails: `refundError` is set, and issueOwedRefunds can be retried.
+ * Guests pass their lookup token and can only cancel unpaid orders (cancel_guest_order).
  * @param {string} orderId - The order ID
- * @returns {Promise<Object>} Updated order data and error
+ * @param {string} lookupToken - Guest order lookup token
+ * @returns {Promise<Object>} Updated order data, error and refundError
  */
-export const cancelOrder = async (orderId) => {
+export const cancelOrder = async (orderId, lookupToken = null) => {
   try {
-    // Only allow cancelling pending or processing orders
-    const { data: order } = await getOrderById(orderId)
+    const { data: order } = lookupToken
+      ? await getGuestOrder(lookupToken)
+      : await getOrderById(orderId)
 
     if (!order) {
       throw new Error('Order not found')
     }
 
-    if (!['pending', 'processing'].includes(order.status)) {
+    const { data: transitions, error: transitionsError } = await getOrderStatusTransitions()
+    if (transitionsError) throw transitionsError
+
+    // Checked before touching the payments; the database enforces it as well
+    if (!canCancelOrder(order, transitions)) {
       throw new Error('Only pending or processing orders can be cancelled')
     }
 
-    return await updateOrderStatus(orderId, 'cancelled')
+    const { data: payments, error: paymentsError } = await getOrderPayments(orderId, lookupToken)
+    if (paymentsError) throw paymentsError
+
+    for (const payment of payments.filter(p => p.status === PAYMENT_STATUS.AUTHORIZED)) {
+      const { error: voidError } = await voidPayment({ ...payment, lookupToken })
+      if (voidError) throw voidError
+    }
+
+    const { data, error } = lookupToken
+      ? await supabase.rpc('cancel_guest_order', { token: lookupToken })
+      : await updateOrderStatus(orderId, ORDER_STATUS.CANCELLED)
+
+    if (error) throw error
+
+    const paid = payments.some(payment =>
+      [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)
+    )
+
+    if (!paid) {
+      return { data, error: null, refundError: null }
+    }
+
+    const { error: refundError } = await issueOwedRefunds(orderId)
+    return { data, error: null, refundError }
   } catch (error) {
     console.error('Error cancelling order:', error)
-    return { data: null, error }
+    return { data: null, error, refundError: null }
+  }
+}
+
+/**
+ * Cancel some units of an order's lines
+ * Calls cancel_order_items, which recalculates the order total, restocks the units
+ * and records a refund per line, then refunds what is owed (see issueOwedRefunds).
+ * Allowed whenever the whole order could be cancelled; at least one unit must be left.
+ * The units stay cancelled if refunding fails: `refundError` is set and the refunds
+ * stay owed, so issueOwedRefunds can be retried.
+ * @param {string} orderId - The order ID
+ * @param {Array<Object>} items - Lines to cancel ({ orderItemId, quantity })
+ * @param {string} reason - Optional reason, kept on the refunds
+ * @returns {Promise<Object>} Refunds written (refunded where issued), error and refundError
+ */
+export const cancelOrderItems = async (orderId, items, reason = null) => {
+  try {
+    const { data, error } = await supabase.rpc('cancel_order_items', {
+      order_uuid: orderId,
+      items: items.map(item => ({ order_item_id: item.orderItemId, quantity: item.quantity })),
+      reason,
+    })
+
+    if (error) throw error
+
+    if (!data.some(refund => refund.status === REFUND_STATUS.OWED)) {
+      return { data, error: null, refundError: null }
+    }
+
+    const { data: settled, error: refundError } = await issueOwedRefunds(orderId)
+    if (refundError) {
+      return { data, error: null, refundError }
+    }
+
+    return {
+      data: data.map(refund => settled.find(s => s.id === refund.id) || refund),
+      error: null,
+      refundError: null,
+    }
+  } catch (error) {
+    console.error('Error cancelling order items:', error)
+    return { data: null, error, refundError: null }
   }
 }
 
+/**
+ * Refund what an order is owed through the payment provider
+ * The refund-payment Edge Function issues the order's owed refunds and marks them
+ * refunded, and refunds a cancelled order in full. Safe to call again if a previous
+ * attempt failed part way; only what is still owed is refunded.
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Object>} Refunds settled and error
+ */
+export const issueOwedRefunds = async (orderId) => {
+  const { data, error } = await refundOrderPayments(orderId)
+
+  return { data: data?.refunds ?? null, error }
+}
+
 /**
  * Get order statistics for the current user
+ * `totalSpent` is net of refunds: cancelled orders are left out, cancelled lines are
+ * already taken off each order's total, and refunded returns are subtracted.
+ * `totalRefunded` adds up what was refunded for cancelled lines and returns.
  * @returns {Promise<Object>} Order statistics and error
  */
 export const getOrderStats = async () => {
@@ -226,14 +451,32 @@ export const getOrderStats = async () => {
 
     const { data, error } = await supabase
       .from('orders')
-      .select('status, total_amount')
+      .select(`
+        status,
+        total_amount,
+        payments (
+          refunded_amount
+        ),
+        return_requests (
+          refund_amount,
+          status
+        )
+      `)
       .eq('customer_id', user.id)
 
     if (error) throw error
 
+    const sum = (rows, field) => rows.reduce((total, row) => total + parseFloat(row[field]), 0)
+    const refundedReturns = data.flatMap(order => order.return_requests)
+      .filter(request => request.status === RETURN_STATUS.REFUNDED)
+    // Everything refunded through the provider: cancelled lines, cancelled orders and returns
+    const payments = data.flatMap(order => order.payments)
+
     const stats = {
       totalOrders: data.length,
-      totalSpent: data.reduce((sum, order) => sum + parseFloat(order.total_amount), 0),
+      totalSpent: sum(data.filter(o => o.status !== ORDER_STATUS.CANCELLED), 'total_amount')
+        - sum(refundedReturns, 'refund_amount'),
+      totalRefunded: sum(payments, 'refunded_amount'),
       ordersByStatus: {
         pending: data.filter(o => o.status === 'pending').length,
         processing: data.filter(o => o.status === 'processing').length,
@@ -287,13 +530,101 @@ export const getRecentOrders = async (limit = 5) => {
   }
 }
 
+/**
+ * Get the allowed order status changes
+ * Read from the order_status_transitions table, the rules the database enforces.
+ * @returns {Promise<Object>} Transitions (from status -> { to status: who may make it }) and error
+ */
+export const getOrderStatusTransitions = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('order_status_transitions')
+      .select('from_status, to_status, allowed_by')
+
+    if (error) throw error
+
+    const transitions = {}
+    for (const rule of data || []) {
+      transitions[rule.from_status] = {
+        ...transitions[rule.from_status],
+        [rule.to_status]: rule.allowed_by,
+      }
+    }
+
+    return { data: transitions, error: null }
+  } catch (error) {
+    console.error('Error fetching order status transitions:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Check if an order's status can be changed by hand
+ * Changes made by capturing a payment are never allowed here.
+ * @param {Object} order - The order object
+ * @param {string} newStatus - The status to change to
+ * @param {Object} transitions - Allowed changes, from getOrderStatusTransitions (nothing is allowed without them)
+ * @param {Object} options - Who is asking
+ * @param {boolean} options.staff - Whether the current user is staff (otherwise the order's customer)
+ * @returns {boolean} Whether the change is allowed
+ */
+export const canChangeOrderStatus = (order, newStatus, transitions, { staff = false } = {}) => {
+  const actor = transitions?.[order?.status]?.[newStatus]
+
+  if (actor === ORDER_STATUS_ACTOR.CUSTOMER) return true
+  if (actor === ORDER_STATUS_ACTOR.STAFF) return staff
+  return false
+}
+
 /**
  * Check if user can cancel an order
  * @param {Object} order - The order object
+ * @param {Object} transitions - Allowed changes, from getOrderStatusTransitions
  * @returns {boolean} Whether the order can be cancelled
  */
-export const canCancelOrder = (order) => {
-  return ['pending', 'processing'].includes(order?.status)
+export const canCancelOrder = (order, transitions) => {
+  return canChangeOrderStatus(order, ORDER_STATUS.CANCELLED, transitions)
+}
+
+/**
+ * Get how many units of each order line are still active (not cancelled)
+ * @param {Object} order - Order with order_items
+ * @returns {Object} Active quantity keyed by order item ID
+ */
+export const getActiveQuantities = (order) => {
+  return Object.fromEntries(
+    (order?.order_items || []).map(item => [item.id, item.quantity - (item.cancelled_quantity || 0)])
+  )
+}
+
+/**
+ * Check if some of an order's items can be cancelled without cancelling the order
+ * Same rules as cancelling the whole order, and there must be more than one unit left.
+ * @param {Object} order - Order with order_items
+ * @param {Object} transitions - Allowed changes, from getOrderStatusTransitions
+ * @returns {boolean} Whether items can be cancelled
+ */
+export const canCancelOrderItems = (order, transitions) => {
+  const active = Object.values(getActiveQuantities(order)).reduce((sum, quantity) => sum + quantity, 0)
+  return canCancelOrder(order, transitions) && active > 1
+}
+
+/**
+ * Get when an order last entered each status, from its status history
+ * @param {Object} order - Order with order_status_history (as returned by getOrderById)
+ * @returns {Object} pendingAt, processingAt, shippedAt, deliveredAt and cancelledAt
+ *   (null for statuses the order hasn't been in)
+ */
+export const getStatusTimestamps = (order) => {
+  const timestamps = Object.fromEntries(
+    Object.values(ORDER_STATUS).map(status => [`${status}At`, null])
+  )
+
+  for (const entry of order?.order_status_history || []) {
+    timestamps[`${entry.to_status}At`] = entry.created_at
+  }
+
+  return timestamps
 }
 
 /**
@@ -306,7 +637,7 @@ export const getOrderStatusInfo = (status) => {
     pending: {
       label: 'Pending',
       color: 'warning',
-      description: 'Your order is being processed',
+      description: 'Your order is waiting for payment',
     },
     processing: {
       label: 'Processing',
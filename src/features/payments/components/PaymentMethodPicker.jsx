@@ -0,0 +1,59 @@
+import { clsx } from 'clsx'
+import Input from '@components/ui/Input'
+import { CARD_PAYMENT_METHODS, PAYMENT_METHODS } from '@utils/constants'
+import { getPaymentProvider } from '../providers'
+import { MOCK_TEST_CARDS } from '../providers/mockProvider'
+import { getPaymentMethodLabel } from '../services/paymentService'
+
+/**
+ * Payment method choice with a card number field for card payments, for a
+ * react-hook-form form with `method` and `cardNumber` fields
+ * @param {Function} props.register - register from useForm
+ * @param {Object} props.errors - formState.errors from useForm
+ * @param {string} props.method - Currently selected method (from watch)
+ */
+const PaymentMethodPicker = ({ register, errors = {}, method }) => {
+  const isMock = getPaymentProvider().name === 'mock'
+
+  return (
+    <fieldset className="space-y-2">
+      <legend className="block text-sm font-medium text-gray-700 mb-1">Payment method</legend>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {Object.values(PAYMENT_METHODS).map(option => (
+          <label
+            key={option}
+            className={clsx(
+              'flex items-center gap-2 p-3 border rounded-lg cursor-pointer text-sm',
+              method === option ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+            )}
+          >
+            <input type="radio" value={option} {...register('method')} />
+            {getPaymentMethodLabel(option)}
+          </label>
+        ))}
+      </div>
+      {errors.method && (
+        <p className="text-sm text-red-600">{errors.method.message}</p>
+      )}
+
+      {CARD_PAYMENT_METHODS.includes(method) && (
+        <Input
+          label="Card number"
+          inputMode="numeric"
+          autoComplete="cc-number"
+          error={errors.cardNumber?.message}
+          {...register('cardNumber')}
+        />
+      )}
+
+      {isMock && (
+        <p className="text-xs text-gray-500">
+          Test mode: use {MOCK_TEST_CARDS.SUCCESS} to pay, {MOCK_TEST_CARDS.DECLINED} for a decline
+          or {MOCK_TEST_CARDS.THREE_D_SECURE} for a 3-D Secure check.
+        </p>
+      )}
+    </fieldset>
+  )
+}
+
+export default PaymentMethodPicker
@@ -0,0 +1,47 @@
+import Modal from '@components/ui/Modal'
+import Button from '@components/ui/Button'
+import { formatCurrency } from '@utils/formatters'
+
+/**
+ * Card holder authentication (3-D Secure) for a requires_action payment
+ * With the mock provider the customer chooses the bank's answer; a real provider
+ * would show its challenge page from `payment.action` here instead.
+ * @param {Object} props.payment - The requires_action payment (null hides the modal)
+ * @param {Function} props.onComplete - Called with { approved }
+ * @param {boolean} props.loading - Whether the result is being confirmed
+ */
+const ThreeDSecureModal = ({ payment, onComplete, loading = false }) => {
+  return (
+    <Modal
+      isOpen={!!payment}
+      onClose={() => onComplete({ approved: false })}
+      title="Confirm your payment"
+      size="sm"
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-700">
+          Your bank needs to confirm the payment of {payment && formatCurrency(payment.amount)}.
+        </p>
+        <div className="flex gap-2 justify-end">
+          <Button
+            type="button"
+            variant="outline"
+            disabled={loading}
+            onClick={() => onComplete({ approved: false })}
+          >
+            Fail authentication
+          </Button>
+          <Button
+            type="button"
+            disabled={loading}
+            onClick={() => onComplete({ approved: true })}
+          >
+            Complete authentication
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  )
+}
+
+export default ThreeDSecureModal
@@ -0,0 +1,52 @@
+import { useState } from 'react'
+import { PAYMENT_STATUS } from '@utils/constants'
+import { payForOrder, confirmPayment } from '../services/paymentService'
+
+/**
+ * Custom hook for paying for an order at checkout
+ * `payment` holds the latest attempt; while `requiresAction` is true the customer has
+ * to complete `payment.action` (e.g. 3-D Secure) and then call `confirm`.
+ * @returns {Object} Payment, pay/confirm functions, loading state, and error
+ */
+export const usePayment = () => {
+  const [payment, setPayment] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (request) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await request()
+
+    if (result.error) {
+      setError(result.error)
+      setPayment(null)
+    } else {
+      setPayment(result.data)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  const pay = (order, paymentData) => run(() => payForOrder(order, paymentData))
+
+  const confirm = (actionResult) => run(() => confirmPayment(payment, actionResult))
+
+  const reset = () => {
+    setPayment(null)
+    setError(null)
+    setLoading(false)
+  }
+
+  return {
+    payment,
+    requiresAction: payment?.status === PAYMENT_STATUS.REQUIRES_ACTION,
+    loading,
+    error,
+    pay,
+    confirm,
+    reset,
+  }
+}
@@ -0,0 +1,57 @@
+import mockProvider from './mockProvider'
+
+/**
+ * Payment Providers
+ * Each provider is an adapter with the same two async operations, so checkout and
+ * the payment service never talk to a gateway directly. Captures, refunds and voids
+ * need the gateway's secret credentials, so they run server-side in Edge Functions,
+ * which have a matching adapter in supabase/functions/_shared/payments.ts. Pick the active one with
+ * VITE_PAYMENT_PROVIDER. It is required outside development, so a deployment that
+ * forgot to set it fails loudly instead of quietly taking payments with the mock gateway.
+ *
+ * Every operation resolves to a result:
+ *   { status, reference, action?, failureCode?, failureMessage? }
+ * where status is one of PAYMENT_STATUS and failureCode one of PAYMENT_ERROR. A decline
+ * is a `failed` result, not a rejected promise; rejections mean the call itself was invalid.
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Stored as payments.provider
+ * @property {Function} authorize - ({ orderId, amount, currency, method, details }) => result;
+ *   `requires_action` means the customer must complete `action` (e.g. 3-D Secure) first
+ * @property {Function} confirm - (payment, actionResult) => result, after the customer action
+ */
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+}
+
+/**
+ * Make a provider adapter available by name
+ * @param {PaymentProvider} provider - The adapter
+ */
+export const registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider
+}
+
+// The dev server falls back to the mock gateway
+const configuredProvider = import.meta.env.VITE_PAYMENT_PROVIDER ||
+  (import.meta.env.DEV ? mockProvider.name : null)
+
+/**
+ * Get a provider adapter
+ * @param {string} name - Provider name (defaults to the configured provider)
+ * @returns {PaymentProvider} The adapter
+ */
+export const getPaymentProvider = (name = configuredProvider) => {
+  if (!name) {
+    throw new Error('No payment provider configured: set VITE_PAYMENT_PROVIDER')
+  }
+
+  const provider = providers[name]
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`)
+  }
+
+  return provider
+}
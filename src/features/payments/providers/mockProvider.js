@@ -0,0 +1,92 @@
+import { CARD_PAYMENT_METHODS, PAYMENT_STATUS, PAYMENT_ERROR } from '@utils/constants'
+import { isValidCreditCard } from '@utils/validators'
+
+/**
+ * Mock Payment Provider
+ * A local gateway for development that never leaves the browser. Outcomes depend
+ * only on the card number, so every run of a test behaves the same way; wallet
+ * methods (PayPal, Apple Pay, Google Pay) always succeed.
+ */
+
+// Card numbers with a fixed outcome. Any other number that passes the Luhn
+// check is authorized; anything else is rejected as incorrect_number.
+export const MOCK_TEST_CARDS = {
+  SUCCESS: '4242424242424242',
+  DECLINED: '4000000000000002',
+  INSUFFICIENT_FUNDS: '4000000000009995',
+  EXPIRED: '4000000000000069',
+  THREE_D_SECURE: '4000000000003220',
+}
+
+const DECLINES = {
+  [MOCK_TEST_CARDS.DECLINED]: {
+    failureCode: PAYMENT_ERROR.CARD_DECLINED,
+    failureMessage: 'The card was declined',
+  },
+  [MOCK_TEST_CARDS.INSUFFICIENT_FUNDS]: {
+    failureCode: PAYMENT_ERROR.INSUFFICIENT_FUNDS,
+    failureMessage: 'The card has insufficient funds',
+  },
+  [MOCK_TEST_CARDS.EXPIRED]: {
+    failureCode: PAYMENT_ERROR.EXPIRED_CARD,
+    failureMessage: 'The card has expired',
+  },
+}
+
+const newReference = () => `mock_${crypto.randomUUID()}`
+
+const mockProvider = {
+  name: 'mock',
+
+  async authorize({ method, details = {} }) {
+    const reference = newReference()
+
+    if (!CARD_PAYMENT_METHODS.includes(method)) {
+      return { status: PAYMENT_STATUS.AUTHORIZED, reference }
+    }
+
+    const cardNumber = String(details.cardNumber || '').replace(/\D/g, '')
+
+    if (!/^\d{12,19}$/.test(cardNumber) || !isValidCreditCard(cardNumber)) {
+      return {
+        status: PAYMENT_STATUS.FAILED,
+        reference,
+        failureCode: PAYMENT_ERROR.INCORRECT_NUMBER,
+        failureMessage: 'The card number is incorrect',
+      }
+    }
+
+    if (DECLINES[cardNumber]) {
+      return { status: PAYMENT_STATUS.FAILED, reference, ...DECLINES[cardNumber] }
+    }
+
+    if (cardNumber === MOCK_TEST_CARDS.THREE_D_SECURE) {
+      return {
+        status: PAYMENT_STATUS.REQUIRES_ACTION,
+        reference,
+        action: { type: 'three_d_secure' },
+      }
+    }
+
+    return { status: PAYMENT_STATUS.AUTHORIZED, reference }
+  },
+
+  async confirm(payment, { approved }) {
+    if (payment.status !== PAYMENT_STATUS.REQUIRES_ACTION) {
+      throw new Error(`Cannot confirm a ${payment.status} payment`)
+    }
+
+    if (!approved) {
+      return {
+        status: PAYMENT_STATUS.FAILED,
+        reference: payment.reference,
+        failureCode: PAYMENT_ERROR.AUTHENTICATION_FAILED,
+        failureMessage: 'The card holder failed authentication',
+      }
+    }
+
+    return { status: PAYMENT_STATUS.AUTHORIZED, reference: payment.reference }
+  },
+}
+
+export default mockProvider
@@ -0,0 +1,288 @@
+import { supabase } from '@lib/supabase'
+import { PAYMENT_METHODS, PAYMENT_STATUS, PAYMENT_ERROR } from '@utils/constants'
+import { getPaymentProvider } from '../providers'
+
+/**
+ * Payment Service
+ * Runs payments through the configured provider adapter and records every step in
+ * the payments table (record_payment). Capturing a payment is what moves its order
+ * from pending to processing; the database refuses that change otherwise. Captures,
+ * refunds and voids are made by Edge Functions (supabase/functions), and the database
+ * only records them from there.
+ */
+
+const PAYMENT_ERROR_MESSAGES = {
+  [PAYMENT_ERROR.CARD_DECLINED]: 'Your card was declined',
+  [PAYMENT_ERROR.INSUFFICIENT_FUNDS]: 'Your card has insufficient funds',
+  [PAYMENT_ERROR.EXPIRED_CARD]: 'Your card has expired',
+  [PAYMENT_ERROR.INCORRECT_NUMBER]: 'Your card number is incorrect',
+  [PAYMENT_ERROR.AUTHENTICATION_FAILED]: 'Your bank could not confirm this payment',
+}
+
+const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.CREDIT_CARD]: 'Credit card',
+  [PAYMENT_METHODS.DEBIT_CARD]: 'Debit card',
+  [PAYMENT_METHODS.PAYPAL]: 'PayPal',
+  [PAYMENT_METHODS.APPLE_PAY]: 'Apple Pay',
+  [PAYMENT_METHODS.GOOGLE_PAY]: 'Google Pay',
+}
+
+/**
+ * Get the display name of a payment method
+ * @param {string} method - One of PAYMENT_METHODS
+ * @returns {string} Display name
+ */
+export const getPaymentMethodLabel = (method) => {
+  return PAYMENT_METHOD_LABELS[method] || method
+}
+
+/**
+ * Get a customer-facing message for a payment error code
+ * @param {string} code - One of PAYMENT_ERROR
+ * @returns {string} Error message
+ */
+export const getPaymentErrorMessage = (code) => {
+  return PAYMENT_ERROR_MESSAGES[code] || 'Your payment could not be processed'
+}
+
+/**
+ * Convert a payments row to the shape the providers and UI use
+ * @param {Object} row - payments row
+ * @returns {Object} Payment
+ */
+const toPayment = (row) => ({
+  id: row.id,
+  orderId: row.order_id,
+  provider: row.provider,
+  reference: row.provider_reference,
+  method: row.method,
+  status: row.status,
+  amount: Number(row.amount),
+  capturedAmount: Number(row.captured_amount),
+  refundedAmount: Number(row.refunded_amount),
+  currency: row.currency,
+  failureCode: row.failure_code,
+  failureMessage: row.failure_message,
+  createdAt: row.created_at,
+})
+
+/**
+ * Save a provider result for an order (a new attempt when `payment` has no id)
+ * Guest orders are identified by `payment.lookupToken`, which is kept on the result.
+ * @param {string} orderId - The order ID
+ * @param {Object} payment - Existing payment, or the new attempt's provider/method/amount
+ * @param {Object} result - Provider result
+ * @returns {Promise<Object>} Saved payment
+ */
+const recordPayment = async (orderId, payment, result) => {
+  const { data, error } = await supabase.rpc('record_payment', {
+    order_uuid: orderId,
+    lookup_token: payment.lookupToken ?? null,
+    payment: {
+      id: payment.id ?? null,
+      provider: payment.provider,
+      method: payment.method,
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: result.reference ?? null,
+      status: result.status,
+      failure_code: result.failureCode ?? null,
+      failure_message: result.failureMessage ?? null,
+    },
+  })
+
+  if (error) throw error
+
+  return { ...toPayment(data), lookupToken: payment.lookupToken ?? null }
+}
+
+/**
+ * Ask the server to capture an authorized payment
+ * @param {Object} payment - Authorized payment
+ * @returns {Promise<Object>} Captured (or failed) payment
+ */
+const capturePayment = async (payment) => {
+  const { data, error } = await supabase.functions.invoke('capture-payment', {
+    body: { paymentId: payment.id, lookupToken: payment.lookupToken ?? null },
+  })
+
+  if (error) throw error
+
+  return { ...toPayment(data), lookupToken: payment.lookupToken ?? null }
+}
+
+/**
+ * Capture an authorized payment, or turn a failed step into an error
+ * A `requires_action` payment is returned with the provider's `action` for the customer.
+ * @param {Object} payment - Saved payment
+ * @param {Object} result - Provider result that produced it
+ * @returns {Promise<Object>} Captured (or requires_action) payment
+ */
+const finishAuthorization = async (payment, result) => {
+  if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+    return finishAuthorization(await capturePayment(payment))
+  }
+
+  if (payment.status === PAYMENT_STATUS.FAILED) {
+    const paymentError = new Error(getPaymentErrorMessage(payment.failureCode))
+    paymentError.paymentError = payment.failureCode
+    paymentError.payment = payment
+    throw paymentError
+  }
+
+  return payment.status === PAYMENT_STATUS.REQUIRES_ACTION
+    ? { ...payment, action: result.action }
+    : payment
+}
+
+/**
+ * Release authorizations left by earlier attempts that never got captured (e.g. the
+ * capture request failed), so the customer isn't held for the order twice
+ * @param {Object} order - The order
+ */
+const voidStaleAuthorizations = async (order) => {
+  const lookupToken = order.guest_lookup_token ?? null
+  const { data: payments, error } = await getOrderPayments(order.id, lookupToken)
+  if (error) throw error
+
+  const stale = payments.filter(payment => payment.status === PAYMENT_STATUS.AUTHORIZED)
+
+  for (const payment of stale) {
+    const { error: voidError } = await voidPayment({ ...payment, lookupToken })
+    if (voidError) throw voidError
+  }
+}
+
+/**
+ * Pay for a pending order: authorize the order total, then capture it
+ * When the provider needs the customer to do something first (e.g. a 3-D Secure
+ * challenge) the payment comes back as requires_action with an `action`; finish it
+ * with confirmPayment. A declined payment sets `error.paymentError` (one of
+ * PAYMENT_ERROR) and the order stays pending, so it can be paid with another method;
+ * an authorization an earlier attempt left uncaptured is voided first.
+ * @param {Object} order - The order (with id, total_amount and, for guests, guest_lookup_token)
+ * @param {Object} paymentData - Payment information
+ * @param {string} paymentData.method - One of PAYMENT_METHODS
+ * @param {Object} paymentData.details - Method details for the provider (e.g. { cardNumber })
+ * @returns {Promise<Object>} Payment and error
+ */
+export const payForOrder = async (order, { method, details = {} }) => {
+  try {
+    const provider = getPaymentProvider()
+    await voidStaleAuthorizations(order)
+
+    const attempt = {
+      provider: provider.name,
+      method,
+      amount: Number(order.total_amount),
+      currency: 'USD',
+      lookupToken: order.guest_lookup_token ?? null,
+    }
+
+    const result = await provider.authorize({
+      orderId: order.id,
+      amount: attempt.amount,
+      currency: attempt.currency,
+      method,
+      details,
+    })
+    const payment = await recordPayment(order.id, attempt, result)
+
+    return { data: await finishAuthorization(payment, result), error: null }
+  } catch (error) {
+    console.error('Error paying for order:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Finish a requires_action payment once the customer has completed the action
+ * @param {Object} payment - The requires_action payment from payForOrder
+ * @param {Object} actionResult - Outcome of the action for the provider (e.g. { approved })
+ * @returns {Promise<Object>} Captured payment and error (see payForOrder)
+ */
+export const confirmPayment = async (payment, actionResult) => {
+  try {
+    const provider = getPaymentProvider(payment.provider)
+    const result = await provider.confirm(payment, actionResult)
+    const saved = await recordPayment(payment.orderId, payment, result)
+
+    return { data: await finishAuthorization(saved, result), error: null }
+  } catch (error) {
+    console.error('Error confirming payment:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Ask the server to refund what an order is owed
+ * The refund-payment Edge Function works out the amounts: the order's owed refunds
+ * (cancelled lines) and, once the order is cancelled, everything left on its payments.
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Object>} Refunds settled, the order's payments, and error
+ */
+export const refundOrderPayments = async (orderId) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('refund-payment', {
+      body: { orderId },
+    })
+
+    if (error) throw error
+
+    return { data: { refunds: data.refunds, payments: data.payments.map(toPayment) }, error: null }
+  } catch (error) {
+    console.error('Error refunding payment:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Ask the server to release an authorized payment that hasn't been captured
+ * @param {Object} payment - The payment (with lookupToken for guest orders)
+ * @returns {Promise<Object>} Updated payment and error
+ */
+export const voidPayment = async (payment) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('void-payment', {
+      body: { paymentId: payment.id, lookupToken: payment.lookupToken ?? null },
+    })
+
+    if (error) throw error
+
+    return { data: { ...toPayment(data), lookupToken: payment.lookupToken ?? null }, error: null }
+  } catch (error) {
+    console.error('Error voiding payment:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get the payment attempts for an order, oldest first
+ * @param {string} orderId - The order ID
+ * @param {string} lookupToken - Guest order lookup token (guests can't read payments directly)
+ * @returns {Promise<Object>} Payments and error
+ */
+export const getOrderPayments = async (orderId, lookupToken = null) => {
+  try {
+    if (lookupToken) {
+      const { data, error } = await supabase.rpc('get_guest_order', { token: lookupToken })
+
+      if (error) throw error
+
+      return { data: (data?.payments || []).map(toPayment), error: null }
+    }
+
+    const { data, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { data: data.map(toPayment), error: null }
+  } catch (error) {
+    console.error('Error fetching payments:', error)
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,47 @@
+import { Link } from 'react-router-dom'
+import Card from '@components/ui/Card'
+import Badge from '@components/ui/Badge'
+import WishlistButton from '@features/wishlist/components/WishlistButton'
+import { formatCurrency } from '@utils/formatters'
+
+/**
+ * Product tile used in product listings
+ */
+const ProductCard = ({ product }) => {
+  const primaryImage =
+    product.product_images?.find(image => image.is_primary) ||
+    product.product_images?.[0]
+
+  return (
+    <Link to={`/products/${product.id}`}>
+      <Card padding="none" hover className="overflow-hidden h-full">
+        <div className="relative aspect-square bg-gray-100">
+          {primaryImage && (
+            <img
+              src={primaryImage.image_url}
+              alt={product.name}
+              className="w-full h-full object-cover"
+              loading="lazy"
+            />
+          )}
+          <WishlistButton product={product} className="absolute top-2 right-2" />
+        </div>
+
+        <div className="p-4">
+          <p className="text-xs text-gray-500 mb-1">{product.category}</p>
+          <h3 className="font-semibold text-gray-900 mb-2">{product.name}</h3>
+          <div className="flex items-center justify-between">
+            <span className="text-lg font-bold text-gray-900">
+              {formatCurrency(product.price)}
+            </span>
+            {product.stock_quantity === 0 && (
+              <Badge variant="danger" size="sm">Out of stock</Badge>
+            )}
+          </div>
+        </div>
+      </Card>
+    </Link>
+  )
+}
+
+export default ProductCard
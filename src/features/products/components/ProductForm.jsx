@@ -0,0 +1,50 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import Button from '@components/ui/Button'
+import Input from '@components/ui/Input'
+import { productSchema, toProductFormValues } from '../productSchema'
+
+/**
+ * Admin form for a product's name, price, stock and description
+ * @param {Object} props.product - Product to edit
+ * @param {Function} props.onSubmit - Called with the validated fields
+ */
+const ProductForm = ({ product, onSubmit }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(productSchema),
+    defaultValues: toProductFormValues(product),
+  })
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <Input label="Name" error={errors.name?.message} {...register('name')} />
+      <div className="grid grid-cols-2 gap-4">
+        <Input label="Price" type="number" step="0.01" min="0" error={errors.price?.message} {...register('price')} />
+        <Input label="Stock" type="number" step="1" min="0" error={errors.stock_quantity?.message} {...register('stock_quantity')} />
+      </div>
+      <div>
+        <label htmlFor="product-description" className="block text-sm font-medium text-gray-700 mb-1">
+          Description
+        </label>
+        <textarea
+          id="product-description"
+          rows={4}
+          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+          {...register('description')}
+        />
+        {errors.description && (
+          <p className="mt-1 text-sm text-red-600">{errors.description.message}</p>
+        )}
+      </div>
+      <Button type="submit" disabled={isSubmitting}>
+        {isSubmitting ? 'Saving...' : 'Save details'}
+      </Button>
+    </form>
+  )
+}
+
+export default ProductForm
@@ -0,0 +1,101 @@
+import { useState } from 'react'
+import { clsx } from 'clsx'
+import toast from 'react-hot-toast'
+import { useProductImages } from '../hooks/useProductImages'
+import { getProductImageUrl } from '../services/productImageService'
+import Badge from '@components/ui/Badge'
+
+/**
+ * Admin gallery editor: upload images, drag to reorder, pick the primary image
+ */
+const ProductImageManager = ({ productId, images: initialImages }) => {
+  const { images, uploading, upload, setPrimary, move, remove } = useProductImages(productId, initialImages)
+  const [dragIndex, setDragIndex] = useState(null)
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files]
+    e.target.value = ''
+    await upload(files)
+  }
+
+  const handleDrop = async (index) => {
+    if (dragIndex === null) return
+
+    const { error } = await move(dragIndex, index)
+    setDragIndex(null)
+
+    if (error) toast.error('Failed to reorder images')
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-4">
+        {images.map((image, index) => (
+          <div
+            key={image.id}
+            draggable
+            onDragStart={() => setDragIndex(index)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => handleDrop(index)}
+            onDragEnd={() => setDragIndex(null)}
+            className={clsx(
+              'relative rounded-lg overflow-hidden border-2 cursor-move',
+              image.is_primary ? 'border-primary-600' : 'border-transparent',
+              dragIndex === index && 'opacity-50'
+            )}
+          >
+            <img
+              src={getProductImageUrl(image, 'thumbnail')}
+              alt=""
+              className="w-full aspect-square object-cover"
+            />
+
+            {image.is_primary && (
+              <Badge variant="primary" size="sm" className="absolute top-2 left-2">
+                Primary
+              </Badge>
+            )}
+
+            <div className="absolute bottom-0 inset-x-0 flex justify-between p-1 bg-white/80">
+              {!image.is_primary && (
+                <button
+                  type="button"
+                  onClick={() => setPrimary(image.id)}
+                  className="text-xs text-primary-600 hover:text-primary-700"
+                >
+                  Make primary
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => remove(image.id)}
+                className="text-xs text-red-600 hover:text-red-700 ml-auto"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <label
+        className={clsx(
+          'inline-block px-3 py-1.5 text-sm font-medium rounded-lg border-2 border-primary-600 text-primary-600 transition-colors duration-200',
+          uploading ? 'cursor-not-allowed opacity-60' : 'cursor-pointer hover:bg-primary-50'
+        )}
+      >
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={handleFiles}
+          disabled={uploading}
+        />
+        {uploading ? 'Uploading...' : 'Upload images'}
+      </label>
+    </div>
+  )
+}
+
+export default ProductImageManager
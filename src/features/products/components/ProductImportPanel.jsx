@@ -0,0 +1,155 @@
+import toast from 'react-hot-toast'
+import { useProductImport } from '../hooks/useProductImport'
+import Button from '@components/ui/Button'
+import Badge from '@components/ui/Badge'
+import Card from '@components/ui/Card'
+
+const formatChangeValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? '—'))
+
+/**
+ * Admin panel for bulk product import (CSV/JSON) with a dry-run preview, and catalog export
+ */
+const ProductImportPanel = () => {
+  const { plan, progress, result, loading, error, loadFile, apply, exportCatalog, reset } = useProductImport()
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (file) await loadFile(file)
+  }
+
+  const handleApply = async () => {
+    const { data, error } = await apply()
+
+    if (error) {
+      toast.error('Import failed')
+    } else if (data.errors.length > 0) {
+      toast.error(`${data.errors.length} rows failed to import`)
+    } else {
+      toast.success('Import complete')
+    }
+  }
+
+  const handleExport = async (format) => {
+    const { error } = await exportCatalog(format)
+    if (error) toast.error('Export failed')
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card className="flex flex-wrap items-center gap-4">
+        <label className="inline-block px-4 py-2 font-medium rounded-lg bg-primary-600 text-white hover:bg-primary-700 cursor-pointer">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="hidden"
+            onChange={handleFile}
+            disabled={loading}
+          />
+          Import CSV / JSON
+        </label>
+        <Button variant="outline" onClick={() => handleExport('csv')} disabled={loading}>
+          Export CSV
+        </Button>
+        <Button variant="outline" onClick={() => handleExport('json')} disabled={loading}>
+          Export JSON
+        </Button>
+        {progress && (
+          <span className="text-sm text-gray-600">
+            Importing {progress.done} / {progress.total}...
+          </span>
+        )}
+      </Card>
+
+      {error && (
+        <p className="text-red-600">{error.message}</p>
+      )}
+
+      {plan && (
+        <Card className="space-y-6">
+          <div className="flex flex-wrap gap-2">
+            <Badge variant="success">{plan.creates.length} new</Badge>
+            <Badge variant="info">{plan.updates.length} updated</Badge>
+            <Badge>{plan.unchanged.length} unchanged</Badge>
+            <Badge variant="danger">{plan.invalid.length} invalid</Badge>
+          </div>
+
+          {plan.invalid.length > 0 && (
+            <div>
+              <h2 className="font-semibold text-gray-900 mb-2">Invalid rows (skipped)</h2>
+              <ul className="space-y-1 text-sm text-red-700">
+                {plan.invalid.map(row => (
+                  <li key={row.rowNumber}>
+                    Row {row.rowNumber}{row.sku && ` (${row.sku})`}: {row.errors.join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan.creates.length > 0 && (
+            <div>
+              <h2 className="font-semibold text-gray-900 mb-2">New products</h2>
+              <ul className="space-y-1 text-sm text-gray-700">
+                {plan.creates.map(row => (
+                  <li key={row.sku}>{row.sku} — {row.product.name}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan.updates.length > 0 && (
+            <div>
+              <h2 className="font-semibold text-gray-900 mb-2">Updated products</h2>
+              <ul className="space-y-3 text-sm text-gray-700">
+                {plan.updates.map(row => (
+                  <li key={row.sku}>
+                    <p className="font-medium">{row.sku} — {row.product.name}</p>
+                    <ul className="ml-4 text-gray-600">
+                      {row.changes.map(({ field, from, to }) => (
+                        <li key={field}>
+                          {field}: <span className="line-through">{formatChangeValue(from)}</span> → {formatChangeValue(to)}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            <Button
+              onClick={handleApply}
+              disabled={loading || plan.creates.length + plan.updates.length === 0}
+            >
+              Apply import
+            </Button>
+            <Button variant="secondary" onClick={reset} disabled={loading}>
+              Cancel
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {result && (
+        <Card className="space-y-2">
+          <p className="text-gray-700">
+            Created {result.created} and updated {result.updated} products.
+          </p>
+          {result.errors.length > 0 && (
+            <ul className="space-y-1 text-sm text-red-700">
+              {result.errors.map(rowError => (
+                <li key={rowError.sku}>
+                  Row {rowError.rowNumber} ({rowError.sku}): {rowError.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default ProductImportPanel
@@ -0,0 +1,48 @@
+import { clsx } from 'clsx'
+import { findVariant } from '../services/productService'
+
+/**
+ * Option buttons (e.g. Size, Color) for choosing one of a product's variants
+ * Values that don't make an active variant with the other selected options are crossed out.
+ * @param {Object} props.product - Product with product_options and product_variants
+ * @param {Object} props.value - Selected option values keyed by option name
+ * @param {Function} props.onChange - Called with the new selected option values
+ */
+const VariantPicker = ({ product, value, onChange }) => {
+  return (
+    <div className="space-y-4">
+      {product.product_options.map(option => (
+        <fieldset key={option.id}>
+          <legend className="block text-sm font-medium text-gray-700 mb-2">
+            {option.name}
+            {value[option.name] && <span className="text-gray-500 font-normal">: {value[option.name]}</span>}
+          </legend>
+          <div className="flex flex-wrap gap-2">
+            {option.option_values.map(optionValue => {
+              const selected = value[option.name] === optionValue
+              const available = !!findVariant(product, { ...value, [option.name]: optionValue })
+
+              return (
+                <button
+                  key={optionValue}
+                  type="button"
+                  aria-pressed={selected}
+                  onClick={() => onChange({ ...value, [option.name]: optionValue })}
+                  className={clsx(
+                    'px-4 py-2 border rounded-lg text-sm transition-colors',
+                    selected ? 'border-primary-500 bg-primary-50 text-primary-700' : 'border-gray-300 text-gray-700 hover:border-gray-400',
+                    !available && 'line-through text-gray-400'
+                  )}
+                >
+                  {optionValue}
+                </button>
+              )
+            })}
+          </div>
+        </fieldset>
+      ))}
+    </div>
+  )
+}
+
+export default VariantPicker
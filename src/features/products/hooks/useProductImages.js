@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { addProductImage, deleteProductImage } from '../services/productService'
+import {
+  setPrimaryProductImage,
+  reorderProductImages,
+} from '../services/productImageService'
+
+// Default for initialImages; a new [] on every render would re-run the effect below forever
+const NO_IMAGES = []
+
+/**
+ * Custom hook for managing a product's image gallery (admin)
+ * Uploads files, switches the primary image, reorders and deletes images.
+ * Reordering and primary changes are applied locally first and rolled back on error.
+ * @param {string} productId - The product ID
+ * @param {Array} initialImages - The product's current product_images
+ * @returns {Object} Sorted images, actions, loading state, and error
+ */
+export const useProductImages = (productId, initialImages = NO_IMAGES) => {
+  const [images, setImages] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setImages([...initialImages].sort((a, b) => a.display_order - b.display_order))
+  }, [initialImages])
+
+  const upload = async (files) => {
+    setUploading(true)
+    setError(null)
+
+    // Upload one at a time so display_order follows the selection order
+    // The first image of an empty gallery becomes the primary image
+    for (const [index, file] of files.entries()) {
+      const result = await addProductImage(productId, file, images.length === 0 && index === 0)
+
+      if (result.error) {
+        setError(result.error)
+        break
+      }
+
+      setImages(prev => [
+        ...prev.map(image => result.data.is_primary ? { ...image, is_primary: false } : image),
+        result.data,
+      ])
+    }
+
+    setUploading(false)
+  }
+
+  const setPrimary = async (imageId) => {
+    const previous = images
+    setError(null)
+    setImages(prev => prev.map(image => ({ ...image, is_primary: image.id === imageId })))
+
+    const result = await setPrimaryProductImage(imageId)
+
+    if (result.error) {
+      setError(result.error)
+      setImages(previous)
+    }
+
+    return result
+  }
+
+  // Move the image at fromIndex to toIndex (e.g. on drop)
+  const move = async (fromIndex, toIndex) => {
+    if (fromIndex === toIndex) return { error: null }
+
+    const previous = images
+    const reordered = [...images]
+    const [moved] = reordered.splice(fromIndex, 1)
+    reordered.splice(toIndex, 0, moved)
+
+    setError(null)
+    setImages(reordered.map((image, index) => ({ ...image, display_order: index })))
+
+    const result = await reorderProductImages(productId, reordered.map(image => image.id))
+
+    if (result.error) {
+      setError(result.error)
+      setImages(previous)
+    }
+
+    return result
+  }
+
+  const remove = async (imageId) => {
+    setError(null)
+
+    const result = await deleteProductImage(imageId)
+
+    if (result.error) {
+      setError(result.error)
+    } else {
+      setImages(prev => prev.filter(image => image.id !== imageId))
+    }
+
+    return result
+  }
+
+  return {
+    images,
+    uploading,
+    error,
+    upload,
+    setPrimary,
+    move,
+    remove,
+  }
+}
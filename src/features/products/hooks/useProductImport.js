@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import {
+  planProductImport,
+  applyProductImport,
+  exportProducts,
+} from '../services/productImportService'
+import { downloadFile } from '@utils/file'
+
+const MIME_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+}
+
+/**
+ * Get the import format from a file name
+ * @param {string} filename - File name
+ * @returns {string} 'json' or 'csv'
+ */
+const getFileFormat = (filename) => (filename.toLowerCase().endsWith('.json') ? 'json' : 'csv')
+
+/**
+ * Custom hook for bulk product import and export (admin)
+ * Loading a file builds a dry-run plan; nothing is written until apply() is called.
+ * @returns {Object} Plan, progress, result, actions, loading state, and error
+ */
+export const useProductImport = () => {
+  const [plan, setPlan] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadFile = async (file) => {
+    setLoading(true)
+    setError(null)
+    setPlan(null)
+    setResult(null)
+
+    const text = await file.text()
+    const planResult = await planProductImport(text, getFileFormat(file.name))
+
+    if (planResult.error) {
+      setError(planResult.error)
+    } else {
+      setPlan(planResult.data)
+    }
+
+    setLoading(false)
+    return planResult
+  }
+
+  const apply = async () => {
+    if (!plan) return { data: null, error: null }
+
+    setLoading(true)
+    setError(null)
+    setProgress({ done: 0, total: plan.creates.length + plan.updates.length })
+
+    const applyResult = await applyProductImport(plan, { onProgress: setProgress })
+
+    if (applyResult.error) {
+      setError(applyResult.error)
+    } else {
+      setResult(applyResult.data)
+      setPlan(null)
+    }
+
+    setProgress(null)
+    setLoading(false)
+    return applyResult
+  }
+
+  const exportCatalog = async (format = 'csv') => {
+    setLoading(true)
+    setError(null)
+
+    const exportResult = await exportProducts(format)
+
+    if (exportResult.error) {
+      setError(exportResult.error)
+    } else {
+      const date = new Date().toISOString().slice(0, 10)
+      downloadFile(exportResult.data, `products-${date}.${format}`, MIME_TYPES[format])
+    }
+
+    setLoading(false)
+    return exportResult
+  }
+
+  const reset = () => {
+    setPlan(null)
+    setResult(null)
+    setError(null)
+  }
+
+  return {
+    plan,
+    progress,
+    result,
+    loading,
+    error,
+    loadFile,
+    apply,
+    exportCatalog,
+    reset,
+  }
+}
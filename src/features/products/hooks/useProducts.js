@@ -1,67 +1,174 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import {
   getProducts,
   getProductById,
   searchProducts,
   getCategories,
+  buildCategoryTree,
 } from '../services/productService'
+import { parseHighlight } from '@utils/formatters'
+import { PRODUCT_SORT } from '@utils/constants'
+import useInfiniteList from '@hooks/useInfiniteList'
 
 /**
  * Custom hook to fetch and manage products list
  * @param {Object} options - Query options
- * @param {string} options.category - Filter by category
+ * @param {string} options.category - Filter by category slug (includes subcategories)
+ * @param {Array<string>} options.categories - Filter by any of several category slugs
+ * @param {number} options.minPrice - Minimum price (inclusive)
+ * @param {number} options.maxPrice - Maximum price (exclusive)
+ * @param {boolean} options.inStock - Only show products in stock
+ * @param {string} options.sort - One of PRODUCT_SORT
  * @param {number} options.limit - Items per page
  * @param {number} options.page - Current page
- * @returns {Object} Products data, loading state, and error
+ * @returns {Object} Products data, facets, loading state, and error
  */
-export const useProducts = ({ category, limit = 12, page = 1 } = {}) => {
+export const useProducts = ({
+  category,
+  categories = [],
+  minPrice,
+  maxPrice,
+  inStock = false,
+  sort = PRODUCT_SORT.NEWEST,
+  limit = 12,
+  page = 1,
+} = {}) => {
   const [products, setProducts] = useState([])
+  const [facets, setFacets] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [totalCount, setTotalCount] = useState(0)
 
-  useEffect(() => {
-    const fetchProducts = async () => {
-      setLoading(true)
-      setError(null)
-
-      const offset = (page - 1) * limit
-      const result = await getProducts({ category, limit, offset })
-
-      if (result.error) {
-        setError(result.error)
-      } else {
-        setProducts(result.data || [])
-        setTotalCount(result.count || 0)
-      }
-
-      setLoading(false)
-    }
-
-    fetchProducts()
-  }, [category, limit, page])
+  // Compare categories by value so a new array with the same entries doesn't refetch
+  const categoriesKey = categories.join(',')
 
-  const refetch = async () => {
+  const fetchProducts = useCallback(async () => {
     setLoading(true)
+    setError(null)
+
     const offset = (page - 1) * limit
-    const result = await getProducts({ category, limit, offset })
+    const result = await getProducts({
+      category,
+      categories: categoriesKey ? categoriesKey.split(',') : [],
+      minPrice,
+      maxPrice,
+      inStock,
+      sort,
+      limit,
+      offset,
+    })
 
     if (result.error) {
       setError(result.error)
     } else {
       setProducts(result.data || [])
       setTotalCount(result.count || 0)
+      setFacets(result.facets)
     }
+
     setLoading(false)
-  }
+  }, [category, categoriesKey, minPrice, maxPrice, inStock, sort, limit, page])
+
+  useEffect(() => {
+    fetchProducts()
+  }, [fetchProducts])
 
   return {
     products,
+    facets,
     loading,
     error,
     totalCount,
     totalPages: Math.ceil(totalCount / limit),
-    refetch,
+    refetch: fetchProducts,
+  }
+}
+
+/**
+ * Custom hook for an infinitely scrolling product list using cursor pagination
+ * Attach `sentinelRef` to an element below the list to load pages as it scrolls into view
+ * @param {Object} options - Same filters as useProducts (without page)
+ * @returns {Object} Products loaded so far, facets and total count for the filters,
+ *   loading state, error, hasMore, loadMore, sentinelRef
+ */
+export const useInfiniteProducts = ({
+  categories = [],
+  minPrice,
+  maxPrice,
+  inStock = false,
+  sort = PRODUCT_SORT.NEWEST,
+  limit = 12,
+} = {}) => {
+  const key = JSON.stringify(['products', categories, minPrice, maxPrice, inStock, sort, limit])
+
+  const { items, meta, ...list } = useInfiniteList(key, (cursor) =>
+    getProducts({ categories, minPrice, maxPrice, inStock, sort, limit, cursor })
+  )
+
+  return {
+    products: items,
+    // Only the first page comes with facets and a total count
+    facets: meta?.facets || null,
+    totalCount: meta?.count ?? null,
+    ...list,
+  }
+}
+
+/**
+ * Parse an optional numeric query param
+ * @param {string|null} value - Raw query param value
+ * @returns {number|undefined} Parsed number, or undefined if missing/invalid
+ */
+const parseNumberParam = (value) => {
+  if (value === null || value === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+/**
+ * Custom hook to read and write product list filters in the URL query string
+ * (?category=books&category=toys&min_price=25&max_price=50&in_stock=1&sort=price_asc)
+ * so filtered listings can be shared and survive a reload
+ * @returns {Object} Current filters, setFilters(updates), and resetFilters()
+ */
+export const useProductFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  const filters = useMemo(() => {
+    const sort = searchParams.get('sort')
+
+    return {
+      categories: searchParams.getAll('category'),
+      minPrice: parseNumberParam(searchParams.get('min_price')),
+      maxPrice: parseNumberParam(searchParams.get('max_price')),
+      inStock: searchParams.get('in_stock') === '1',
+      sort: Object.values(PRODUCT_SORT).includes(sort) ? sort : PRODUCT_SORT.NEWEST,
+    }
+  }, [searchParams])
+
+  // Merge updates into the current filters
+  const setFilters = useCallback((updates) => {
+    const next = { ...filters, ...updates }
+    const params = new URLSearchParams()
+
+    next.categories.forEach(category => params.append('category', category))
+    if (next.minPrice != null) params.set('min_price', next.minPrice)
+    if (next.maxPrice != null) params.set('max_price', next.maxPrice)
+    if (next.inStock) params.set('in_stock', '1')
+    if (next.sort !== PRODUCT_SORT.NEWEST) params.set('sort', next.sort)
+
+    setSearchParams(params)
+  }, [filters, setSearchParams])
+
+  const resetFilters = useCallback(() => {
+    setSearchParams(new URLSearchParams())
+  }, [setSearchParams])
+
+  return {
+    filters,
+    setFilters,
+    resetFilters,
   }
 }
 
@@ -123,6 +230,8 @@ export const useProduct = (productId) => {
 
 /**
  * Custom hook for product search with debouncing
+ * Each result carries its relevance `rank` and `highlights.name` /
+ * `highlights.description` as arrays of { text, highlighted } segments
  * @param {string} searchTerm - The search term
  * @param {number} debounceDelay - Debounce delay in ms
  * @returns {Object} Search results, loading state, and error
@@ -147,7 +256,14 @@ export const useProductSearch = (searchTerm, debounceDelay = 300) => {
       if (result.error) {
         setError(result.error)
       } else {
-        setResults(result.data || [])
+        setError(null)
+        setResults((result.data || []).map(product => ({
+          ...product,
+          highlights: {
+            name: parseHighlight(product.highlights?.name),
+            description: parseHighlight(product.highlights?.description),
+          },
+        })))
       }
 
       setLoading(false)
@@ -164,7 +280,7 @@ export const useProductSearch = (searchTerm, debounceDelay = 300) => {
 }
 
 /**
- * Custom hook to fetch product categories
+ * Custom hook to fetch product categories as a flat list
  * @returns {Object} Categories data, loading state, and error
  */
 export const useCategories = () => {
@@ -197,3 +313,18 @@ export const useCategories = () => {
     error,
   }
 }
+
+/**
+ * Custom hook to fetch product categories nested under their parents
+ * @returns {Object} Category tree (each node has `children`), loading state, and error
+ */
+export const useCategoryTree = () => {
+  const { categories, loading, error } = useCategories()
+  const tree = useMemo(() => buildCategoryTree(categories), [categories])
+
+  return {
+    tree,
+    loading,
+    error,
+  }
+}
@@ -0,0 +1,89 @@
+import { useState, useEffect, useMemo } from 'react'
+import { getRelatedProducts, getProductsByIds } from '../services/recommendationService'
+import useRecentlyViewedStore from '../store/recentlyViewedStore'
+
+/**
+ * Custom hook to fetch "customers also bought" recommendations for a product
+ * Falls back to bestsellers from the same category when there is no purchase history
+ * @param {string} productId - The product ID
+ * @param {number} limit - Maximum number of products (default: 8)
+ * @returns {Object} Products data, loading state, and error
+ */
+export const useRelatedProducts = (productId, limit = 8) => {
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!productId) {
+      setLoading(false)
+      return
+    }
+
+    const fetchRelated = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getRelatedProducts(productId, limit)
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setProducts(result.data || [])
+      }
+
+      setLoading(false)
+    }
+
+    fetchRelated()
+  }, [productId, limit])
+
+  return { products, loading, error }
+}
+
+/**
+ * Custom hook to fetch the current visitor's recently viewed products, most recent first
+ * Pass `excludeId` to leave out the product currently on screen
+ * @param {Object} options - Options
+ * @param {string} options.excludeId - Product ID to leave out
+ * @param {number} options.limit - Maximum number of products (default: 8)
+ * @returns {Object} Products data, recordView function, loading state, and error
+ */
+export const useRecentlyViewed = ({ excludeId, limit = 8 } = {}) => {
+  const entries = useRecentlyViewedStore(state => state.entries)
+  const recordView = useRecentlyViewedStore(state => state.recordView)
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Join to a string so the effect only re-runs when the list actually changes
+  const productIdKey = useMemo(
+    () => entries
+      .map(entry => entry.productId)
+      .filter(id => id !== excludeId)
+      .slice(0, limit)
+      .join(','),
+    [entries, excludeId, limit]
+  )
+
+  useEffect(() => {
+    const fetchProducts = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getProductsByIds(productIdKey ? productIdKey.split(',') : [])
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setProducts(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchProducts()
+  }, [productIdKey])
+
+  return { products, recordView, loading, error }
+}
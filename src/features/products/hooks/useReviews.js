@@ -0,0 +1,191 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getProductReviews,
+  canReviewProduct,
+  createReview,
+  updateReview,
+  deleteReview as deleteReviewService,
+  setReviewHelpful,
+} from '../services/reviewService'
+import { REVIEW_SORT } from '@utils/constants'
+
+/**
+ * Custom hook to fetch a product's reviews
+ * @param {string} productId - The product ID
+ * @param {Object} options - Query options
+ * @param {string} options.sort - One of REVIEW_SORT (newest, highest, lowest, most_helpful)
+ * @param {number} options.limit - Reviews per page
+ * @param {number} options.page - Current page
+ * @returns {Object} Reviews data, loading state, and error
+ */
+export const useProductReviews = (productId, {
+  sort = REVIEW_SORT.NEWEST,
+  limit = 10,
+  page = 1,
+} = {}) => {
+  const [reviews, setReviews] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [totalCount, setTotalCount] = useState(0)
+
+  const fetchReviews = useCallback(async () => {
+    if (!productId) {
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const offset = (page - 1) * limit
+    const result = await getProductReviews(productId, { sort, limit, offset })
+
+    if (result.error) {
+      setError(result.error)
+    } else {
+      setReviews(result.data || [])
+      setTotalCount(result.count || 0)
+    }
+
+    setLoading(false)
+  }, [productId, sort, limit, page])
+
+  useEffect(() => {
+    fetchReviews()
+  }, [fetchReviews])
+
+  return {
+    reviews,
+    loading,
+    error,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+    refetch: fetchReviews,
+  }
+}
+
+/**
+ * Custom hook to check whether the current user can review a product
+ * @param {string} productId - The product ID
+ * @returns {Object} canReview boolean and loading state
+ */
+export const useCanReviewProduct = (productId) => {
+  const [canReview, setCanReview] = useState(false)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (!productId) {
+      setLoading(false)
+      return
+    }
+
+    const check = async () => {
+      setLoading(true)
+      const result = await canReviewProduct(productId)
+      setCanReview(result.data)
+      setLoading(false)
+    }
+
+    check()
+  }, [productId])
+
+  return {
+    canReview,
+    loading,
+  }
+}
+
+/**
+ * Custom hook for writing or editing a review
+ * @returns {Object} Submit function and state
+ */
+export const useSubmitReview = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * @param {Object} params
+   * @param {string} params.productId - Product to review (for new reviews)
+   * @param {string} params.reviewId - Existing review to edit (omit to create)
+   * @param {Object} params.review - { rating, title, body }
+   */
+  const submitReview = async ({ productId, reviewId, review }) => {
+    setLoading(true)
+    setError(null)
+
+    const result = reviewId
+      ? await updateReview(reviewId, review)
+      : await createReview(productId, review)
+
+    if (result.error) {
+      setError(result.error)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    submitReview,
+    loading,
+    error,
+  }
+}
+
+/**
+ * Custom hook for deleting reviews
+ * @returns {Object} Delete review function and state
+ */
+export const useDeleteReview = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const deleteReview = async (reviewId) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await deleteReviewService(reviewId)
+
+    if (result.error) {
+      setError(result.error)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    deleteReview,
+    loading,
+    error,
+  }
+}
+
+/**
+ * Custom hook for voting reviews helpful
+ * @returns {Object} Vote function and state
+ */
+export const useReviewHelpful = () => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const setHelpful = async (reviewId, helpful = true) => {
+    setLoading(true)
+    setError(null)
+
+    const result = await setReviewHelpful(reviewId, helpful)
+
+    if (result.error) {
+      setError(result.error)
+    }
+
+    setLoading(false)
+    return result
+  }
+
+  return {
+    setHelpful,
+    loading,
+    error,
+  }
+}
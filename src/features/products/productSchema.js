@@ -0,0 +1,21 @@
+import { z } from 'zod'
+
+// Admin product details form (images are managed separately)
+export const productSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(200, 'Please keep the name under 200 characters'),
+  price: z.coerce.number({ error: 'Enter a price' }).min(0, 'Price cannot be negative'),
+  stock_quantity: z.coerce.number({ error: 'Enter a stock quantity' }).int('Stock must be a whole number').min(0, 'Stock cannot be negative'),
+  description: z.string().trim().max(5000, 'Please keep the description under 5000 characters'),
+})
+
+/**
+ * Turn a product into form values
+ * @param {Object} product - Product row
+ * @returns {Object} Values for the product form
+ */
+export const toProductFormValues = (product) => ({
+  name: product.name || '',
+  price: product.price ?? 0,
+  stock_quantity: product.stock_quantity ?? 0,
+  description: product.description || '',
+})
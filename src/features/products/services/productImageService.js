@@ -0,0 +1,212 @@
+import { supabase } from '@lib/supabase'
+import { resizeImage, getImageExtension } from '@utils/image'
+import { PRODUCT_IMAGE_BUCKET, IMAGE_RENDITIONS } from '@utils/constants'
+
+/**
+ * Product Image Service
+ * Uploads product images to Supabase Storage with thumbnail and medium renditions
+ */
+
+/**
+ * Get the public URL of an image rendition
+ * Falls back to image_url for images added as external URLs
+ * @param {Object} image - A product_images row
+ * @param {string} size - 'original', 'medium' or 'thumbnail'
+ * @returns {string} Public image URL
+ */
+export const getProductImageUrl = (image, size = 'original') => {
+  const paths = {
+    original: image?.storage_path,
+    medium: image?.medium_path,
+    thumbnail: image?.thumbnail_path,
+  }
+
+  const path = paths[size] || image?.storage_path
+
+  if (!path) return image?.image_url
+
+  return supabase.storage.from(PRODUCT_IMAGE_BUCKET).getPublicUrl(path).data.publicUrl
+}
+
+/**
+ * Upload a blob to the product-images bucket
+ * @param {string} path - Storage path
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} The stored path
+ */
+const uploadBlob = async (path, blob) => {
+  const { error } = await supabase.storage
+    .from(PRODUCT_IMAGE_BUCKET)
+    .upload(path, blob, {
+      contentType: blob.type,
+      cacheControl: '31536000',
+      upsert: false,
+    })
+
+  if (error) throw error
+
+  return path
+}
+
+/**
+ * Remove an image's files from storage
+ * @param {Object} image - A product_images row
+ * @returns {Promise<Object>} Error object
+ */
+export const removeProductImageFiles = async (image) => {
+  try {
+    const paths = [image.storage_path, image.medium_path, image.thumbnail_path].filter(Boolean)
+
+    if (paths.length === 0) {
+      return { error: null }
+    }
+
+    const { error } = await supabase.storage
+      .from(PRODUCT_IMAGE_BUCKET)
+      .remove(paths)
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error removing product image files:', error)
+    return { error }
+  }
+}
+
+/**
+ * Upload an image file for a product
+ * Generates medium and thumbnail renditions in the browser, uploads all three,
+ * and adds the image at the end of the product's gallery
+ * @param {string} productId - The product ID
+ * @param {File} file - The image file chosen by the user
+ * @param {Object} options - Upload options
+ * @param {boolean} options.isPrimary - Whether this should become the primary image
+ * @returns {Promise<Object>} Created image data and error
+ */
+export const uploadProductImage = async (productId, file, { isPrimary = false } = {}) => {
+  let uploadedPaths = []
+  let insertedImageId = null
+
+  try {
+    if (!file.type?.startsWith('image/')) {
+      throw new Error('Only image files can be uploaded')
+    }
+
+    const [medium, thumbnail] = await Promise.all([
+      resizeImage(file, IMAGE_RENDITIONS.MEDIUM),
+      resizeImage(file, IMAGE_RENDITIONS.THUMBNAIL),
+    ])
+
+    const folder = `${productId}/${crypto.randomUUID()}`
+
+    const uploads = await Promise.allSettled([
+      uploadBlob(`${folder}/original.${getImageExtension(file.type)}`, file),
+      uploadBlob(`${folder}/medium.${getImageExtension(medium.type)}`, medium),
+      uploadBlob(`${folder}/thumbnail.${getImageExtension(thumbnail.type)}`, thumbnail),
+    ])
+
+    // Keep the paths that did upload, so they are removed if another one failed
+    uploadedPaths = uploads
+      .filter(upload => upload.status === 'fulfilled')
+      .map(upload => upload.value)
+
+    const failedUpload = uploads.find(upload => upload.status === 'rejected')
+    if (failedUpload) throw failedUpload.reason
+
+    const [storagePath, mediumPath, thumbnailPath] = uploadedPaths
+
+    // Get current max display_order for this product
+    const { data: existingImages } = await supabase
+      .from('product_images')
+      .select('display_order')
+      .eq('product_id', productId)
+      .order('display_order', { ascending: false })
+      .limit(1)
+
+    const nextOrder = existingImages?.length ? existingImages[0].display_order + 1 : 0
+
+    const { data, error } = await supabase
+      .from('product_images')
+      .insert({
+        product_id: productId,
+        image_url: getProductImageUrl({ storage_path: storagePath }),
+        storage_path: storagePath,
+        medium_path: mediumPath,
+        thumbnail_path: thumbnailPath,
+        is_primary: false,
+        display_order: nextOrder,
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    insertedImageId = data.id
+
+    // The first image of a product is always its primary image
+    if (isPrimary || nextOrder === 0) {
+      const { error: primaryError } = await setPrimaryProductImage(data.id)
+      if (primaryError) throw primaryError
+      data.is_primary = true
+    }
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error uploading product image:', error)
+
+    // Don't leave a row pointing at removed files, or orphaned files behind
+    if (insertedImageId) {
+      await supabase.from('product_images').delete().eq('id', insertedImageId)
+    }
+
+    if (uploadedPaths.length > 0) {
+      await supabase.storage.from(PRODUCT_IMAGE_BUCKET).remove(uploadedPaths)
+    }
+
+    return { data: null, error }
+  }
+}
+
+/**
+ * Make an image the product's primary image
+ * The previous primary image is unset in the same statement
+ * @param {string} imageId - The image ID
+ * @returns {Promise<Object>} Error object
+ */
+export const setPrimaryProductImage = async (imageId) => {
+  try {
+    const { error } = await supabase
+      .rpc('set_primary_product_image', { image_uuid: imageId })
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error setting primary product image:', error)
+    return { error }
+  }
+}
+
+/**
+ * Save a new display order for a product's images (e.g. after drag-to-reorder)
+ * @param {string} productId - The product ID
+ * @param {Array<string>} imageIds - Image IDs in their new order
+ * @returns {Promise<Object>} Error object
+ */
+export const reorderProductImages = async (productId, imageIds) => {
+  try {
+    const { error } = await supabase
+      .rpc('reorder_product_images', {
+        product_uuid: productId,
+        image_uuids: imageIds,
+      })
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error reordering product images:', error)
+    return { error }
+  }
+}
@@ -0,0 +1,431 @@
+import { supabase } from '@lib/supabase'
+import { parseCsv, toCsv } from '@utils/csv'
+import { getCategories } from './productService'
+import { removeProductImageFiles } from './productImageService'
+
+/**
+ * Product Import Service
+ * Bulk import and export of the product catalog as CSV or JSON.
+ * Rows are matched to existing products by SKU.
+ */
+
+// Columns written on export and read on import, in order
+export const PRODUCT_IMPORT_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'stock_quantity',
+  'weight',
+  'category',
+  'image_urls',
+]
+
+// Separator for multiple image URLs in a single CSV cell
+const IMAGE_URL_SEPARATOR = '|'
+
+// Product fields compared when deciding whether an existing product changed
+const COMPARED_FIELDS = ['name', 'description', 'price', 'stock_quantity', 'weight', 'category_id']
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Parse an import file into raw rows
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Raw rows
+ */
+export const parseProductFile = (text, format) => {
+  if (format === 'json') {
+    const parsed = JSON.parse(text)
+    const rows = Array.isArray(parsed) ? parsed : parsed?.products
+
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of products (or { "products": [...] })')
+    }
+
+    return rows
+  }
+
+  if (format === 'csv') {
+    return parseCsv(text)
+  }
+
+  throw new Error(`Unsupported import format: ${format}`)
+}
+
+/**
+ * Validate and normalize raw import rows
+ * @param {Array<Object>} rows - Raw rows from parseProductFile
+ * @param {Array<Object>} categories - Known categories (id, name, slug)
+ * @param {string} format - 'csv' or 'json', for numbering rows the way the file does
+ * @returns {Array<Object>} One entry per row: { rowNumber, sku, product, imageUrls, errors }
+ */
+export const validateProductRows = (rows, categories, format) => {
+  // The header is row 1 in a CSV, so data starts at row 2; JSON items count from 1
+  const firstRowNumber = format === 'csv' ? 2 : 1
+
+  const categoryByKey = new Map()
+  categories.forEach(category => {
+    categoryByKey.set(category.slug, category)
+    categoryByKey.set(category.name.toLowerCase(), category)
+  })
+
+  const seenSkus = new Set()
+
+  return rows.map((row, index) => {
+    const errors = []
+    const sku = String(row.sku ?? '').trim()
+    const name = String(row.name ?? '').trim()
+    const price = Number(row.price)
+    const stockQuantity = Number(row.stock_quantity)
+    const weight = row.weight === '' || row.weight == null ? null : Number(row.weight)
+    const category = categoryByKey.get(String(row.category ?? '').trim().toLowerCase())
+
+    if (!sku) {
+      errors.push('SKU is required')
+    } else if (seenSkus.has(sku)) {
+      errors.push(`Duplicate SKU ${sku} in file`)
+    }
+    seenSkus.add(sku)
+
+    if (!name) {
+      errors.push('Name is required')
+    }
+
+    if (row.price === '' || row.price == null || !Number.isFinite(price) || price < 0) {
+      errors.push('Price must be a number >= 0')
+    }
+
+    if (row.stock_quantity === '' || row.stock_quantity == null || !Number.isInteger(stockQuantity) || stockQuantity < 0) {
+      errors.push('Stock quantity must be a whole number >= 0')
+    }
+
+    if (weight !== null && (!Number.isFinite(weight) || weight < 0)) {
+      errors.push('Weight must be a number >= 0')
+    }
+
+    if (!category) {
+      errors.push(`Unknown category: ${row.category ?? ''}`)
+    }
+
+    const imageUrls = Array.isArray(row.image_urls)
+      ? row.image_urls
+      : String(row.image_urls ?? '').split(IMAGE_URL_SEPARATOR)
+
+    return {
+      rowNumber: firstRowNumber + index,
+      sku,
+      product: {
+        sku,
+        name,
+        description: String(row.description ?? '').trim() || null,
+        price: Math.round(price * 100) / 100,
+        stock_quantity: stockQuantity,
+        weight: weight === null ? null : Math.round(weight * 1000) / 1000,
+        category_id: category?.id,
+      },
+      imageUrls: imageUrls.map(url => String(url).trim()).filter(Boolean),
+      errors,
+    }
+  })
+}
+
+/**
+ * Fetch existing products (with image URLs) for a list of SKUs
+ * @param {Array<string>} skus - SKUs to look up
+ * @returns {Promise<Map>} Existing products keyed by SKU
+ */
+const getProductsBySku = async (skus) => {
+  const existing = new Map()
+
+  for (const skuBatch of chunk(skus, 200)) {
+    const { data, error } = await supabase
+      .from('products')
+      .select(`
+        id,
+        sku,
+        name,
+        description,
+        price,
+        stock_quantity,
+        weight,
+        category_id,
+        product_images (
+          id,
+          image_url,
+          display_order,
+          storage_path,
+          medium_path,
+          thumbnail_path
+        )
+      `)
+      .in('sku', skuBatch)
+
+    if (error) throw error
+
+    data.forEach(product => existing.set(product.sku, product))
+  }
+
+  return existing
+}
+
+/**
+ * Build a dry-run plan for an import without writing anything
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object>} Plan with creates, updates (with changed fields), unchanged and invalid rows
+ */
+export const planProductImport = async (text, format) => {
+  try {
+    const rows = parseProductFile(text, format)
+
+    const { data: categories, error: categoriesError } = await getCategories()
+    if (categoriesError) throw categoriesError
+
+    const validated = validateProductRows(rows, categories, format)
+    const valid = validated.filter(row => row.errors.length === 0)
+    const existing = await getProductsBySku(valid.map(row => row.sku))
+
+    const plan = {
+      creates: [],
+      updates: [],
+      unchanged: [],
+      invalid: validated.filter(row => row.errors.length > 0),
+    }
+
+    valid.forEach(row => {
+      const current = existing.get(row.sku)
+
+      if (!current) {
+        plan.creates.push(row)
+        return
+      }
+
+      const changes = COMPARED_FIELDS
+        .filter(field => String(current[field] ?? '') !== String(row.product[field] ?? ''))
+        .map(field => ({ field, from: current[field], to: row.product[field] }))
+
+      const currentImageUrls = [...current.product_images]
+        .sort((a, b) => a.display_order - b.display_order)
+        .map(image => image.image_url)
+
+      // An empty image_urls cell leaves the existing images alone
+      const imagesChanged = row.imageUrls.length > 0 &&
+        row.imageUrls.join(IMAGE_URL_SEPARATOR) !== currentImageUrls.join(IMAGE_URL_SEPARATOR)
+
+      if (imagesChanged) {
+        changes.push({ field: 'image_urls', from: currentImageUrls, to: row.imageUrls })
+      }
+
+      if (changes.length === 0) {
+        plan.unchanged.push(row)
+      } else {
+        plan.updates.push({ ...row, current, changes, imagesChanged })
+      }
+    })
+
+    return { data: plan, error: null }
+  } catch (error) {
+    console.error('Error planning product import:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Replace a product's images with a list of URLs
+ * The rows are swapped in one transaction; images still in the list keep their row.
+ * The removed images' files are deleted from storage afterwards, unless another
+ * image still uses them.
+ * @param {string} productId - The product ID
+ * @param {Array<string>} imageUrls - New image URLs (first is primary)
+ */
+const replaceProductImages = async (productId, imageUrls) => {
+  const { data: removedImages, error } = await supabase
+    .rpc('replace_product_images', { product_uuid: productId, image_urls: imageUrls })
+
+  if (error) throw error
+
+  await Promise.all(
+    removedImages
+      .filter(image => !imageUrls.includes(image.image_url))
+      .map(removeProductImageFiles)
+  )
+}
+
+/**
+ * Write one batch of rows, falling back to one row at a time if the batch fails
+ * so each failing row gets its own error
+ * @param {Array<Object>} rows - Planned rows
+ * @param {Function} writeRows - (rows) => Promise, throws on error; must be safe to
+ *   repeat for rows the failed batch already wrote
+ * @returns {Promise<Array<Object>>} Errors as { rowNumber, sku, message }
+ */
+const writeBatch = async (rows, writeRows) => {
+  try {
+    await writeRows(rows)
+    return []
+  } catch {
+    const errors = []
+
+    for (const row of rows) {
+      try {
+        await writeRows([row])
+      } catch (error) {
+        errors.push({ rowNumber: row.rowNumber, sku: row.sku, message: error.message })
+      }
+    }
+
+    return errors
+  }
+}
+
+/**
+ * Apply an import plan in batches
+ * @param {Object} plan - Plan from planProductImport
+ * @param {Object} options - Apply options
+ * @param {number} options.batchSize - Rows written per request (default: 50)
+ * @param {Function} options.onProgress - Called with ({ done, total }) after each batch
+ * @returns {Promise<Object>} Counts of created/updated rows, per-row errors, and error
+ */
+export const applyProductImport = async (plan, { batchSize = 50, onProgress } = {}) => {
+  try {
+    const total = plan.creates.length + plan.updates.length
+    const rowErrors = []
+    let done = 0
+
+    // Upsert on SKU so retrying rows from a batch that failed part-way
+    // (e.g. on an image) doesn't trip over the products it already created
+    const createRows = async (rows) => {
+      const { data, error } = await supabase
+        .from('products')
+        .upsert(rows.map(row => row.product), { onConflict: 'sku' })
+        .select('id, sku')
+
+      if (error) throw error
+
+      const idBySku = new Map(data.map(product => [product.sku, product.id]))
+
+      for (const row of rows.filter(r => r.imageUrls.length > 0)) {
+        await replaceProductImages(idBySku.get(row.sku), row.imageUrls)
+      }
+    }
+
+    const updateRows = async (rows) => {
+      const { error } = await supabase
+        .from('products')
+        .upsert(rows.map(row => ({ id: row.current.id, ...row.product })), { onConflict: 'id' })
+
+      if (error) throw error
+
+      for (const row of rows.filter(r => r.imagesChanged)) {
+        await replaceProductImages(row.current.id, row.imageUrls)
+      }
+    }
+
+    for (const batch of chunk(plan.creates, batchSize)) {
+      rowErrors.push(...await writeBatch(batch, createRows))
+      done += batch.length
+      onProgress?.({ done, total })
+    }
+
+    for (const batch of chunk(plan.updates, batchSize)) {
+      rowErrors.push(...await writeBatch(batch, updateRows))
+      done += batch.length
+      onProgress?.({ done, total })
+    }
+
+    const failedSkus = new Set(rowErrors.map(rowError => rowError.sku))
+
+    return {
+      data: {
+        created: plan.creates.filter(row => !failedSkus.has(row.sku)).length,
+        updated: plan.updates.filter(row => !failedSkus.has(row.sku)).length,
+        errors: rowErrors,
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error applying product import:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Export the whole catalog in the import format
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<Object>} File contents and error
+ */
+export const exportProducts = async (format = 'csv') => {
+  try {
+    const pageSize = 1000
+    const products = []
+
+    // Page through the catalog; PostgREST caps rows per request
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from('products')
+        .select(`
+          sku,
+          name,
+          description,
+          price,
+          stock_quantity,
+          weight,
+          categories (
+            slug
+          ),
+          product_images (
+            image_url,
+            display_order
+          )
+        `)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + pageSize - 1)
+
+      if (error) throw error
+
+      products.push(...data)
+
+      if (data.length < pageSize) break
+    }
+
+    const rows = products.map(product => ({
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      stock_quantity: product.stock_quantity,
+      weight: product.weight,
+      category: product.categories?.slug,
+      image_urls: [...product.product_images]
+        .sort((a, b) => a.display_order - b.display_order)
+        .map(image => image.image_url),
+    }))
+
+    const content = format === 'json'
+      ? JSON.stringify(rows, null, 2)
+      : toCsv(
+        rows.map(row => ({ ...row, image_urls: row.image_urls.join(IMAGE_URL_SEPARATOR) })),
+        PRODUCT_IMPORT_COLUMNS
+      )
+
+    return { data: content, error: null }
+  } catch (error) {
+    console.error('Error exporting products:', error)
+    return { data: null, error }
+  }
+}
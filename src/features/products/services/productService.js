@@ -1,20 +1,70 @@
 import { supabase } from '@lib/supabase'
+import { PRODUCT_SORT } from '@utils/constants'
+import { applyCursor, getNextCursor } from '@utils/pagination'
+import {
+  uploadProductImage,
+  setPrimaryProductImage,
+  removeProductImageFiles,
+} from './productImageService'
 
 /**
  * Product Service
  * Handles all product-related database operations
  */
 
+// Column and direction used for each PRODUCT_SORT option
+const SORT_ORDER = {
+  [PRODUCT_SORT.NEWEST]: { column: 'created_at', ascending: false },
+  [PRODUCT_SORT.PRICE_ASC]: { column: 'price', ascending: true },
+  [PRODUCT_SORT.PRICE_DESC]: { column: 'price', ascending: false },
+  [PRODUCT_SORT.NAME_ASC]: { column: 'name', ascending: true },
+  [PRODUCT_SORT.BEST_SELLING]: { column: 'units_sold', ascending: false },
+}
+
 /**
- * Fetch all products with optional filtering
+ * Fetch all products with optional filtering, sorting and facet counts
+ * Pass `cursor` (from a previous `nextCursor`) for keyset pagination instead of `offset`.
+ * Facets are only computed for the first page.
+ * Category filters include products in all subcategories.
  * @param {Object} options - Query options
- * @param {string} options.category - Filter by category
+ * @param {string} options.category - Filter by a single category slug (or name)
+ * @param {Array<string>} options.categories - Filter by any of several category slugs (or names)
+ * @param {number} options.minPrice - Minimum price (inclusive)
+ * @param {number} options.maxPrice - Maximum price (exclusive)
+ * @param {boolean} options.inStock - Only return products with stock available
+ * @param {string} options.sort - One of PRODUCT_SORT (default: newest)
  * @param {number} options.limit - Limit number of results
  * @param {number} options.offset - Offset for pagination
- * @returns {Promise<Object>} Products data and error
+ * @param {string} options.cursor - Cursor for keyset pagination (overrides offset)
+ * @returns {Promise<Object>} Products data, total count, facets, next cursor and error
  */
-export const getProducts = async ({ category, limit = 12, offset = 0 } = {}) => {
+export const getProducts = async ({
+  category,
+  categories = [],
+  minPrice,
+  maxPrice,
+  inStock = false,
+  sort = PRODUCT_SORT.NEWEST,
+  limit = 12,
+  offset = 0,
+  cursor = null,
+} = {}) => {
   try {
+    const categoryKeys = category ? [category] : categories
+    const { column, ascending } = SORT_ORDER[sort] || SORT_ORDER[PRODUCT_SORT.NEWEST]
+
+    // Expand the selected categories to include their descendants
+    let categoryIds = null
+
+    if (categoryKeys.length > 0) {
+      const { data: subtreeIds, error: categoryError } = await supabase
+        .rpc('get_category_subtree_ids', { category_keys: categoryKeys })
+
+      if (categoryError) throw categoryError
+
+      categoryIds = subtreeIds
+    }
+
     let query = supabase
       .from('products')
       .select(`
@@ -23,22 +73,59 @@ export const getProducts = async ({ category, limit = 12, offset = 0 } = {}) =>
           id,
           image_url,
           is_primary,
-          display_order
+          display_order,
+          medium_path,
+          thumbnail_path
         )
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1)
+      `, { count: 'exact' })
+      .order(column, { ascending })
+      .order('id', { ascending })
+
+    if (cursor) {
+      query = applyCursor(query, cursor, column, ascending).limit(limit)
+    } else {
+      query = query.range(offset, offset + limit - 1)
+    }
 
-    // Filter by category if provided
-    if (category) {
-      query = query.eq('category', category)
+    // Apply filters if provided
+    if (categoryIds) {
+      query = query.in('category_id', categoryIds)
     }
 
-    const { data, error, count } = await query
+    if (minPrice != null) {
+      query = query.gte('price', minPrice)
+    }
 
-    if (error) throw error
+    if (maxPrice != null) {
+      query = query.lt('price', maxPrice)
+    }
+
+    if (inStock) {
+      query = query.gt('stock_quantity', 0)
+    }
 
-    return { data, error: null, count }
+    const [productsResult, facetsResult] = await Promise.all([
+      query,
+      cursor
+        ? { data: null, error: null }
+        : supabase.rpc('get_product_facets', {
+          filter_category_ids: categoryIds,
+          min_price: minPrice ?? null,
+          max_price: maxPrice ?? null,
+          in_stock_only: inStock,
+        }),
+    ])
+
+    if (productsResult.error) throw productsResult.error
+    if (facetsResult.error) throw facetsResult.error
+
+    return {
+      data: productsResult.data,
+      error: null,
+      count: productsResult.count,
+      facets: facetsResult.data,
+      nextCursor: getNextCursor(productsResult.data, limit, column),
+    }
   } catch (error) {
     console.error('Error fetching products:', error)
     return { data: null, error }
@@ -46,7 +133,7 @@ export const getProducts = async ({ category, limit = 12, offset = 0 } = {}) =>
 }
 
 /**
- * Fetch a single product by ID
+ * Fetch a single product by ID, including its options and active variants
  * @param {string} productId - The product ID
  * @returns {Promise<Object>} Product data and error
  */
@@ -60,19 +147,51 @@ export const getProductById = async (productId) => {
           id,
           image_url,
           is_primary,
-          display_order
+          display_order,
+          medium_path,
+          thumbnail_path
+        ),
+        categories (
+          id,
+          parent_id,
+          name,
+          slug
+        ),
+        product_options (
+          id,
+          name,
+          option_values,
+          position
+        ),
+        product_variants (
+          id,
+          sku,
+          options,
+          price,
+          stock_quantity,
+          image_id,
+          is_active,
+          position,
+          product_images (
+            id,
+            image_url
+          )
         )
       `)
       .eq('id', productId)
+      .eq('product_variants.is_active', true)
       .single()
 
     if (error) throw error
 
-    // Sort images by display_order
+    // Sort images, options and variants by display order
     if (data?.product_images) {
       data.product_images.sort((a, b) => a.display_order - b.display_order)
     }
 
+    data?.product_options?.sort((a, b) => a.position - b.position)
+    data?.product_variants?.sort((a, b) => a.position - b.position)
+
     return { data, error: null }
   } catch (error) {
     console.error('Error fetching product:', error)
@@ -81,30 +200,58 @@ export const getProductById = async (productId) => {
 }
 
 /**
- * Search products by name
- * @param {string} searchTerm - The search term
+ * Find the variant matching a set of selected option values
+ * @param {Object} product - Product with product_variants
+ * @param {Object} selectedOptions - Option values keyed by option name (e.g. { Size: 'M' })
+ * @returns {Object|null} The matching variant, or null if none matches
+ */
+export const findVariant = (product, selectedOptions) => {
+  return product?.product_variants?.find(variant =>
+    Object.entries(variant.options).every(
+      ([name, value]) => selectedOptions[name] === value
+    )
+  ) || null
+}
+
+/**
+ * Get the price a customer pays for a product or one of its variants
+ * @param {Object} product - The product
+ * @param {Object|null} variant - The selected variant, if any
+ * @returns {number} Variant price override, or the product price
+ */
+export const getVariantPrice = (product, variant) => {
+  return variant?.price ?? product.price
+}
+
+/**
+ * Search products by name, description and category
+ * Results are ranked by relevance and include highlighted fragments
+ * where matched terms are wrapped in <mark></mark>
+ * @param {string} searchTerm - The search term (partial words are matched)
  * @param {number} limit - Limit number of results
  * @returns {Promise<Object>} Products data and error
  */
 export const searchProducts = async (searchTerm, limit = 20) => {
   try {
     const { data, error } = await supabase
-      .from('products')
-      .select(`
-        *,
-        product_images (
-          id,
-          image_url,
-          is_primary,
-          display_order
-        )
-      `)
-      .ilike('name', `%${searchTerm}%`)
-      .limit(limit)
+      .rpc('search_products', {
+        search_term: searchTerm,
+        result_limit: limit,
+      })
 
     if (error) throw error
 
-    return { data, error: null }
+    // Flatten each row into a product with its search metadata
+    const products = data.map(row => ({
+      ...row.product,
+      rank: row.rank,
+      highlights: {
+        name: row.name_highlight,
+        description: row.description_highlight,
+      },
+    }))
+
+    return { data: products, error: null }
   } catch (error) {
     console.error('Error searching products:', error)
     return { data: null, error }
@@ -112,35 +259,57 @@ export const searchProducts = async (searchTerm, limit = 20) => {
 }
 
 /**
- * Get all unique product categories
+ * Get all product categories as a flat list, ordered for display
  * @returns {Promise<Object>} Categories data and error
  */
 export const getCategories = async () => {
   try {
     const { data, error } = await supabase
-      .from('products')
-      .select('category')
-      .not('category', 'is', null)
+      .from('categories')
+      .select('*')
+      .order('sort_order', { ascending: true })
+      .order('name', { ascending: true })
 
     if (error) throw error
 
-    // Extract unique categories
-    const categories = [...new Set(data.map(item => item.category))]
-
-    return { data: categories, error: null }
+    return { data, error: null }
   } catch (error) {
     console.error('Error fetching categories:', error)
     return { data: null, error }
   }
 }
 
+/**
+ * Nest a flat list of categories under their parents
+ * Sibling order from the input list is preserved
+ * @param {Array<Object>} categories - Categories with id and parent_id
+ * @returns {Array<Object>} Top-level categories, each with a `children` array
+ */
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]))
+  const roots = []
+
+  nodes.forEach(node => {
+    const parent = node.parent_id && nodes.get(node.parent_id)
+
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  return roots
+}
+
 /**
  * Create a new product (admin only)
  * @param {Object} productData - The product data
- * @param {Array<string>} imageUrls - Array of image URLs
+ * @param {Array<string|File>} images - Image URLs and/or image files to upload
+ *   (the first image becomes the primary image)
  * @returns {Promise<Object>} Created product data and error
  */
-export const createProduct = async (productData, imageUrls = []) => {
+export const createProduct = async (productData, images = []) => {
   try {
     // Insert product
     const { data: product, error: productError } = await supabase
@@ -151,20 +320,11 @@ export const createProduct = async (productData, imageUrls = []) => {
 
     if (productError) throw productError
 
-    // Insert images if provided
-    if (imageUrls.length > 0) {
-      const images = imageUrls.map((url, index) => ({
-        product_id: product.id,
-        image_url: url,
-        is_primary: index === 0,
-        display_order: index,
-      }))
+    // Add images in order so display_order follows the array
+    for (const [index, image] of images.entries()) {
+      const { error: imageError } = await addProductImage(product.id, image, index === 0)
 
-      const { error: imagesError } = await supabase
-        .from('product_images')
-        .insert(images)
-
-      if (imagesError) throw imagesError
+      if (imageError) throw imageError
     }
 
     return { data: product, error: null }
@@ -246,11 +406,15 @@ export const updateStock = async (productId, quantity) => {
 /**
  * Add an image to a product
  * @param {string} productId - The product ID
- * @param {string} imageUrl - The image URL
+ * @param {string|File} image - An image URL, or an image file to upload to storage
  * @param {boolean} isPrimary - Whether this should be the primary image
  * @returns {Promise<Object>} Created image data and error
  */
-export const addProductImage = async (productId, imageUrl, isPrimary = false) => {
+export const addProductImage = async (productId, image, isPrimary = false) => {
+  if (image instanceof File) {
+    return uploadProductImage(productId, image, { isPrimary })
+  }
+
   try {
     // Get current max display_order for this product
     const { data: existingImages } = await supabase
@@ -260,22 +424,14 @@ export const addProductImage = async (productId, imageUrl, isPrimary = false) =>
       .order('display_order', { ascending: false })
       .limit(1)
 
-    const nextOrder = existingImages?.[0]?.display_order + 1 || 0
-
-    // If setting as primary, unset other primary images
-    if (isPrimary) {
-      await supabase
-        .from('product_images')
-        .update({ is_primary: false })
-        .eq('product_id', productId)
-    }
+    const nextOrder = existingImages?.length ? existingImages[0].display_order + 1 : 0
 
     const { data, error } = await supabase
       .from('product_images')
       .insert({
         product_id: productId,
-        image_url: imageUrl,
-        is_primary: isPrimary,
+        image_url: image,
+        is_primary: false,
         display_order: nextOrder,
       })
       .select()
@@ -283,6 +439,13 @@ export const addProductImage = async (productId, imageUrl, isPrimary = false) =>
 
     if (error) throw error
 
+    // Switch the primary image in one statement so there are never two
+    if (isPrimary) {
+      const { error: primaryError } = await setPrimaryProductImage(data.id)
+      if (primaryError) throw primaryError
+      data.is_primary = true
+    }
+
     return { data, error: null }
   } catch (error) {
     console.error('Error adding product image:', error)
@@ -291,19 +454,25 @@ export const addProductImage = async (productId, imageUrl, isPrimary = false) =>
 }
 
 /**
- * Delete a product image
+ * Delete a product image, including its uploaded files
  * @param {string} imageId - The image ID
  * @returns {Promise<Object>} Error object
  */
 export const deleteProductImage = async (imageId) => {
   try {
-    const { error } = await supabase
+    const { data: image, error } = await supabase
       .from('product_images')
       .delete()
       .eq('id', imageId)
+      .select()
+      .single()
 
     if (error) throw error
 
+    const { error: filesError } = await removeProductImageFiles(image)
+
+    if (filesError) throw filesError
+
     return { error: null }
   } catch (error) {
     console.error('Error deleting product image:', error)
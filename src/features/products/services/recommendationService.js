@@ -0,0 +1,135 @@
+import { supabase } from '@lib/supabase'
+
+/**
+ * Recommendation Service
+ * Handles "customers also bought" recommendations and recently viewed products
+ */
+
+// Number of recently viewed products kept per customer (matches the database trigger)
+export const RECENTLY_VIEWED_LIMIT = 20
+
+// Columns selected for product tiles
+const PRODUCT_TILE_SELECT = `
+  *,
+  product_images (
+    id,
+    image_url,
+    is_primary,
+    display_order,
+    medium_path,
+    thumbnail_path
+  )
+`
+
+/**
+ * Fetch products frequently bought together with a product,
+ * topped up with bestsellers from the same category
+ * @param {string} productId - The product ID
+ * @param {number} limit - Maximum number of products (default: 8)
+ * @returns {Promise<Object>} Products data and error
+ */
+export const getRelatedProducts = async (productId, limit = 8) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_related_products', {
+        product_uuid: productId,
+        result_limit: limit,
+      })
+      .select(PRODUCT_TILE_SELECT)
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching related products:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Fetch products by ID, returned in the same order as the IDs
+ * Products that no longer exist are skipped
+ * @param {Array<string>} productIds - Product IDs
+ * @returns {Promise<Object>} Products data and error
+ */
+export const getProductsByIds = async (productIds) => {
+  try {
+    if (productIds.length === 0) return { data: [], error: null }
+
+    const { data, error } = await supabase
+      .from('products')
+      .select(PRODUCT_TILE_SELECT)
+      .in('id', productIds)
+
+    if (error) throw error
+
+    const productsById = new Map(data.map(product => [product.id, product]))
+
+    return {
+      data: productIds.map(id => productsById.get(id)).filter(Boolean),
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error fetching products:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Fetch the signed-in user's recently viewed products, most recent first
+ * @returns {Promise<Object>} Entries as { productId, viewedAt } and error
+ */
+export const getRecentlyViewed = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('recently_viewed_products')
+      .select('product_id, viewed_at')
+      .order('viewed_at', { ascending: false })
+      .limit(RECENTLY_VIEWED_LIMIT)
+
+    if (error) throw error
+
+    return {
+      data: data.map(row => ({ productId: row.product_id, viewedAt: row.viewed_at })),
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error fetching recently viewed products:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Save product views for the signed-in user
+ * @param {Array<Object>} entries - Entries as { productId, viewedAt }
+ * @returns {Promise<Object>} Error, if any
+ */
+export const saveRecentlyViewed = async (entries) => {
+  try {
+    if (entries.length === 0) return { error: null }
+
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User not authenticated')
+    }
+
+    const { error } = await supabase
+      .from('recently_viewed_products')
+      .upsert(
+        entries.map(entry => ({
+          customer_id: user.id,
+          product_id: entry.productId,
+          viewed_at: entry.viewedAt,
+        })),
+        { onConflict: 'customer_id,product_id' }
+      )
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error saving recently viewed products:', error)
+    return { error }
+  }
+}
@@ -0,0 +1,266 @@
+import { supabase } from '@lib/supabase'
+import { REVIEW_SORT } from '@utils/constants'
+
+/**
+ * Review Service
+ * Handles product reviews, star ratings and helpful votes
+ */
+
+// Column and direction used for each REVIEW_SORT option
+const SORT_ORDER = {
+  [REVIEW_SORT.NEWEST]: { column: 'created_at', ascending: false },
+  [REVIEW_SORT.HIGHEST]: { column: 'rating', ascending: false },
+  [REVIEW_SORT.LOWEST]: { column: 'rating', ascending: true },
+  [REVIEW_SORT.MOST_HELPFUL]: { column: 'helpful_count', ascending: false },
+}
+
+/**
+ * Fetch reviews for a product
+ * When signed in, each review has `voted_helpful` and `is_own` flags for the current user
+ * @param {string} productId - The product ID
+ * @param {Object} options - Query options
+ * @param {string} options.sort - One of REVIEW_SORT (default: newest)
+ * @param {number} options.limit - Limit number of results
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<Object>} Reviews data, total count and error
+ */
+export const getProductReviews = async (productId, {
+  sort = REVIEW_SORT.NEWEST,
+  limit = 10,
+  offset = 0,
+} = {}) => {
+  try {
+    const { column, ascending } = SORT_ORDER[sort] || SORT_ORDER[REVIEW_SORT.NEWEST]
+
+    const { data, error, count } = await supabase
+      .from('product_reviews')
+      .select('*', { count: 'exact' })
+      .eq('product_id', productId)
+      .order(column, { ascending })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) throw error
+
+    const { data: { user } } = await supabase.auth.getUser()
+    let votedReviewIds = new Set()
+
+    if (user && data.length > 0) {
+      const { data: votes, error: votesError } = await supabase
+        .from('review_helpful_votes')
+        .select('review_id')
+        .eq('customer_id', user.id)
+        .in('review_id', data.map(review => review.id))
+
+      if (votesError) throw votesError
+
+      votedReviewIds = new Set(votes.map(vote => vote.review_id))
+    }
+
+    const reviews = data.map(review => ({
+      ...review,
+      voted_helpful: votedReviewIds.has(review.id),
+      is_own: review.customer_id === user?.id,
+    }))
+
+    return { data: reviews, error: null, count }
+  } catch (error) {
+    console.error('Error fetching product reviews:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Check whether the current user can review a product
+ * (signed in, has a delivered order containing it, and hasn't reviewed it yet)
+ * @param {string} productId - The product ID
+ * @returns {Promise<Object>} Eligibility boolean and error
+ */
+export const canReviewProduct = async (productId) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      return { data: false, error: null }
+    }
+
+    const [purchased, existing] = await Promise.all([
+      supabase.rpc('has_purchased_product', { product_uuid: productId }),
+      supabase
+        .from('product_reviews')
+        .select('id')
+        .eq('product_id', productId)
+        .eq('customer_id', user.id)
+        .maybeSingle(),
+    ])
+
+    if (purchased.error) throw purchased.error
+    if (existing.error) throw existing.error
+
+    return { data: purchased.data && !existing.data, error: null }
+  } catch (error) {
+    console.error('Error checking review eligibility:', error)
+    return { data: false, error }
+  }
+}
+
+/**
+ * Validate review data
+ * @param {Object} reviewData - Review data to validate
+ * @returns {Object} Validation result with isValid and errors
+ */
+export const validateReviewData = (reviewData) => {
+  const errors = []
+
+  if (!Number.isInteger(reviewData.rating) || reviewData.rating < 1 || reviewData.rating > 5) {
+    errors.push('Rating must be a whole number from 1 to 5')
+  }
+
+  if (reviewData.title && reviewData.title.length > 120) {
+    errors.push('Title must be 120 characters or less')
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  }
+}
+
+/**
+ * Create a review for a product
+ * @param {string} productId - The product ID
+ * @param {Object} reviewData - Review fields
+ * @param {number} reviewData.rating - Star rating from 1 to 5
+ * @param {string} reviewData.title - Review title (optional)
+ * @param {string} reviewData.body - Review text (optional)
+ * @returns {Promise<Object>} Created review data and error
+ */
+export const createReview = async (productId, { rating, title, body }) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User must be authenticated to write a review')
+    }
+
+    const validation = validateReviewData({ rating, title })
+
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join('. '))
+    }
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .insert({
+        product_id: productId,
+        customer_id: user.id,
+        rating,
+        title,
+        body,
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error creating review:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Update one of the current user's reviews
+ * @param {string} reviewId - The review ID
+ * @param {Object} updates - Fields to update (rating, title, body)
+ * @returns {Promise<Object>} Updated review data and error
+ */
+export const updateReview = async (reviewId, updates) => {
+  try {
+    // Only allow editing the review content
+    const { rating, title, body } = updates
+    const safeUpdates = Object.fromEntries(
+      Object.entries({ rating, title, body }).filter(([, value]) => value !== undefined)
+    )
+
+    if (safeUpdates.rating !== undefined) {
+      const validation = validateReviewData(safeUpdates)
+
+      if (!validation.isValid) {
+        throw new Error(validation.errors.join('. '))
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update(safeUpdates)
+      .eq('id', reviewId)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating review:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Delete one of the current user's reviews
+ * @param {string} reviewId - The review ID
+ * @returns {Promise<Object>} Error object
+ */
+export const deleteReview = async (reviewId) => {
+  try {
+    const { error } = await supabase
+      .from('product_reviews')
+      .delete()
+      .eq('id', reviewId)
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error deleting review:', error)
+    return { error }
+  }
+}
+
+/**
+ * Mark a review as helpful, or remove the current user's helpful vote
+ * @param {string} reviewId - The review ID
+ * @param {boolean} helpful - true to vote, false to remove the vote
+ * @returns {Promise<Object>} Error object
+ */
+export const setReviewHelpful = async (reviewId, helpful = true) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User must be authenticated to vote on reviews')
+    }
+
+    const { error } = helpful
+      ? await supabase
+        .from('review_helpful_votes')
+        .upsert(
+          { review_id: reviewId, customer_id: user.id },
+          { onConflict: 'review_id,customer_id', ignoreDuplicates: true }
+        )
+      : await supabase
+        .from('review_helpful_votes')
+        .delete()
+        .eq('review_id', reviewId)
+        .eq('customer_id', user.id)
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error voting on review:', error)
+    return { error }
+  }
+}
@@ -0,0 +1,88 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import {
+  RECENTLY_VIEWED_LIMIT,
+  getRecentlyViewed,
+  saveRecentlyViewed,
+} from '../services/recommendationService'
+
+/**
+ * Put entries in most-recent-first order, one per product, capped at the limit
+ * @param {Array<Object>} entries - Entries as { productId, viewedAt }
+ * @returns {Array<Object>} Normalized entries
+ */
+const normalizeEntries = (entries) => {
+  const latest = new Map()
+
+  entries.forEach(entry => {
+    const existing = latest.get(entry.productId)
+    if (!existing || new Date(entry.viewedAt) > new Date(existing.viewedAt)) {
+      latest.set(entry.productId, entry)
+    }
+  })
+
+  return [...latest.values()]
+    .sort((a, b) => new Date(b.viewedAt) - new Date(a.viewedAt))
+    .slice(0, RECENTLY_VIEWED_LIMIT)
+}
+
+/**
+ * Recently viewed products store
+ * Guests keep their history in localStorage. After login (see authStore.signIn) it is
+ * merged into the account history and every new view is saved to Supabase.
+ */
+const useRecentlyViewedStore = create(
+  persist(
+    (set, get) => ({
+      entries: [],
+      // Whether views are being saved to the signed-in user's account
+      synced: false,
+
+      // Record that a product was viewed
+      recordView: async (productId) => {
+        const entry = { productId, viewedAt: new Date().toISOString() }
+        set({ entries: normalizeEntries([entry, ...get().entries]) })
+
+        if (!get().synced) return { error: null }
+
+        return saveRecentlyViewed([entry])
+      },
+
+      // Merge local history into the signed-in user's history and load it
+      syncWithAccount: async () => {
+        const { data: accountEntries, error } = await getRecentlyViewed()
+
+        if (error) return { error }
+
+        // Only upload views newer than what the account already has
+        const accountViewedAt = new Map(accountEntries.map(entry => [entry.productId, entry.viewedAt]))
+        const newerEntries = get().entries.filter(entry =>
+          !accountViewedAt.has(entry.productId) ||
+          new Date(entry.viewedAt) > new Date(accountViewedAt.get(entry.productId))
+        )
+
+        const { error: saveError } = await saveRecentlyViewed(newerEntries)
+
+        if (saveError) return { error: saveError }
+
+        set({
+          entries: normalizeEntries([...newerEntries, ...accountEntries]),
+          synced: true,
+        })
+
+        return { error: null }
+      },
+
+      // Forget the history (on sign out)
+      clear: () => {
+        set({ entries: [], synced: false })
+      },
+    }),
+    {
+      name: 'recently-viewed-storage',
+      partialize: (state) => ({ entries: state.entries, synced: state.synced }),
+    }
+  )
+)
+
+export default useRecentlyViewedStore
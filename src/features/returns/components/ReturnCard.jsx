@@ -0,0 +1,70 @@
+import Badge from '@components/ui/Badge'
+import Card from '@components/ui/Card'
+import { formatCurrency, formatDate } from '@utils/formatters'
+import { RETURN_STATUS } from '@utils/constants'
+import { useReturnPhotos } from '../hooks/useReturns'
+import { getReturnReasonLabel, getReturnStatusInfo } from '../services/returnService'
+
+/**
+ * Return request summary: status, items, reason, photos and refund
+ * @param {Object} props.returnRequest - Return with return_items (as returned by getUserReturns)
+ */
+const ReturnCard = ({ returnRequest }) => {
+  const statusInfo = getReturnStatusInfo(returnRequest.status)
+  const { urls } = useReturnPhotos(returnRequest.photo_paths)
+
+  return (
+    <Card className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <p className="font-semibold text-gray-900">Return {returnRequest.return_number}</p>
+          <p className="text-sm text-gray-500">
+            {returnRequest.orders?.order_number && `Order #${returnRequest.orders.order_number} · `}
+            {formatDate(returnRequest.created_at)}
+          </p>
+        </div>
+        <Badge variant={statusInfo.color}>{statusInfo.label}</Badge>
+      </div>
+
+      <p className="text-sm text-gray-600">{statusInfo.description}</p>
+
+      <ul className="divide-y divide-gray-100 text-sm text-gray-700">
+        {returnRequest.return_items.map(item => (
+          <li key={item.id} className="flex justify-between gap-4 py-2">
+            <span>
+              {item.order_items?.products?.name || 'Product no longer available'}
+              {item.order_items?.product_variants && ` (${Object.values(item.order_items.product_variants.options).join(', ')})`}
+              {' '}× {item.quantity}
+            </span>
+            <span>{formatCurrency(Number(item.refund_amount))}</span>
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-sm text-gray-600">
+        Reason: {getReturnReasonLabel(returnRequest.reason)}
+        {returnRequest.details && ` — ${returnRequest.details}`}
+      </p>
+
+      {urls.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {urls.map(url => (
+            <a key={url} href={url} target="_blank" rel="noreferrer">
+              <img src={url} alt="Return photo" className="h-16 w-16 rounded object-cover" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {returnRequest.staff_note && (
+        <p className="text-sm text-gray-700">Note from us: {returnRequest.staff_note}</p>
+      )}
+
+      <p className="text-sm font-medium text-gray-900">
+        {returnRequest.status === RETURN_STATUS.REFUNDED ? 'Refunded' : 'Refund'}: {formatCurrency(Number(returnRequest.refund_amount))}
+      </p>
+    </Card>
+  )
+}
+
+export default ReturnCard
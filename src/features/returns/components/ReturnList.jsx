@@ -0,0 +1,30 @@
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { useReturns } from '../hooks/useReturns'
+import ReturnCard from './ReturnCard'
+
+/**
+ * The signed-in customer's returns, newest first (for the account page)
+ */
+const ReturnList = () => {
+  const { returns, loading, error } = useReturns()
+
+  if (loading && returns.length === 0) return <LoadingSpinner />
+
+  return (
+    <section className="space-y-4">
+      <h2 className="text-xl font-semibold text-gray-900">Returns</h2>
+
+      {error && <p className="text-red-600">Failed to load returns</p>}
+
+      {!error && returns.length === 0 && (
+        <p className="text-gray-600">You haven't returned anything.</p>
+      )}
+
+      {returns.map(returnRequest => (
+        <ReturnCard key={returnRequest.id} returnRequest={returnRequest} />
+      ))}
+    </section>
+  )
+}
+
+export default ReturnList
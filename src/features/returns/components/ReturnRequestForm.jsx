@@ -0,0 +1,108 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import Button from '@components/ui/Button'
+import { RETURN_REASON } from '@utils/constants'
+import { returnRequestSchema } from '../returnSchema'
+import { getReturnReasonLabel } from '../services/returnService'
+
+const selectClassName = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+/**
+ * Form to choose items from a delivered order to return
+ * @param {Object} props.order - Order with order_items
+ * @param {Object} props.returnableQuantities - Units still returnable per order item ID
+ * @param {Function} props.onSubmit - Called with { items, reason, details, photos } (see requestReturn)
+ * @param {boolean} props.submitting - Whether the request is being sent
+ */
+const ReturnRequestForm = ({ order, returnableQuantities, onSubmit, submitting = false }) => {
+  const lines = order.order_items.filter(item => returnableQuantities[item.id] > 0)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(returnRequestSchema),
+    defaultValues: {
+      quantities: Object.fromEntries(lines.map(item => [item.id, 0])),
+      reason: '',
+      details: '',
+    },
+  })
+
+  const submit = (data) => {
+    onSubmit({
+      items: Object.entries(data.quantities)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([orderItemId, quantity]) => ({ orderItemId, quantity })),
+      reason: data.reason,
+      details: data.details,
+      photos: Array.from(data.photos || []),
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit(submit)} className="space-y-4">
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-1">Items to return</legend>
+        {lines.map(item => (
+          <label key={item.id} className="flex items-center justify-between gap-4 text-sm text-gray-700">
+            <span>
+              {item.products?.name || 'Product no longer available'}
+              {item.product_variants && ` (${Object.values(item.product_variants.options).join(', ')})`}
+            </span>
+            <select className={`${selectClassName} w-24`} {...register(`quantities.${item.id}`)}>
+              {Array.from({ length: returnableQuantities[item.id] + 1 }, (_, quantity) => (
+                <option key={quantity} value={quantity}>{quantity}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        {errors.quantities && (
+          <p className="text-sm text-red-600">{errors.quantities.message}</p>
+        )}
+      </fieldset>
+
+      <div>
+        <label htmlFor="return-reason" className="block text-sm font-medium text-gray-700 mb-1">
+          Reason
+        </label>
+        <select id="return-reason" className={selectClassName} {...register('reason')}>
+          <option value="">Select…</option>
+          {Object.values(RETURN_REASON).map(reason => (
+            <option key={reason} value={reason}>{getReturnReasonLabel(reason)}</option>
+          ))}
+        </select>
+        {errors.reason && (
+          <p className="mt-1 text-sm text-red-600">{errors.reason.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="return-details" className="block text-sm font-medium text-gray-700 mb-1">
+          Details (optional)
+        </label>
+        <textarea id="return-details" rows={3} className={selectClassName} {...register('details')} />
+        {errors.details && (
+          <p className="mt-1 text-sm text-red-600">{errors.details.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="return-photos" className="block text-sm font-medium text-gray-700 mb-1">
+          Photos (optional)
+        </label>
+        <input id="return-photos" type="file" accept="image/*" multiple className="text-sm" {...register('photos')} />
+        {errors.photos && (
+          <p className="mt-1 text-sm text-red-600">{errors.photos.message}</p>
+        )}
+      </div>
+
+      <Button type="submit" disabled={submitting}>
+        {submitting ? 'Sending...' : 'Request Return'}
+      </Button>
+    </form>
+  )
+}
+
+export default ReturnRequestForm
@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  getUserReturns,
+  getOrderReturns,
+  getReturnPhotoUrls,
+  getReturnWindowDays,
+  requestReturn as requestReturnService,
+} from '../services/returnService'
+
+/**
+ * Custom hook to fetch the current user's returns
+ * @returns {Object} Returns, loading state, error, and refetch function
+ */
+export const useReturns = () => {
+  const [returns, setReturns] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const refetch = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const result = await getUserReturns()
+
+    if (result.error) {
+      setError(result.error)
+    } else {
+      setReturns(result.data)
+    }
+
+    setLoading(false)
+  }, [])
+
+  useEffect(() => {
+    refetch()
+  }, [refetch])
+
+  return {
+    returns,
+    loading,
+    error,
+    refetch,
+  }
+}
+
+/**
+ * Custom hook for an order's returns, with a function to request a new one
+ * The list reloads after a return is requested. Also loads the return window
+ * (days after delivery) for getReturnDeadline and isReturnWindowOpen.
+ * @param {string} orderId - The order ID
+ * @returns {Object} Returns, return window, request function, loading/submitting state, and error
+ */
+export const useOrderReturns = (orderId) => {
+  const [returns, setReturns] = useState([])
+  const [windowDays, setWindowDays] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const refetch = useCallback(async () => {
+    if (!orderId) {
+      setLoading(false)
+      return
+    }
+
+    setLoading(true)
+    setError(null)
+
+    const [result, windowResult] = await Promise.all([
+      getOrderReturns(orderId),
+      getReturnWindowDays(),
+    ])
+
+    if (result.error || windowResult.error) {
+      setError(result.error || windowResult.error)
+    } else {
+      setReturns(result.data)
+      setWindowDays(windowResult.data)
+    }
+
+    setLoading(false)
+  }, [orderId])
+
+  useEffect(() => {
+    refetch()
+  }, [refetch])
+
+  const requestReturn = async (returnData) => {
+    setSubmitting(true)
+
+    const result = await requestReturnService(orderId, returnData)
+
+    if (!result.error) {
+      await refetch()
+    }
+
+    setSubmitting(false)
+    return result
+  }
+
+  return {
+    returns,
+    windowDays,
+    loading,
+    submitting,
+    error,
+    requestReturn,
+    refetch,
+  }
+}
+
+/**
+ * Custom hook to load temporary URLs for a return's photos
+ * @param {Array<string>} paths - The return's photo_paths
+ * @returns {Object} Photo URLs, loading state, and error
+ */
+export const useReturnPhotos = (paths) => {
+  const [urls, setUrls] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const key = (paths || []).join(',')
+
+  useEffect(() => {
+    if (!key) {
+      setUrls([])
+      return
+    }
+
+    let cancelled = false
+
+    const fetchUrls = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getReturnPhotoUrls(key.split(','))
+      if (cancelled) return
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setUrls(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchUrls()
+
+    return () => {
+      cancelled = true
+    }
+  }, [key])
+
+  return {
+    urls,
+    loading,
+    error,
+  }
+}
@@ -0,0 +1,22 @@
+import { z } from 'zod'
+import { MAX_RETURN_PHOTOS, RETURN_REASON } from '@utils/constants'
+
+// Return request form: a quantity per order line (keyed by order item ID),
+// a reason, optional details and optional photos (a FileList from the file input)
+export const returnRequestSchema = z.object({
+  quantities: z.record(z.string(), z.coerce.number().int().min(0)),
+  reason: z.enum(Object.values(RETURN_REASON), { error: 'Please choose a reason' }),
+  details: z.string().trim().max(1000, 'Please keep the details under 1000 characters').optional(),
+  photos: z.any()
+    .refine(files => !files || files.length <= MAX_RETURN_PHOTOS, `Attach up to ${MAX_RETURN_PHOTOS} photos`)
+    .refine(
+      files => !files || Array.from(files).every(file => file.type?.startsWith('image/')),
+      'Photos must be images'
+    ),
+}).refine(
+  request => Object.values(request.quantities).some(quantity => quantity > 0),
+  { message: 'Choose at least one item to return', path: ['quantities'] }
+).refine(
+  request => request.reason !== RETURN_REASON.OTHER || !!request.details,
+  { message: 'Please tell us why you are returning the items', path: ['details'] }
+)
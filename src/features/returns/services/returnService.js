@@ -0,0 +1,357 @@
+import { supabase } from '@lib/supabase'
+import { resizeImage, getImageExtension } from '@utils/image'
+import {
+  IMAGE_RENDITIONS,
+  ORDER_STATUS,
+  RETURN_PHOTO_BUCKET,
+  RETURN_REASON,
+  RETURN_STATUS,
+} from '@utils/constants'
+import { getActiveQuantities } from '@features/orders/services/orderService'
+
+/**
+ * Return Service
+ * Handles return (RMA) requests for delivered orders. Customers open them with
+ * request_return; staff move them along with update_return_status, which
+ * restocks the items when they are received.
+ */
+
+const RETURN_SELECT = `
+  *,
+  orders (
+    id,
+    order_number
+  ),
+  return_items (
+    id,
+    order_item_id,
+    quantity,
+    refund_amount,
+    order_items (
+      id,
+      quantity,
+      price_at_time,
+      product_variants (
+        id,
+        options
+      ),
+      products (
+        id,
+        name
+      )
+    )
+  )
+`
+
+const RETURN_REASON_LABELS = {
+  [RETURN_REASON.DAMAGED]: 'Arrived damaged',
+  [RETURN_REASON.WRONG_ITEM]: 'Wrong item sent',
+  [RETURN_REASON.NOT_AS_DESCRIBED]: 'Not as described',
+  [RETURN_REASON.NO_LONGER_NEEDED]: 'No longer needed',
+  [RETURN_REASON.OTHER]: 'Other',
+}
+
+/**
+ * Get the display text of a return reason
+ * @param {string} reason - One of RETURN_REASON
+ * @returns {string} Display text
+ */
+export const getReturnReasonLabel = (reason) => {
+  return RETURN_REASON_LABELS[reason] || reason
+}
+
+/**
+ * Get return status display info
+ * @param {string} status - Return status
+ * @returns {Object} Display information for the status
+ */
+export const getReturnStatusInfo = (status) => {
+  const statusInfo = {
+    [RETURN_STATUS.REQUESTED]: {
+      label: 'Requested',
+      color: 'warning',
+      description: 'We are reviewing your return request',
+    },
+    [RETURN_STATUS.APPROVED]: {
+      label: 'Approved',
+      color: 'info',
+      description: 'Please send the items back to us',
+    },
+    [RETURN_STATUS.RECEIVED]: {
+      label: 'Received',
+      color: 'primary',
+      description: 'We have received the items and will refund you shortly',
+    },
+    [RETURN_STATUS.REFUNDED]: {
+      label: 'Refunded',
+      color: 'success',
+      description: 'Your refund has been issued',
+    },
+    [RETURN_STATUS.REJECTED]: {
+      label: 'Rejected',
+      color: 'danger',
+      description: 'This return was not accepted',
+    },
+  }
+
+  return statusInfo[status] || {
+    label: status,
+    color: 'default',
+    description: '',
+  }
+}
+
+/**
+ * Get how many days after delivery items can be returned
+ * @returns {Promise<Object>} Days (from return_window_days()) and error
+ */
+export const getReturnWindowDays = async () => {
+  try {
+    const { data, error } = await supabase.rpc('return_window_days')
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching return window:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get the last day items from an order can be returned
+ * @param {string} deliveredAt - When the order was delivered (from useOrder)
+ * @param {number} windowDays - Days after delivery items can be returned (from getReturnWindowDays)
+ * @returns {Date|null} End of the return window, or null if not delivered
+ */
+export const getReturnDeadline = (deliveredAt, windowDays) => {
+  if (!deliveredAt || windowDays == null) return null
+
+  const deadline = new Date(deliveredAt)
+  deadline.setDate(deadline.getDate() + windowDays)
+  return deadline
+}
+
+/**
+ * Check if items from an order can still be returned
+ * @param {Object} order - The order object
+ * @param {string} deliveredAt - When the order was delivered (from useOrder)
+ * @param {number} windowDays - Days after delivery items can be returned (from getReturnWindowDays)
+ * @returns {boolean} Whether the order is delivered and within the return window
+ */
+export const isReturnWindowOpen = (order, deliveredAt, windowDays) => {
+  const deadline = getReturnDeadline(deliveredAt, windowDays)
+  return order?.status === ORDER_STATUS.DELIVERED && !!deadline && deadline >= new Date()
+}
+
+/**
+ * Get how many units of each order line can still be returned
+ * Cancelled units can't be returned; lines in rejected returns can be returned again.
+ * @param {Object} order - Order with order_items
+ * @param {Array<Object>} returns - The order's returns (from getOrderReturns)
+ * @returns {Object} Remaining quantity keyed by order item ID
+ */
+export const getReturnableQuantities = (order, returns = []) => {
+  const remaining = getActiveQuantities(order)
+
+  returns
+    .filter(request => request.status !== RETURN_STATUS.REJECTED)
+    .flatMap(request => request.return_items)
+    .forEach(item => {
+      remaining[item.order_item_id] = Math.max(0, (remaining[item.order_item_id] || 0) - item.quantity)
+    })
+
+  return remaining
+}
+
+/**
+ * Upload a return photo into the current user's folder
+ * Photos are resized to the medium rendition size before uploading.
+ * @param {string} userId - The current user's ID
+ * @param {File} file - The image file chosen by the customer
+ * @returns {Promise<string>} Storage path
+ */
+const uploadReturnPhoto = async (userId, file) => {
+  if (!file.type?.startsWith('image/')) {
+    throw new Error('Only image files can be uploaded')
+  }
+
+  const photo = await resizeImage(file, IMAGE_RENDITIONS.MEDIUM)
+  const path = `${userId}/${crypto.randomUUID()}.${getImageExtension(photo.type)}`
+
+  const { error } = await supabase.storage
+    .from(RETURN_PHOTO_BUCKET)
+    .upload(path, photo, { contentType: photo.type, upsert: false })
+
+  if (error) throw error
+
+  return path
+}
+
+/**
+ * Get temporary URLs for a return's photos (the bucket is private)
+ * @param {Array<string>} paths - The return's photo_paths
+ * @returns {Promise<Object>} URLs (in the same order) and error
+ */
+export const getReturnPhotoUrls = async (paths) => {
+  try {
+    if (!paths?.length) {
+      return { data: [], error: null }
+    }
+
+    const { data, error } = await supabase.storage
+      .from(RETURN_PHOTO_BUCKET)
+      .createSignedUrls(paths, 60 * 60)
+
+    if (error) throw error
+
+    return { data: data.map(photo => photo.signedUrl), error: null }
+  } catch (error) {
+    console.error('Error fetching return photos:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Request a return for items from a delivered order
+ * Uploads the photos, then calls request_return, which checks the return window
+ * and the quantities still returnable.
+ * @param {string} orderId - The order ID
+ * @param {Object} returnData - Return information
+ * @param {Array<Object>} returnData.items - Lines to return ({ orderItemId, quantity })
+ * @param {string} returnData.reason - One of RETURN_REASON
+ * @param {string} returnData.details - Optional description of the problem
+ * @param {Array<File>} returnData.photos - Optional photos
+ * @returns {Promise<Object>} Created return and error
+ */
+export const requestReturn = async (orderId, { items, reason, details = '', photos = [] }) => {
+  let photoPaths = []
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User must be authenticated')
+    }
+
+    photoPaths = await Promise.all(photos.map(photo => uploadReturnPhoto(user.id, photo)))
+
+    const { data, error } = await supabase.rpc('request_return', {
+      order_uuid: orderId,
+      items: items.map(item => ({ order_item_id: item.orderItemId, quantity: item.quantity })),
+      reason,
+      details,
+      photo_paths: photoPaths,
+    })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error requesting return:', error)
+
+    // Don't leave photos behind for a return that wasn't created
+    if (photoPaths.length > 0) {
+      await supabase.storage.from(RETURN_PHOTO_BUCKET).remove(photoPaths)
+    }
+
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get the current user's returns, newest first
+ * @returns {Promise<Object>} Returns and error
+ */
+export const getUserReturns = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser()
+
+    if (!user) {
+      throw new Error('User must be authenticated')
+    }
+
+    const { data, error } = await supabase
+      .from('return_requests')
+      .select(RETURN_SELECT)
+      .eq('customer_id', user.id)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching returns:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get the returns for an order, oldest first
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Object>} Returns and error
+ */
+export const getOrderReturns = async (orderId) => {
+  try {
+    const { data, error } = await supabase
+      .from('return_requests')
+      .select(RETURN_SELECT)
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error fetching order returns:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Move a return to its next status (staff only)
+ * Marking it received puts the items back into stock. To refund it, use refundReturn.
+ * @param {string} returnId - The return ID
+ * @param {string} newStatus - approved, rejected or received
+ * @param {string} note - Optional note shown to the customer (e.g. why it was rejected)
+ * @returns {Promise<Object>} Updated return and error
+ */
+export const updateReturnStatus = async (returnId, newStatus, note = null) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('update_return_status', { return_uuid: returnId, new_status: newStatus, note })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating return status:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Refund a received return through the payment provider and mark it refunded (staff only)
+ * The refund-payment Edge Function refunds the return's refund_amount.
+ * @param {Object} returnRequest - The return (with id and status)
+ * @param {string} note - Optional note shown to the customer
+ * @returns {Promise<Object>} Updated return and error
+ */
+export const refundReturn = async (returnRequest, note = null) => {
+  try {
+    if (returnRequest.status !== RETURN_STATUS.RECEIVED) {
+      throw new Error('Only received returns can be refunded')
+    }
+
+    const { data, error } = await supabase.functions.invoke('refund-payment', {
+      body: { returnId: returnRequest.id, note },
+    })
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error refunding return:', error)
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,45 @@
+import { clsx } from 'clsx'
+import { formatCurrency } from '@utils/formatters'
+import { getDeliveryEstimate } from '../services/shippingService'
+
+/**
+ * Radio list of shipping methods for checkout
+ * @param {Array<Object>} props.rates - Rates from useShippingRates
+ * @param {string} props.value - Selected method ID
+ * @param {Function} props.onChange - Called with the selected method ID
+ */
+const ShippingMethodPicker = ({ rates, value, onChange }) => {
+  return (
+    <fieldset className="space-y-2">
+      <legend className="block text-sm font-medium text-gray-700 mb-1">Shipping method</legend>
+      {rates.map(rate => (
+        <label
+          key={rate.id}
+          className={clsx(
+            'flex items-center gap-3 p-3 border rounded-lg cursor-pointer',
+            value === rate.id ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+          )}
+        >
+          <input
+            type="radio"
+            name="shipping-method"
+            value={rate.id}
+            checked={value === rate.id}
+            onChange={() => onChange(rate.id)}
+          />
+          <span className="flex-grow">
+            <span className="block font-medium text-gray-900">{rate.name}</span>
+            <span className="block text-sm text-gray-500">
+              {rate.description || getDeliveryEstimate(rate)}
+            </span>
+          </span>
+          <span className="font-medium text-gray-900">
+            {rate.isFree ? 'Free' : formatCurrency(rate.price)}
+          </span>
+        </label>
+      ))}
+    </fieldset>
+  )
+}
+
+export default ShippingMethodPicker
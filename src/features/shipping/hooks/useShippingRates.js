@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react'
+import useDebounce from '@hooks/useDebounce'
+import { getRates } from '../services/shippingService'
+
+/**
+ * Custom hook that loads the shipping methods available for the cart and address
+ * Waits until a country is chosen and reloads (debounced) when the address,
+ * cart lines or coupon change.
+ * @param {Array<Object>} items - Cart store items
+ * @param {Object} address - Shipping address ({ country, region, postal_code, ... })
+ * @param {string} couponCode - Optional applied coupon code
+ * @returns {Object} Rates (empty until a country is set), loading state, and error
+ */
+export const useShippingRates = (items, address, couponCode = null) => {
+  const [rates, setRates] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const key = useDebounce(JSON.stringify({
+    lines: items.map(item => `${item.lineId}:${item.quantity}`),
+    country: address.country,
+    region: address.region,
+    postalCode: address.postal_code,
+    couponCode,
+  }), 400)
+
+  useEffect(() => {
+    const { country, region, postalCode, couponCode: code } = JSON.parse(key)
+
+    if (!country || items.length === 0) {
+      setRates([])
+      return
+    }
+
+    let cancelled = false
+
+    const fetchRates = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getRates(items, { country, region, postal_code: postalCode }, code)
+      if (cancelled) return
+
+      if (result.error) {
+        setError(result.error)
+        setRates([])
+      } else {
+        setRates(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchRates()
+
+    return () => {
+      cancelled = true
+    }
+    // key captures everything the rates depend on
+  }, [key])
+
+  return { rates, loading, error }
+}
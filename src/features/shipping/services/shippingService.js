@@ -0,0 +1,84 @@
+import { supabase } from '@lib/supabase'
+
+/**
+ * Shipping Service
+ * Lists the shipping methods (and their prices) available for a cart and address.
+ * Prices come from get_shipping_rates, which place_order also uses to charge shipping.
+ */
+
+/**
+ * Convert a structured address to the shipping JSON the tax, shipping and order RPCs expect
+ * @param {Object} address - Address with the customer_addresses fields
+ *   ({ full_name, line1, line2, city, region, postal_code, country, phone })
+ * @param {string} methodId - Chosen shipping method ID
+ * @returns {Object} { name, line1, line2, city, state, postal_code, country, phone, method_id }
+ */
+export const toShippingPayload = (address = {}, methodId = null) => ({
+  name: address.full_name || null,
+  line1: address.line1 || null,
+  line2: address.line2 || null,
+  city: address.city || null,
+  state: address.region || null,
+  postal_code: address.postal_code || null,
+  country: address.country || null,
+  phone: address.phone || null,
+  method_id: methodId,
+})
+
+/**
+ * Get the shipping methods available for a cart shipped to an address, cheapest first
+ * Prices depend on the destination zone and the order's weight or value; methods
+ * are free over their threshold or with a free-shipping coupon.
+ * @param {Array<Object>} cart - Cart store items (with id, variant and quantity)
+ * @param {Object} address - Shipping address ({ country, region, postal_code, ... })
+ * @param {string} couponCode - Optional applied coupon code
+ * @returns {Promise<Object>} Rates ([{ id, code, name, description, minDeliveryDays,
+ *   maxDeliveryDays, price, isFree }]) and error
+ */
+export const getRates = async (cart, address, couponCode = null) => {
+  try {
+    const { data, error } = await supabase.rpc('get_shipping_rates', {
+      items: cart.map(item => ({
+        product_id: item.id,
+        variant_id: item.variant?.id ?? null,
+        quantity: item.quantity,
+      })),
+      shipping: toShippingPayload(address),
+      coupon_code: couponCode,
+    })
+
+    if (error) throw error
+
+    return {
+      data: data.map(rate => ({
+        id: rate.method_id,
+        code: rate.code,
+        name: rate.name,
+        description: rate.description,
+        minDeliveryDays: rate.min_delivery_days,
+        maxDeliveryDays: rate.max_delivery_days,
+        price: Number(rate.price),
+        isFree: rate.is_free,
+      })),
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error fetching shipping rates:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Get a delivery estimate label for a shipping rate
+ * @param {Object} rate - Rate from getRates
+ * @returns {string} e.g. "3–7 business days" ('' when unknown)
+ */
+export const getDeliveryEstimate = (rate) => {
+  const { minDeliveryDays: min, maxDeliveryDays: max } = rate
+  if (min == null && max == null) return ''
+  if (min == null || max == null || min === max) {
+    const days = max ?? min
+    return `${days} business ${days === 1 ? 'day' : 'days'}`
+  }
+  return `${min}–${max} business days`
+}
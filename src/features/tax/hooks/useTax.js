@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react'
+import useDebounce from '@hooks/useDebounce'
+import { calculateTax } from '../services/taxService'
+
+/**
+ * Custom hook that calculates tax for the cart as the shipping address is entered
+ * Waits until a country is chosen and recalculates (debounced) when the address,
+ * cart lines or coupon change.
+ * @param {Array<Object>} items - Cart store items
+ * @param {Object} address - Shipping address ({ country, region, postal_code, ... })
+ * @param {string} couponCode - Optional applied coupon code
+ * @returns {Object} Tax breakdown (null until a country is set), loading state, and error
+ */
+export const useTax = (items, address, couponCode = null) => {
+  const [breakdown, setBreakdown] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const key = useDebounce(JSON.stringify({
+    lines: items.map(item => `${item.lineId}:${item.quantity}`),
+    country: address.country,
+    region: address.region,
+    postalCode: address.postal_code,
+    couponCode,
+  }), 400)
+
+  useEffect(() => {
+    const { country, region, postalCode, couponCode: code } = JSON.parse(key)
+
+    if (!country || items.length === 0) {
+      setBreakdown(null)
+      return
+    }
+
+    let cancelled = false
+
+    const fetchTax = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await calculateTax(items, { country, region, postal_code: postalCode }, code)
+      if (cancelled) return
+
+      if (result.error) {
+        setError(result.error)
+        setBreakdown(null)
+      } else {
+        setBreakdown(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchTax()
+
+    return () => {
+      cancelled = true
+    }
+    // key captures everything the calculation depends on
+  }, [key])
+
+  return { breakdown, loading, error }
+}
@@ -0,0 +1,57 @@
+import { supabase } from '@lib/supabase'
+import { getCartLineId } from '@utils/cart'
+import { toShippingPayload } from '@features/shipping/services/shippingService'
+
+/**
+ * Tax Service
+ * Calculates tax for a cart from the shipping address using the tax_rates table.
+ * The server (calculate_order_tax) picks the most specific rate per line, the same
+ * way place_order taxes the order.
+ */
+
+/**
+ * Calculate subtotal, discount, tax and total for a cart shipped to an address
+ * Tax is charged on each line after its coupon discount. Lines priced with tax
+ * included (e.g. VAT) report their tax but don't add it to the total.
+ * @param {Array<Object>} cart - Cart store items (with id, variant and quantity)
+ * @param {Object} address - Shipping address ({ country, region, postal_code, ... })
+ * @param {string} couponCode - Optional applied coupon code
+ * @returns {Promise<Object>} Breakdown and error:
+ *   { subtotal, discountAmount, taxAmount, total,
+ *     lines: [{ lineId, taxName, taxRate, taxAmount, taxIncluded }] }
+ */
+export const calculateTax = async (cart, address, couponCode = null) => {
+  try {
+    const { data, error } = await supabase.rpc('calculate_order_tax', {
+      items: cart.map(item => ({
+        product_id: item.id,
+        variant_id: item.variant?.id ?? null,
+        quantity: item.quantity,
+      })),
+      shipping: toShippingPayload(address),
+      coupon_code: couponCode,
+    })
+
+    if (error) throw error
+
+    return {
+      data: {
+        subtotal: Number(data.subtotal),
+        discountAmount: Number(data.discount_amount),
+        taxAmount: Number(data.tax_amount),
+        total: Number(data.total),
+        lines: data.lines.map(line => ({
+          lineId: getCartLineId(line.product_id, line.variant_id),
+          taxName: line.tax_name,
+          taxRate: Number(line.tax_rate),
+          taxAmount: Number(line.tax_amount),
+          taxIncluded: line.tax_included,
+        })),
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error calculating tax:', error)
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,42 @@
+import { clsx } from 'clsx'
+import toast from 'react-hot-toast'
+import useWishlist from '../store/wishlistStore'
+
+/**
+ * Heart toggle that adds/removes a product (or variant) from the wishlist
+ */
+const WishlistButton = ({ product, variant = null, className = '' }) => {
+  const saved = useWishlist(state => state.isInWishlist(product.id, variant?.id))
+  const addItem = useWishlist(state => state.addItem)
+  const removeItem = useWishlist(state => state.removeItem)
+
+  const handleClick = async (e) => {
+    // The button sits inside product card links
+    e.preventDefault()
+    e.stopPropagation()
+
+    const { error } = saved
+      ? await removeItem(product.id, variant?.id)
+      : await addItem(product, variant)
+
+    if (error) toast.error('Failed to update wishlist')
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      className={clsx(
+        'w-9 h-9 flex items-center justify-center rounded-full bg-white/90 shadow text-lg transition-colors',
+        saved ? 'text-red-500' : 'text-gray-400 hover:text-red-500',
+        className
+      )}
+    >
+      {saved ? '♥' : '♡'}
+    </button>
+  )
+}
+
+export default WishlistButton
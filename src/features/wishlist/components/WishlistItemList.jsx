@@ -0,0 +1,60 @@
+import { Link } from 'react-router-dom'
+import Button from '@components/ui/Button'
+import Badge from '@components/ui/Badge'
+import { getProductImageUrl } from '@features/products/services/productImageService'
+import { formatCurrency } from '@utils/formatters'
+
+/**
+ * List of wishlist items; actions are hidden when read-only (shared wishlists)
+ */
+const WishlistItemList = ({ items, onMoveToCart, onRemove, readOnly = false }) => (
+  <ul className="divide-y divide-gray-200 bg-white rounded-lg shadow-md">
+    {items.map(({ productId, variantId, product, variant }) => {
+      const primaryImage =
+        product.product_images?.find(image => image.is_primary) ||
+        product.product_images?.[0]
+      const stock = variant ? variant.stock_quantity : product.stock_quantity
+
+      return (
+        <li key={`${productId}:${variantId ?? ''}`} className="flex items-center gap-4 p-4">
+          <Link to={`/products/${productId}`} className="w-20 h-20 flex-shrink-0 bg-gray-100 rounded overflow-hidden">
+            {primaryImage && (
+              <img
+                src={getProductImageUrl(primaryImage, 'thumbnail')}
+                alt={product.name}
+                className="w-full h-full object-cover"
+              />
+            )}
+          </Link>
+
+          <div className="flex-grow">
+            <Link to={`/products/${productId}`} className="font-semibold text-gray-900 hover:text-primary-600">
+              {product.name}
+            </Link>
+            {variant && (
+              <p className="text-sm text-gray-500">
+                {Object.entries(variant.options).map(([name, value]) => `${name}: ${value}`).join(', ')}
+              </p>
+            )}
+            <p className="text-gray-900 mt-1">{formatCurrency(variant?.price ?? product.price)}</p>
+          </div>
+
+          {stock === 0 && <Badge variant="danger" size="sm">Out of stock</Badge>}
+
+          {!readOnly && (
+            <div className="flex gap-2">
+              <Button size="sm" disabled={stock === 0} onClick={() => onMoveToCart(productId, variantId)}>
+                Move to cart
+              </Button>
+              <Button size="sm" variant="secondary" onClick={() => onRemove(productId, variantId)}>
+                Remove
+              </Button>
+            </div>
+          )}
+        </li>
+      )
+    })}
+  </ul>
+)
+
+export default WishlistItemList
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react'
+import { getSharedWishlist } from '../services/wishlistService'
+
+/**
+ * Custom hook to fetch a public wishlist from its share link
+ * @param {string} shareToken - The share token from the URL
+ * @returns {Object} Wishlist data (null if private or not found), loading state, and error
+ */
+export const useSharedWishlist = (shareToken) => {
+  const [wishlist, setWishlist] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!shareToken) {
+      setLoading(false)
+      return
+    }
+
+    const fetchWishlist = async () => {
+      setLoading(true)
+      setError(null)
+
+      const result = await getSharedWishlist(shareToken)
+
+      if (result.error) {
+        setError(result.error)
+      } else {
+        setWishlist(result.data)
+      }
+
+      setLoading(false)
+    }
+
+    fetchWishlist()
+  }, [shareToken])
+
+  return { wishlist, loading, error }
+}
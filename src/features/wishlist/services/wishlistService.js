@@ -0,0 +1,232 @@
+import { supabase } from '@lib/supabase'
+
+/**
+ * Wishlist Service
+ * Handles the signed-in customer's wishlist and public share links.
+ * Guest wishlists live in the wishlist store (localStorage) until login.
+ */
+
+// Columns selected for a wishlist with its items
+const WISHLIST_SELECT = `
+  id,
+  name,
+  is_public,
+  share_token,
+  wishlist_items (
+    id,
+    product_id,
+    variant_id,
+    created_at,
+    products (
+      *,
+      product_images (
+        id,
+        image_url,
+        is_primary,
+        display_order,
+        medium_path,
+        thumbnail_path
+      )
+    ),
+    product_variants (
+      id,
+      sku,
+      options,
+      price,
+      stock_quantity,
+      image_id
+    )
+  )
+`
+
+/**
+ * Flatten a wishlist_items row into { productId, variantId, product, variant, addedAt }
+ * @param {Object} row - wishlist_items row with embedded product and variant
+ * @returns {Object} Wishlist item
+ */
+const toWishlistItem = (row) => ({
+  productId: row.product_id,
+  variantId: row.variant_id,
+  product: row.products,
+  variant: row.product_variants,
+  addedAt: row.created_at,
+})
+
+/**
+ * Get the signed-in user's ID
+ * @returns {Promise<string>} User ID
+ */
+const getUserId = async () => {
+  const { data: { user } } = await supabase.auth.getUser()
+
+  if (!user) {
+    throw new Error('User not authenticated')
+  }
+
+  return user.id
+}
+
+/**
+ * Get the current user's wishlist, creating it on first use
+ * @returns {Promise<Object>} Wishlist ({ id, name, is_public, share_token, items }) and error
+ */
+export const getWishlist = async () => {
+  try {
+    const userId = await getUserId()
+
+    // Create the wishlist on first use (no-op if it already exists)
+    const { error: createError } = await supabase
+      .from('wishlists')
+      .upsert({ customer_id: userId }, { onConflict: 'customer_id', ignoreDuplicates: true })
+
+    if (createError) throw createError
+
+    const { data, error } = await supabase
+      .from('wishlists')
+      .select(WISHLIST_SELECT)
+      .eq('customer_id', userId)
+      .single()
+
+    if (error) throw error
+
+    const { wishlist_items: items, ...wishlist } = data
+
+    return {
+      data: {
+        ...wishlist,
+        items: items
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+          .map(toWishlistItem),
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error fetching wishlist:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Add products to the current user's wishlist
+ * Items already in the wishlist are left as they are
+ * @param {string} wishlistId - The wishlist ID
+ * @param {Array<Object>} items - Items as { productId, variantId }
+ * @returns {Promise<Object>} Error, if any
+ */
+export const addWishlistItems = async (wishlistId, items) => {
+  try {
+    if (items.length === 0) return { error: null }
+
+    const { error } = await supabase
+      .from('wishlist_items')
+      .upsert(
+        items.map(item => ({
+          wishlist_id: wishlistId,
+          product_id: item.productId,
+          variant_id: item.variantId ?? null,
+        })),
+        { onConflict: 'wishlist_id,product_id,variant_id', ignoreDuplicates: true }
+      )
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error adding wishlist items:', error)
+    return { error }
+  }
+}
+
+/**
+ * Remove a product (or one variant of it) from the current user's wishlist
+ * @param {string} wishlistId - The wishlist ID
+ * @param {string} productId - The product ID
+ * @param {string|null} variantId - The variant ID, if any
+ * @returns {Promise<Object>} Error, if any
+ */
+export const removeWishlistItem = async (wishlistId, productId, variantId = null) => {
+  try {
+    let query = supabase
+      .from('wishlist_items')
+      .delete()
+      .eq('wishlist_id', wishlistId)
+      .eq('product_id', productId)
+
+    query = variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null)
+
+    const { error } = await query
+
+    if (error) throw error
+
+    return { error: null }
+  } catch (error) {
+    console.error('Error removing wishlist item:', error)
+    return { error }
+  }
+}
+
+/**
+ * Make the current user's wishlist public (shareable) or private
+ * @param {string} wishlistId - The wishlist ID
+ * @param {boolean} isPublic - Whether the share link should work
+ * @returns {Promise<Object>} Updated { is_public, share_token } and error
+ */
+export const setWishlistPublic = async (wishlistId, isPublic) => {
+  try {
+    const { data, error } = await supabase
+      .from('wishlists')
+      .update({ is_public: isPublic })
+      .eq('id', wishlistId)
+      .select('is_public, share_token')
+      .single()
+
+    if (error) throw error
+
+    return { data, error: null }
+  } catch (error) {
+    console.error('Error updating wishlist sharing:', error)
+    return { data: null, error }
+  }
+}
+
+/**
+ * Build the read-only share link for a wishlist
+ * @param {string} shareToken - The wishlist's share_token
+ * @returns {string} Absolute URL
+ */
+export const getWishlistShareUrl = (shareToken) => {
+  return `${window.location.origin}/wishlists/${shareToken}`
+}
+
+/**
+ * Fetch a public wishlist by its share token (works signed out)
+ * @param {string} shareToken - The share token from the link
+ * @returns {Promise<Object>} Wishlist ({ name, owner_name, items }) and error; data is null if private or not found
+ */
+export const getSharedWishlist = async (shareToken) => {
+  try {
+    const { data, error } = await supabase
+      .rpc('get_shared_wishlist', { token: shareToken })
+
+    if (error) throw error
+
+    if (!data) return { data: null, error: null }
+
+    return {
+      data: {
+        ...data,
+        items: data.items.map(item => ({
+          productId: item.product_id,
+          variantId: item.variant_id,
+          product: item.product,
+          variant: item.variant,
+          addedAt: item.created_at,
+        })),
+      },
+      error: null,
+    }
+  } catch (error) {
+    console.error('Error fetching shared wishlist:', error)
+    return { data: null, error }
+  }
+}
@@ -0,0 +1,158 @@
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import useCartStore from '@features/cart/store/cartStore'
+import {
+  getWishlist,
+  addWishlistItems,
+  removeWishlistItem,
+  setWishlistPublic,
+} from '../services/wishlistService'
+
+/**
+ * Check whether a wishlist item is a given product/variant
+ * @param {Object} item - Wishlist item
+ * @param {string} productId - The product ID
+ * @param {string|null} variantId - The variant ID, if any
+ * @returns {boolean}
+ */
+const isSameItem = (item, productId, variantId = null) => {
+  return item.productId === productId && (item.variantId ?? null) === (variantId ?? null)
+}
+
+/**
+ * Wishlist store
+ * Guests keep their wishlist in localStorage. After login (see authStore.signIn) the
+ * guest items are merged into the account wishlist and every change is saved to Supabase.
+ */
+const useWishlist = create(
+  persist(
+    (set, get) => ({
+      items: [],
+      // Account wishlist ({ id, name, is_public, share_token }); null for guests
+      wishlist: null,
+      loading: false,
+
+      // Merge guest items into the signed-in user's wishlist and load it
+      syncWithAccount: async () => {
+        set({ loading: true })
+
+        const { data, error } = await getWishlist()
+
+        if (error) {
+          set({ loading: false })
+          return { error }
+        }
+
+        const { items: accountItems, ...wishlist } = data
+        const guestItems = get().wishlist
+          ? []
+          : get().items.filter(item =>
+            !accountItems.some(accountItem => isSameItem(accountItem, item.productId, item.variantId))
+          )
+
+        const { error: mergeError } = await addWishlistItems(wishlist.id, guestItems)
+
+        // Stay in guest mode if the merge failed, so the next sync retries it
+        if (mergeError) {
+          set({ loading: false })
+          return { error: mergeError }
+        }
+
+        set({
+          wishlist,
+          items: [...guestItems, ...accountItems],
+          loading: false,
+        })
+
+        return { error: null }
+      },
+
+      // Forget the account wishlist (on sign out)
+      clear: () => {
+        set({ items: [], wishlist: null })
+      },
+
+      // Add a product (optionally a specific variant) to the wishlist
+      addItem: async (product, variant = null) => {
+        if (get().isInWishlist(product.id, variant?.id)) return { error: null }
+
+        const item = {
+          productId: product.id,
+          variantId: variant?.id ?? null,
+          product,
+          variant,
+          addedAt: new Date().toISOString(),
+        }
+
+        set({ items: [item, ...get().items] })
+
+        const { wishlist } = get()
+        if (!wishlist) return { error: null }
+
+        const { error } = await addWishlistItems(wishlist.id, [item])
+
+        if (error) {
+          set({ items: get().items.filter(i => i !== item) })
+        }
+
+        return { error }
+      },
+
+      // Remove a product (or one variant of it) from the wishlist
+      removeItem: async (productId, variantId = null) => {
+        const previous = get().items
+        set({ items: previous.filter(item => !isSameItem(item, productId, variantId)) })
+
+        const { wishlist } = get()
+        if (!wishlist) return { error: null }
+
+        const { error } = await removeWishlistItem(wishlist.id, productId, variantId)
+
+        if (error) {
+          set({ items: previous })
+        }
+
+        return { error }
+      },
+
+      // Add one of the item to the cart and take it off the wishlist
+      moveToCart: async (productId, variantId = null) => {
+        const item = get().items.find(i => isSameItem(i, productId, variantId))
+        if (!item) return { error: null }
+
+        const { error } = await useCartStore.getState().addItem(item.product, 1, item.variant)
+        if (error) return { error }
+
+        return get().removeItem(productId, variantId)
+      },
+
+      // Turn the public share link on or off (signed in only)
+      setPublic: async (isPublic) => {
+        const { wishlist } = get()
+
+        if (!wishlist) {
+          return { error: new Error('Sign in to share your wishlist') }
+        }
+
+        const { data, error } = await setWishlistPublic(wishlist.id, isPublic)
+
+        if (!error) {
+          set({ wishlist: { ...wishlist, ...data } })
+        }
+
+        return { error }
+      },
+
+      // Check if product (or a specific variant of it) is in the wishlist
+      isInWishlist: (productId, variantId = null) => {
+        return get().items.some(item => isSameItem(item, productId, variantId))
+      },
+    }),
+    {
+      name: 'wishlist-storage',
+      partialize: (state) => ({ items: state.items, wishlist: state.wishlist }),
+    }
+  )
+)
+
+export default useWishlist
@@ -0,0 +1,145 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react'
+import { useNavigationType } from 'react-router-dom'
+
+// Loaded pages and scroll position per list, kept for the lifetime of the tab
+// so going back to a list restores it instead of starting from the top
+const listCache = new Map()
+
+const createList = (key) => ({
+  key,
+  items: [],
+  cursor: null,
+  hasMore: true,
+  meta: null,
+})
+
+/**
+ * Custom hook for cursor-paginated lists that append pages as you scroll
+ * @param {string} key - Identifies the list; changing it starts a new list
+ * @param {Function} fetchPage - (cursor) => Promise<{ data, nextCursor, error }>; any other
+ *   fields the first page returns (e.g. a total count) are kept as `meta`
+ * @returns {Object} Items, meta, loading state, error, loadMore, and a sentinelRef
+ *   to attach to an element below the list that loads the next page when visible
+ */
+function useInfiniteList(key, fetchPage) {
+  const navigationType = useNavigationType()
+
+  // Only restore a cached list when arriving via back/forward navigation
+  const restoredRef = useRef(navigationType === 'POP' ? listCache.get(key) : null)
+
+  const [list, setList] = useState(() => restoredRef.current || createList(key))
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const listRef = useRef(list)
+  listRef.current = list
+
+  const fetchPageRef = useRef(fetchPage)
+  fetchPageRef.current = fetchPage
+
+  const loadingKeyRef = useRef(null)
+  const sentinelVisibleRef = useRef(false)
+  const observerRef = useRef(null)
+
+  const loadMore = useCallback(async () => {
+    const { key: requestKey, cursor, hasMore } = listRef.current
+
+    if (loadingKeyRef.current === requestKey || !hasMore) return
+
+    loadingKeyRef.current = requestKey
+    setLoading(true)
+    setError(null)
+
+    const result = await fetchPageRef.current(cursor)
+
+    // Ignore pages for a list that was replaced while this one was loading
+    if (listRef.current.key === requestKey) {
+      const { data, nextCursor, error: pageError, ...meta } = result
+
+      if (pageError) {
+        setError(pageError)
+      } else {
+        setList(prev => ({
+          ...prev,
+          items: [...prev.items, ...(data || [])],
+          cursor: nextCursor,
+          hasMore: !!nextCursor,
+          meta: cursor ? prev.meta : meta,
+        }))
+      }
+
+      setLoading(false)
+    }
+
+    if (loadingKeyRef.current === requestKey) {
+      loadingKeyRef.current = null
+    }
+  }, [])
+
+  // Start a new list when the key changes, and load the first page
+  useEffect(() => {
+    if (listRef.current.key !== key) {
+      const next = createList(key)
+      listRef.current = next
+      setList(next)
+      setError(null)
+    }
+
+    if (listRef.current.items.length === 0) {
+      loadMore()
+    }
+  }, [key, loadMore])
+
+  // Keep loading while the sentinel is still on screen (e.g. short pages)
+  useEffect(() => {
+    if (sentinelVisibleRef.current && list.hasMore && !loading && !error) {
+      loadMore()
+    }
+  }, [list, loading, error, loadMore])
+
+  // Restore scroll position after a restored list renders
+  useLayoutEffect(() => {
+    if (restoredRef.current?.scrollY) {
+      window.scrollTo(0, restoredRef.current.scrollY)
+    }
+  }, [])
+
+  // Remember the list and scroll position when leaving the page
+  useEffect(() => {
+    return () => {
+      listCache.set(listRef.current.key, {
+        ...listRef.current,
+        scrollY: window.scrollY,
+      })
+      observerRef.current?.disconnect()
+    }
+  }, [])
+
+  const sentinelRef = useCallback((node) => {
+    observerRef.current?.disconnect()
+    sentinelVisibleRef.current = false
+
+    if (!node) return
+
+    observerRef.current = new IntersectionObserver(
+      ([entry]) => {
+        sentinelVisibleRef.current = entry.isIntersecting
+        if (entry.isIntersecting) loadMore()
+      },
+      { rootMargin: '200px' }
+    )
+    observerRef.current.observe(node)
+  }, [loadMore])
+
+  return {
+    items: list.items,
+    meta: list.meta,
+    loading,
+    error,
+    hasMore: list.hasMore,
+    loadMore,
+    sentinelRef,
+  }
+}
+
+export default useInfiniteList
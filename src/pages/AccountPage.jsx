@@ -1,8 +1,25 @@
+import { Link } from 'react-router-dom'
+import useAuthStore from '@features/auth/store/authStore'
+import AddressBook from '@features/addresses/components/AddressBook'
+import ReturnList from '@features/returns/components/ReturnList'
+
 const AccountPage = () => {
+  const { user } = useAuthStore()
+
   return (
-    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">My Account</h1>
-      <p className="text-gray-600">Account page - Ready to be built!</p>
+
+      {user ? (
+        <div className="space-y-12">
+          <AddressBook />
+          <ReturnList />
+        </div>
+      ) : (
+        <p className="text-gray-600">
+          <Link to="/login" className="text-primary-600 hover:text-primary-700">Sign in</Link> to manage your account.
+        </p>
+      )}
     </div>
   )
 }
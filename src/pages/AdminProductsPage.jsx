@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { useProducts } from '@features/products/hooks/useProducts'
+import { updateProduct } from '@features/products/services/productService'
+import { getProductImageUrl } from '@features/products/services/productImageService'
+import ProductImportPanel from '@features/products/components/ProductImportPanel'
+import ProductForm from '@features/products/components/ProductForm'
+import ProductImageManager from '@features/products/components/ProductImageManager'
+import Button from '@components/ui/Button'
+import Card from '@components/ui/Card'
+import Modal from '@components/ui/Modal'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { formatCurrency } from '@utils/formatters'
+import { PRODUCT_SORT } from '@utils/constants'
+
+const PAGE_SIZE = 20
+
+const AdminProductsPage = () => {
+  const [page, setPage] = useState(1)
+  const [editing, setEditing] = useState(null)
+  const { products, loading, error, totalPages, refetch } = useProducts({
+    sort: PRODUCT_SORT.NAME_ASC,
+    limit: PAGE_SIZE,
+    page,
+  })
+
+  const handleSave = async (updates) => {
+    const { error: saveError } = await updateProduct(editing.id, updates)
+
+    if (saveError) {
+      toast.error(saveError.message || 'Failed to save product')
+    } else {
+      toast.success('Product saved')
+    }
+  }
+
+  // Pick up saved details and image changes in the list
+  const closeEditor = () => {
+    setEditing(null)
+    refetch()
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <h1 className="text-3xl font-bold text-gray-900 mb-2">Manage Products</h1>
+      <p className="text-gray-600 mb-8">
+        Import products from a CSV or JSON file (matched by SKU) or export the current catalog.
+      </p>
+      <ProductImportPanel />
+
+      <h2 className="text-2xl font-bold text-gray-900 mt-12 mb-4">Products</h2>
+      {loading ? (
+        <LoadingSpinner size="lg" className="py-12" />
+      ) : error ? (
+        <p className="text-red-600">Failed to load products. Please try again.</p>
+      ) : (
+        <Card padding="none" className="overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-4 py-3 font-medium" colSpan={2}>Product</th>
+                <th className="px-4 py-3 font-medium">SKU</th>
+                <th className="px-4 py-3 font-medium text-right">Price</th>
+                <th className="px-4 py-3 font-medium text-right">Stock</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {products.map(product => {
+                const primaryImage =
+                  product.product_images?.find(image => image.is_primary) ||
+                  product.product_images?.[0]
+
+                return (
+                  <tr key={product.id}>
+                    <td className="pl-4 py-2 w-14">
+                      <div className="w-10 h-10 bg-gray-100 rounded overflow-hidden">
+                        {primaryImage && (
+                          <img src={getProductImageUrl(primaryImage, 'thumbnail')} alt="" className="w-full h-full object-cover" />
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-4 py-2 text-gray-900">{product.name}</td>
+                    <td className="px-4 py-2 text-gray-500">{product.sku || '—'}</td>
+                    <td className="px-4 py-2 text-right">{formatCurrency(product.price)}</td>
+                    <td className="px-4 py-2 text-right">{product.stock_quantity}</td>
+                    <td className="px-4 py-2 text-right">
+                      <Button variant="outline" size="sm" onClick={() => setEditing(product)}>
+                        Edit
+                      </Button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </Card>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-6">
+          <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+
+      <Modal isOpen={!!editing} onClose={closeEditor} title={editing ? `Edit ${editing.name}` : ''} size="xl">
+        {editing && (
+          <div className="space-y-8 max-h-[75vh] overflow-y-auto">
+            <ProductForm key={editing.id} product={editing} onSubmit={handleSave} />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-3">Images</h3>
+              <ProductImageManager productId={editing.id} images={editing.product_images} />
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  )
+}
+
+export default AdminProductsPage
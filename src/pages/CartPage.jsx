@@ -1,8 +1,95 @@
+import { Link, useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useCartStore from '@features/cart/store/cartStore'
+import { useCartValidation } from '@features/cart/hooks/useCartValidation'
+import CartIssues from '@features/cart/components/CartIssues'
+import Button from '@components/ui/Button'
+import Card from '@components/ui/Card'
+import { formatCurrency } from '@utils/formatters'
+
 const CartPage = () => {
+  const navigate = useNavigate()
+  const { items, updateQuantity, removeItem, getTotal } = useCartStore()
+  const { issues, isValid, acceptChanges } = useCartValidation()
+
+  const handleQuantityChange = async (lineId, quantity) => {
+    const { error } = await updateQuantity(lineId, quantity)
+    if (error) toast.error('Failed to update your cart. Please try again.')
+  }
+
+  const handleRemove = async (lineId) => {
+    const { error } = await removeItem(lineId)
+    if (error) toast.error('Failed to remove the item. Please try again.')
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <h1 className="text-3xl font-bold text-gray-900 mb-8">Shopping Cart</h1>
+        <p className="text-gray-600">
+          Your cart is empty. <Link to="/products" className="text-primary-600 hover:text-primary-700">Browse products</Link>
+        </p>
+      </div>
+    )
+  }
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">Shopping Cart</h1>
-      <p className="text-gray-600">Cart page - Ready to be built!</p>
+
+      <CartIssues issues={issues} onAccept={acceptChanges} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <ul className="lg:col-span-2 divide-y divide-gray-200 bg-white rounded-lg shadow-md">
+          {items.map(item => (
+            <li key={item.lineId} className="flex items-center gap-4 p-4">
+              <div className="flex-grow">
+                <Link to={`/products/${item.id}`} className="font-semibold text-gray-900 hover:text-primary-600">
+                  {item.name}
+                </Link>
+                {item.variant && (
+                  <p className="text-sm text-gray-500">
+                    {Object.entries(item.variant.options).map(([name, value]) => `${name}: ${value}`).join(', ')}
+                  </p>
+                )}
+                <p className="text-gray-900 mt-1">{formatCurrency(item.price)}</p>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <Button variant="secondary" size="sm" onClick={() => handleQuantityChange(item.lineId, item.quantity - 1)}>
+                  −
+                </Button>
+                <span className="w-8 text-center">{item.quantity}</span>
+                <Button variant="secondary" size="sm" onClick={() => handleQuantityChange(item.lineId, item.quantity + 1)}>
+                  +
+                </Button>
+              </div>
+
+              <span className="w-24 text-right font-semibold text-gray-900">
+                {formatCurrency(item.price * item.quantity)}
+              </span>
+
+              <button
+                type="button"
+                onClick={() => handleRemove(item.lineId)}
+                className="text-sm text-red-600 hover:text-red-700"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <Card className="h-fit space-y-4">
+          <div className="flex justify-between text-lg font-semibold text-gray-900">
+            <span>Subtotal</span>
+            <span>{formatCurrency(getTotal())}</span>
+          </div>
+          <Button className="w-full" disabled={!isValid} onClick={() => navigate('/checkout')}>
+            Proceed to checkout
+          </Button>
+        </Card>
+      </div>
     </div>
   )
 }
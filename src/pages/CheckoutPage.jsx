@@ -1,8 +1,253 @@
+import { useState, useEffect } from 'react'
+import { Navigate, useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useCartStore from '@features/cart/store/cartStore'
+import useAuthStore from '@features/auth/store/authStore'
+import { useCartValidation } from '@features/cart/hooks/useCartValidation'
+import { useCreateOrder, useCancelOrder } from '@features/orders/hooks/useOrders'
+import { useCoupon } from '@features/coupons/hooks/useCoupon'
+import { useTax } from '@features/tax/hooks/useTax'
+import { useShippingRates } from '@features/shipping/hooks/useShippingRates'
+import { useAddresses } from '@features/addresses/hooks/useAddresses'
+import { usePayment } from '@features/payments/hooks/usePayment'
+import { addressSchema } from '@features/addresses/addressSchema'
+import { NEW_ADDRESS } from '@features/addresses/components/AddressPicker'
+import useCheckoutStore, { CHECKOUT_STEPS } from '@features/checkout/store/checkoutStore'
+import { contactSchema, paymentSchema } from '@features/checkout/checkoutSchemas'
+import CheckoutSteps from '@features/checkout/components/CheckoutSteps'
+import ContactStep from '@features/checkout/components/ContactStep'
+import AddressStep from '@features/checkout/components/AddressStep'
+import ShippingStep from '@features/checkout/components/ShippingStep'
+import PaymentStep from '@features/checkout/components/PaymentStep'
+import ReviewStep from '@features/checkout/components/ReviewStep'
+import CartIssues from '@features/cart/components/CartIssues'
+import CouponForm from '@features/coupons/components/CouponForm'
+import OrderTotals from '@features/orders/components/OrderTotals'
+import ThreeDSecureModal from '@features/payments/components/ThreeDSecureModal'
+import Card from '@components/ui/Card'
+import { formatCurrency } from '@utils/formatters'
+import { PAYMENT_STATUS, SUCCESS_MESSAGES } from '@utils/constants'
+
+const stepIndex = (id) => CHECKOUT_STEPS.findIndex(step => step.id === id)
+
 const CheckoutPage = () => {
+  const navigate = useNavigate()
+  const { items, getTotal, clearCart } = useCartStore()
+  const { issues, isValid, acceptChanges, revalidate } = useCartValidation()
+  const { createOrder, loading } = useCreateOrder()
+  const { cancelOrder } = useCancelOrder()
+  const { user } = useAuthStore()
+  const checkout = useCheckoutStore()
+  const { addressId, placedOrder, update, goToStep } = checkout
+  const coupon = useCoupon(items, checkout.couponCode)
+  const { addresses, defaultShippingAddress, loading: addressesLoading, addAddress } = useAddresses()
+  const payment = usePayment()
+  // Only kept in memory so it never reaches sessionStorage
+  const [cardNumber, setCardNumber] = useState('')
+
+  const cartKey = items.map(item => `${item.lineId}:${item.quantity}`).join(',')
+
+  // Start from the default shipping address once the address book has loaded,
+  // and forget a saved address that's gone (deleted, or signed out since)
+  useEffect(() => {
+    if (addressesLoading) return
+
+    if (addressId === null || (addressId !== NEW_ADDRESS && !addresses.some(address => address.id === addressId))) {
+      update({ addressId: defaultShippingAddress?.id ?? NEW_ADDRESS })
+    }
+  }, [addressesLoading, addresses, defaultShippingAddress, addressId, update])
+
+  // Keep the applied coupon with the rest of the progress
+  useEffect(() => {
+    update({ couponCode: coupon.code })
+  }, [coupon.code, update])
+
+  // A placed order no longer matches a cart that changed since; cancel it so its
+  // stock is released, and start a new one
+  useEffect(() => {
+    if (placedOrder && placedOrder.cartKey !== cartKey) {
+      update({ placedOrder: null })
+      cancelOrder(placedOrder.id, placedOrder.guest_lookup_token)
+    }
+  }, [placedOrder, cartKey, update, cancelOrder])
+
+  const savedAddress = addresses.find(address => address.id === addressId)
+  const shipping = savedAddress || checkout.address
+  const tax = useTax(items, shipping, coupon.code)
+  const shippingRates = useShippingRates(items, shipping, coupon.code)
+  const { rates } = shippingRates
+  const shippingRate = rates.find(rate => rate.id === checkout.shippingMethodId) || null
+
+  // Pick the cheapest method when the chosen one isn't offered (e.g. the country changed)
+  useEffect(() => {
+    if (rates.length > 0 && !rates.some(rate => rate.id === checkout.shippingMethodId)) {
+      update({ shippingMethodId: rates[0].id })
+    }
+  }, [rates, checkout.shippingMethodId, update])
+
+  if (items.length === 0) {
+    return <Navigate to="/cart" replace />
+  }
+
+  // Restored progress can be stale or incomplete (e.g. the card number isn't
+  // saved), so never show a step past the first one that still needs input
+  const complete = {
+    contact: contactSchema.safeParse({ email: user?.email || checkout.email }).success,
+    address: addressId === NEW_ADDRESS ? addressSchema.safeParse(checkout.address).success : !!savedAddress,
+    shipping: !!checkout.shippingMethodId,
+    payment: paymentSchema.safeParse({ method: checkout.paymentMethod, cardNumber }).success,
+  }
+  const firstIncomplete = CHECKOUT_STEPS.findIndex(step => step.id !== 'review' && !complete[step.id])
+  const current = firstIncomplete === -1
+    ? stepIndex(checkout.step)
+    : Math.min(stepIndex(checkout.step), firstIncomplete)
+  const step = CHECKOUT_STEPS[current].id
+  const next = () => goToStep(CHECKOUT_STEPS[current + 1].id)
+  const back = () => goToStep(CHECKOUT_STEPS[current - 1].id)
+
+  const paymentData = { method: checkout.paymentMethod, details: { cardNumber } }
+
+  const finishCheckout = async (order) => {
+    toast.success(SUCCESS_MESSAGES.ORDER_PLACED)
+    if (!savedAddress && checkout.saveAddress && user) {
+      await addAddress(checkout.address)
+    }
+    // Leave the page before the cart empties, or it would redirect to the cart
+    navigate(order.guest_lookup_token
+      ? `/order-confirmation/${order.id}?token=${order.guest_lookup_token}`
+      : `/order-confirmation/${order.id}`)
+    checkout.reset()
+
+    const { error: cartError } = await clearCart()
+    if (cartError) toast.error('Your order was placed, but your cart could not be emptied')
+  }
+
+  // Captured payments finish checkout; declines leave the order pending so the
+  // customer can try another card or method
+  const handlePaymentResult = (result, order = placedOrder) => {
+    if (result.error?.paymentError) {
+      toast.error(`${result.error.message}. Please try another payment method.`)
+      goToStep('payment')
+    } else if (result.error) {
+      toast.error('Payment failed. Please try again.')
+    } else if (result.data.status === PAYMENT_STATUS.CAPTURED) {
+      finishCheckout(order)
+    }
+  }
+
+  const handlePlaceOrder = async () => {
+    if (placedOrder) {
+      handlePaymentResult(await payment.pay(placedOrder, paymentData))
+      return
+    }
+
+    // Re-check right before paying in case something changed during checkout
+    const { data: latestIssues } = await revalidate()
+    if (!latestIssues || latestIssues.length > 0) return
+
+    const result = await createOrder({
+      shippingAddress: shipping,
+      shippingMethodId: checkout.shippingMethodId,
+      couponCode: coupon.code,
+      email: checkout.email.trim(),
+    }, items)
+
+    if (result.error?.couponError) {
+      // The coupon ran out or expired since it was applied
+      toast.error(result.error.message)
+      coupon.remove()
+    } else if (result.error?.shippingError) {
+      toast.error(result.error.message)
+      goToStep('shipping')
+    } else if (result.error?.lineErrors) {
+      // Stock changed since the last check; show what changed
+      toast.error('Some items are no longer available in the quantity requested')
+      revalidate()
+    } else if (result.error) {
+      toast.error('Failed to place order')
+    } else {
+      const { id, order_number, total_amount, guest_lookup_token } = result.data
+      const order = { id, order_number, total_amount, guest_lookup_token, cartKey }
+      update({ placedOrder: order })
+      handlePaymentResult(await payment.pay(order, paymentData), order)
+    }
+  }
+
+  // Until a country is chosen, show the cart (and coupon) totals without tax or shipping
+  const breakdown = tax.breakdown
+  const discount = breakdown ? breakdown.discountAmount : coupon.discount?.discountAmount || 0
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">Checkout</h1>
-      <p className="text-gray-600">Checkout page - Ready to be built!</p>
+
+      <CartIssues issues={issues} onAccept={acceptChanges} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <Card className="lg:col-span-2 space-y-6">
+          <CheckoutSteps current={current} onSelect={goToStep} locked={!!placedOrder} />
+
+          {step === 'contact' && <ContactStep onNext={next} />}
+          {step === 'address' && (
+            <AddressStep addresses={addresses} onNext={next} onBack={back} />
+          )}
+          {step === 'shipping' && (
+            <ShippingStep shippingRates={shippingRates} onNext={next} onBack={back} />
+          )}
+          {step === 'payment' && (
+            <PaymentStep
+              cardNumber={cardNumber}
+              onNext={(number) => {
+                setCardNumber(number)
+                next()
+              }}
+              onBack={placedOrder ? undefined : back}
+            />
+          )}
+          {step === 'review' && (
+            <ReviewStep
+              email={user?.email || checkout.email}
+              address={shipping}
+              shippingRate={shippingRate}
+              paymentMethod={checkout.paymentMethod}
+              cardNumber={cardNumber}
+              onEdit={goToStep}
+              onPlaceOrder={handlePlaceOrder}
+              placed={!!placedOrder}
+              disabled={!isValid || loading || payment.loading || coupon.loading || tax.loading || shippingRates.loading || !shippingRate}
+              status={loading ? 'Placing Order...' : payment.loading ? 'Processing Payment...' : null}
+            />
+          )}
+        </Card>
+
+        <Card className="h-fit space-y-4">
+          <ul className="space-y-2 text-sm text-gray-700">
+            {items.map(item => (
+              <li key={item.lineId} className="flex justify-between gap-4">
+                <span>{item.name} × {item.quantity}</span>
+                <span>{formatCurrency(item.price * item.quantity)}</span>
+              </li>
+            ))}
+          </ul>
+          {!placedOrder && <CouponForm coupon={coupon} />}
+          <OrderTotals
+            subtotal={breakdown ? breakdown.subtotal : getTotal()}
+            discount={discount}
+            couponCode={coupon.code}
+            shipping={shippingRate ? shippingRate.price : null}
+            shippingMethod={shippingRate?.name}
+            tax={breakdown ? breakdown.taxAmount : null}
+            taxIncluded={breakdown?.taxAmount > 0 && breakdown.lines.every(line => line.taxIncluded)}
+            total={(breakdown ? breakdown.total : getTotal() - discount) + (shippingRate?.price || 0)}
+          />
+        </Card>
+      </div>
+
+      <ThreeDSecureModal
+        payment={payment.requiresAction ? payment.payment : null}
+        loading={payment.loading}
+        onComplete={async (actionResult) => handlePaymentResult(await payment.confirm(actionResult))}
+      />
     </div>
   )
 }
@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { useCancelOrder, useCancelOrderItems, useOrder, useOrderStatusTransitions } from '@features/orders/hooks/useOrders'
+import {
+  canCancelOrder,
+  canCancelOrderItems,
+  getActiveQuantities,
+} from '@features/orders/services/orderService'
+import OrderCard from '@features/orders/components/OrderCard'
+import CancelItemsForm from '@features/orders/components/CancelItemsForm'
+import Button from '@components/ui/Button'
+import Card from '@components/ui/Card'
+import Modal from '@components/ui/Modal'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { formatCurrency } from '@utils/formatters'
+import { REFUND_STATUS } from '@utils/constants'
+
+/**
+ * Cancel some or all of an order (/orders/:orderId/cancel) while it is still
+ * pending or processing
+ */
+const OrderCancelPage = () => {
+  const { orderId } = useParams()
+  const { order, loading, error, refetch } = useOrder(orderId)
+  const { transitions, loading: transitionsLoading, error: transitionsError } = useOrderStatusTransitions()
+  const { cancelOrderItems, loading: cancellingItems } = useCancelOrderItems()
+  const { cancelOrder, loading: cancellingOrder } = useCancelOrder()
+  const [confirmOpen, setConfirmOpen] = useState(false)
+
+  if ((loading && !order) || transitionsLoading) return <LoadingSpinner size="lg" className="py-24" />
+
+  const handleCancelItems = async ({ items, reason }) => {
+    const result = await cancelOrderItems(orderId, items, reason)
+
+    if (result.error) {
+      toast.error(result.error.message || 'Failed to cancel items')
+    } else if (result.refundError) {
+      toast.error('Items cancelled, but the refund could not be issued. Please contact us to have it refunded.')
+    } else {
+      const owed = result.data.filter(refund => refund.status !== REFUND_STATUS.NOT_CHARGED)
+      const amount = owed.reduce((sum, refund) => sum + Number(refund.amount), 0)
+      toast.success(owed.length > 0 ? `Items cancelled. ${formatCurrency(amount)} will be refunded.` : 'Items cancelled')
+    }
+
+    await refetch()
+  }
+
+  const handleCancelOrder = async () => {
+    const result = await cancelOrder(orderId)
+    setConfirmOpen(false)
+
+    if (result.error) {
+      toast.error(result.error.message || 'Failed to cancel order')
+    } else if (result.refundError) {
+      toast.error('Order cancelled, but the refund could not be issued. Please contact us to have it refunded.')
+    } else {
+      toast.success('Order cancelled')
+    }
+
+    await refetch()
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <Link to="/orders" className="text-sm text-primary-600 hover:text-primary-700">
+        ← Order history
+      </Link>
+      <h1 className="text-3xl font-bold text-gray-900 mt-2 mb-8">
+        Cancel Items{order && ` from Order #${order.order_number}`}
+      </h1>
+
+      {error || transitionsError || !order ? (
+        <p className="text-red-600">Failed to load order. Please try again.</p>
+      ) : (
+        <div className="space-y-6">
+          <OrderCard order={order} />
+
+          {canCancelOrder(order, transitions) ? (
+            <Card className="space-y-4">
+              {canCancelOrderItems(order, transitions) && (
+                <CancelItemsForm
+                  // Remount with fresh quantities after each cancellation
+                  key={order.cancelled_amount}
+                  order={order}
+                  activeQuantities={getActiveQuantities(order)}
+                  onSubmit={handleCancelItems}
+                  submitting={cancellingItems}
+                />
+              )}
+              <div className="pt-4 border-t border-gray-100">
+                <Button variant="outline" onClick={() => setConfirmOpen(true)} disabled={cancellingOrder}>
+                  Cancel Entire Order
+                </Button>
+              </div>
+            </Card>
+          ) : (
+            <p className="text-gray-600">This order can no longer be cancelled.</p>
+          )}
+        </div>
+      )}
+
+      <Modal isOpen={confirmOpen} onClose={() => setConfirmOpen(false)} title="Cancel this order?" size="sm">
+        <p className="text-gray-600 mb-6">
+          Everything left on the order will be cancelled and any payment refunded.
+        </p>
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => setConfirmOpen(false)}>Keep Order</Button>
+          <Button variant="danger" onClick={handleCancelOrder} disabled={cancellingOrder}>
+            {cancellingOrder ? 'Cancelling...' : 'Cancel Order'}
+          </Button>
+        </div>
+      </Modal>
+    </div>
+  )
+}
+
+export default OrderCancelPage
@@ -0,0 +1,52 @@
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { useGuestOrder, useOrder } from '@features/orders/hooks/useOrders'
+import OrderCard from '@features/orders/components/OrderCard'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+
+/**
+ * Order confirmation shown after checkout (/order-confirmation/:orderId)
+ * Guest orders carry their lookup token in `?token=`, since guests can't read
+ * orders by ID.
+ */
+const OrderConfirmationPage = () => {
+  const { orderId } = useParams()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const customerOrder = useOrder(token ? null : orderId)
+  const guestOrder = useGuestOrder(token)
+  const { order, loading, error } = token ? guestOrder : customerOrder
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <h1 className="text-3xl font-bold text-gray-900 mb-8">Thanks for your order!</h1>
+
+      {loading ? (
+        <LoadingSpinner size="lg" className="py-24" />
+      ) : error ? (
+        <p className="text-red-600">Failed to load order. Please try again.</p>
+      ) : !order ? (
+        <p className="text-gray-600">We couldn't find this order.</p>
+      ) : (
+        <>
+          <p className="text-gray-600 mb-4">
+            Your order number is <span className="font-semibold">{order.order_number}</span>.{' '}
+            {token ? (
+              <>
+                Keep <Link to={`/order-lookup/${token}`} className="text-primary-600 hover:text-primary-700">this link</Link>
+                {' '}to check on it, or look it up later with the order number and your email.
+              </>
+            ) : (
+              <>
+                You can follow it in your{' '}
+                <Link to="/orders" className="text-primary-600 hover:text-primary-700">order history</Link>.
+              </>
+            )}
+          </p>
+          <OrderCard order={order} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default OrderConfirmationPage
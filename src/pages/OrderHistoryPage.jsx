@@ -1,8 +1,56 @@
+import { Link } from 'react-router-dom'
+import { useInfiniteOrders, useOrderStatusTransitions } from '@features/orders/hooks/useOrders'
+import { canCancelOrder } from '@features/orders/services/orderService'
+import OrderCard from '@features/orders/components/OrderCard'
+import { hasInvoice } from '@features/invoices/services/invoiceService'
+import InvoiceActions from '@features/invoices/components/InvoiceActions'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { ORDER_STATUS } from '@utils/constants'
+
 const OrderHistoryPage = () => {
+  const { orders, loading, error, hasMore, sentinelRef } = useInfiniteOrders()
+  const { transitions } = useOrderStatusTransitions()
+
   return (
-    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-3xl font-bold text-gray-900 mb-8">Order History</h1>
-      <p className="text-gray-600">Order history page - Ready to be built!</p>
+
+      {error && (
+        <p className="text-red-600 mb-4">Failed to load orders</p>
+      )}
+
+      {!loading && !hasMore && orders.length === 0 && (
+        <p className="text-gray-600">
+          You have no orders yet. <Link to="/products" className="text-primary-600 hover:text-primary-700">Browse products</Link>
+        </p>
+      )}
+
+      <div className="space-y-6">
+        {orders.map(order => (
+          <OrderCard
+            key={order.id}
+            order={order}
+            actions={(hasInvoice(order) || canCancelOrder(order, transitions)) && (
+              <>
+                {hasInvoice(order) && <InvoiceActions order={order} />}
+                {order.status === ORDER_STATUS.DELIVERED && (
+                  <Link to={`/orders/${order.id}/returns`} className="text-sm text-primary-600 hover:text-primary-700">
+                    Return items
+                  </Link>
+                )}
+                {canCancelOrder(order, transitions) && (
+                  <Link to={`/orders/${order.id}/cancel`} className="text-sm text-primary-600 hover:text-primary-700">
+                    Cancel items
+                  </Link>
+                )}
+              </>
+            )}
+          />
+        ))}
+      </div>
+
+      {loading && <LoadingSpinner />}
+      {hasMore && <div ref={sentinelRef} />}
     </div>
   )
 }
@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useGuestOrder, useOrderLookup } from '@features/orders/hooks/useOrders'
+import OrderCard from '@features/orders/components/OrderCard'
+import { hasInvoice } from '@features/invoices/services/invoiceService'
+import InvoiceActions from '@features/invoices/components/InvoiceActions'
+import Button from '@components/ui/Button'
+import Card from '@components/ui/Card'
+import Input from '@components/ui/Input'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { isValidEmail } from '@utils/validators'
+
+/**
+ * A guest order from the link given at checkout (/order-lookup/:token)
+ */
+const GuestOrder = ({ token }) => {
+  const { order, loading, error } = useGuestOrder(token)
+
+  if (loading) return <LoadingSpinner size="lg" className="py-24" />
+  if (error) return <p className="text-red-600">Failed to load order. Please try again.</p>
+  if (!order) return <p className="text-gray-600">This order link is not valid.</p>
+
+  return (
+    <>
+      <p className="text-gray-600 mb-4">
+        Keep this page's link, or look the order up later with
+        order number <span className="font-semibold">{order.order_number}</span> and your email.
+        {' '}<Link to="/signup" className="text-primary-600 hover:text-primary-700">Create an account</Link>
+        {' '}with the same email to see it in your order history.
+      </p>
+      <OrderCard
+        order={order}
+        actions={hasInvoice(order) && <InvoiceActions order={order} lookupToken={token} />}
+      />
+    </>
+  )
+}
+
+/**
+ * Order lookup by order number and email
+ */
+const OrderLookupForm = () => {
+  const { lookupOrder, order, notFound, loading, error } = useOrderLookup()
+  const [orderNumber, setOrderNumber] = useState('')
+  const [email, setEmail] = useState('')
+  const [formError, setFormError] = useState(null)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (!orderNumber.trim() || !isValidEmail(email.trim())) {
+      setFormError('Enter your order number and the email you used at checkout')
+      return
+    }
+
+    setFormError(null)
+    lookupOrder(orderNumber.trim(), email.trim())
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <Input
+            label="Order number"
+            placeholder="BF-XXXXXXXX"
+            value={orderNumber}
+            onChange={(e) => setOrderNumber(e.target.value)}
+          />
+          <Input
+            label="Email"
+            type="email"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            error={formError}
+          />
+          <Button type="submit" disabled={loading}>
+            {loading ? 'Looking up...' : 'Find Order'}
+          </Button>
+        </form>
+      </Card>
+
+      {error && <p className="text-red-600">Failed to look up order. Please try again.</p>}
+      {notFound && (
+        <p className="text-gray-600">We couldn't find an order with that number and email.</p>
+      )}
+      {order && <OrderCard order={order} />}
+    </div>
+  )
+}
+
+const OrderLookupPage = () => {
+  const { token } = useParams()
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <h1 className="text-3xl font-bold text-gray-900 mb-8">
+        {token ? 'Your Order' : 'Find Your Order'}
+      </h1>
+      {token ? <GuestOrder token={token} /> : <OrderLookupForm />}
+    </div>
+  )
+}
+
+export default OrderLookupPage
@@ -1,8 +1,132 @@
+import { useEffect, useState } from 'react'
+import { useParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { useProduct } from '@features/products/hooks/useProducts'
+import { useRelatedProducts, useRecentlyViewed } from '@features/products/hooks/useRecommendations'
+import { findVariant, getVariantPrice } from '@features/products/services/productService'
+import { getProductImageUrl } from '@features/products/services/productImageService'
+import ProductCard from '@features/products/components/ProductCard'
+import VariantPicker from '@features/products/components/VariantPicker'
+import WishlistButton from '@features/wishlist/components/WishlistButton'
+import useCartStore from '@features/cart/store/cartStore'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import Button from '@components/ui/Button'
+import { formatCurrency } from '@utils/formatters'
+
+// Horizontal row of product tiles, hidden when empty
+const ProductRow = ({ title, products }) => {
+  if (products.length === 0) return null
+
+  return (
+    <section className="mt-16">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">{title}</h2>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+        {products.map(product => (
+          <ProductCard key={product.id} product={product} />
+        ))}
+      </div>
+    </section>
+  )
+}
+
 const ProductDetailPage = () => {
+  const { id } = useParams()
+  const { product, loading, error } = useProduct(id)
+  const { products: relatedProducts } = useRelatedProducts(id, 4)
+  const { products: recentlyViewed, recordView } = useRecentlyViewed({ excludeId: id, limit: 4 })
+  const addItem = useCartStore(state => state.addItem)
+  const [selectedOptions, setSelectedOptions] = useState({})
+
+  useEffect(() => {
+    if (product) recordView(product.id)
+  }, [product, recordView])
+
+  // Start with the first variant that is in stock (or the first variant)
+  useEffect(() => {
+    const variants = product?.product_variants || []
+    const initial = variants.find(variant => variant.stock_quantity > 0) || variants[0]
+    setSelectedOptions(initial ? { ...initial.options } : {})
+  }, [product])
+
+  if (loading) {
+    return <LoadingSpinner size="lg" className="py-24" />
+  }
+
+  if (error || !product) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <p className="text-gray-600">Product not found.</p>
+      </div>
+    )
+  }
+
+  const hasVariants = product.product_options?.length > 0 && product.product_variants?.length > 0
+  const variant = hasVariants ? findVariant(product, selectedOptions) : null
+  const stock = hasVariants ? variant?.stock_quantity ?? 0 : product.stock_quantity
+
+  const primaryImage =
+    product.product_images?.find(image => image.id === variant?.image_id) ||
+    product.product_images?.find(image => image.is_primary) ||
+    product.product_images?.[0]
+
+  const handleAddToCart = async () => {
+    const { error: cartError } = await addItem(product, 1, variant)
+
+    if (cartError) {
+      toast.error('Failed to add to cart. Please try again.')
+    } else {
+      toast.success('Added to cart')
+    }
+  }
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
-      <h1 className="text-3xl font-bold text-gray-900 mb-8">Product Details</h1>
-      <p className="text-gray-600">Product detail page - Ready to be built!</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div className="aspect-square bg-gray-100 rounded-lg overflow-hidden">
+          {primaryImage && (
+            <img
+              src={getProductImageUrl(primaryImage, 'medium')}
+              alt={product.name}
+              className="w-full h-full object-cover"
+            />
+          )}
+        </div>
+
+        <div>
+          <p className="text-sm text-gray-500 mb-1">{product.category}</p>
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <h1 className="text-3xl font-bold text-gray-900">{product.name}</h1>
+            <WishlistButton product={product} variant={variant} />
+          </div>
+          <p className="text-2xl font-bold text-gray-900 mb-6">
+            {formatCurrency(getVariantPrice(product, variant))}
+          </p>
+
+          {hasVariants && (
+            <div className="mb-6">
+              <VariantPicker product={product} value={selectedOptions} onChange={setSelectedOptions} />
+            </div>
+          )}
+
+          <div className="flex items-center gap-4 mb-6">
+            <Button size="lg" onClick={handleAddToCart} disabled={(hasVariants && !variant) || stock <= 0}>
+              Add to Cart
+            </Button>
+            {hasVariants && !variant ? (
+              <span className="text-sm text-gray-500">This combination isn't available</span>
+            ) : stock <= 0 && (
+              <span className="text-sm text-red-600">Out of stock</span>
+            )}
+          </div>
+
+          {product.description && (
+            <p className="text-gray-700 whitespace-pre-line">{product.description}</p>
+          )}
+        </div>
+      </div>
+
+      <ProductRow title="Customers also bought" products={relatedProducts} />
+      <ProductRow title="Recently viewed" products={recentlyViewed} />
     </div>
   )
 }
@@ -1,8 +1,182 @@
+import { useMemo } from 'react'
+import { useInfiniteProducts, useProductFilters } from '@features/products/hooks/useProducts'
+import { buildCategoryTree } from '@features/products/services/productService'
+import ProductCard from '@features/products/components/ProductCard'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import Button from '@components/ui/Button'
+import { formatCurrency } from '@utils/formatters'
+import { PRODUCT_SORT, ITEMS_PER_PAGE } from '@utils/constants'
+
+const SORT_LABELS = {
+  [PRODUCT_SORT.NEWEST]: 'Newest',
+  [PRODUCT_SORT.PRICE_ASC]: 'Price: Low to High',
+  [PRODUCT_SORT.PRICE_DESC]: 'Price: High to Low',
+  [PRODUCT_SORT.NAME_ASC]: 'Name: A to Z',
+  [PRODUCT_SORT.BEST_SELLING]: 'Best Selling',
+}
+
+const getPriceBucketLabel = ({ min, max }) => {
+  if (min === 0) return `Under ${formatCurrency(max)}`
+  if (max === null) return `${formatCurrency(min)} & above`
+  return `${formatCurrency(min)} – ${formatCurrency(max)}`
+}
+
+// Category checkboxes, with subcategories indented under their parent
+const CategoryFacetList = ({ categories, selected, onToggle }) => (
+  <ul className="space-y-2">
+    {categories.map(({ slug, name, count, children }) => (
+      <li key={slug}>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={selected.includes(slug)}
+            onChange={() => onToggle(slug)}
+          />
+          <span className="flex-grow">{name}</span>
+          <span className="text-gray-400">{count}</span>
+        </label>
+        {children.length > 0 && (
+          <div className="ml-5 mt-2">
+            <CategoryFacetList categories={children} selected={selected} onToggle={onToggle} />
+          </div>
+        )}
+      </li>
+    ))}
+  </ul>
+)
+
 const ProductsPage = () => {
+  const { filters, setFilters, resetFilters } = useProductFilters()
+  const {
+    products,
+    facets,
+    totalCount,
+    loading,
+    error,
+    hasMore,
+    loadMore,
+  } = useInfiniteProducts({
+    ...filters,
+    limit: ITEMS_PER_PAGE,
+  })
+
+  const categoryTree = useMemo(
+    () => buildCategoryTree(facets?.categories || []),
+    [facets]
+  )
+
+  const toggleCategory = (category) => {
+    const categories = filters.categories.includes(category)
+      ? filters.categories.filter(c => c !== category)
+      : [...filters.categories, category]
+
+    setFilters({ categories })
+  }
+
+  const togglePriceBucket = (bucket) => {
+    const isActive = filters.minPrice === bucket.min && filters.maxPrice === (bucket.max ?? undefined)
+
+    setFilters(isActive
+      ? { minPrice: undefined, maxPrice: undefined }
+      : { minPrice: bucket.min, maxPrice: bucket.max ?? undefined }
+    )
+  }
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
-      <h1 className="text-3xl font-bold text-gray-900 mb-8">Products</h1>
-      <p className="text-gray-600">Products page - Ready to be built!</p>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Products</h1>
+          {totalCount !== null && (
+            <p className="text-gray-600 text-sm mt-1">{totalCount} products</p>
+          )}
+        </div>
+
+        <select
+          value={filters.sort}
+          onChange={(e) => setFilters({ sort: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          {Object.entries(SORT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        {/* Filters */}
+        <aside className="space-y-6">
+          <div>
+            <h2 className="font-semibold text-gray-900 mb-3">Category</h2>
+            <CategoryFacetList
+              categories={categoryTree}
+              selected={filters.categories}
+              onToggle={toggleCategory}
+            />
+          </div>
+
+          <div>
+            <h2 className="font-semibold text-gray-900 mb-3">Price</h2>
+            <ul className="space-y-2">
+              {facets?.price_buckets.map((bucket) => (
+                <li key={bucket.min}>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={filters.minPrice === bucket.min && filters.maxPrice === (bucket.max ?? undefined)}
+                      onChange={() => togglePriceBucket(bucket)}
+                    />
+                    <span className="flex-grow">{getPriceBucketLabel(bucket)}</span>
+                    <span className="text-gray-400">{bucket.count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.inStock}
+              onChange={(e) => setFilters({ inStock: e.target.checked })}
+            />
+            In stock only
+          </label>
+
+          <Button variant="secondary" size="sm" onClick={resetFilters}>
+            Clear filters
+          </Button>
+        </aside>
+
+        {/* Results */}
+        <section className="lg:col-span-3">
+          {products.length > 0 && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6">
+              {products.map(product => (
+                <ProductCard key={product.id} product={product} />
+              ))}
+            </div>
+          )}
+
+          {!loading && !hasMore && products.length === 0 && (
+            <p className="text-gray-600">No products match these filters.</p>
+          )}
+
+          {error && (
+            <p className="text-red-600 mt-4">Failed to load products. Please try again.</p>
+          )}
+
+          {loading ? (
+            <LoadingSpinner size="lg" className="py-12" />
+          ) : hasMore && (products.length > 0 || error) && (
+            <div className="flex justify-center mt-8">
+              <Button variant="outline" onClick={loadMore}>
+                Load More
+              </Button>
+            </div>
+          )}
+        </section>
+      </div>
     </div>
   )
 }
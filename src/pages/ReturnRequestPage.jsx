@@ -0,0 +1,96 @@
+import { Link, useParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import { useOrder } from '@features/orders/hooks/useOrders'
+import { useOrderReturns } from '@features/returns/hooks/useReturns'
+import {
+  getReturnDeadline,
+  getReturnableQuantities,
+  isReturnWindowOpen,
+} from '@features/returns/services/returnService'
+import ReturnRequestForm from '@features/returns/components/ReturnRequestForm'
+import ReturnCard from '@features/returns/components/ReturnCard'
+import Card from '@components/ui/Card'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+import { formatDate } from '@utils/formatters'
+import { ORDER_STATUS } from '@utils/constants'
+
+/**
+ * Returns for one order (/orders/:orderId/returns): earlier requests and a form
+ * for a new one while the return window is open
+ */
+const ReturnRequestPage = () => {
+  const { orderId } = useParams()
+  const { order, deliveredAt, loading, error } = useOrder(orderId)
+  const {
+    returns,
+    windowDays,
+    loading: returnsLoading,
+    error: returnsError,
+    submitting,
+    requestReturn,
+  } = useOrderReturns(orderId)
+
+  if (loading || returnsLoading) return <LoadingSpinner size="lg" className="py-24" />
+
+  const returnable = getReturnableQuantities(order, returns)
+  const deadline = getReturnDeadline(deliveredAt, windowDays)
+  const canReturn = isReturnWindowOpen(order, deliveredAt, windowDays)
+    && Object.values(returnable).some(quantity => quantity > 0)
+
+  const handleSubmit = async (returnData) => {
+    const result = await requestReturn(returnData)
+
+    if (result.error) {
+      toast.error(result.error.message || 'Failed to request return')
+    } else {
+      toast.success(`Return ${result.data.return_number} requested`)
+    }
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <Link to="/orders" className="text-sm text-primary-600 hover:text-primary-700">
+        ← Order history
+      </Link>
+      <h1 className="text-3xl font-bold text-gray-900 mt-2 mb-8">
+        Return Items{order && ` from Order #${order.order_number}`}
+      </h1>
+
+      {error || returnsError || !order ? (
+        <p className="text-red-600">Failed to load order. Please try again.</p>
+      ) : (
+        <div className="space-y-6">
+          {returns.map(returnRequest => (
+            <ReturnCard key={returnRequest.id} returnRequest={returnRequest} />
+          ))}
+
+          {canReturn ? (
+            <Card className="space-y-4">
+              <p className="text-sm text-gray-600">
+                You can return items from this order until {formatDate(deadline)}.
+              </p>
+              <ReturnRequestForm
+                // Remount with fresh quantities after each request
+                key={returns.length}
+                order={order}
+                returnableQuantities={returnable}
+                onSubmit={handleSubmit}
+                submitting={submitting}
+              />
+            </Card>
+          ) : (
+            <p className="text-gray-600">
+              {order.status !== ORDER_STATUS.DELIVERED
+                ? 'Items can be returned once the order has been delivered.'
+                : deadline && deadline < new Date()
+                  ? `The return window for this order closed on ${formatDate(deadline)}.`
+                  : 'Everything in this order has already been returned.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReturnRequestPage
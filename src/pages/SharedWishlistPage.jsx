@@ -0,0 +1,35 @@
+import { useParams } from 'react-router-dom'
+import { useSharedWishlist } from '@features/wishlist/hooks/useSharedWishlist'
+import WishlistItemList from '@features/wishlist/components/WishlistItemList'
+import LoadingSpinner from '@components/common/LoadingSpinner'
+
+const SharedWishlistPage = () => {
+  const { token } = useParams()
+  const { wishlist, loading, error } = useSharedWishlist(token)
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      {loading ? (
+        <LoadingSpinner size="lg" className="py-24" />
+      ) : error ? (
+        <p className="text-red-600">Failed to load wishlist. Please try again.</p>
+      ) : !wishlist ? (
+        <p className="text-gray-600">This wishlist is private or no longer exists.</p>
+      ) : (
+        <>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{wishlist.name}</h1>
+          {wishlist.owner_name && (
+            <p className="text-gray-600 mb-8">Shared by {wishlist.owner_name}</p>
+          )}
+          {wishlist.items.length === 0 ? (
+            <p className="text-gray-600">This wishlist is empty.</p>
+          ) : (
+            <WishlistItemList items={wishlist.items} readOnly />
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SharedWishlistPage
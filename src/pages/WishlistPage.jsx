@@ -0,0 +1,70 @@
+import { Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useWishlist from '@features/wishlist/store/wishlistStore'
+import { getWishlistShareUrl } from '@features/wishlist/services/wishlistService'
+import WishlistItemList from '@features/wishlist/components/WishlistItemList'
+import Button from '@components/ui/Button'
+
+const WishlistPage = () => {
+  const { items, wishlist, moveToCart, removeItem, setPublic } = useWishlist()
+
+  const handleMoveToCart = async (productId, variantId) => {
+    const { error } = await moveToCart(productId, variantId)
+    if (error) {
+      toast.error('Failed to update wishlist')
+    } else {
+      toast.success('Moved to cart')
+    }
+  }
+
+  const handleRemove = async (productId, variantId) => {
+    const { error } = await removeItem(productId, variantId)
+    if (error) toast.error('Failed to update wishlist')
+  }
+
+  const handleTogglePublic = async () => {
+    const { error } = await setPublic(!wishlist.is_public)
+    if (error) toast.error('Failed to update sharing')
+  }
+
+  const handleCopyLink = async () => {
+    await navigator.clipboard.writeText(getWishlistShareUrl(wishlist.share_token))
+    toast.success('Link copied')
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">My Wishlist</h1>
+
+        {wishlist ? (
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={wishlist.is_public} onChange={handleTogglePublic} />
+              Public
+            </label>
+            {wishlist.is_public && (
+              <Button variant="outline" size="sm" onClick={handleCopyLink}>
+                Copy share link
+              </Button>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">
+            <Link to="/login" className="text-primary-600 hover:text-primary-700">Log in</Link> to keep your wishlist and share it.
+          </p>
+        )}
+      </div>
+
+      {items.length === 0 ? (
+        <p className="text-gray-600">
+          Your wishlist is empty. <Link to="/products" className="text-primary-600 hover:text-primary-700">Browse products</Link>
+        </p>
+      ) : (
+        <WishlistItemList items={items} onMoveToCart={handleMoveToCart} onRemove={handleRemove} />
+      )}
+    </div>
+  )
+}
+
+export default WishlistPage
@@ -6,11 +6,18 @@ const HomePage = lazy(() => import('@pages/HomePage'))
 const ProductsPage = lazy(() => import('@pages/ProductsPage'))
 const ProductDetailPage = lazy(() => import('@pages/ProductDetailPage'))
 const CartPage = lazy(() => import('@pages/CartPage'))
+const WishlistPage = lazy(() => import('@pages/WishlistPage'))
+const SharedWishlistPage = lazy(() => import('@pages/SharedWishlistPage'))
 const CheckoutPage = lazy(() => import('@pages/CheckoutPage'))
 const AccountPage = lazy(() => import('@pages/AccountPage'))
 const OrderHistoryPage = lazy(() => import('@pages/OrderHistoryPage'))
+const OrderLookupPage = lazy(() => import('@pages/OrderLookupPage'))
+const OrderConfirmationPage = lazy(() => import('@pages/OrderConfirmationPage'))
+const ReturnRequestPage = lazy(() => import('@pages/ReturnRequestPage'))
+const OrderCancelPage = lazy(() => import('@pages/OrderCancelPage'))
 const SignupPage = lazy(() => import('@pages/SignupPage'))
 const LoginPage = lazy(() => import('@pages/LoginPage'))
+const AdminProductsPage = lazy(() => import('@pages/AdminProductsPage'))
 const NotFoundPage = lazy(() => import('@pages/NotFoundPage'))
 
 /**
@@ -58,6 +65,16 @@ export const routes = [
     element: <CartPage />,
     protected: false,
   },
+  {
+    path: '/wishlist',
+    element: <WishlistPage />,
+    protected: false,
+  },
+  {
+    path: '/wishlists/:token',
+    element: <SharedWishlistPage />,
+    protected: false,
+  },
   {
     path: '/checkout',
     element: <CheckoutPage />,
@@ -73,6 +90,39 @@ export const routes = [
     element: <OrderHistoryPage />,
     protected: false,
   },
+  {
+    path: '/orders/:orderId/cancel',
+    element: (
+      <ProtectedRoute>
+        <OrderCancelPage />
+      </ProtectedRoute>
+    ),
+    protected: true,
+  },
+  {
+    path: '/orders/:orderId/returns',
+    element: (
+      <ProtectedRoute>
+        <ReturnRequestPage />
+      </ProtectedRoute>
+    ),
+    protected: true,
+  },
+  {
+    path: '/order-lookup',
+    element: <OrderLookupPage />,
+    protected: false,
+  },
+  {
+    path: '/order-lookup/:token',
+    element: <OrderLookupPage />,
+    protected: false,
+  },
+  {
+    path: '/order-confirmation/:orderId',
+    element: <OrderConfirmationPage />,
+    protected: false,
+  },
   {
     path: '/signup',
     element: <SignupPage />,
@@ -83,6 +133,15 @@ export const routes = [
     element: <LoginPage />,
     protected: false,
   },
+  {
+    path: '/admin/products',
+    element: (
+      <ProtectedRoute>
+        <AdminProductsPage />
+      </ProtectedRoute>
+    ),
+    protected: true,
+  },
   {
     path: '*',
     element: <NotFoundPage />,
@@ -0,0 +1,14 @@
+/**
+ * Cart line helpers shared by the cart store and the services that price cart lines
+ */
+
+/**
+ * Build the key for a cart line
+ * The same product in two variants (e.g. sizes S and M) is two separate lines
+ * @param {string} productId - The product ID
+ * @param {string|null} variantId - The variant ID, if any
+ * @returns {string} Cart line ID
+ */
+export const getCartLineId = (productId, variantId = null) => {
+  return variantId ? `${productId}:${variantId}` : productId
+}
@@ -11,16 +11,86 @@ export const ORDER_STATUS = {
   CANCELLED: 'cancelled',
 }
 
-// Product categories
-export const PRODUCT_CATEGORIES = {
-  ELECTRONICS: 'electronics',
-  CLOTHING: 'clothing',
-  BOOKS: 'books',
-  HOME: 'home',
-  SPORTS: 'sports',
-  TOYS: 'toys',
-  BEAUTY: 'beauty',
-  FOOD: 'food',
+// Who may make an order status change (allowed_by in order_status_transitions):
+// payment - happens when the order's payment is captured
+// customer - the order's customer (or staff)
+// staff - staff only
+export const ORDER_STATUS_ACTOR = {
+  PAYMENT: 'payment',
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+}
+
+// Per-line errors returned by the place_order RPC
+export const ORDER_LINE_ERROR = {
+  INVALID_QUANTITY: 'invalid_quantity',
+  PRODUCT_NOT_FOUND: 'product_not_found',
+  VARIANT_UNAVAILABLE: 'variant_unavailable',
+  INSUFFICIENT_STOCK: 'insufficient_stock',
+}
+
+// Coupon discount types (coupons.discount_type)
+export const COUPON_TYPE = {
+  PERCENTAGE: 'percentage',
+  FIXED_AMOUNT: 'fixed_amount',
+  FREE_SHIPPING: 'free_shipping',
+}
+
+// Reasons calculate_coupon_discount / place_order reject a coupon code
+export const COUPON_ERROR = {
+  NOT_FOUND: 'not_found',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  USAGE_LIMIT_REACHED: 'usage_limit_reached',
+  LOGIN_REQUIRED: 'login_required',
+  CUSTOMER_LIMIT_REACHED: 'customer_limit_reached',
+  MIN_SUBTOTAL_NOT_MET: 'min_subtotal_not_met',
+  NO_ELIGIBLE_ITEMS: 'no_eligible_items',
+}
+
+// Countries offered in the shipping address form (ISO 3166-1 alpha-2, used for tax rates)
+export const SHIPPING_COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'AU', name: 'Australia' },
+]
+
+// Problems found when revalidating the cart against live product data
+export const CART_ISSUE = {
+  PRICE_CHANGED: 'price_changed',
+  OUT_OF_STOCK: 'out_of_stock',
+  QUANTITY_REDUCED: 'quantity_reduced',
+  UNAVAILABLE: 'unavailable',
+}
+
+// Product list sort options
+export const PRODUCT_SORT = {
+  NEWEST: 'newest',
+  PRICE_ASC: 'price_asc',
+  PRICE_DESC: 'price_desc',
+  NAME_ASC: 'name_asc',
+  BEST_SELLING: 'best_selling',
+}
+
+// Product image storage
+export const PRODUCT_IMAGE_BUCKET = 'product-images'
+
+// Longest edge (in px) of each generated product image rendition
+export const IMAGE_RENDITIONS = {
+  MEDIUM: 800,
+  THUMBNAIL: 200,
+}
+
+// Review list sort options
+export const REVIEW_SORT = {
+  NEWEST: 'newest',
+  HIGHEST: 'highest',
+  LOWEST: 'lowest',
+  MOST_HELPFUL: 'most_helpful',
 }
 
 // Payment methods
@@ -32,6 +102,61 @@ export const PAYMENT_METHODS = {
   GOOGLE_PAY: 'google_pay',
 }
 
+// Payment methods that are paid with a card number
+export const CARD_PAYMENT_METHODS = [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.DEBIT_CARD]
+
+// Payment attempt statuses (payments.status)
+export const PAYMENT_STATUS = {
+  REQUIRES_ACTION: 'requires_action',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  VOIDED: 'voided',
+  FAILED: 'failed',
+}
+
+// Reasons a payment provider rejects a payment (payments.failure_code)
+export const PAYMENT_ERROR = {
+  CARD_DECLINED: 'card_declined',
+  INSUFFICIENT_FUNDS: 'insufficient_funds',
+  EXPIRED_CARD: 'expired_card',
+  INCORRECT_NUMBER: 'incorrect_number',
+  AUTHENTICATION_FAILED: 'authentication_failed',
+  PROCESSING_ERROR: 'processing_error',
+}
+
+// Refunds ledger statuses for cancelled order lines (refunds.status)
+export const REFUND_STATUS = {
+  OWED: 'owed',
+  REFUNDED: 'refunded',
+  NOT_CHARGED: 'not_charged',
+}
+
+// Return (RMA) request statuses: requested → approved → received → refunded, or rejected
+export const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded',
+  REJECTED: 'rejected',
+}
+
+// Reasons a customer can give for a return
+export const RETURN_REASON = {
+  DAMAGED: 'damaged',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  NO_LONGER_NEEDED: 'no_longer_needed',
+  OTHER: 'other',
+}
+
+// Supabase Storage bucket for return photos (private)
+export const RETURN_PHOTO_BUCKET = 'return-photos'
+
+// Most photos a customer can attach to a return
+export const MAX_RETURN_PHOTOS = 5
+
 // User roles
 export const USER_ROLES = {
   CUSTOMER: 'customer',
@@ -53,7 +178,10 @@ export const API_ROUTES = {
 // Local storage keys
 export const STORAGE_KEYS = {
   CART: 'cart-storage',
+  CHECKOUT: 'checkout-storage',
   AUTH: 'auth-storage',
+  WISHLIST: 'wishlist-storage',
+  RECENTLY_VIEWED: 'recently-viewed-storage',
   THEME: 'theme-preference',
   LANGUAGE: 'language-preference',
 }
@@ -0,0 +1,82 @@
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * Supports quoted fields, escaped quotes ("") and line breaks inside quotes
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...dataRows] = rows.filter(r => r.some(value => value.trim() !== ''))
+  const columns = header.map(column => column.trim())
+
+  return dataRows.map(values =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+  )
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or line break
+ * @param {any} value - Field value
+ * @returns {string} CSV-safe field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Convert an array of objects to CSV text
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Columns to include, in order
+ * @returns {string} CSV text with a header row
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(formatCsvField).join(','),
+    ...rows.map(row => columns.map(column => formatCsvField(row[column])).join(',')),
+  ]
+
+  return lines.join('\r\n') + '\r\n'
+}
@@ -0,0 +1,19 @@
+/**
+ * Save content as a file download in the browser
+ * @param {string|Blob} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (ignored when content is a Blob)
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  URL.revokeObjectURL(url)
+}
@@ -58,3 +58,44 @@ export const truncateText = (text, maxLength = 100) => {
 export const formatNumber = (num) => {
   return new Intl.NumberFormat('en-US').format(num)
 }
+
+/**
+ * Split a highlighted search snippet into plain and matched segments
+ * @param {string} text - Snippet with matched terms wrapped in <mark></mark>
+ * @returns {Array<Object>} Segments of { text, highlighted }
+ */
+export const parseHighlight = (text) => {
+  if (!text) return []
+
+  return text
+    .split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map(part => {
+      const highlighted = part.startsWith('<mark>') && part.endsWith('</mark>')
+      return {
+        text: highlighted ? part.slice(6, -7) : part,
+        highlighted,
+      }
+    })
+}
+
+/**
+ * Format a structured address on one line
+ * Accepts address book entries (full_name, region) and order snapshots (name, state)
+ * @param {Object} address - The address to format
+ * @returns {string} Formatted address
+ */
+export const formatAddress = (address) => {
+  if (!address) return ''
+
+  const regionLine = [address.region ?? address.state, address.postal_code].filter(Boolean).join(' ')
+
+  return [
+    address.full_name ?? address.name,
+    address.line1,
+    address.line2,
+    address.city,
+    regionLine,
+    address.country,
+  ].filter(Boolean).join(', ')
+}
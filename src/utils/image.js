@@ -0,0 +1,47 @@
+/**
+ * Resize an image file in the browser using a canvas
+ * The image is scaled down to fit within maxSize x maxSize (never scaled up)
+ * @param {File|Blob} file - The source image
+ * @param {number} maxSize - Longest edge of the output in pixels
+ * @param {Object} options - Output options
+ * @param {string} options.type - Output MIME type (default: image/webp)
+ * @param {number} options.quality - Output quality from 0 to 1 (default: 0.85)
+ * @returns {Promise<Blob>} The resized image
+ */
+export const resizeImage = async (file, maxSize, { type = 'image/webp', quality = 0.85 } = {}) => {
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+  const width = Math.round(bitmap.width * scale)
+  const height = Math.round(bitmap.height * scale)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+  bitmap.close()
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Failed to resize image'))),
+      type,
+      quality
+    )
+  })
+}
+
+/**
+ * Get a file extension for an image MIME type
+ * @param {string} mimeType - e.g. image/webp
+ * @returns {string} Extension without the dot (e.g. webp)
+ */
+export const getImageExtension = (mimeType) => {
+  const extensions = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif',
+  }
+
+  return extensions[mimeType] || 'bin'
+}
@@ -0,0 +1,69 @@
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * A cursor points just past the last row of a page by remembering that row's
+ * sort value and id. The next page is every row after that (value, id) pair,
+ * which stays correct when rows are inserted or deleted between requests.
+ */
+
+/**
+ * Build an opaque cursor from the last row of a page
+ * @param {Object} row - The last row returned
+ * @param {string} column - The column the list is sorted by
+ * @returns {string} Cursor string
+ */
+export const encodeCursor = (row, column) => {
+  return btoa(encodeURIComponent(JSON.stringify([row[column], row.id])))
+}
+
+/**
+ * Read the sort value and id back out of a cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object} The { value, id } pair
+ */
+export const decodeCursor = (cursor) => {
+  const [value, id] = JSON.parse(decodeURIComponent(atob(cursor)))
+  return { value, id }
+}
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ * @param {any} value - The raw value
+ * @returns {string} Double-quoted, escaped value
+ */
+const quoteFilterValue = (value) => {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`
+}
+
+/**
+ * Restrict a Supabase query to rows after a cursor
+ * The query must be ordered by (column, id), both in the given direction
+ * @param {Object} query - Supabase query builder
+ * @param {string|null} cursor - Cursor from encodeCursor, or null for the first page
+ * @param {string} column - The column the list is sorted by
+ * @param {boolean} ascending - Sort direction
+ * @returns {Object} The filtered query builder
+ */
+export const applyCursor = (query, cursor, column, ascending) => {
+  if (!cursor) return query
+
+  const { value, id } = decodeCursor(cursor)
+  const operator = ascending ? 'gt' : 'lt'
+  const quotedValue = quoteFilterValue(value)
+
+  return query.or(
+    `${column}.${operator}.${quotedValue},and(${column}.eq.${quotedValue},id.${operator}.${id})`
+  )
+}
+
+/**
+ * Get the cursor for the page after this one
+ * @param {Array} rows - Rows returned for the current page
+ * @param {number} limit - Requested page size
+ * @param {string} column - The column the list is sorted by
+ * @returns {string|null} Next cursor, or null when there are no more rows
+ */
+export const getNextCursor = (rows, limit, column) => {
+  if (!rows || rows.length < limit) return null
+  return encodeCursor(rows[rows.length - 1], column)
+}
@@ -0,0 +1,183 @@
+/**
+ * Minimal PDF writer for simple text documents (invoices, receipts)
+ * Uses the standard Helvetica fonts, so nothing has to be embedded. Text is limited
+ * to Latin-1; other characters are replaced (see toPdfText).
+ */
+
+// US Letter, in points (1/72 inch)
+export const PDF_PAGE_SIZE = { width: 612, height: 792 }
+
+// Glyph widths (per 1000 units of font size) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+
+// Characters outside Latin-1 that have a close enough stand-in
+const REPLACEMENTS = {
+  '−': '-', // minus sign
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+}
+
+/**
+ * Convert text to what the standard fonts can show
+ * @param {string} text - Any text
+ * @returns {string} Latin-1 text (unsupported characters become "?")
+ */
+const toPdfText = (text) => {
+  return Array.from(String(text ?? ''), char => {
+    if (REPLACEMENTS[char]) return REPLACEMENTS[char]
+    const code = char.charCodeAt(0)
+    return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?'
+  }).join('')
+}
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - Latin-1 text
+ * @returns {string} Escaped text
+ */
+const escapePdfString = (text) => {
+  return text.replace(/[\\()]/g, char => `\\${char}`)
+}
+
+/**
+ * Width of a line of text in points
+ * @param {string} text - The text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether it is set in bold
+ * @returns {number} Width in points
+ */
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+
+  const units = Array.from(toPdfText(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0)
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556)
+  }, 0)
+
+  return (units * size) / 1000
+}
+
+/**
+ * Break text into lines that fit a width, at spaces where possible
+ * @param {string} text - The text
+ * @param {number} maxWidth - Widest line in points
+ * @param {number} size - Font size in points
+ * @param {boolean} bold - Whether it is set in bold
+ * @returns {Array<string>} Lines
+ */
+export const wrapText = (text, maxWidth, size, bold = false) => {
+  const lines = []
+  let line = ''
+
+  for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word
+
+    if (measureText(candidate, size, bold) <= maxWidth || !line) {
+      line = candidate
+    } else {
+      lines.push(line)
+      line = word
+    }
+  }
+
+  if (line) lines.push(line)
+  return lines.length > 0 ? lines : ['']
+}
+
+/**
+ * Write the drawing operators for one page
+ * Coordinates are measured from the top-left corner of the page.
+ * @param {Array<Object>} items - Page content
+ * @returns {string} Content stream
+ */
+const renderPage = (items) => {
+  const { height } = PDF_PAGE_SIZE
+
+  return items.map(item => {
+    if (item.type === 'line') {
+      const { x1, y1, x2, y2, width = 0.5, gray = 0.8 } = item
+      return `${gray} G ${width} w ${x1} ${height - y1} m ${x2} ${height - y2} l S`
+    }
+
+    const { x, y, text, size = 10, bold = false, gray = 0, align = 'left' } = item
+    const left = align === 'right' ? x - measureText(text, size, bold) : x
+    const font = bold ? '/F2' : '/F1'
+
+    return `BT ${gray} g ${font} ${size} Tf ${left.toFixed(2)} ${(height - y).toFixed(2)} Td (${escapePdfString(toPdfText(text))}) Tj ET`
+  }).join('\n')
+}
+
+/**
+ * Build a PDF from pages of text and lines
+ * Each page is a list of items:
+ *   { type: 'text', x, y, text, size, bold, gray, align } (align 'right' ends the text at x)
+ *   { type: 'line', x1, y1, x2, y2, width, gray }
+ * Coordinates are in points from the top-left corner; gray is 0 (black) to 1 (white).
+ * @param {Array<Array<Object>>} pages - Page contents
+ * @param {Object} options - Document options
+ * @param {string} options.title - Document title shown by PDF viewers
+ * @returns {Blob} The PDF file
+ */
+export const buildPdf = (pages, { title = '' } = {}) => {
+  const { width, height } = PDF_PAGE_SIZE
+  const objects = []
+
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  const pageIds = pages.map((_, index) => 6 + index * 2)
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  objects[5] = `<< /Title (${escapePdfString(toPdfText(title))}) /Producer (BuildFast Shop) >>`
+
+  pages.forEach((items, index) => {
+    const content = renderPage(items)
+
+    objects[pageIds[index]] = [
+      '<< /Type /Page /Parent 2 0 R',
+      `/MediaBox [0 0 ${width} ${height}]`,
+      '/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >>',
+      `/Contents ${pageIds[index] + 1} 0 R >>`,
+    ].join(' ')
+    objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+  })
+
+  // Every character is one byte (Latin-1), so string lengths are byte offsets
+  let output = '%PDF-1.4\n%âãÏÓ\n'
+  const offsets = []
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`
+  }
+
+  const xrefOffset = output.length
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  output += offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  const bytes = Uint8Array.from(output, char => char.charCodeAt(0))
+  return new Blob([bytes], { type: 'application/pdf' })
+}
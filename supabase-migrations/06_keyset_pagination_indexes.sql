@@ -0,0 +1,30 @@
+-- ============================================
+-- BuildFast Shop - Keyset Pagination Indexes
+-- ============================================
+-- Listings page with a cursor on (sort column, id) instead of OFFSET.
+-- These indexes let each page seek straight to the cursor position.
+-- Run this in Supabase SQL Editor AFTER 05_product_filters.sql
+
+-- ============================================
+-- 1. Product listing indexes
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_products_price_id ON products(price, id);
+CREATE INDEX IF NOT EXISTS idx_products_name_id ON products(name, id);
+CREATE INDEX IF NOT EXISTS idx_products_units_sold_id ON products(units_sold DESC, id DESC);
+
+-- Superseded by the composite indexes above
+DROP INDEX IF EXISTS idx_products_created_at;
+DROP INDEX IF EXISTS idx_products_price;
+DROP INDEX IF EXISTS idx_products_units_sold;
+
+-- ============================================
+-- 2. Order history index
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_orders_customer_created_at_id ON orders(customer_id, created_at DESC, id DESC);
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Product and order listings can now page with getNextCursor()/cursor
+-- without slowing down on deep pages.
@@ -0,0 +1,167 @@
+-- ============================================
+-- BuildFast Shop - Product Variants Migration
+-- ============================================
+-- This adds options (e.g. Size, Color) and purchasable variants (e.g. "M / Red")
+-- with their own SKU, price override, stock and image
+-- Run this in Supabase SQL Editor AFTER 02_create_orders_table.sql
+
+-- ============================================
+-- 1. Create product_options table
+-- ============================================
+-- One row per option a product offers, with its allowed values in display order
+CREATE TABLE IF NOT EXISTS product_options (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  option_values TEXT[] NOT NULL DEFAULT '{}',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (product_id, name)
+);
+
+-- ============================================
+-- 2. Create product_variants table
+-- ============================================
+CREATE TABLE IF NOT EXISTS product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku TEXT UNIQUE NOT NULL,
+  options JSONB NOT NULL DEFAULT '{}',
+  price DECIMAL(10,2) CHECK (price >= 0),
+  stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+  image_id UUID REFERENCES product_images(id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 3. Record the purchased variant on order items
+-- ============================================
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE RESTRICT;
+
+-- ============================================
+-- 4. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_product_options_product_id ON product_options(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_variant_id ON order_items(variant_id);
+
+-- ============================================
+-- 5. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_product_variants_updated_at ON product_variants;
+CREATE TRIGGER update_product_variants_updated_at
+  BEFORE UPDATE ON product_variants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 6. Ensure a variant belongs to the ordered product
+-- ============================================
+CREATE OR REPLACE FUNCTION validate_order_item_variant()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.variant_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM product_variants
+    WHERE id = NEW.variant_id
+    AND product_id = NEW.product_id
+  ) THEN
+    RAISE EXCEPTION 'Variant % does not belong to product %', NEW.variant_id, NEW.product_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS validate_order_item_variant ON order_items;
+CREATE TRIGGER validate_order_item_variant
+  BEFORE INSERT OR UPDATE OF variant_id, product_id ON order_items
+  FOR EACH ROW
+  EXECUTE FUNCTION validate_order_item_variant();
+
+-- ============================================
+-- 7. Add table and column comments
+-- ============================================
+COMMENT ON TABLE product_options IS 'Options a product is offered in (e.g. Size, Color)';
+COMMENT ON COLUMN product_options.name IS 'Option name shown to customers (e.g. Size)';
+COMMENT ON COLUMN product_options.option_values IS 'Allowed values in display order (e.g. {S,M,L})';
+COMMENT ON COLUMN product_options.position IS 'Order in which options are displayed (lower = first)';
+
+COMMENT ON TABLE product_variants IS 'Purchasable combinations of a product''s option values';
+COMMENT ON COLUMN product_variants.sku IS 'Stock keeping unit (unique across all variants)';
+COMMENT ON COLUMN product_variants.options IS 'Option values for this variant, keyed by option name (e.g. {"Size": "M", "Color": "Red"})';
+COMMENT ON COLUMN product_variants.price IS 'Price override in USD (NULL = use products.price)';
+COMMENT ON COLUMN product_variants.stock_quantity IS 'Number of this variant currently in stock (must be >= 0)';
+COMMENT ON COLUMN product_variants.image_id IS 'Image shown when this variant is selected (optional)';
+COMMENT ON COLUMN product_variants.is_active IS 'Inactive variants are hidden from customers but kept for order history';
+
+COMMENT ON COLUMN order_items.variant_id IS 'References the variant bought (NULL for products without variants)';
+
+-- ============================================
+-- 8. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE product_options ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9. Create RLS Policies
+-- ============================================
+
+-- Allow anyone to view options and variants (public read access)
+CREATE POLICY "Anyone can view product options"
+  ON product_options
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Anyone can view product variants"
+  ON product_variants
+  FOR SELECT
+  TO public
+  USING (true);
+
+-- Only authenticated users can manage options and variants
+CREATE POLICY "Authenticated users can manage product options"
+  ON product_options
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can manage product variants"
+  ON product_variants
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+-- ============================================
+-- 10. Insert sample variants (optional)
+-- ============================================
+-- Uncomment to add sizes to the sample Cotton T-Shirt
+
+/*
+INSERT INTO product_options (product_id, name, option_values, position)
+SELECT id, 'Size', ARRAY['S', 'M', 'L'], 0
+FROM products WHERE name = 'Cotton T-Shirt';
+
+INSERT INTO product_variants (product_id, sku, options, price, stock_quantity, position)
+SELECT p.id, 'TSHIRT-' || size.value, jsonb_build_object('Size', size.value),
+  CASE WHEN size.value = 'L' THEN 21.99 ELSE NULL END, 50, size.position
+FROM products p, (VALUES ('S', 0), ('M', 1), ('L', 2)) AS size(value, position)
+WHERE p.name = 'Cotton T-Shirt';
+*/
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Product variants are now ready to use.
+--
+-- Features:
+-- ✅ Options per product (Size, Color, ...)
+-- ✅ Variants with their own SKU, price override, stock and image
+-- ✅ Order items record which variant was bought
+-- ✅ Variant must belong to the ordered product
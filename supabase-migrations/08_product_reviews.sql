@@ -0,0 +1,260 @@
+-- ============================================
+-- BuildFast Shop - Product Reviews Migration
+-- ============================================
+-- This creates tables for product reviews, star ratings and helpful votes
+-- Run this in Supabase SQL Editor AFTER 03_create_customers_table.sql
+
+-- ============================================
+-- 1. Create product_reviews table
+-- ============================================
+CREATE TABLE IF NOT EXISTS product_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  reviewer_name TEXT,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  helpful_count INTEGER NOT NULL DEFAULT 0 CHECK (helpful_count >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (product_id, customer_id)
+);
+
+-- ============================================
+-- 2. Create review_helpful_votes table
+-- ============================================
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+  review_id UUID NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (review_id, customer_id)
+);
+
+-- ============================================
+-- 3. Add rating aggregates to products
+-- ============================================
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS average_rating DECIMAL(3,2),
+  ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0 CHECK (review_count >= 0);
+
+-- ============================================
+-- 4. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_created_at ON product_reviews(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_rating ON product_reviews(product_id, rating);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product_helpful ON product_reviews(product_id, helpful_count DESC);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_customer_id ON product_reviews(customer_id);
+
+-- ============================================
+-- 5. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_product_reviews_updated_at ON product_reviews;
+CREATE TRIGGER update_product_reviews_updated_at
+  BEFORE UPDATE ON product_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 6. Create helper to check review eligibility
+-- ============================================
+-- Customers may only review products they have received. This reads other
+-- customers' orders, so it only ever answers for the signed-in customer.
+CREATE OR REPLACE FUNCTION has_purchased_product(product_uuid UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.product_id = product_uuid
+    AND o.customer_id = auth.uid()
+    AND o.status = 'delivered'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION has_purchased_product IS 'Whether the signed-in customer has a delivered order containing the product';
+
+-- ============================================
+-- 7. Fill in reviewer name from customer profile
+-- ============================================
+-- Customer profiles are private, so the public display name is copied onto the review
+CREATE OR REPLACE FUNCTION set_reviewer_name()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT NULLIF(full_name, '') INTO NEW.reviewer_name
+  FROM customers
+  WHERE id = NEW.customer_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS set_product_review_reviewer_name ON product_reviews;
+CREATE TRIGGER set_product_review_reviewer_name
+  BEFORE INSERT ON product_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION set_reviewer_name();
+
+-- ============================================
+-- 8. Keep product rating aggregates in sync
+-- ============================================
+CREATE OR REPLACE FUNCTION update_product_rating()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_product_id UUID;
+BEGIN
+  target_product_id := COALESCE(NEW.product_id, OLD.product_id);
+
+  UPDATE products
+  SET
+    average_rating = (
+      SELECT ROUND(AVG(rating), 2)
+      FROM product_reviews
+      WHERE product_id = target_product_id
+    ),
+    review_count = (
+      SELECT COUNT(*)
+      FROM product_reviews
+      WHERE product_id = target_product_id
+    )
+  WHERE id = target_product_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS update_product_rating_on_reviews ON product_reviews;
+CREATE TRIGGER update_product_rating_on_reviews
+  AFTER INSERT OR UPDATE OF rating OR DELETE ON product_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_product_rating();
+
+-- ============================================
+-- 9. Keep helpful_count in sync with votes
+-- ============================================
+CREATE OR REPLACE FUNCTION update_review_helpful_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE product_reviews
+  SET helpful_count = (
+    SELECT COUNT(*)
+    FROM review_helpful_votes
+    WHERE review_id = COALESCE(NEW.review_id, OLD.review_id)
+  )
+  WHERE id = COALESCE(NEW.review_id, OLD.review_id);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS update_helpful_count_on_votes ON review_helpful_votes;
+CREATE TRIGGER update_helpful_count_on_votes
+  AFTER INSERT OR DELETE ON review_helpful_votes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_review_helpful_count();
+
+-- ============================================
+-- 10. Add table and column comments
+-- ============================================
+COMMENT ON TABLE product_reviews IS 'Customer reviews and star ratings for products they have received';
+COMMENT ON COLUMN product_reviews.customer_id IS 'References the user who wrote the review (from auth.users)';
+COMMENT ON COLUMN product_reviews.reviewer_name IS 'Public display name (auto-filled from customers.full_name)';
+COMMENT ON COLUMN product_reviews.rating IS 'Star rating from 1 to 5';
+COMMENT ON COLUMN product_reviews.helpful_count IS 'Number of helpful votes (auto-maintained)';
+
+COMMENT ON TABLE review_helpful_votes IS 'One row per customer who found a review helpful';
+
+COMMENT ON COLUMN products.average_rating IS 'Average review rating (auto-maintained, NULL when there are no reviews)';
+COMMENT ON COLUMN products.review_count IS 'Number of reviews (auto-maintained)';
+
+-- ============================================
+-- 11. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_helpful_votes ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 12. Create RLS Policies
+-- ============================================
+
+-- Anyone can read reviews
+CREATE POLICY "Anyone can view product reviews"
+  ON product_reviews
+  FOR SELECT
+  TO public
+  USING (true);
+
+-- Customers can review products from their delivered orders
+CREATE POLICY "Customers can review purchased products"
+  ON product_reviews
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = customer_id
+    AND has_purchased_product(product_id)
+  );
+
+-- Customers can edit their own reviews
+CREATE POLICY "Customers can update their own reviews"
+  ON product_reviews
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = customer_id)
+  WITH CHECK (
+    auth.uid() = customer_id
+    AND has_purchased_product(product_id)
+  );
+
+-- Customers only write the review itself; helpful_count, reviewer_name and the
+-- timestamps are maintained by the triggers above
+REVOKE INSERT, UPDATE ON product_reviews FROM anon, authenticated;
+GRANT INSERT (product_id, customer_id, rating, title, body) ON product_reviews TO authenticated;
+GRANT UPDATE (rating, title, body) ON product_reviews TO authenticated;
+
+-- Customers can delete their own reviews
+CREATE POLICY "Customers can delete their own reviews"
+  ON product_reviews
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- Anyone can read helpful votes
+CREATE POLICY "Anyone can view helpful votes"
+  ON review_helpful_votes
+  FOR SELECT
+  TO public
+  USING (true);
+
+-- Customers can vote on other customers' reviews
+CREATE POLICY "Customers can vote reviews helpful"
+  ON review_helpful_votes
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = customer_id
+    AND NOT EXISTS (
+      SELECT 1 FROM product_reviews
+      WHERE product_reviews.id = review_helpful_votes.review_id
+      AND product_reviews.customer_id = auth.uid()
+    )
+  );
+
+-- Customers can remove their own votes
+CREATE POLICY "Customers can remove their own votes"
+  ON review_helpful_votes
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Product reviews are now ready to use.
+--
+-- Features:
+-- ✅ 1-5 star reviews with title and body
+-- ✅ One review per customer per product
+-- ✅ Only customers with a delivered order can review
+-- ✅ Customers can only edit the rating, title and body of their review
+-- ✅ Helpful votes (not on your own review)
+-- ✅ average_rating / review_count on products (auto-maintained)
@@ -0,0 +1,119 @@
+-- ============================================
+-- BuildFast Shop - Product Image Storage Migration
+-- ============================================
+-- This creates the product-images storage bucket, stores rendition paths on
+-- product_images, and guarantees a product has at most one primary image
+-- Run this in Supabase SQL Editor AFTER 01_create_products_table.sql
+
+-- ============================================
+-- 1. Create the product-images storage bucket
+-- ============================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('product-images', 'product-images', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- Allow public read access
+DROP POLICY IF EXISTS "Public can view product images" ON storage.objects;
+CREATE POLICY "Public can view product images"
+  ON storage.objects
+  FOR SELECT
+  TO public
+  USING (bucket_id = 'product-images');
+
+-- Only authenticated users can upload, replace or delete product images
+DROP POLICY IF EXISTS "Authenticated users can upload product images" ON storage.objects;
+CREATE POLICY "Authenticated users can upload product images"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (bucket_id = 'product-images');
+
+DROP POLICY IF EXISTS "Authenticated users can update product images" ON storage.objects;
+CREATE POLICY "Authenticated users can update product images"
+  ON storage.objects
+  FOR UPDATE
+  TO authenticated
+  USING (bucket_id = 'product-images');
+
+DROP POLICY IF EXISTS "Authenticated users can delete product images" ON storage.objects;
+CREATE POLICY "Authenticated users can delete product images"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (bucket_id = 'product-images');
+
+-- ============================================
+-- 2. Add rendition paths to product_images
+-- ============================================
+-- Paths are relative to the product-images bucket. They are NULL for images
+-- that were added as pre-hosted URLs.
+ALTER TABLE product_images
+  ADD COLUMN IF NOT EXISTS storage_path TEXT,
+  ADD COLUMN IF NOT EXISTS medium_path TEXT,
+  ADD COLUMN IF NOT EXISTS thumbnail_path TEXT;
+
+COMMENT ON COLUMN product_images.storage_path IS 'Storage path of the uploaded original (NULL for external URLs)';
+COMMENT ON COLUMN product_images.medium_path IS 'Storage path of the medium rendition (max 800px)';
+COMMENT ON COLUMN product_images.thumbnail_path IS 'Storage path of the thumbnail rendition (max 200px)';
+
+-- ============================================
+-- 3. Allow at most one primary image per product
+-- ============================================
+-- Clean up products that already have several primary images (keep the first)
+UPDATE product_images pi
+SET is_primary = false
+WHERE is_primary = true
+AND EXISTS (
+  SELECT 1 FROM product_images other
+  WHERE other.product_id = pi.product_id
+  AND other.is_primary = true
+  AND (other.display_order, other.created_at, other.id) < (pi.display_order, pi.created_at, pi.id)
+);
+
+-- Deferred so the primary can be switched inside one transaction
+ALTER TABLE product_images
+  DROP CONSTRAINT IF EXISTS one_primary_image_per_product;
+ALTER TABLE product_images
+  ADD CONSTRAINT one_primary_image_per_product
+  EXCLUDE USING btree (product_id WITH =) WHERE (is_primary)
+  DEFERRABLE INITIALLY DEFERRED;
+
+-- ============================================
+-- 4. Create function to switch the primary image
+-- ============================================
+-- A single UPDATE, so the product never has zero or two primary images in between
+CREATE OR REPLACE FUNCTION set_primary_product_image(image_uuid UUID)
+RETURNS VOID AS $$
+  UPDATE product_images
+  SET is_primary = (id = image_uuid)
+  WHERE product_id = (SELECT product_id FROM product_images WHERE id = image_uuid);
+$$ LANGUAGE sql;
+
+COMMENT ON FUNCTION set_primary_product_image IS 'Make an image its product''s only primary image';
+
+-- ============================================
+-- 5. Create function to reorder images
+-- ============================================
+-- display_order becomes each image's position in image_uuids (0-based)
+CREATE OR REPLACE FUNCTION reorder_product_images(product_uuid UUID, image_uuids UUID[])
+RETURNS VOID AS $$
+  UPDATE product_images pi
+  SET display_order = ordered.position - 1
+  FROM unnest(image_uuids) WITH ORDINALITY AS ordered(id, position)
+  WHERE pi.id = ordered.id
+  AND pi.product_id = product_uuid;
+$$ LANGUAGE sql;
+
+COMMENT ON FUNCTION reorder_product_images IS 'Set display_order from an ordered list of image IDs';
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Product image uploads are now ready to use.
+--
+-- Features:
+-- ✅ Public product-images storage bucket
+-- ✅ Original, medium and thumbnail rendition paths on product_images
+-- ✅ At most one primary image per product (enforced by the database)
+-- ✅ Atomic primary image switch
+-- ✅ Drag-to-reorder support via reorder_product_images
@@ -0,0 +1,308 @@
+-- ============================================
+-- BuildFast Shop - Categories Migration
+-- ============================================
+-- This creates a hierarchical categories table and links products to it.
+-- products.category is kept as a read-only copy of the category name so
+-- search and existing queries keep working.
+-- Run this in Supabase SQL Editor AFTER 05_product_filters.sql
+
+-- ============================================
+-- 1. Create categories table
+-- ============================================
+CREATE TABLE IF NOT EXISTS categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  description TEXT,
+  image_url TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (parent_id IS NULL OR parent_id != id)
+);
+
+-- ============================================
+-- 2. Link products to categories
+-- ============================================
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE RESTRICT;
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+
+-- ============================================
+-- 4. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at
+  BEFORE UPDATE ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 5. Create helper to build slugs
+-- ============================================
+CREATE OR REPLACE FUNCTION slugify(value TEXT)
+RETURNS TEXT AS $$
+  SELECT trim(BOTH '-' FROM regexp_replace(lower(value), '[^a-z0-9]+', '-', 'g'));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================
+-- 6. Backfill categories from existing products
+-- ============================================
+INSERT INTO categories (name, slug)
+SELECT DISTINCT ON (slugify(category)) category, slugify(category)
+FROM products
+WHERE category IS NOT NULL AND slugify(category) != ''
+ORDER BY slugify(category), category
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE products p
+SET category_id = c.id
+FROM categories c
+WHERE c.slug = slugify(p.category)
+AND p.category_id IS NULL;
+
+-- ============================================
+-- 7. Keep products.category in sync with category_id
+-- ============================================
+-- Writes may still pass a category name instead of category_id; it is resolved to an ID.
+-- A product that keeps its category_id keeps its category: when a category is
+-- renamed its products get the new name (below), which must not move them to
+-- another category whose name or slug happens to match.
+CREATE OR REPLACE FUNCTION sync_product_category()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.category IS NOT NULL AND (
+    NEW.category_id IS NULL
+    OR (
+      TG_OP = 'UPDATE'
+      AND NEW.category IS DISTINCT FROM OLD.category
+      AND NEW.category_id IS NOT DISTINCT FROM OLD.category_id
+      AND NOT EXISTS (
+        SELECT 1 FROM categories
+        WHERE id = NEW.category_id
+        AND name = NEW.category
+      )
+    )
+  ) THEN
+    SELECT id INTO NEW.category_id
+    FROM categories
+    WHERE slug = slugify(NEW.category) OR lower(name) = lower(NEW.category)
+    LIMIT 1;
+
+    IF NEW.category_id IS NULL THEN
+      RAISE EXCEPTION 'Unknown category: %', NEW.category;
+    END IF;
+  END IF;
+
+  SELECT name INTO NEW.category
+  FROM categories
+  WHERE id = NEW.category_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_product_category ON products;
+CREATE TRIGGER sync_product_category
+  BEFORE INSERT OR UPDATE OF category_id, category ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_product_category();
+
+-- Renaming a category renames it on its products
+CREATE OR REPLACE FUNCTION sync_category_name_to_products()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE products
+  SET category = NEW.name
+  WHERE category_id = NEW.id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_category_name_to_products ON categories;
+CREATE TRIGGER sync_category_name_to_products
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW
+  WHEN (NEW.name IS DISTINCT FROM OLD.name)
+  EXECUTE FUNCTION sync_category_name_to_products();
+
+-- Every product now has a category_id
+ALTER TABLE products ALTER COLUMN category_id SET NOT NULL;
+
+-- ============================================
+-- 8. Prevent cycles in the category tree
+-- ============================================
+CREATE OR REPLACE FUNCTION prevent_category_cycle()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.parent_id IS NOT NULL AND EXISTS (
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id = NEW.parent_id
+      UNION
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE id = NEW.id
+  ) THEN
+    RAISE EXCEPTION 'Category % cannot be nested under its own descendant', NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_category_cycle ON categories;
+CREATE TRIGGER prevent_category_cycle
+  BEFORE INSERT OR UPDATE OF parent_id ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_category_cycle();
+
+-- ============================================
+-- 9. Create function to resolve category filters
+-- ============================================
+-- Takes category slugs (or names) and returns their IDs plus all descendant IDs,
+-- so filtering by a parent category includes products in its subcategories
+CREATE OR REPLACE FUNCTION get_category_subtree_ids(category_keys TEXT[])
+RETURNS UUID[] AS $$
+  WITH RECURSIVE subtree AS (
+    SELECT id
+    FROM categories
+    WHERE slug = ANY(category_keys)
+    OR lower(name) = ANY(SELECT lower(key) FROM unnest(category_keys) AS key)
+    UNION
+    SELECT c.id
+    FROM categories c
+    JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT COALESCE(array_agg(id), '{}') FROM subtree;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_category_subtree_ids IS 'IDs of the given categories (by slug or name) and all their descendants';
+
+-- ============================================
+-- 10. Replace facet function with category-aware version
+-- ============================================
+-- Category counts include products in descendant categories
+DROP FUNCTION IF EXISTS get_product_facets(TEXT[], DECIMAL, DECIMAL, BOOLEAN);
+CREATE OR REPLACE FUNCTION get_product_facets(
+  filter_category_ids UUID[] DEFAULT NULL,
+  min_price DECIMAL DEFAULT NULL,
+  max_price DECIMAL DEFAULT NULL,
+  in_stock_only BOOLEAN DEFAULT false
+)
+RETURNS JSON AS $$
+  WITH RECURSIVE category_paths AS (
+    -- Every (ancestor, descendant) pair, including each category with itself
+    SELECT id AS ancestor_id, id AS descendant_id FROM categories
+    UNION ALL
+    SELECT cp.ancestor_id, c.id
+    FROM categories c
+    JOIN category_paths cp ON c.parent_id = cp.descendant_id
+  )
+  SELECT json_build_object(
+    'categories', COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', c.id,
+        'parent_id', c.parent_id,
+        'name', c.name,
+        'slug', c.slug,
+        'count', (
+          SELECT COUNT(*)
+          FROM products p
+          JOIN category_paths cp ON cp.descendant_id = p.category_id
+          WHERE cp.ancestor_id = c.id
+          AND (min_price IS NULL OR p.price >= min_price)
+          AND (max_price IS NULL OR p.price < max_price)
+          AND (NOT in_stock_only OR p.stock_quantity > 0)
+        )
+      ) ORDER BY c.sort_order, c.name)
+      FROM categories c
+    ), '[]'::json),
+    'price_buckets', (
+      SELECT json_agg(json_build_object(
+        'min', bucket.min,
+        'max', bucket.max,
+        'count', (
+          SELECT COUNT(*)
+          FROM products
+          WHERE price >= bucket.min
+          AND (bucket.max IS NULL OR price < bucket.max)
+          AND (filter_category_ids IS NULL OR category_id = ANY(filter_category_ids))
+          AND (NOT in_stock_only OR stock_quantity > 0)
+        )
+      ) ORDER BY bucket.min)
+      FROM (VALUES (0, 25), (25, 50), (50, 100), (100, 200), (200, NULL)) AS bucket(min, max)
+    )
+  );
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_product_facets IS 'Get per-category (including subcategories) and per-price-bucket product counts for catalog filters';
+
+-- ============================================
+-- 11. Add table and column comments
+-- ============================================
+COMMENT ON TABLE categories IS 'Product categories, nested via parent_id';
+COMMENT ON COLUMN categories.parent_id IS 'Parent category (NULL for top-level categories)';
+COMMENT ON COLUMN categories.slug IS 'URL-friendly unique identifier (e.g. mens-clothing)';
+COMMENT ON COLUMN categories.image_url IS 'URL/path to the category image';
+COMMENT ON COLUMN categories.sort_order IS 'Order among sibling categories (lower = first)';
+
+COMMENT ON COLUMN products.category_id IS 'References the product''s category';
+COMMENT ON COLUMN products.category IS 'Category name (read-only copy of categories.name, kept in sync by trigger)';
+
+-- ============================================
+-- 12. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 13. Create RLS Policies
+-- ============================================
+
+-- Allow anyone to view categories (public read access)
+CREATE POLICY "Anyone can view categories"
+  ON categories
+  FOR SELECT
+  TO public
+  USING (true);
+
+-- Only authenticated users can manage categories
+CREATE POLICY "Authenticated users can manage categories"
+  ON categories
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+-- ============================================
+-- 14. Insert sample subcategories (optional)
+-- ============================================
+-- Uncomment to nest some categories under Electronics
+
+/*
+INSERT INTO categories (parent_id, name, slug, sort_order)
+SELECT id, 'Audio', 'audio', 0 FROM categories WHERE slug = 'electronics'
+UNION ALL
+SELECT id, 'Wearables', 'wearables', 1 FROM categories WHERE slug = 'electronics';
+
+UPDATE products SET category_id = (SELECT id FROM categories WHERE slug = 'audio')
+WHERE name = 'Wireless Headphones';
+*/
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Categories are now ready to use.
+--
+-- Features:
+-- ✅ Nested categories with slugs, descriptions, images and sort order
+-- ✅ Products reference categories by foreign key
+-- ✅ Existing free-text categories migrated automatically
+-- ✅ Filtering by a parent includes all descendant categories
+-- ✅ Category cycles are rejected
@@ -0,0 +1,89 @@
+-- ============================================
+-- BuildFast Shop - Product SKU Migration
+-- ============================================
+-- This adds a unique SKU to products so bulk imports can match existing rows
+-- Run this in Supabase SQL Editor AFTER 01_create_products_table.sql
+
+-- ============================================
+-- 1. Add sku column to products
+-- ============================================
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS sku TEXT UNIQUE;
+
+COMMENT ON COLUMN products.sku IS 'Stock keeping unit (unique, used to match rows in bulk imports)';
+
+-- ============================================
+-- 2. Create function to replace a product's images
+-- ============================================
+-- Imports swap a product's whole gallery for a list of URLs. Doing it in one
+-- function means a failed insert keeps the old images. Images whose URL is still
+-- in the list keep their row (and its storage paths and variants), so importing
+-- an export unchanged leaves the gallery as it was.
+-- Returns the removed rows so the caller can delete their files from storage.
+CREATE OR REPLACE FUNCTION replace_product_images(product_uuid UUID, image_urls TEXT[])
+RETURNS JSONB AS $$
+DECLARE
+  removed_images JSONB;
+BEGIN
+  -- Remove images that aren't in the list, and extra rows for the same URL
+  WITH removed AS (
+    DELETE FROM product_images pi
+    WHERE pi.product_id = product_uuid
+    AND (
+      NOT (pi.image_url = ANY(image_urls))
+      OR EXISTS (
+        SELECT 1 FROM product_images kept
+        WHERE kept.product_id = pi.product_id
+        AND kept.image_url = pi.image_url
+        AND (kept.display_order, kept.created_at, kept.id) < (pi.display_order, pi.created_at, pi.id)
+      )
+    )
+    RETURNING *
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(removed)), '[]'::jsonb) INTO removed_images
+  FROM removed;
+
+  -- Move the kept images to their place in the list, then add the new ones
+  WITH urls AS (
+    SELECT url, MIN(position) AS position
+    FROM unnest(image_urls) WITH ORDINALITY AS listed(url, position)
+    GROUP BY url
+  )
+  UPDATE product_images pi
+  SET is_primary = urls.position = 1,
+      display_order = urls.position - 1
+  FROM urls
+  WHERE pi.product_id = product_uuid
+  AND pi.image_url = urls.url;
+
+  INSERT INTO product_images (product_id, image_url, is_primary, display_order)
+  SELECT product_uuid, urls.url, urls.position = 1, urls.position - 1
+  FROM (
+    SELECT url, MIN(position) AS position
+    FROM unnest(image_urls) WITH ORDINALITY AS listed(url, position)
+    GROUP BY url
+  ) urls
+  WHERE NOT EXISTS (
+    SELECT 1 FROM product_images pi
+    WHERE pi.product_id = product_uuid
+    AND pi.image_url = urls.url
+  );
+
+  RETURN removed_images;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION replace_product_images IS 'Replace a product''s images with a list of URLs (first is primary), keeping images already in the list';
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Products can now be imported and exported by SKU.
+--
+-- Features:
+-- ✅ Unique SKU per product
+-- ✅ Atomic image replacement via replace_product_images
+--
+-- Next steps:
+-- 1. Give existing products a SKU in the Table Editor; rows without one
+--    can't be matched, so importing them again would create duplicates
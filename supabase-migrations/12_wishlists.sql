@@ -0,0 +1,160 @@
+-- ============================================
+-- BuildFast Shop - Wishlists Migration
+-- ============================================
+-- This creates tables for customer wishlists and read-only share links
+-- Run this in Supabase SQL Editor AFTER 07_product_variants.sql
+
+-- ============================================
+-- 1. Create wishlists table
+-- ============================================
+-- One wishlist per customer, created on first use
+CREATE TABLE IF NOT EXISTS wishlists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID UNIQUE NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL DEFAULT 'My Wishlist',
+  is_public BOOLEAN NOT NULL DEFAULT false,
+  share_token UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Create wishlist_items table
+-- ============================================
+CREATE TABLE IF NOT EXISTS wishlist_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  wishlist_id UUID NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (wishlist_id, product_id, variant_id)
+);
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_wishlist_created_at ON wishlist_items(wishlist_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_product_id ON wishlist_items(product_id);
+
+-- ============================================
+-- 4. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_wishlists_updated_at ON wishlists;
+CREATE TRIGGER update_wishlists_updated_at
+  BEFORE UPDATE ON wishlists
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 5. Create function to read a shared wishlist
+-- ============================================
+-- Shared wishlists are only reachable by their share token, so they can't be listed
+CREATE OR REPLACE FUNCTION get_shared_wishlist(token UUID)
+RETURNS JSON AS $$
+  SELECT json_build_object(
+    'id', w.id,
+    'name', w.name,
+    'owner_name', NULLIF(c.full_name, ''),
+    'items', COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', wi.id,
+        'product_id', wi.product_id,
+        'variant_id', wi.variant_id,
+        'created_at', wi.created_at,
+        'product', json_build_object(
+          'id', p.id,
+          'name', p.name,
+          'price', p.price,
+          'stock_quantity', p.stock_quantity,
+          'product_images', COALESCE((
+            SELECT json_agg(json_build_object(
+              'id', pi.id,
+              'image_url', pi.image_url,
+              'is_primary', pi.is_primary,
+              'display_order', pi.display_order
+            ) ORDER BY pi.display_order)
+            FROM product_images pi
+            WHERE pi.product_id = p.id
+          ), '[]'::json)
+        ),
+        'variant', CASE WHEN v.id IS NULL THEN NULL ELSE json_build_object(
+          'id', v.id,
+          'sku', v.sku,
+          'options', v.options,
+          'price', v.price,
+          'stock_quantity', v.stock_quantity
+        ) END
+      ) ORDER BY wi.created_at DESC)
+      FROM wishlist_items wi
+      JOIN products p ON p.id = wi.product_id
+      LEFT JOIN product_variants v ON v.id = wi.variant_id
+      WHERE wi.wishlist_id = w.id
+    ), '[]'::json)
+  )
+  FROM wishlists w
+  LEFT JOIN customers c ON c.id = w.customer_id
+  WHERE w.share_token = token
+  AND w.is_public;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_shared_wishlist IS 'Read-only view of a public wishlist by its share token (NULL if not found or private)';
+
+-- ============================================
+-- 6. Add table and column comments
+-- ============================================
+COMMENT ON TABLE wishlists IS 'Products a customer saved for later (one wishlist per customer)';
+COMMENT ON COLUMN wishlists.customer_id IS 'References the user who owns the wishlist (from auth.users)';
+COMMENT ON COLUMN wishlists.is_public IS 'Whether the wishlist can be viewed through its share link';
+COMMENT ON COLUMN wishlists.share_token IS 'Unguessable token used in the share link';
+
+COMMENT ON TABLE wishlist_items IS 'Products (optionally a specific variant) saved in a wishlist';
+COMMENT ON COLUMN wishlist_items.variant_id IS 'The saved variant (NULL = the product itself)';
+
+-- ============================================
+-- 7. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE wishlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wishlist_items ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 8. Create RLS Policies
+-- ============================================
+
+-- Customers can manage their own wishlist
+CREATE POLICY "Customers can manage their own wishlist"
+  ON wishlists
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = customer_id)
+  WITH CHECK (auth.uid() = customer_id);
+
+-- Customers can manage items in their own wishlist
+CREATE POLICY "Customers can manage their own wishlist items"
+  ON wishlist_items
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM wishlists
+      WHERE wishlists.id = wishlist_items.wishlist_id
+      AND wishlists.customer_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM wishlists
+      WHERE wishlists.id = wishlist_items.wishlist_id
+      AND wishlists.customer_id = auth.uid()
+    )
+  );
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Wishlists are now ready to use.
+--
+-- Features:
+-- ✅ One wishlist per customer, with product or variant items
+-- ✅ Guest wishlists merged into the account on login (client side)
+-- ✅ Public wishlists shared through an unguessable read-only link
+-- ✅ Customers can only see and edit their own wishlist
@@ -0,0 +1,118 @@
+-- ============================================
+-- BuildFast Shop - Recommendations Migration
+-- ============================================
+-- This adds recently viewed products and "customers also bought" recommendations
+-- Run this in Supabase SQL Editor AFTER 10_categories.sql
+
+-- ============================================
+-- 1. Create recently_viewed_products table
+-- ============================================
+-- One row per customer and product; viewing again moves it to the front
+CREATE TABLE IF NOT EXISTS recently_viewed_products (
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (customer_id, product_id)
+);
+
+-- ============================================
+-- 2. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_recently_viewed_customer_viewed_at ON recently_viewed_products(customer_id, viewed_at DESC);
+
+-- Finds orders containing a product, and the other products in those orders
+CREATE INDEX IF NOT EXISTS idx_order_items_product_order ON order_items(product_id, order_id);
+
+-- ============================================
+-- 3. Keep only the latest views per customer
+-- ============================================
+CREATE OR REPLACE FUNCTION trim_recently_viewed_products()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM recently_viewed_products
+  WHERE customer_id = NEW.customer_id
+  AND product_id NOT IN (
+    SELECT product_id
+    FROM recently_viewed_products
+    WHERE customer_id = NEW.customer_id
+    ORDER BY viewed_at DESC
+    LIMIT 20
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trim_recently_viewed_products ON recently_viewed_products;
+CREATE TRIGGER trim_recently_viewed_products
+  AFTER INSERT ON recently_viewed_products
+  FOR EACH ROW
+  EXECUTE FUNCTION trim_recently_viewed_products();
+
+-- ============================================
+-- 4. Create function for "customers also bought"
+-- ============================================
+-- Products that appear in the same (non-cancelled) orders as the given product,
+-- most frequent first, topped up with bestsellers from the same category.
+-- SECURITY DEFINER because order_items are otherwise only visible to their owner;
+-- only product rows are returned.
+CREATE OR REPLACE FUNCTION get_related_products(product_uuid UUID, result_limit INTEGER DEFAULT 8)
+RETURNS SETOF products AS $$
+  WITH co_purchased AS (
+    SELECT other.product_id, COUNT(DISTINCT other.order_id) AS times_bought_together
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    JOIN order_items other ON other.order_id = oi.order_id AND other.product_id != oi.product_id
+    WHERE oi.product_id = product_uuid
+    AND o.status != 'cancelled'
+    GROUP BY other.product_id
+  )
+  SELECT p.*
+  FROM products p
+  LEFT JOIN co_purchased cp ON cp.product_id = p.id
+  WHERE p.id != product_uuid
+  AND p.stock_quantity > 0
+  AND (
+    cp.product_id IS NOT NULL
+    OR p.category_id = (SELECT category_id FROM products WHERE id = product_uuid)
+  )
+  ORDER BY cp.times_bought_together DESC NULLS LAST, p.units_sold DESC, p.id
+  LIMIT result_limit;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+COMMENT ON FUNCTION get_related_products IS 'Products frequently bought together with the given product, then same-category bestsellers';
+
+-- ============================================
+-- 5. Add table and column comments
+-- ============================================
+COMMENT ON TABLE recently_viewed_products IS 'Products a customer viewed recently (latest 20 kept per customer)';
+COMMENT ON COLUMN recently_viewed_products.customer_id IS 'References the user who viewed the product (from auth.users)';
+COMMENT ON COLUMN recently_viewed_products.viewed_at IS 'When the customer last viewed the product';
+
+-- ============================================
+-- 6. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE recently_viewed_products ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 7. Create RLS Policies
+-- ============================================
+
+-- Customers can manage their own viewing history
+CREATE POLICY "Customers can manage their own recently viewed products"
+  ON recently_viewed_products
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = customer_id)
+  WITH CHECK (auth.uid() = customer_id);
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Recommendations are now ready to use.
+--
+-- Features:
+-- ✅ Recently viewed products saved per customer (latest 20)
+-- ✅ "Customers also bought" from co-purchases in order_items
+-- ✅ Falls back to same-category bestsellers
+-- ✅ Out-of-stock products are never recommended
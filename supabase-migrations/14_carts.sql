@@ -0,0 +1,159 @@
+-- ============================================
+-- BuildFast Shop - Server-Side Carts Migration
+-- ============================================
+-- This stores each customer's cart in the database so it follows them across devices
+-- Run this in Supabase SQL Editor AFTER 07_product_variants.sql
+
+-- ============================================
+-- 1. Create carts table
+-- ============================================
+-- One cart per customer, created on first use
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID UNIQUE NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Create cart_items table
+-- ============================================
+CREATE TABLE IF NOT EXISTS cart_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (cart_id, product_id, variant_id)
+);
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id ON cart_items(cart_id);
+CREATE INDEX IF NOT EXISTS idx_cart_items_product_id ON cart_items(product_id);
+
+-- ============================================
+-- 4. Create triggers for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_carts_updated_at ON carts;
+CREATE TRIGGER update_carts_updated_at
+  BEFORE UPDATE ON carts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_cart_items_updated_at ON cart_items;
+CREATE TRIGGER update_cart_items_updated_at
+  BEFORE UPDATE ON cart_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 5. Create function to merge a guest cart into the account cart
+-- ============================================
+-- items: [{ "product_id": "...", "variant_id": "..." | null, "quantity": 2 }, ...]
+-- Quantities of lines already in the account cart are summed, then capped at the
+-- available stock. Out-of-stock lines are left as they are for checkout
+-- revalidation to report.
+CREATE OR REPLACE FUNCTION merge_cart_items(items JSONB)
+RETURNS UUID AS $$
+DECLARE
+  cart_uuid UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'User not authenticated';
+  END IF;
+
+  INSERT INTO carts (customer_id)
+  VALUES (auth.uid())
+  ON CONFLICT (customer_id) DO NOTHING;
+
+  SELECT id INTO cart_uuid FROM carts WHERE customer_id = auth.uid();
+
+  INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+  SELECT cart_uuid, item.product_id, item.variant_id, SUM(item.quantity)
+  FROM jsonb_to_recordset(COALESCE(items, '[]'::jsonb))
+    AS item(product_id UUID, variant_id UUID, quantity INTEGER)
+  WHERE item.quantity > 0
+  GROUP BY item.product_id, item.variant_id
+  ON CONFLICT (cart_id, product_id, variant_id)
+  DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity;
+
+  UPDATE cart_items ci
+  SET quantity = stock.available
+  FROM (
+    SELECT ci2.id, COALESCE(v.stock_quantity, p.stock_quantity) AS available
+    FROM cart_items ci2
+    JOIN products p ON p.id = ci2.product_id
+    LEFT JOIN product_variants v ON v.id = ci2.variant_id
+    WHERE ci2.cart_id = cart_uuid
+  ) AS stock
+  WHERE ci.id = stock.id
+  AND stock.available > 0
+  AND ci.quantity > stock.available;
+
+  RETURN cart_uuid;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION merge_cart_items IS 'Merge guest cart lines into the current user''s cart (quantities summed, capped by stock); returns the cart ID';
+
+-- ============================================
+-- 6. Add table and column comments
+-- ============================================
+COMMENT ON TABLE carts IS 'Each customer''s shopping cart (one per customer)';
+COMMENT ON COLUMN carts.customer_id IS 'References the user who owns the cart (from auth.users)';
+
+COMMENT ON TABLE cart_items IS 'Products (optionally a specific variant) in a cart';
+COMMENT ON COLUMN cart_items.variant_id IS 'The selected variant (NULL = the product itself)';
+COMMENT ON COLUMN cart_items.quantity IS 'Number of units in the cart (must be positive)';
+
+-- ============================================
+-- 7. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 8. Create RLS Policies
+-- ============================================
+
+-- Customers can manage their own cart
+CREATE POLICY "Customers can manage their own cart"
+  ON carts
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = customer_id)
+  WITH CHECK (auth.uid() = customer_id);
+
+-- Customers can manage items in their own cart
+CREATE POLICY "Customers can manage their own cart items"
+  ON cart_items
+  FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM carts
+      WHERE carts.id = cart_items.cart_id
+      AND carts.customer_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM carts
+      WHERE carts.id = cart_items.cart_id
+      AND carts.customer_id = auth.uid()
+    )
+  );
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Server-side carts are now ready to use.
+--
+-- Features:
+-- ✅ One cart per customer, shared across devices
+-- ✅ Guest carts merged on login (quantities summed, capped by stock)
+-- ✅ Customers can only see and edit their own cart
@@ -0,0 +1,198 @@
+-- ============================================
+-- BuildFast Shop - Place Order Migration
+-- ============================================
+-- This adds a place_order() function that creates an order in one transaction:
+-- it locks the ordered products, checks stock, prices the lines on the server,
+-- inserts the order and its items, and decrements stock.
+-- Run this in Supabase SQL Editor AFTER 07_product_variants.sql
+
+-- ============================================
+-- 1. Track whether an order took stock
+-- ============================================
+-- Orders placed before this migration never decremented stock, so they must not
+-- put it back when cancelled
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS stock_reserved BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN orders.stock_reserved IS 'Whether placing the order decremented stock (restocked on cancel)';
+
+-- ============================================
+-- 2. Create helper to combine order lines
+-- ============================================
+-- items: [{ "product_id": "...", "variant_id": "..." | null, "quantity": 2 }, ...]
+-- Duplicate product/variant lines are summed
+CREATE OR REPLACE FUNCTION group_order_lines(items JSONB)
+RETURNS TABLE (product_id UUID, variant_id UUID, quantity INTEGER, has_invalid_quantity BOOLEAN) AS $$
+  SELECT
+    item.product_id,
+    item.variant_id,
+    COALESCE(SUM(item.quantity), 0)::INTEGER,
+    bool_or(item.quantity IS NULL OR item.quantity <= 0)
+  FROM jsonb_to_recordset(items) AS item(product_id UUID, variant_id UUID, quantity INTEGER)
+  GROUP BY item.product_id, item.variant_id;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================
+-- 3. Create place_order function
+-- ============================================
+-- shipping: { "address": "..." }
+-- Returns { "order_id": "...", "errors": [] } on success, or
+-- { "order_id": null, "errors": [{ "product_id", "variant_id", "code", "requested", "available" }] }
+-- without writing anything when any line can't be fulfilled.
+-- Error codes: invalid_quantity, product_not_found, variant_unavailable, insufficient_stock
+CREATE OR REPLACE FUNCTION place_order(items JSONB, shipping JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  line_errors JSONB;
+  order_uuid UUID;
+  order_total DECIMAL(10,2);
+BEGIN
+  IF customer_uuid IS NULL THEN
+    RAISE EXCEPTION 'User must be authenticated to place an order';
+  END IF;
+
+  IF items IS NULL OR jsonb_typeof(items) != 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Order must contain at least one item';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'address'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping address is required';
+  END IF;
+
+  -- Lock the ordered rows (in a fixed order to avoid deadlocks) so concurrent
+  -- orders wait here instead of overselling
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT l.product_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT l.variant_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Check every line before writing anything
+  SELECT COALESCE(jsonb_agg(line_error), '[]'::jsonb) INTO line_errors
+  FROM (
+    SELECT jsonb_build_object(
+      'product_id', l.product_id,
+      'variant_id', l.variant_id,
+      'code', CASE
+        WHEN l.has_invalid_quantity THEN 'invalid_quantity'
+        WHEN p.id IS NULL THEN 'product_not_found'
+        WHEN l.variant_id IS NOT NULL AND (v.id IS NULL OR NOT v.is_active OR v.product_id != p.id) THEN 'variant_unavailable'
+        WHEN COALESCE(v.stock_quantity, p.stock_quantity) < l.quantity THEN 'insufficient_stock'
+      END,
+      'requested', l.quantity,
+      'available', COALESCE(v.stock_quantity, p.stock_quantity)
+    ) AS line_error
+    FROM group_order_lines(items) l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN product_variants v ON v.id = l.variant_id
+  ) checks
+  WHERE line_error->>'code' IS NOT NULL;
+
+  IF jsonb_array_length(line_errors) > 0 THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', line_errors);
+  END IF;
+
+  -- Price every line from the catalog (variant price override, else product price)
+  SELECT SUM(l.quantity * COALESCE(v.price, p.price)) INTO order_total
+  FROM group_order_lines(items) l
+  JOIN products p ON p.id = l.product_id
+  LEFT JOIN product_variants v ON v.id = l.variant_id;
+
+  INSERT INTO orders (customer_id, total_amount, status, shipping_address, stock_reserved)
+  VALUES (customer_uuid, order_total, 'pending', btrim(shipping->>'address'), true)
+  RETURNING id INTO order_uuid;
+
+  INSERT INTO order_items (order_id, product_id, variant_id, quantity, price_at_time)
+  SELECT order_uuid, l.product_id, l.variant_id, l.quantity, COALESCE(v.price, p.price)
+  FROM group_order_lines(items) l
+  JOIN products p ON p.id = l.product_id
+  LEFT JOIN product_variants v ON v.id = l.variant_id;
+
+  -- Variant lines take stock from the variant, other lines from the product
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE l.variant_id IS NULL
+  AND p.id = l.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE v.id = l.variant_id;
+
+  RETURN jsonb_build_object('order_id', order_uuid, 'errors', '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION place_order IS 'Create an order with server-side prices and stock checks in one transaction';
+
+-- ============================================
+-- 4. Put stock back when an order is cancelled
+-- ============================================
+CREATE OR REPLACE FUNCTION restock_on_order_cancel()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity + oi.quantity
+  FROM (
+    SELECT product_id, SUM(quantity) AS quantity
+    FROM order_items
+    WHERE order_id = NEW.id
+    AND variant_id IS NULL
+    GROUP BY product_id
+  ) oi
+  WHERE p.id = oi.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity + oi.quantity
+  FROM (
+    SELECT variant_id, SUM(quantity) AS quantity
+    FROM order_items
+    WHERE order_id = NEW.id
+    AND variant_id IS NOT NULL
+    GROUP BY variant_id
+  ) oi
+  WHERE v.id = oi.variant_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS restock_on_order_cancel ON orders;
+CREATE TRIGGER restock_on_order_cancel
+  AFTER UPDATE OF status ON orders
+  FOR EACH ROW
+  WHEN (NEW.status = 'cancelled' AND OLD.status IS DISTINCT FROM 'cancelled' AND NEW.stock_reserved)
+  EXECUTE FUNCTION restock_on_order_cancel();
+
+-- ============================================
+-- 5. Only create orders through place_order
+-- ============================================
+-- Direct inserts would let the client choose prices and skip stock checks
+DROP POLICY IF EXISTS "Users can create their own orders" ON orders;
+DROP POLICY IF EXISTS "Users can create order items for their orders" ON order_items;
+
+-- The prices and totals are computed here, so customers mustn't be able to edit
+-- them afterwards either. Their orders' status is the only column they can update
+-- (e.g. to cancel).
+REVOKE UPDATE ON orders FROM anon, authenticated;
+GRANT UPDATE (status) ON orders TO authenticated;
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Orders are now placed atomically with place_order().
+--
+-- Features:
+-- ✅ Order and items created in a single transaction
+-- ✅ Prices and totals computed on the server, and not editable by customers
+-- ✅ Stock checked under row locks and decremented
+-- ✅ Per-line errors returned when stock runs out
+-- ✅ Stock restored when an order is cancelled
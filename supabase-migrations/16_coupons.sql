@@ -0,0 +1,527 @@
+-- ============================================
+-- BuildFast Shop - Coupons Migration
+-- ============================================
+-- This adds coupon codes (percentage, fixed amount, free shipping) and stores
+-- the applied discount on orders and order items
+-- Run this in Supabase SQL Editor AFTER 15_place_order.sql and 10_categories.sql
+
+-- ============================================
+-- 1. Create coupons table
+-- ============================================
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL,
+  description TEXT,
+  discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_shipping')),
+  discount_value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+  min_subtotal DECIMAL(10,2) CHECK (min_subtotal >= 0),
+  category_ids UUID[],
+  product_ids UUID[],
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  usage_limit_per_customer INTEGER CHECK (usage_limit_per_customer > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (discount_type != 'percentage' OR discount_value <= 100),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+-- ============================================
+-- 2. Create coupon_redemptions table
+-- ============================================
+-- One row per order that used a coupon; redemptions of cancelled orders don't count
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE RESTRICT,
+  order_id UUID UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 3. Store discounts on orders and order items
+-- ============================================
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+  ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0);
+
+-- ============================================
+-- 4. Create indexes for performance
+-- ============================================
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code ON coupons(upper(code));
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_customer ON coupon_redemptions(coupon_id, customer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_coupon_id ON orders(coupon_id);
+
+-- ============================================
+-- 5. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_coupons_updated_at ON coupons;
+CREATE TRIGGER update_coupons_updated_at
+  BEFORE UPDATE ON coupons
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 6. Order totals are net of item discounts
+-- ============================================
+CREATE OR REPLACE FUNCTION calculate_order_total(order_uuid UUID)
+RETURNS DECIMAL(10,2) AS $$
+  SELECT COALESCE(SUM(quantity * price_at_time - discount_amount), 0)
+  FROM order_items
+  WHERE order_id = order_uuid;
+$$ LANGUAGE sql STABLE;
+
+-- Keeps orders.total_amount and orders.discount_amount in sync with the items
+-- (also handles deletes, where only OLD is set)
+CREATE OR REPLACE FUNCTION validate_order_total()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_order_id UUID := COALESCE(NEW.order_id, OLD.order_id);
+  calculated_total DECIMAL(10,2);
+  calculated_discount DECIMAL(10,2);
+BEGIN
+  calculated_total := calculate_order_total(target_order_id);
+
+  SELECT COALESCE(SUM(discount_amount), 0) INTO calculated_discount
+  FROM order_items
+  WHERE order_id = target_order_id;
+
+  UPDATE orders
+  SET total_amount = calculated_total, discount_amount = calculated_discount
+  WHERE id = target_order_id
+  AND (total_amount, discount_amount) IS DISTINCT FROM (calculated_total, calculated_discount);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 7. Create helper to price order lines from the catalog
+-- ============================================
+-- Variant price override, else product price
+CREATE OR REPLACE FUNCTION price_order_lines(items JSONB)
+RETURNS TABLE (
+  product_id UUID,
+  variant_id UUID,
+  category_id UUID,
+  quantity INTEGER,
+  unit_price DECIMAL(10,2),
+  line_total DECIMAL(10,2)
+) AS $$
+  SELECT
+    l.product_id,
+    l.variant_id,
+    p.category_id,
+    l.quantity,
+    COALESCE(v.price, p.price),
+    l.quantity * COALESCE(v.price, p.price)
+  FROM group_order_lines(items) l
+  JOIN products p ON p.id = l.product_id
+  LEFT JOIN product_variants v ON v.id = l.variant_id;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 8. Create function to calculate a coupon's discount
+-- ============================================
+-- items: same format as place_order
+-- Returns { coupon_id, code, discount_type, free_shipping, subtotal, discount_amount,
+--           lines: [{ product_id, variant_id, quantity, unit_price, line_total, eligible, discount }],
+--           error }
+-- error is NULL when the coupon applies, otherwise one of: not_found, not_started, expired,
+-- usage_limit_reached, login_required, customer_limit_reached, min_subtotal_not_met, no_eligible_items
+CREATE OR REPLACE FUNCTION calculate_coupon_discount(coupon_code TEXT, items JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  coupon coupons%ROWTYPE;
+  eligible_category_ids UUID[];
+  cart_subtotal DECIMAL(10,2);
+  eligible_subtotal DECIMAL(10,2);
+  discount_total DECIMAL(10,2);
+  coupon_error TEXT;
+  discount_lines JSONB;
+BEGIN
+  SELECT * INTO coupon
+  FROM coupons
+  WHERE upper(code) = upper(btrim(coupon_code))
+  AND is_active;
+
+  IF coupon.id IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_found');
+  END IF;
+
+  -- Restricting to a category includes its subcategories
+  IF coupon.category_ids IS NOT NULL THEN
+    eligible_category_ids := get_category_subtree_ids(
+      ARRAY(SELECT slug FROM categories WHERE id = ANY(coupon.category_ids))
+    );
+  END IF;
+
+  SELECT
+    COALESCE(SUM(pl.line_total), 0),
+    COALESCE(SUM(pl.line_total) FILTER (
+      WHERE (coupon.product_ids IS NULL AND coupon.category_ids IS NULL)
+      OR pl.product_id = ANY(coupon.product_ids)
+      OR pl.category_id = ANY(eligible_category_ids)
+    ), 0)
+  INTO cart_subtotal, eligible_subtotal
+  FROM price_order_lines(items) pl;
+
+  coupon_error := CASE
+    WHEN coupon.starts_at IS NOT NULL AND NOW() < coupon.starts_at THEN 'not_started'
+    WHEN coupon.ends_at IS NOT NULL AND NOW() >= coupon.ends_at THEN 'expired'
+    WHEN coupon.usage_limit IS NOT NULL AND (
+      SELECT COUNT(*)
+      FROM coupon_redemptions cr
+      JOIN orders o ON o.id = cr.order_id
+      WHERE cr.coupon_id = coupon.id
+      AND o.status != 'cancelled'
+    ) >= coupon.usage_limit THEN 'usage_limit_reached'
+    WHEN coupon.usage_limit_per_customer IS NOT NULL AND customer_uuid IS NULL THEN 'login_required'
+    WHEN coupon.usage_limit_per_customer IS NOT NULL AND (
+      SELECT COUNT(*)
+      FROM coupon_redemptions cr
+      JOIN orders o ON o.id = cr.order_id
+      WHERE cr.coupon_id = coupon.id
+      AND cr.customer_id = customer_uuid
+      AND o.status != 'cancelled'
+    ) >= coupon.usage_limit_per_customer THEN 'customer_limit_reached'
+    WHEN coupon.min_subtotal IS NOT NULL AND cart_subtotal < coupon.min_subtotal THEN 'min_subtotal_not_met'
+    WHEN eligible_subtotal = 0 THEN 'no_eligible_items'
+  END;
+
+  IF coupon_error IS NOT NULL THEN
+    RETURN jsonb_build_object(
+      'code', coupon.code,
+      'min_subtotal', coupon.min_subtotal,
+      'error', coupon_error
+    );
+  END IF;
+
+  discount_total := CASE coupon.discount_type
+    WHEN 'fixed_amount' THEN LEAST(coupon.discount_value, eligible_subtotal)
+    ELSE 0
+  END;
+
+  -- Percentage discounts are taken off each eligible line. Fixed amounts are spread
+  -- over eligible lines in proportion to their totals, with the rounding remainder
+  -- going to the largest line.
+  SELECT
+    jsonb_agg(jsonb_build_object(
+      'product_id', d.product_id,
+      'variant_id', d.variant_id,
+      'quantity', d.quantity,
+      'unit_price', d.unit_price,
+      'line_total', d.line_total,
+      'eligible', d.eligible,
+      'discount', d.line_discount
+    ) ORDER BY d.rn),
+    COALESCE(SUM(d.line_discount), 0)
+  INTO discount_lines, discount_total
+  FROM (
+    SELECT
+      r.*,
+      r.raw_discount + CASE
+        WHEN coupon.discount_type = 'fixed_amount' AND r.rn = 1
+        THEN discount_total - SUM(r.raw_discount) OVER ()
+        ELSE 0
+      END AS line_discount
+    FROM (
+      SELECT
+        e.*,
+        CASE
+          WHEN NOT e.eligible THEN 0
+          WHEN coupon.discount_type = 'percentage' THEN ROUND(e.line_total * coupon.discount_value / 100, 2)
+          WHEN coupon.discount_type = 'fixed_amount' THEN ROUND(e.line_total / eligible_subtotal * discount_total, 2)
+          ELSE 0
+        END AS raw_discount,
+        row_number() OVER (ORDER BY e.eligible DESC, e.line_total DESC, e.product_id, e.variant_id) AS rn
+      FROM (
+        SELECT
+          pl.*,
+          (coupon.product_ids IS NULL AND coupon.category_ids IS NULL)
+            OR pl.product_id = ANY(coupon.product_ids)
+            OR COALESCE(pl.category_id = ANY(eligible_category_ids), false) AS eligible
+        FROM price_order_lines(items) pl
+      ) e
+    ) r
+  ) d;
+
+  RETURN jsonb_build_object(
+    'coupon_id', coupon.id,
+    'code', coupon.code,
+    'discount_type', coupon.discount_type,
+    'free_shipping', coupon.discount_type = 'free_shipping',
+    'subtotal', cart_subtotal,
+    'discount_amount', discount_total,
+    'lines', COALESCE(discount_lines, '[]'::jsonb),
+    'error', NULL
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION calculate_coupon_discount IS 'Check a coupon code against a cart and return the line-by-line discount';
+
+-- ============================================
+-- 9. Replace place_order with coupon-aware version
+-- ============================================
+-- Same as before, plus an optional coupon code. An invalid coupon returns
+-- { "order_id": null, "errors": [], "coupon_error": "<reason>" } without writing anything.
+DROP FUNCTION IF EXISTS place_order(JSONB, JSONB);
+CREATE OR REPLACE FUNCTION place_order(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  line_errors JSONB;
+  coupon_result JSONB;
+  order_uuid UUID;
+  order_subtotal DECIMAL(10,2);
+  order_discount DECIMAL(10,2) := 0;
+BEGIN
+  IF customer_uuid IS NULL THEN
+    RAISE EXCEPTION 'User must be authenticated to place an order';
+  END IF;
+
+  IF items IS NULL OR jsonb_typeof(items) != 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Order must contain at least one item';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'address'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping address is required';
+  END IF;
+
+  -- Lock the ordered rows (in a fixed order to avoid deadlocks) so concurrent
+  -- orders wait here instead of overselling
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT l.product_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT l.variant_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Check every line before writing anything
+  SELECT COALESCE(jsonb_agg(line_error), '[]'::jsonb) INTO line_errors
+  FROM (
+    SELECT jsonb_build_object(
+      'product_id', l.product_id,
+      'variant_id', l.variant_id,
+      'code', CASE
+        WHEN l.has_invalid_quantity THEN 'invalid_quantity'
+        WHEN p.id IS NULL THEN 'product_not_found'
+        WHEN l.variant_id IS NOT NULL AND (v.id IS NULL OR NOT v.is_active OR v.product_id != p.id) THEN 'variant_unavailable'
+        WHEN COALESCE(v.stock_quantity, p.stock_quantity) < l.quantity THEN 'insufficient_stock'
+      END,
+      'requested', l.quantity,
+      'available', COALESCE(v.stock_quantity, p.stock_quantity)
+    ) AS line_error
+    FROM group_order_lines(items) l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN product_variants v ON v.id = l.variant_id
+  ) checks
+  WHERE line_error->>'code' IS NOT NULL;
+
+  IF jsonb_array_length(line_errors) > 0 THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', line_errors);
+  END IF;
+
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    -- Lock the coupon so concurrent orders can't go over its usage limits
+    PERFORM 1 FROM coupons WHERE upper(code) = upper(btrim(coupon_code)) FOR UPDATE;
+
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+
+    IF coupon_result->>'error' IS NOT NULL THEN
+      RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'coupon_error', coupon_result->>'error');
+    END IF;
+
+    order_discount := (coupon_result->>'discount_amount')::DECIMAL(10,2);
+  END IF;
+
+  SELECT SUM(pl.line_total) INTO order_subtotal
+  FROM price_order_lines(items) pl;
+
+  INSERT INTO orders (
+    customer_id,
+    total_amount,
+    discount_amount,
+    coupon_id,
+    coupon_code,
+    status,
+    shipping_address,
+    stock_reserved
+  )
+  VALUES (
+    customer_uuid,
+    order_subtotal - order_discount,
+    order_discount,
+    (coupon_result->>'coupon_id')::UUID,
+    coupon_result->>'code',
+    'pending',
+    btrim(shipping->>'address'),
+    true
+  )
+  RETURNING id INTO order_uuid;
+
+  INSERT INTO order_items (order_id, product_id, variant_id, quantity, price_at_time, discount_amount)
+  SELECT order_uuid, pl.product_id, pl.variant_id, pl.quantity, pl.unit_price, COALESCE(cl.discount, 0)
+  FROM price_order_lines(items) pl
+  LEFT JOIN jsonb_to_recordset(coupon_result->'lines')
+    AS cl(product_id UUID, variant_id UUID, discount DECIMAL(10,2))
+    ON cl.product_id = pl.product_id
+    AND cl.variant_id IS NOT DISTINCT FROM pl.variant_id;
+
+  IF coupon_result IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+    VALUES ((coupon_result->>'coupon_id')::UUID, order_uuid, customer_uuid, order_discount);
+  END IF;
+
+  -- Variant lines take stock from the variant, other lines from the product
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE l.variant_id IS NULL
+  AND p.id = l.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE v.id = l.variant_id;
+
+  RETURN jsonb_build_object('order_id', order_uuid, 'errors', '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION place_order IS 'Create an order with server-side prices, stock checks and an optional coupon in one transaction';
+
+-- ============================================
+-- 10. Show discounts in order summaries and customer stats
+-- ============================================
+CREATE OR REPLACE VIEW order_summaries AS
+SELECT
+  o.id,
+  o.customer_id,
+  o.total_amount,
+  o.status,
+  o.shipping_address,
+  o.created_at,
+  o.updated_at,
+  COUNT(oi.id) as item_count,
+  SUM(oi.quantity) as total_items,
+  o.discount_amount,
+  o.coupon_code
+FROM orders o
+LEFT JOIN order_items oi ON o.id = oi.order_id
+GROUP BY o.id, o.customer_id, o.total_amount, o.status, o.shipping_address, o.created_at, o.updated_at,
+  o.discount_amount, o.coupon_code;
+
+COMMENT ON VIEW order_summaries IS 'Convenient view showing orders with item counts and discounts (total_amount is after discounts)';
+
+-- total_spent is what the customer actually paid (after discounts)
+CREATE OR REPLACE FUNCTION get_customer_stats(customer_uuid UUID)
+RETURNS JSON AS $$
+  SELECT json_build_object(
+    'total_orders', (
+      SELECT COUNT(*)
+      FROM orders
+      WHERE customer_id = customer_uuid
+    ),
+    'total_spent', (
+      SELECT COALESCE(SUM(total_amount), 0)
+      FROM orders
+      WHERE customer_id = customer_uuid
+      AND status != 'cancelled'
+    ),
+    'total_saved', (
+      SELECT COALESCE(SUM(discount_amount), 0)
+      FROM orders
+      WHERE customer_id = customer_uuid
+      AND status != 'cancelled'
+    ),
+    'last_order_date', (
+      SELECT MAX(created_at)
+      FROM orders
+      WHERE customer_id = customer_uuid
+    ),
+    'member_since', (
+      SELECT created_at
+      FROM customers
+      WHERE id = customer_uuid
+    )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- ============================================
+-- 11. Add table and column comments
+-- ============================================
+COMMENT ON TABLE coupons IS 'Discount codes (managed from the Supabase dashboard)';
+COMMENT ON COLUMN coupons.code IS 'Code customers enter at checkout (case-insensitive, unique)';
+COMMENT ON COLUMN coupons.discount_type IS 'percentage, fixed_amount or free_shipping';
+COMMENT ON COLUMN coupons.discount_value IS 'Percent off (0-100) or amount off; ignored for free_shipping';
+COMMENT ON COLUMN coupons.min_subtotal IS 'Minimum cart subtotal for the code to apply';
+COMMENT ON COLUMN coupons.category_ids IS 'Only discount products in these categories (and subcategories); NULL = no restriction';
+COMMENT ON COLUMN coupons.product_ids IS 'Only discount these products; NULL = no restriction';
+COMMENT ON COLUMN coupons.usage_limit IS 'Total number of orders that can use the code; NULL = unlimited';
+COMMENT ON COLUMN coupons.usage_limit_per_customer IS 'Orders per customer that can use the code; NULL = unlimited';
+
+COMMENT ON TABLE coupon_redemptions IS 'Orders that used a coupon (cancelled orders don''t count toward limits)';
+
+COMMENT ON COLUMN orders.discount_amount IS 'Total discount on the order (sum of order_items.discount_amount)';
+COMMENT ON COLUMN orders.coupon_id IS 'References the coupon applied to the order';
+COMMENT ON COLUMN orders.coupon_code IS 'Coupon code as entered when the order was placed';
+COMMENT ON COLUMN orders.total_amount IS 'Amount charged: item totals minus discounts (auto-calculated)';
+COMMENT ON COLUMN order_items.discount_amount IS 'Discount taken off this line (quantity * price_at_time - discount_amount = line total)';
+
+-- ============================================
+-- 12. Enable Row Level Security (RLS)
+-- ============================================
+-- No client policies on coupons: codes are only checked through
+-- calculate_coupon_discount / place_order, so they can't be listed
+ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE coupon_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 13. Create RLS Policies
+-- ============================================
+
+-- Customers can view their own coupon redemptions
+CREATE POLICY "Customers can view their own coupon redemptions"
+  ON coupon_redemptions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- ============================================
+-- 14. Insert sample coupons (optional)
+-- ============================================
+-- Uncomment to add sample codes for testing
+
+/*
+INSERT INTO coupons (code, description, discount_type, discount_value, min_subtotal, usage_limit_per_customer) VALUES
+  ('WELCOME10', '10% off your first order', 'percentage', 10, NULL, 1),
+  ('SAVE20', '$20 off orders over $100', 'fixed_amount', 20, 100, NULL),
+  ('FREESHIP', 'Free shipping', 'free_shipping', 0, 50, NULL);
+*/
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Coupons are now ready to use.
+--
+-- Features:
+-- ✅ Percentage, fixed-amount and free-shipping codes
+-- ✅ Minimum subtotal, category and product restrictions
+-- ✅ Start/end dates, total and per-customer usage limits
+-- ✅ Line-by-line discount breakdown
+-- ✅ Discount and coupon stored on the order; totals are after discounts
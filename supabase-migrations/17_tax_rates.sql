@@ -0,0 +1,491 @@
+-- ============================================
+-- BuildFast Shop - Tax Rates Migration
+-- ============================================
+-- This adds region-based tax rates and stores subtotal, tax and total
+-- separately on orders
+-- Run this in Supabase SQL Editor AFTER 16_coupons.sql
+
+-- ============================================
+-- 1. Create tax_rates table
+-- ============================================
+-- A rate applies to a country, optionally narrowed to a state, a postal code
+-- prefix and/or a product category (including its subcategories)
+CREATE TABLE IF NOT EXISTS tax_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  country TEXT NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  state TEXT,
+  postal_prefix TEXT,
+  category_id UUID REFERENCES categories(id) ON DELETE CASCADE,
+  rate DECIMAL(6,3) NOT NULL CHECK (rate >= 0 AND rate < 100),
+  prices_include_tax BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (country, state, postal_prefix, category_id)
+);
+
+-- ============================================
+-- 2. Store the address and tax breakdown on orders
+-- ============================================
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_country TEXT,
+  ADD COLUMN IF NOT EXISTS shipping_state TEXT,
+  ADD COLUMN IF NOT EXISTS shipping_postal_code TEXT,
+  ADD COLUMN IF NOT EXISTS subtotal_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (subtotal_amount >= 0),
+  ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0);
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(6,3) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+  ADD COLUMN IF NOT EXISTS tax_included BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing orders had no tax: their subtotal is the item total
+UPDATE orders o
+SET subtotal_amount = (
+  SELECT COALESCE(SUM(oi.quantity * oi.price_at_time), 0)
+  FROM order_items oi
+  WHERE oi.order_id = o.id
+);
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_tax_rates_country_state ON tax_rates(country, state) WHERE is_active;
+
+-- ============================================
+-- 4. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_tax_rates_updated_at ON tax_rates;
+CREATE TRIGGER update_tax_rates_updated_at
+  BEFORE UPDATE ON tax_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 5. Order totals include tax
+-- ============================================
+-- Tax-inclusive lines already contain their tax, so only exclusive tax is added
+CREATE OR REPLACE FUNCTION calculate_order_total(order_uuid UUID)
+RETURNS DECIMAL(10,2) AS $$
+  SELECT COALESCE(SUM(
+    quantity * price_at_time - discount_amount + CASE WHEN tax_included THEN 0 ELSE tax_amount END
+  ), 0)
+  FROM order_items
+  WHERE order_id = order_uuid;
+$$ LANGUAGE sql STABLE;
+
+-- Keeps the order's subtotal, discount, tax and total in sync with the items
+-- (also handles deletes, where only OLD is set)
+CREATE OR REPLACE FUNCTION validate_order_total()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_order_id UUID := COALESCE(NEW.order_id, OLD.order_id);
+  calculated_total DECIMAL(10,2);
+  calculated_subtotal DECIMAL(10,2);
+  calculated_discount DECIMAL(10,2);
+  calculated_tax DECIMAL(10,2);
+BEGIN
+  calculated_total := calculate_order_total(target_order_id);
+
+  SELECT
+    COALESCE(SUM(quantity * price_at_time), 0),
+    COALESCE(SUM(discount_amount), 0),
+    COALESCE(SUM(tax_amount), 0)
+  INTO calculated_subtotal, calculated_discount, calculated_tax
+  FROM order_items
+  WHERE order_id = target_order_id;
+
+  UPDATE orders
+  SET
+    total_amount = calculated_total,
+    subtotal_amount = calculated_subtotal,
+    discount_amount = calculated_discount,
+    tax_amount = calculated_tax
+  WHERE id = target_order_id
+  AND (total_amount, subtotal_amount, discount_amount, tax_amount)
+    IS DISTINCT FROM (calculated_total, calculated_subtotal, calculated_discount, calculated_tax);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- 6. Create function to find the tax rate for a product and address
+-- ============================================
+-- Most specific rate wins: a rate for the product's category (nearest category
+-- first) beats a general one, then the longest postal prefix, then a state match
+CREATE OR REPLACE FUNCTION find_tax_rate(
+  category_uuid UUID,
+  dest_country TEXT,
+  dest_state TEXT DEFAULT NULL,
+  dest_postal_code TEXT DEFAULT NULL
+)
+RETURNS tax_rates AS $$
+  WITH RECURSIVE category_ancestors AS (
+    SELECT id, parent_id, 0 AS depth
+    FROM categories
+    WHERE id = category_uuid
+    UNION ALL
+    SELECT c.id, c.parent_id, ca.depth + 1
+    FROM categories c
+    JOIN category_ancestors ca ON c.id = ca.parent_id
+  )
+  SELECT t.*
+  FROM tax_rates t
+  LEFT JOIN category_ancestors ca ON ca.id = t.category_id
+  WHERE t.is_active
+  AND t.country = upper(btrim(dest_country))
+  AND (t.state IS NULL OR upper(t.state) = upper(btrim(dest_state)))
+  AND (
+    t.postal_prefix IS NULL
+    OR upper(replace(dest_postal_code, ' ', '')) LIKE upper(replace(t.postal_prefix, ' ', '')) || '%'
+  )
+  AND (t.category_id IS NULL OR ca.id IS NOT NULL)
+  ORDER BY
+    ca.depth ASC NULLS LAST,
+    length(t.postal_prefix) DESC NULLS LAST,
+    (t.state IS NOT NULL) DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION find_tax_rate IS 'Most specific active tax rate for a product category and shipping address';
+
+-- ============================================
+-- 7. Create function to calculate an order's tax
+-- ============================================
+-- items: same format as place_order
+-- shipping: { "address", "country", "state", "postal_code" }
+-- Tax is charged on each line after its coupon discount. An invalid coupon is
+-- ignored (no discount) and reported in coupon_error.
+-- Returns { subtotal, discount_amount, tax_amount, total, coupon_error,
+--           lines: [{ product_id, variant_id, quantity, unit_price, line_total, discount,
+--                     tax_name, tax_rate, tax_amount, tax_included }] }
+CREATE OR REPLACE FUNCTION calculate_order_tax(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  coupon_result JSONB;
+  result JSONB;
+BEGIN
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+  END IF;
+
+  SELECT jsonb_build_object(
+    'subtotal', COALESCE(SUM(t.line_total), 0),
+    'discount_amount', COALESCE(SUM(t.discount), 0),
+    'tax_amount', COALESCE(SUM(t.tax_amount), 0),
+    'total', COALESCE(SUM(t.line_total - t.discount + CASE WHEN t.tax_included THEN 0 ELSE t.tax_amount END), 0),
+    'coupon_error', coupon_result->>'error',
+    'lines', COALESCE(jsonb_agg(jsonb_build_object(
+      'product_id', t.product_id,
+      'variant_id', t.variant_id,
+      'quantity', t.quantity,
+      'unit_price', t.unit_price,
+      'line_total', t.line_total,
+      'discount', t.discount,
+      'tax_name', t.tax_name,
+      'tax_rate', t.tax_rate,
+      'tax_amount', t.tax_amount,
+      'tax_included', t.tax_included
+    )), '[]'::jsonb)
+  ) INTO result
+  FROM (
+    SELECT
+      d.*,
+      ROUND(CASE
+        WHEN d.tax_included THEN (d.line_total - d.discount) * d.tax_rate / (100 + d.tax_rate)
+        ELSE (d.line_total - d.discount) * d.tax_rate / 100
+      END, 2) AS tax_amount
+    FROM (
+      SELECT
+        pl.*,
+        COALESCE(cl.discount, 0) AS discount,
+        tr.name AS tax_name,
+        COALESCE(tr.rate, 0) AS tax_rate,
+        COALESCE(tr.prices_include_tax, false) AS tax_included
+      FROM price_order_lines(items) pl
+      LEFT JOIN jsonb_to_recordset(
+        CASE WHEN coupon_result->>'error' IS NULL THEN coupon_result->'lines' END
+      ) AS cl(product_id UUID, variant_id UUID, discount DECIMAL(10,2))
+        ON cl.product_id = pl.product_id
+        AND cl.variant_id IS NOT DISTINCT FROM pl.variant_id
+      LEFT JOIN LATERAL find_tax_rate(
+        pl.category_id,
+        shipping->>'country',
+        shipping->>'state',
+        shipping->>'postal_code'
+      ) tr ON tr.id IS NOT NULL
+    ) d
+  ) t;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION calculate_order_tax IS 'Subtotal, discount, tax and total for a cart shipped to an address';
+
+-- ============================================
+-- 8. Replace place_order with tax-aware version
+-- ============================================
+-- Same as before; shipping now needs a country (plus state and postal code
+-- where the tax rates use them) and each line is taxed by calculate_order_tax
+DROP FUNCTION IF EXISTS place_order(JSONB, JSONB, TEXT);
+CREATE OR REPLACE FUNCTION place_order(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  line_errors JSONB;
+  coupon_result JSONB;
+  tax_result JSONB;
+  order_uuid UUID;
+BEGIN
+  IF customer_uuid IS NULL THEN
+    RAISE EXCEPTION 'User must be authenticated to place an order';
+  END IF;
+
+  IF items IS NULL OR jsonb_typeof(items) != 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Order must contain at least one item';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'address'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping address is required';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'country'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping country is required';
+  END IF;
+
+  -- Lock the ordered rows (in a fixed order to avoid deadlocks) so concurrent
+  -- orders wait here instead of overselling
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT l.product_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT l.variant_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Check every line before writing anything
+  SELECT COALESCE(jsonb_agg(line_error), '[]'::jsonb) INTO line_errors
+  FROM (
+    SELECT jsonb_build_object(
+      'product_id', l.product_id,
+      'variant_id', l.variant_id,
+      'code', CASE
+        WHEN l.has_invalid_quantity THEN 'invalid_quantity'
+        WHEN p.id IS NULL THEN 'product_not_found'
+        WHEN l.variant_id IS NOT NULL AND (v.id IS NULL OR NOT v.is_active OR v.product_id != p.id) THEN 'variant_unavailable'
+        WHEN COALESCE(v.stock_quantity, p.stock_quantity) < l.quantity THEN 'insufficient_stock'
+      END,
+      'requested', l.quantity,
+      'available', COALESCE(v.stock_quantity, p.stock_quantity)
+    ) AS line_error
+    FROM group_order_lines(items) l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN product_variants v ON v.id = l.variant_id
+  ) checks
+  WHERE line_error->>'code' IS NOT NULL;
+
+  IF jsonb_array_length(line_errors) > 0 THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', line_errors);
+  END IF;
+
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    -- Lock the coupon so concurrent orders can't go over its usage limits
+    PERFORM 1 FROM coupons WHERE upper(code) = upper(btrim(coupon_code)) FOR UPDATE;
+
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+
+    IF coupon_result->>'error' IS NOT NULL THEN
+      RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'coupon_error', coupon_result->>'error');
+    END IF;
+  END IF;
+
+  tax_result := calculate_order_tax(items, shipping, coupon_code);
+
+  INSERT INTO orders (
+    customer_id,
+    subtotal_amount,
+    discount_amount,
+    tax_amount,
+    total_amount,
+    coupon_id,
+    coupon_code,
+    status,
+    shipping_address,
+    shipping_country,
+    shipping_state,
+    shipping_postal_code,
+    stock_reserved
+  )
+  VALUES (
+    customer_uuid,
+    (tax_result->>'subtotal')::DECIMAL(10,2),
+    (tax_result->>'discount_amount')::DECIMAL(10,2),
+    (tax_result->>'tax_amount')::DECIMAL(10,2),
+    (tax_result->>'total')::DECIMAL(10,2),
+    (coupon_result->>'coupon_id')::UUID,
+    coupon_result->>'code',
+    'pending',
+    btrim(shipping->>'address'),
+    upper(btrim(shipping->>'country')),
+    NULLIF(btrim(shipping->>'state'), ''),
+    NULLIF(btrim(shipping->>'postal_code'), ''),
+    true
+  )
+  RETURNING id INTO order_uuid;
+
+  INSERT INTO order_items (
+    order_id,
+    product_id,
+    variant_id,
+    quantity,
+    price_at_time,
+    discount_amount,
+    tax_rate,
+    tax_amount,
+    tax_included
+  )
+  SELECT
+    order_uuid,
+    tl.product_id,
+    tl.variant_id,
+    tl.quantity,
+    tl.unit_price,
+    tl.discount,
+    tl.tax_rate,
+    tl.tax_amount,
+    tl.tax_included
+  FROM jsonb_to_recordset(tax_result->'lines') AS tl(
+    product_id UUID,
+    variant_id UUID,
+    quantity INTEGER,
+    unit_price DECIMAL(10,2),
+    discount DECIMAL(10,2),
+    tax_rate DECIMAL(6,3),
+    tax_amount DECIMAL(10,2),
+    tax_included BOOLEAN
+  );
+
+  IF coupon_result IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+    VALUES (
+      (coupon_result->>'coupon_id')::UUID,
+      order_uuid,
+      customer_uuid,
+      (tax_result->>'discount_amount')::DECIMAL(10,2)
+    );
+  END IF;
+
+  -- Variant lines take stock from the variant, other lines from the product
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE l.variant_id IS NULL
+  AND p.id = l.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE v.id = l.variant_id;
+
+  RETURN jsonb_build_object('order_id', order_uuid, 'errors', '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION place_order IS 'Create an order with server-side prices, stock checks, coupon and tax in one transaction';
+
+-- ============================================
+-- 9. Show the tax breakdown in order summaries
+-- ============================================
+CREATE OR REPLACE VIEW order_summaries AS
+SELECT
+  o.id,
+  o.customer_id,
+  o.total_amount,
+  o.status,
+  o.shipping_address,
+  o.created_at,
+  o.updated_at,
+  COUNT(oi.id) as item_count,
+  SUM(oi.quantity) as total_items,
+  o.discount_amount,
+  o.coupon_code,
+  o.subtotal_amount,
+  o.tax_amount
+FROM orders o
+LEFT JOIN order_items oi ON o.id = oi.order_id
+GROUP BY o.id, o.customer_id, o.total_amount, o.status, o.shipping_address, o.created_at, o.updated_at,
+  o.discount_amount, o.coupon_code, o.subtotal_amount, o.tax_amount;
+
+COMMENT ON VIEW order_summaries IS 'Convenient view showing orders with item counts, discounts and tax (total_amount is what was charged)';
+
+-- ============================================
+-- 10. Add table and column comments
+-- ============================================
+COMMENT ON TABLE tax_rates IS 'Sales tax / VAT rates by region and optional product category';
+COMMENT ON COLUMN tax_rates.country IS 'ISO 3166-1 alpha-2 country code (e.g. US, GB)';
+COMMENT ON COLUMN tax_rates.state IS 'State or region code; NULL = whole country';
+COMMENT ON COLUMN tax_rates.postal_prefix IS 'Postal codes starting with this prefix; NULL = all';
+COMMENT ON COLUMN tax_rates.category_id IS 'Only products in this category (and subcategories); NULL = all products';
+COMMENT ON COLUMN tax_rates.rate IS 'Tax rate as a percentage (8.25 = 8.25%)';
+COMMENT ON COLUMN tax_rates.prices_include_tax IS 'Whether catalog prices already include this tax (e.g. VAT)';
+
+COMMENT ON COLUMN orders.subtotal_amount IS 'Sum of quantity * price_at_time before discounts and tax';
+COMMENT ON COLUMN orders.tax_amount IS 'Total tax on the order (sum of order_items.tax_amount)';
+COMMENT ON COLUMN orders.total_amount IS 'Amount charged: subtotal - discounts + tax not already in prices (auto-calculated)';
+COMMENT ON COLUMN order_items.tax_rate IS 'Tax rate (percent) applied to this line';
+COMMENT ON COLUMN order_items.tax_amount IS 'Tax on this line after its discount';
+COMMENT ON COLUMN order_items.tax_included IS 'Whether tax_amount is already included in price_at_time';
+
+-- ============================================
+-- 11. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE tax_rates ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 12. Create RLS Policies
+-- ============================================
+
+-- Anyone can view active tax rates
+CREATE POLICY "Tax rates are viewable by everyone"
+  ON tax_rates
+  FOR SELECT
+  USING (is_active = true);
+
+-- Authenticated users can manage tax rates (admin only in production)
+CREATE POLICY "Authenticated users can manage tax rates"
+  ON tax_rates
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+-- ============================================
+-- 13. Insert sample tax rates (optional)
+-- ============================================
+-- Uncomment to add sample rates for testing
+
+/*
+INSERT INTO tax_rates (name, country, state, postal_prefix, rate, prices_include_tax) VALUES
+  ('California', 'US', 'CA', NULL, 7.25, false),
+  ('Los Angeles County', 'US', 'CA', '900', 9.5, false),
+  ('New York', 'US', 'NY', NULL, 4, false),
+  ('UK VAT', 'GB', NULL, NULL, 20, true);
+*/
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Tax is now calculated from the shipping address.
+--
+-- Features:
+-- ✅ Tax rates by country, state and postal code prefix
+-- ✅ Optional per-category rates
+-- ✅ Tax-inclusive and tax-exclusive pricing
+-- ✅ Subtotal, discount, tax and total stored separately on orders
@@ -0,0 +1,545 @@
+-- ============================================
+-- BuildFast Shop - Shipping Methods Migration
+-- ============================================
+-- This adds shipping zones, methods (standard, express, free over a threshold)
+-- and rates by weight or order value, plus a product weight attribute.
+-- The chosen method and its cost are stored on the order and included in the total.
+-- Run this in Supabase SQL Editor AFTER 17_tax_rates.sql
+
+-- ============================================
+-- 1. Add product weight
+-- ============================================
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS weight DECIMAL(10,3) CHECK (weight >= 0);
+
+COMMENT ON COLUMN products.weight IS 'Shipping weight in kg (NULL counts as 0)';
+
+-- ============================================
+-- 2. Create shipping_zones table
+-- ============================================
+CREATE TABLE IF NOT EXISTS shipping_zones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Countries (or single states of a country) that make up a zone
+CREATE TABLE IF NOT EXISTS shipping_zone_locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  zone_id UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+  country TEXT NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  state TEXT,
+  UNIQUE NULLS NOT DISTINCT (country, state)
+);
+
+-- ============================================
+-- 3. Create shipping_methods table
+-- ============================================
+CREATE TABLE IF NOT EXISTS shipping_methods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  min_delivery_days INTEGER CHECK (min_delivery_days >= 0),
+  max_delivery_days INTEGER CHECK (max_delivery_days >= min_delivery_days),
+  free_over_amount DECIMAL(10,2) CHECK (free_over_amount >= 0),
+  coupon_eligible BOOLEAN NOT NULL DEFAULT true,
+  display_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 4. Create shipping_rates table
+-- ============================================
+-- A method is offered in a zone when one of its rates there covers the order's
+-- weight (kg) or value (subtotal after discounts): min_value <= x < max_value
+CREATE TABLE IF NOT EXISTS shipping_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  method_id UUID NOT NULL REFERENCES shipping_methods(id) ON DELETE CASCADE,
+  zone_id UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+  rate_basis TEXT NOT NULL DEFAULT 'weight' CHECK (rate_basis IN ('weight', 'value')),
+  min_value DECIMAL(10,3) NOT NULL DEFAULT 0 CHECK (min_value >= 0),
+  max_value DECIMAL(10,3) CHECK (max_value > min_value),
+  price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 5. Store the shipping method and cost on orders
+-- ============================================
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_method_id UUID REFERENCES shipping_methods(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS shipping_method_name TEXT,
+  ADD COLUMN IF NOT EXISTS shipping_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (shipping_amount >= 0);
+
+-- ============================================
+-- 6. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_shipping_zone_locations_zone_id ON shipping_zone_locations(zone_id);
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_method_zone ON shipping_rates(method_id, zone_id);
+
+-- ============================================
+-- 7. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_shipping_methods_updated_at ON shipping_methods;
+CREATE TRIGGER update_shipping_methods_updated_at
+  BEFORE UPDATE ON shipping_methods
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 8. Order totals include shipping
+-- ============================================
+CREATE OR REPLACE FUNCTION calculate_order_total(order_uuid UUID)
+RETURNS DECIMAL(10,2) AS $$
+  SELECT
+    COALESCE((
+      SELECT SUM(quantity * price_at_time - discount_amount + CASE WHEN tax_included THEN 0 ELSE tax_amount END)
+      FROM order_items
+      WHERE order_id = order_uuid
+    ), 0)
+    + COALESCE((SELECT shipping_amount FROM orders WHERE id = order_uuid), 0);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 9. Create function to find the shipping zone for an address
+-- ============================================
+-- A state-level location beats a whole-country one
+CREATE OR REPLACE FUNCTION find_shipping_zone(dest_country TEXT, dest_state TEXT DEFAULT NULL)
+RETURNS UUID AS $$
+  SELECT zone_id
+  FROM shipping_zone_locations
+  WHERE country = upper(btrim(dest_country))
+  AND (state IS NULL OR upper(state) = upper(btrim(dest_state)))
+  ORDER BY (state IS NOT NULL) DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- 10. Create function to list shipping rates for a cart
+-- ============================================
+-- items: same format as place_order
+-- shipping: { "country", "state", ... }
+-- Returns the methods available for the address, cheapest first:
+-- [{ method_id, code, name, description, min_delivery_days, max_delivery_days, price, is_free }]
+-- A method is free when the order value reaches its free_over_amount, or when a valid
+-- free-shipping coupon is applied and the method is coupon_eligible.
+CREATE OR REPLACE FUNCTION get_shipping_rates(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  zone_uuid UUID;
+  coupon_result JSONB;
+  coupon_free_shipping BOOLEAN := false;
+  order_weight DECIMAL(10,3);
+  order_value DECIMAL(10,2);
+BEGIN
+  zone_uuid := find_shipping_zone(shipping->>'country', shipping->>'state');
+
+  IF zone_uuid IS NULL THEN
+    RETURN '[]'::jsonb;
+  END IF;
+
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+
+    IF coupon_result->>'error' IS NULL THEN
+      coupon_free_shipping := (coupon_result->>'free_shipping')::BOOLEAN;
+    ELSE
+      coupon_result := NULL;
+    END IF;
+  END IF;
+
+  SELECT COALESCE(SUM(l.quantity * COALESCE(p.weight, 0)), 0) INTO order_weight
+  FROM group_order_lines(items) l
+  JOIN products p ON p.id = l.product_id;
+
+  SELECT COALESCE(SUM(pl.line_total), 0) - COALESCE((coupon_result->>'discount_amount')::DECIMAL(10,2), 0)
+  INTO order_value
+  FROM price_order_lines(items) pl;
+
+  RETURN COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+      'method_id', rates.id,
+      'code', rates.code,
+      'name', rates.name,
+      'description', rates.description,
+      'min_delivery_days', rates.min_delivery_days,
+      'max_delivery_days', rates.max_delivery_days,
+      'price', rates.price,
+      'is_free', rates.price = 0
+    ) ORDER BY rates.price, rates.display_order)
+    FROM (
+      SELECT
+        m.*,
+        CASE
+          WHEN order_value >= m.free_over_amount THEN 0
+          WHEN coupon_free_shipping AND m.coupon_eligible THEN 0
+          ELSE r.price
+        END AS price
+      FROM shipping_methods m
+      JOIN LATERAL (
+        SELECT sr.price
+        FROM shipping_rates sr
+        WHERE sr.method_id = m.id
+        AND sr.zone_id = zone_uuid
+        AND (CASE sr.rate_basis WHEN 'weight' THEN order_weight ELSE order_value END) >= sr.min_value
+        AND (
+          sr.max_value IS NULL
+          OR (CASE sr.rate_basis WHEN 'weight' THEN order_weight ELSE order_value END) < sr.max_value
+        )
+        ORDER BY sr.price
+        LIMIT 1
+      ) r ON true
+      WHERE m.is_active
+    ) rates
+  ), '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION get_shipping_rates IS 'Shipping methods and prices available for a cart shipped to an address';
+
+-- ============================================
+-- 11. Replace place_order with shipping-aware version
+-- ============================================
+-- Same as before; shipping now also needs a method_id from get_shipping_rates.
+-- A method that isn't available for the address returns
+-- { "order_id": null, "errors": [], "shipping_error": "method_unavailable" } without writing anything.
+DROP FUNCTION IF EXISTS place_order(JSONB, JSONB, TEXT);
+CREATE OR REPLACE FUNCTION place_order(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  line_errors JSONB;
+  coupon_result JSONB;
+  tax_result JSONB;
+  shipping_rate JSONB;
+  order_uuid UUID;
+BEGIN
+  IF customer_uuid IS NULL THEN
+    RAISE EXCEPTION 'User must be authenticated to place an order';
+  END IF;
+
+  IF items IS NULL OR jsonb_typeof(items) != 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Order must contain at least one item';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'address'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping address is required';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'country'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping country is required';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'method_id'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping method is required';
+  END IF;
+
+  -- Lock the ordered rows (in a fixed order to avoid deadlocks) so concurrent
+  -- orders wait here instead of overselling
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT l.product_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT l.variant_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Check every line before writing anything
+  SELECT COALESCE(jsonb_agg(line_error), '[]'::jsonb) INTO line_errors
+  FROM (
+    SELECT jsonb_build_object(
+      'product_id', l.product_id,
+      'variant_id', l.variant_id,
+      'code', CASE
+        WHEN l.has_invalid_quantity THEN 'invalid_quantity'
+        WHEN p.id IS NULL THEN 'product_not_found'
+        WHEN l.variant_id IS NOT NULL AND (v.id IS NULL OR NOT v.is_active OR v.product_id != p.id) THEN 'variant_unavailable'
+        WHEN COALESCE(v.stock_quantity, p.stock_quantity) < l.quantity THEN 'insufficient_stock'
+      END,
+      'requested', l.quantity,
+      'available', COALESCE(v.stock_quantity, p.stock_quantity)
+    ) AS line_error
+    FROM group_order_lines(items) l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN product_variants v ON v.id = l.variant_id
+  ) checks
+  WHERE line_error->>'code' IS NOT NULL;
+
+  IF jsonb_array_length(line_errors) > 0 THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', line_errors);
+  END IF;
+
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    -- Lock the coupon so concurrent orders can't go over its usage limits
+    PERFORM 1 FROM coupons WHERE upper(code) = upper(btrim(coupon_code)) FOR UPDATE;
+
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+
+    IF coupon_result->>'error' IS NOT NULL THEN
+      RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'coupon_error', coupon_result->>'error');
+    END IF;
+  END IF;
+
+  SELECT rate INTO shipping_rate
+  FROM jsonb_array_elements(get_shipping_rates(items, shipping, coupon_code)) AS rate
+  WHERE rate->>'method_id' = btrim(shipping->>'method_id');
+
+  IF shipping_rate IS NULL THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'shipping_error', 'method_unavailable');
+  END IF;
+
+  tax_result := calculate_order_tax(items, shipping, coupon_code);
+
+  INSERT INTO orders (
+    customer_id,
+    subtotal_amount,
+    discount_amount,
+    tax_amount,
+    shipping_amount,
+    total_amount,
+    coupon_id,
+    coupon_code,
+    status,
+    shipping_address,
+    shipping_country,
+    shipping_state,
+    shipping_postal_code,
+    shipping_method_id,
+    shipping_method_name,
+    stock_reserved
+  )
+  VALUES (
+    customer_uuid,
+    (tax_result->>'subtotal')::DECIMAL(10,2),
+    (tax_result->>'discount_amount')::DECIMAL(10,2),
+    (tax_result->>'tax_amount')::DECIMAL(10,2),
+    (shipping_rate->>'price')::DECIMAL(10,2),
+    (tax_result->>'total')::DECIMAL(10,2) + (shipping_rate->>'price')::DECIMAL(10,2),
+    (coupon_result->>'coupon_id')::UUID,
+    coupon_result->>'code',
+    'pending',
+    btrim(shipping->>'address'),
+    upper(btrim(shipping->>'country')),
+    NULLIF(btrim(shipping->>'state'), ''),
+    NULLIF(btrim(shipping->>'postal_code'), ''),
+    (shipping_rate->>'method_id')::UUID,
+    shipping_rate->>'name',
+    true
+  )
+  RETURNING id INTO order_uuid;
+
+  INSERT INTO order_items (
+    order_id,
+    product_id,
+    variant_id,
+    quantity,
+    price_at_time,
+    discount_amount,
+    tax_rate,
+    tax_amount,
+    tax_included
+  )
+  SELECT
+    order_uuid,
+    tl.product_id,
+    tl.variant_id,
+    tl.quantity,
+    tl.unit_price,
+    tl.discount,
+    tl.tax_rate,
+    tl.tax_amount,
+    tl.tax_included
+  FROM jsonb_to_recordset(tax_result->'lines') AS tl(
+    product_id UUID,
+    variant_id UUID,
+    quantity INTEGER,
+    unit_price DECIMAL(10,2),
+    discount DECIMAL(10,2),
+    tax_rate DECIMAL(6,3),
+    tax_amount DECIMAL(10,2),
+    tax_included BOOLEAN
+  );
+
+  IF coupon_result IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+    VALUES (
+      (coupon_result->>'coupon_id')::UUID,
+      order_uuid,
+      customer_uuid,
+      (tax_result->>'discount_amount')::DECIMAL(10,2)
+    );
+  END IF;
+
+  -- Variant lines take stock from the variant, other lines from the product
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE l.variant_id IS NULL
+  AND p.id = l.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE v.id = l.variant_id;
+
+  RETURN jsonb_build_object('order_id', order_uuid, 'errors', '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION place_order IS 'Create an order with server-side prices, stock checks, coupon, tax and shipping in one transaction';
+
+-- ============================================
+-- 12. Show shipping in order summaries
+-- ============================================
+CREATE OR REPLACE VIEW order_summaries AS
+SELECT
+  o.id,
+  o.customer_id,
+  o.total_amount,
+  o.status,
+  o.shipping_address,
+  o.created_at,
+  o.updated_at,
+  COUNT(oi.id) as item_count,
+  SUM(oi.quantity) as total_items,
+  o.discount_amount,
+  o.coupon_code,
+  o.subtotal_amount,
+  o.tax_amount,
+  o.shipping_amount,
+  o.shipping_method_name
+FROM orders o
+LEFT JOIN order_items oi ON o.id = oi.order_id
+GROUP BY o.id, o.customer_id, o.total_amount, o.status, o.shipping_address, o.created_at, o.updated_at,
+  o.discount_amount, o.coupon_code, o.subtotal_amount, o.tax_amount, o.shipping_amount, o.shipping_method_name;
+
+-- ============================================
+-- 13. Add table and column comments
+-- ============================================
+COMMENT ON TABLE shipping_zones IS 'Groups of destinations that share shipping rates';
+COMMENT ON TABLE shipping_zone_locations IS 'Countries (or states) in each shipping zone';
+COMMENT ON COLUMN shipping_zone_locations.state IS 'State or region code; NULL = whole country';
+
+COMMENT ON TABLE shipping_methods IS 'Shipping options offered at checkout (standard, express, ...)';
+COMMENT ON COLUMN shipping_methods.code IS 'Stable identifier (e.g. standard, express)';
+COMMENT ON COLUMN shipping_methods.free_over_amount IS 'Method is free when the order value (after discounts) reaches this; NULL = never';
+COMMENT ON COLUMN shipping_methods.coupon_eligible IS 'Whether free-shipping coupons make this method free';
+
+COMMENT ON TABLE shipping_rates IS 'Price of a method in a zone for a range of order weight or value';
+COMMENT ON COLUMN shipping_rates.rate_basis IS 'weight (kg) or value (order subtotal after discounts)';
+COMMENT ON COLUMN shipping_rates.min_value IS 'Range start (inclusive)';
+COMMENT ON COLUMN shipping_rates.max_value IS 'Range end (exclusive); NULL = no upper limit';
+
+COMMENT ON COLUMN orders.shipping_method_id IS 'References the shipping method chosen at checkout';
+COMMENT ON COLUMN orders.shipping_method_name IS 'Shipping method name when the order was placed';
+COMMENT ON COLUMN orders.shipping_amount IS 'Shipping cost charged (included in total_amount)';
+COMMENT ON COLUMN orders.total_amount IS 'Amount charged: subtotal - discounts + tax not already in prices + shipping (auto-calculated)';
+
+-- ============================================
+-- 14. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE shipping_zones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipping_zone_locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipping_methods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipping_rates ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 15. Create RLS Policies
+-- ============================================
+
+-- Anyone can view shipping zones, methods and rates
+CREATE POLICY "Shipping zones are viewable by everyone"
+  ON shipping_zones
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Shipping zone locations are viewable by everyone"
+  ON shipping_zone_locations
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Active shipping methods are viewable by everyone"
+  ON shipping_methods
+  FOR SELECT
+  USING (is_active = true);
+
+CREATE POLICY "Shipping rates are viewable by everyone"
+  ON shipping_rates
+  FOR SELECT
+  USING (true);
+
+-- Authenticated users can manage shipping setup (admin only in production)
+CREATE POLICY "Authenticated users can manage shipping zones"
+  ON shipping_zones
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can manage shipping zone locations"
+  ON shipping_zone_locations
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can manage shipping methods"
+  ON shipping_methods
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can manage shipping rates"
+  ON shipping_rates
+  FOR ALL
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+-- ============================================
+-- 16. Insert sample shipping setup (optional)
+-- ============================================
+-- Uncomment to add a domestic zone with standard (free over $50) and express shipping
+
+/*
+WITH zone AS (
+  INSERT INTO shipping_zones (name) VALUES ('United States') RETURNING id
+), location AS (
+  INSERT INTO shipping_zone_locations (zone_id, country) SELECT id, 'US' FROM zone
+), methods AS (
+  INSERT INTO shipping_methods (code, name, min_delivery_days, max_delivery_days, free_over_amount, coupon_eligible, display_order) VALUES
+    ('standard', 'Standard', 3, 7, 50, true, 1),
+    ('express', 'Express', 1, 2, NULL, false, 2)
+  RETURNING id, code
+)
+INSERT INTO shipping_rates (method_id, zone_id, rate_basis, min_value, max_value, price)
+SELECT m.id, zone.id, 'weight', r.min_value, r.max_value, r.price
+FROM methods m
+CROSS JOIN zone
+JOIN (VALUES
+  ('standard', 0, 5, 5.99),
+  ('standard', 5, NULL, 12.99),
+  ('express', 0, 5, 14.99),
+  ('express', 5, NULL, 29.99)
+) AS r(code, min_value, max_value, price) ON r.code = m.code;
+*/
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Shipping methods are now ready to use.
+--
+-- Features:
+-- ✅ Product weight attribute
+-- ✅ Shipping zones by country or state
+-- ✅ Standard, express and free-over-threshold methods
+-- ✅ Rates by order weight or order value
+-- ✅ Chosen method and cost stored on the order and included in the total
@@ -0,0 +1,383 @@
+-- ============================================
+-- BuildFast Shop - Customer Addresses Migration
+-- ============================================
+-- This adds a customer address book with structured addresses and stores
+-- a snapshot of the structured shipping address on each order
+-- Run this in Supabase SQL Editor AFTER 18_shipping.sql
+
+-- ============================================
+-- 1. Create customer_addresses table
+-- ============================================
+CREATE TABLE IF NOT EXISTS customer_addresses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  label TEXT,
+  full_name TEXT NOT NULL CHECK (length(btrim(full_name)) > 0),
+  line1 TEXT NOT NULL CHECK (length(btrim(line1)) > 0),
+  line2 TEXT,
+  city TEXT NOT NULL CHECK (length(btrim(city)) > 0),
+  region TEXT,
+  postal_code TEXT,
+  country TEXT NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  phone TEXT,
+  is_default_shipping BOOLEAN NOT NULL DEFAULT false,
+  is_default_billing BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Store the structured address on orders
+-- ============================================
+-- A copy, not a reference: editing or deleting an address book entry
+-- doesn't change past orders
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS shipping_address_snapshot JSONB;
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer_id ON customer_addresses(customer_id);
+
+-- At most one default shipping and one default billing address per customer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_shipping
+  ON customer_addresses(customer_id) WHERE is_default_shipping;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default_billing
+  ON customer_addresses(customer_id) WHERE is_default_billing;
+
+-- ============================================
+-- 4. Create triggers
+-- ============================================
+DROP TRIGGER IF EXISTS update_customer_addresses_updated_at ON customer_addresses;
+CREATE TRIGGER update_customer_addresses_updated_at
+  BEFORE UPDATE ON customer_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Making an address the default clears the flag on the customer's other addresses,
+-- and a customer's first address becomes the default for both
+CREATE OR REPLACE FUNCTION set_default_customer_address()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' AND NOT EXISTS (
+    SELECT 1 FROM customer_addresses WHERE customer_id = NEW.customer_id
+  ) THEN
+    NEW.is_default_shipping := true;
+    NEW.is_default_billing := true;
+  END IF;
+
+  IF NEW.is_default_shipping THEN
+    UPDATE customer_addresses
+    SET is_default_shipping = false
+    WHERE customer_id = NEW.customer_id
+    AND id != NEW.id
+    AND is_default_shipping;
+  END IF;
+
+  IF NEW.is_default_billing THEN
+    UPDATE customer_addresses
+    SET is_default_billing = false
+    WHERE customer_id = NEW.customer_id
+    AND id != NEW.id
+    AND is_default_billing;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_default_customer_address ON customer_addresses;
+CREATE TRIGGER set_default_customer_address
+  BEFORE INSERT OR UPDATE OF is_default_shipping, is_default_billing ON customer_addresses
+  FOR EACH ROW
+  EXECUTE FUNCTION set_default_customer_address();
+
+-- ============================================
+-- 5. Create address helpers
+-- ============================================
+-- Structured address from place_order's shipping JSON (without the method)
+CREATE OR REPLACE FUNCTION address_snapshot(shipping JSONB)
+RETURNS JSONB AS $$
+  SELECT jsonb_strip_nulls(jsonb_build_object(
+    'name', NULLIF(btrim(shipping->>'name'), ''),
+    'line1', NULLIF(btrim(shipping->>'line1'), ''),
+    'line2', NULLIF(btrim(shipping->>'line2'), ''),
+    'city', NULLIF(btrim(shipping->>'city'), ''),
+    'state', NULLIF(btrim(shipping->>'state'), ''),
+    'postal_code', NULLIF(btrim(shipping->>'postal_code'), ''),
+    'country', upper(NULLIF(btrim(shipping->>'country'), '')),
+    'phone', NULLIF(btrim(shipping->>'phone'), '')
+  ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- One-line text version, kept in orders.shipping_address
+CREATE OR REPLACE FUNCTION format_address(address JSONB)
+RETURNS TEXT AS $$
+  SELECT concat_ws(', ',
+    address->>'name',
+    address->>'line1',
+    address->>'line2',
+    address->>'city',
+    concat_ws(' ', address->>'state', address->>'postal_code'),
+    address->>'country'
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================
+-- 6. Replace place_order with structured-address version
+-- ============================================
+-- Same as before; shipping is now a structured address:
+-- { "name", "line1", "line2", "city", "state", "postal_code", "country", "phone", "method_id" }
+-- (state is the address's region). The address is snapshotted on the order.
+DROP FUNCTION IF EXISTS place_order(JSONB, JSONB, TEXT);
+CREATE OR REPLACE FUNCTION place_order(items JSONB, shipping JSONB, coupon_code TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  customer_uuid UUID := auth.uid();
+  line_errors JSONB;
+  coupon_result JSONB;
+  tax_result JSONB;
+  shipping_rate JSONB;
+  order_uuid UUID;
+BEGIN
+  IF customer_uuid IS NULL THEN
+    RAISE EXCEPTION 'User must be authenticated to place an order';
+  END IF;
+
+  IF items IS NULL OR jsonb_typeof(items) != 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Order must contain at least one item';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'line1'), '') IS NULL OR NULLIF(btrim(shipping->>'city'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping address is required';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'country'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping country is required';
+  END IF;
+
+  IF NULLIF(btrim(shipping->>'method_id'), '') IS NULL THEN
+    RAISE EXCEPTION 'Shipping method is required';
+  END IF;
+
+  -- Lock the ordered rows (in a fixed order to avoid deadlocks) so concurrent
+  -- orders wait here instead of overselling
+  PERFORM 1
+  FROM products
+  WHERE id IN (SELECT l.product_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  PERFORM 1
+  FROM product_variants
+  WHERE id IN (SELECT l.variant_id FROM group_order_lines(items) l)
+  ORDER BY id
+  FOR UPDATE;
+
+  -- Check every line before writing anything
+  SELECT COALESCE(jsonb_agg(line_error), '[]'::jsonb) INTO line_errors
+  FROM (
+    SELECT jsonb_build_object(
+      'product_id', l.product_id,
+      'variant_id', l.variant_id,
+      'code', CASE
+        WHEN l.has_invalid_quantity THEN 'invalid_quantity'
+        WHEN p.id IS NULL THEN 'product_not_found'
+        WHEN l.variant_id IS NOT NULL AND (v.id IS NULL OR NOT v.is_active OR v.product_id != p.id) THEN 'variant_unavailable'
+        WHEN COALESCE(v.stock_quantity, p.stock_quantity) < l.quantity THEN 'insufficient_stock'
+      END,
+      'requested', l.quantity,
+      'available', COALESCE(v.stock_quantity, p.stock_quantity)
+    ) AS line_error
+    FROM group_order_lines(items) l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN product_variants v ON v.id = l.variant_id
+  ) checks
+  WHERE line_error->>'code' IS NOT NULL;
+
+  IF jsonb_array_length(line_errors) > 0 THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', line_errors);
+  END IF;
+
+  IF NULLIF(btrim(coupon_code), '') IS NOT NULL THEN
+    -- Lock the coupon so concurrent orders can't go over its usage limits
+    PERFORM 1 FROM coupons WHERE upper(code) = upper(btrim(coupon_code)) FOR UPDATE;
+
+    coupon_result := calculate_coupon_discount(coupon_code, items);
+
+    IF coupon_result->>'error' IS NOT NULL THEN
+      RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'coupon_error', coupon_result->>'error');
+    END IF;
+  END IF;
+
+  SELECT rate INTO shipping_rate
+  FROM jsonb_array_elements(get_shipping_rates(items, shipping, coupon_code)) AS rate
+  WHERE rate->>'method_id' = btrim(shipping->>'method_id');
+
+  IF shipping_rate IS NULL THEN
+    RETURN jsonb_build_object('order_id', NULL, 'errors', '[]'::jsonb, 'shipping_error', 'method_unavailable');
+  END IF;
+
+  tax_result := calculate_order_tax(items, shipping, coupon_code);
+
+  INSERT INTO orders (
+    customer_id,
+    subtotal_amount,
+    discount_amount,
+    tax_amount,
+    shipping_amount,
+    total_amount,
+    coupon_id,
+    coupon_code,
+    status,
+    shipping_address,
+    shipping_address_snapshot,
+    shipping_country,
+    shipping_state,
+    shipping_postal_code,
+    shipping_method_id,
+    shipping_method_name,
+    stock_reserved
+  )
+  VALUES (
+    customer_uuid,
+    (tax_result->>'subtotal')::DECIMAL(10,2),
+    (tax_result->>'discount_amount')::DECIMAL(10,2),
+    (tax_result->>'tax_amount')::DECIMAL(10,2),
+    (shipping_rate->>'price')::DECIMAL(10,2),
+    (tax_result->>'total')::DECIMAL(10,2) + (shipping_rate->>'price')::DECIMAL(10,2),
+    (coupon_result->>'coupon_id')::UUID,
+    coupon_result->>'code',
+    'pending',
+    format_address(address_snapshot(shipping)),
+    address_snapshot(shipping),
+    upper(btrim(shipping->>'country')),
+    NULLIF(btrim(shipping->>'state'), ''),
+    NULLIF(btrim(shipping->>'postal_code'), ''),
+    (shipping_rate->>'method_id')::UUID,
+    shipping_rate->>'name',
+    true
+  )
+  RETURNING id INTO order_uuid;
+
+  INSERT INTO order_items (
+    order_id,
+    product_id,
+    variant_id,
+    quantity,
+    price_at_time,
+    discount_amount,
+    tax_rate,
+    tax_amount,
+    tax_included
+  )
+  SELECT
+    order_uuid,
+    tl.product_id,
+    tl.variant_id,
+    tl.quantity,
+    tl.unit_price,
+    tl.discount,
+    tl.tax_rate,
+    tl.tax_amount,
+    tl.tax_included
+  FROM jsonb_to_recordset(tax_result->'lines') AS tl(
+    product_id UUID,
+    variant_id UUID,
+    quantity INTEGER,
+    unit_price DECIMAL(10,2),
+    discount DECIMAL(10,2),
+    tax_rate DECIMAL(6,3),
+    tax_amount DECIMAL(10,2),
+    tax_included BOOLEAN
+  );
+
+  IF coupon_result IS NOT NULL THEN
+    INSERT INTO coupon_redemptions (coupon_id, order_id, customer_id, discount_amount)
+    VALUES (
+      (coupon_result->>'coupon_id')::UUID,
+      order_uuid,
+      customer_uuid,
+      (tax_result->>'discount_amount')::DECIMAL(10,2)
+    );
+  END IF;
+
+  -- Variant lines take stock from the variant, other lines from the product
+  UPDATE products p
+  SET stock_quantity = p.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE l.variant_id IS NULL
+  AND p.id = l.product_id;
+
+  UPDATE product_variants v
+  SET stock_quantity = v.stock_quantity - l.quantity
+  FROM group_order_lines(items) l
+  WHERE v.id = l.variant_id;
+
+  RETURN jsonb_build_object('order_id', order_uuid, 'errors', '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION place_order IS 'Create an order with server-side prices, stock checks, coupon, tax, shipping and an address snapshot in one transaction';
+
+-- ============================================
+-- 7. Add table and column comments
+-- ============================================
+COMMENT ON TABLE customer_addresses IS 'Customer address book';
+COMMENT ON COLUMN customer_addresses.label IS 'Optional name for the address (e.g. Home, Work)';
+COMMENT ON COLUMN customer_addresses.region IS 'State, province or region code';
+COMMENT ON COLUMN customer_addresses.country IS 'ISO 3166-1 alpha-2 country code';
+COMMENT ON COLUMN customer_addresses.is_default_shipping IS 'Preselected as the shipping address at checkout (one per customer)';
+COMMENT ON COLUMN customer_addresses.is_default_billing IS 'Default billing address (one per customer)';
+
+COMMENT ON COLUMN orders.shipping_address IS 'Shipping address as one line of text';
+COMMENT ON COLUMN orders.shipping_address_snapshot IS 'Structured shipping address as entered at checkout { name, line1, line2, city, state, postal_code, country, phone }';
+
+-- ============================================
+-- 8. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE customer_addresses ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9. Create RLS Policies
+-- ============================================
+
+-- Customers can view their own addresses
+CREATE POLICY "Customers can view their own addresses"
+  ON customer_addresses
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- Customers can add addresses to their own address book
+CREATE POLICY "Customers can create their own addresses"
+  ON customer_addresses
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = customer_id);
+
+-- Customers can update their own addresses
+CREATE POLICY "Customers can update their own addresses"
+  ON customer_addresses
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = customer_id)
+  WITH CHECK (auth.uid() = customer_id);
+
+-- Customers can delete their own addresses
+CREATE POLICY "Customers can delete their own addresses"
+  ON customer_addresses
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- The address book is now ready to use.
+--
+-- Features:
+-- ✅ Structured customer addresses
+-- ✅ Default shipping and billing addresses
+-- ✅ Customers can only access their own addresses
+-- ✅ Orders keep a snapshot of the structured shipping address
@@ -0,0 +1,283 @@
+-- ============================================
+-- BuildFast Shop - Payments Migration
+-- ============================================
+-- This records payment attempts against orders (authorize, capture, refund, void)
+-- and only lets an order move to processing once its payment has been captured
+-- Run this in Supabase SQL Editor AFTER 19_customer_addresses.sql
+
+-- ============================================
+-- 1. Create payments table
+-- ============================================
+-- One row per attempt. A declined card and the retry that succeeds are two rows.
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,
+  provider_reference TEXT,
+  method TEXT NOT NULL CHECK (method IN ('credit_card', 'debit_card', 'paypal', 'apple_pay', 'google_pay')),
+  status TEXT NOT NULL CHECK (status IN (
+    'requires_action', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'
+  )),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+  captured_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  failure_code TEXT,
+  failure_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (provider, provider_reference),
+  CHECK (captured_amount BETWEEN 0 AND amount),
+  CHECK (refunded_amount BETWEEN 0 AND captured_amount)
+);
+
+-- ============================================
+-- 2. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_customer_id ON payments(customer_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(status);
+
+-- ============================================
+-- 3. Create is_service_role helper
+-- ============================================
+-- True for server-side code (Edge Functions) using the service role key
+CREATE OR REPLACE FUNCTION is_service_role()
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(auth.role() = 'service_role', false);
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION is_service_role IS 'Whether the current request uses the service role key';
+
+-- ============================================
+-- 4. Create triggers
+-- ============================================
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
+CREATE TRIGGER update_payments_updated_at
+  BEFORE UPDATE ON payments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- A captured payment moves its pending order to processing
+CREATE OR REPLACE FUNCTION mark_order_paid()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE orders
+  SET status = 'processing'
+  WHERE id = NEW.order_id
+  AND status = 'pending';
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS mark_order_paid ON payments;
+CREATE TRIGGER mark_order_paid
+  AFTER INSERT OR UPDATE OF status ON payments
+  FOR EACH ROW
+  WHEN (NEW.status = 'captured')
+  EXECUTE FUNCTION mark_order_paid();
+
+-- Nothing else can move an order from pending to processing: the order
+-- needs a captured payment covering its total first
+CREATE OR REPLACE FUNCTION require_captured_payment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM payments
+    WHERE order_id = NEW.id
+    AND status = 'captured'
+    AND captured_amount >= NEW.total_amount
+  ) THEN
+    RAISE EXCEPTION 'Order % cannot move to processing before its payment is captured', NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS require_captured_payment ON orders;
+CREATE TRIGGER require_captured_payment
+  BEFORE UPDATE OF status ON orders
+  FOR EACH ROW
+  WHEN (OLD.status = 'pending' AND NEW.status = 'processing')
+  EXECUTE FUNCTION require_captured_payment();
+
+-- ============================================
+-- 5. Create record_payment function
+-- ============================================
+-- Records the outcome of a provider call for one of the customer's orders.
+-- payment: { id, provider, reference, method, status, amount, currency,
+--            captured_amount, refunded_amount, failure_code, failure_message }
+-- Without an id a new attempt is inserted; it must be for the order total, in the
+-- order's currency (USD), and the order must be pending with no captured payment.
+-- With an id the attempt is updated, following requires_action -> authorized | failed,
+-- authorized -> captured | voided | failed, captured -> (partially_)refunded.
+-- Only the service role may record a capture, refund or void, or set the captured
+-- and refunded amounts: the Edge Functions in supabase/functions make them with
+-- the provider first.
+CREATE OR REPLACE FUNCTION record_payment(order_uuid UUID, payment JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  order_row orders%ROWTYPE;
+  existing payments%ROWTYPE;
+  saved payments%ROWTYPE;
+  new_status TEXT := payment->>'status';
+BEGIN
+  -- Lock the order so two attempts can't both be recorded as paying it
+  SELECT * INTO order_row
+  FROM orders
+  WHERE id = order_uuid
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT (
+    is_service_role()
+    OR order_row.customer_id IS NOT DISTINCT FROM current_user_id
+  ) THEN
+    RAISE EXCEPTION 'Order % not found', order_uuid;
+  END IF;
+
+  IF payment->>'id' IS NULL THEN
+    IF new_status NOT IN ('requires_action', 'authorized', 'failed') THEN
+      RAISE EXCEPTION 'A new payment must be requires_action, authorized or failed, not %', new_status;
+    END IF;
+
+    IF order_row.status != 'pending' OR EXISTS (
+      SELECT 1 FROM payments
+      WHERE order_id = order_uuid
+      AND status IN ('captured', 'partially_refunded')
+    ) THEN
+      RAISE EXCEPTION 'Order % has already been paid', order_uuid;
+    END IF;
+
+    IF (payment->>'amount')::DECIMAL != order_row.total_amount THEN
+      RAISE EXCEPTION 'Payment amount % does not match the order total %',
+        payment->>'amount', order_row.total_amount;
+    END IF;
+
+    -- Orders are priced in USD
+    IF COALESCE(payment->>'currency', 'USD') != 'USD' THEN
+      RAISE EXCEPTION 'Payment currency % does not match the order currency USD', payment->>'currency';
+    END IF;
+
+    INSERT INTO payments (
+      order_id, customer_id, provider, provider_reference, method, status,
+      amount, currency, failure_code, failure_message
+    )
+    VALUES (
+      order_uuid,
+      order_row.customer_id,
+      payment->>'provider',
+      payment->>'reference',
+      payment->>'method',
+      new_status,
+      order_row.total_amount,
+      'USD',
+      payment->>'failure_code',
+      payment->>'failure_message'
+    )
+    RETURNING * INTO saved;
+  ELSE
+    SELECT * INTO existing
+    FROM payments
+    WHERE id = (payment->>'id')::UUID
+    AND order_id = order_uuid
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Payment % not found', payment->>'id';
+    END IF;
+
+    -- Otherwise a browser could report a payment as captured without paying, or
+    -- as refunded without getting the money back
+    IF new_status IN ('captured', 'voided', 'partially_refunded', 'refunded') AND NOT is_service_role() THEN
+      RAISE EXCEPTION 'Captures, refunds and voids can only be recorded by the server';
+    END IF;
+
+    -- An authorization left over from an earlier attempt can't pay the order twice
+    IF new_status = 'captured' AND order_row.status != 'pending' THEN
+      RAISE EXCEPTION 'Order % has already been paid', order_uuid;
+    END IF;
+
+    IF NOT (
+      (existing.status = 'requires_action' AND new_status IN ('authorized', 'failed'))
+      OR (existing.status = 'authorized' AND new_status IN ('captured', 'voided', 'failed'))
+      OR (existing.status IN ('captured', 'partially_refunded') AND new_status IN ('partially_refunded', 'refunded'))
+    ) THEN
+      RAISE EXCEPTION 'Payment cannot move from % to %', existing.status, new_status;
+    END IF;
+
+    -- Amounts only come from the server, which has them from the provider. The
+    -- browser can fill in a missing reference but not replace one.
+    UPDATE payments
+    SET
+      status = new_status,
+      provider_reference = CASE
+        WHEN is_service_role() THEN COALESCE(payment->>'reference', provider_reference)
+        ELSE COALESCE(provider_reference, payment->>'reference')
+      END,
+      captured_amount = CASE
+        WHEN is_service_role() THEN COALESCE((payment->>'captured_amount')::DECIMAL, captured_amount)
+        ELSE captured_amount
+      END,
+      refunded_amount = CASE
+        WHEN is_service_role() THEN COALESCE((payment->>'refunded_amount')::DECIMAL, refunded_amount)
+        ELSE refunded_amount
+      END,
+      failure_code = payment->>'failure_code',
+      failure_message = payment->>'failure_message'
+    WHERE id = existing.id
+    RETURNING * INTO saved;
+  END IF;
+
+  RETURN to_jsonb(saved);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Customers still call this for the steps they take part in (authorizing and
+-- 3-D Secure); captures, refunds and voids come from supabase/functions
+
+-- ============================================
+-- 6. Add table and column comments
+-- ============================================
+COMMENT ON TABLE payments IS 'Payment attempts for orders, one row per attempt';
+COMMENT ON COLUMN payments.provider IS 'Payment provider adapter that handled the attempt (e.g. mock)';
+COMMENT ON COLUMN payments.provider_reference IS 'The provider''s ID for the authorization';
+COMMENT ON COLUMN payments.method IS 'Payment method: credit_card, debit_card, paypal, apple_pay or google_pay';
+COMMENT ON COLUMN payments.status IS 'requires_action (e.g. 3-D Secure), authorized, captured, partially_refunded, refunded, voided or failed';
+COMMENT ON COLUMN payments.amount IS 'Amount authorized (the order total when the attempt was made)';
+COMMENT ON COLUMN payments.captured_amount IS 'Amount actually charged';
+COMMENT ON COLUMN payments.refunded_amount IS 'Amount refunded so far';
+COMMENT ON COLUMN payments.failure_code IS 'Why the attempt failed (e.g. card_declined, insufficient_funds, authentication_failed)';
+
+-- ============================================
+-- 7. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 8. Create RLS Policies
+-- ============================================
+
+-- Customers can view payments for their own orders
+-- (payments are only written through record_payment)
+CREATE POLICY "Customers can view their own payments"
+  ON payments
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = customer_id);
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Payments are now ready to use.
+--
+-- Features:
+-- ✅ Payment attempts linked to orders
+-- ✅ Authorize, capture, refund and void with enforced status transitions
+-- ✅ 3-D Secure challenges (requires_action)
+-- ✅ Orders only move to processing after a successful capture
+-- ✅ Captures, refunds and voids are only recorded server-side (service role)
+-- ✅ Customers can only see their own payments
@@ -0,0 +1,210 @@
+-- ============================================
+-- BuildFast Shop - Order Status Rules Migration
+-- ============================================
+-- This defines which order status changes are allowed and who may make them,
+-- and enforces it with a trigger so no client can skip a step or undo one
+-- Run this in Supabase SQL Editor AFTER 22_order_status_history.sql
+
+-- ============================================
+-- 1. Staff accounts
+-- ============================================
+-- Staff are users whose app_metadata has role "admin" (USER_ROLES.ADMIN). Only
+-- the service role can change app_metadata, e.g.:
+--   UPDATE auth.users
+--   SET raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'
+--   WHERE email = 'staff@example.com';
+-- Requests made with the service role key, and SQL run without a signed-in user
+-- (the SQL Editor, scheduled jobs), are trusted as staff too.
+CREATE OR REPLACE FUNCTION is_staff()
+RETURNS BOOLEAN AS $$
+  SELECT auth.role() IS NULL
+    OR auth.role() = 'service_role'
+    OR COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION is_staff IS 'Whether the current request comes from staff (admin role, the service role, or no request at all)';
+
+-- ============================================
+-- 2. Create order_status_transitions table
+-- ============================================
+-- Every allowed change, and who may make it:
+--   payment  - anyone, but only once the order's payment is captured (see require_captured_payment)
+--   customer - the order's customer (a guest through cancel_guest_order) or staff
+--   staff    - staff only
+-- The app reads this table too (getOrderStatusTransitions), so change the rules only here.
+CREATE TABLE IF NOT EXISTS order_status_transitions (
+  from_status TEXT NOT NULL CHECK (from_status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+  to_status TEXT NOT NULL CHECK (to_status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+  allowed_by TEXT NOT NULL CHECK (allowed_by IN ('payment', 'customer', 'staff')),
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO order_status_transitions (from_status, to_status, allowed_by) VALUES
+  ('pending', 'processing', 'payment'),
+  ('pending', 'cancelled', 'customer'),
+  ('processing', 'shipped', 'staff'),
+  ('processing', 'cancelled', 'customer'),
+  ('shipped', 'delivered', 'staff')
+ON CONFLICT (from_status, to_status) DO UPDATE SET allowed_by = EXCLUDED.allowed_by;
+
+-- ============================================
+-- 3. Enforce the transitions
+-- ============================================
+CREATE OR REPLACE FUNCTION enforce_order_status_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  allowed_actor TEXT;
+BEGIN
+  SELECT allowed_by INTO allowed_actor
+  FROM order_status_transitions
+  WHERE from_status = OLD.status
+  AND to_status = NEW.status;
+
+  IF allowed_actor IS NULL THEN
+    RAISE EXCEPTION 'An order cannot change from % to %', OLD.status, NEW.status
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF allowed_actor = 'staff' AND NOT is_staff() THEN
+    RAISE EXCEPTION 'Only staff can change an order from % to %', OLD.status, NEW.status
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  -- Guests have no auth.uid(); cancel_guest_order sets app.guest_lookup_token instead
+  IF allowed_actor = 'customer' AND NOT COALESCE(
+    is_staff()
+    OR auth.uid() = OLD.customer_id
+    OR OLD.guest_lookup_token::TEXT = current_setting('app.guest_lookup_token', true),
+    false
+  ) THEN
+    RAISE EXCEPTION 'Only the customer or staff can change an order from % to %', OLD.status, NEW.status
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Runs before require_captured_payment (triggers fire in name order)
+DROP TRIGGER IF EXISTS enforce_order_status_transition ON orders;
+CREATE TRIGGER enforce_order_status_transition
+  BEFORE UPDATE OF status ON orders
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION enforce_order_status_transition();
+
+-- ============================================
+-- 4. Record staff in the status history
+-- ============================================
+-- Same as 22_order_status_history.sql, but staff are told apart with is_staff()
+-- rather than by not being the order's customer
+CREATE OR REPLACE FUNCTION record_order_status_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+BEGIN
+  INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, actor, note)
+  VALUES (
+    NEW.id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+    NEW.status,
+    current_user_id,
+    CASE
+      WHEN current_user_id IS NOT NULL AND current_user_id = NEW.customer_id THEN 'customer'
+      WHEN NEW.guest_lookup_token::TEXT = current_setting('app.guest_lookup_token', true) THEN 'customer'
+      WHEN current_user_id IS NOT NULL AND is_staff() THEN 'staff'
+      ELSE 'system'
+    END,
+    NULLIF(btrim(current_setting('app.order_status_note', true)), '')
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- 5. Let guests cancel unpaid orders
+-- ============================================
+-- Guests can't update orders directly, so they cancel with the lookup token
+-- from checkout (e.g. when checkout drops an order the cart no longer matches).
+-- Only unpaid orders: cancelling a paid one needs its payment refunded first.
+CREATE OR REPLACE FUNCTION cancel_guest_order(token UUID)
+RETURNS JSONB AS $$
+DECLARE
+  order_row orders%ROWTYPE;
+BEGIN
+  SELECT * INTO order_row
+  FROM orders
+  WHERE guest_lookup_token = token
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order not found';
+  END IF;
+
+  IF order_row.status != 'pending' THEN
+    RAISE EXCEPTION 'Only unpaid orders can be cancelled with a lookup token';
+  END IF;
+
+  -- Local to this transaction, like app.order_status_note
+  PERFORM set_config('app.guest_lookup_token', token::TEXT, true);
+
+  UPDATE orders
+  SET status = 'cancelled'
+  WHERE id = order_row.id;
+
+  PERFORM set_config('app.guest_lookup_token', '', true);
+
+  RETURN get_guest_order(token);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION cancel_guest_order IS 'Cancels an unpaid guest order by its lookup token';
+
+-- ============================================
+-- 6. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE order_status_transitions ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 7. Create and update RLS Policies
+-- ============================================
+
+-- Anyone can read the rules, so the app can offer only the changes allowed here
+CREATE POLICY "Anyone can view order status transitions"
+  ON order_status_transitions
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+-- Staff can see and update every order
+CREATE POLICY "Staff can view all orders"
+  ON orders
+  FOR SELECT
+  TO authenticated
+  USING (is_staff());
+
+CREATE POLICY "Staff can update all orders"
+  ON orders
+  FOR UPDATE
+  TO authenticated
+  USING (is_staff())
+  WITH CHECK (is_staff());
+
+-- ============================================
+-- 8. Add table and column comments
+-- ============================================
+COMMENT ON TABLE order_status_transitions IS 'Allowed order status changes; anything else is rejected by enforce_order_status_transition';
+COMMENT ON COLUMN order_status_transitions.allowed_by IS 'Who may make the change: payment (once captured), customer (or staff), or staff';
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Order status rules are now enforced.
+--
+-- Features:
+-- ✅ Allowed status changes defined in one table
+-- ✅ Orders can't skip steps or go backwards
+-- ✅ Customers can only cancel pending or processing orders
+-- ✅ Guests can cancel unpaid orders with their lookup token
+-- ✅ Only staff can ship and deliver orders
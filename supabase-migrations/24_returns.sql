@@ -0,0 +1,359 @@
+-- ============================================
+-- BuildFast Shop - Returns Migration
+-- ============================================
+-- This lets customers ask to return items from delivered orders (RMA requests)
+-- and lets staff approve, receive and refund them. Received items go back into
+-- stock.
+-- Run this in Supabase SQL Editor AFTER 23_order_status_rules.sql
+
+-- ============================================
+-- 1. Return window
+-- ============================================
+-- Days after delivery that items can still be returned.
+-- The app reads it too (getReturnWindowDays), so change it only here.
+CREATE OR REPLACE FUNCTION return_window_days()
+RETURNS INTEGER AS $$
+  SELECT 30;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- When an order was delivered, from its status history (NULL if it hasn't been)
+CREATE OR REPLACE FUNCTION order_delivered_at(order_uuid UUID)
+RETURNS TIMESTAMPTZ AS $$
+  SELECT MAX(created_at)
+  FROM order_status_history
+  WHERE order_id = order_uuid
+  AND to_status = 'delivered';
+$$ LANGUAGE sql STABLE;
+
+-- Short, customer-facing return number (e.g. RMA-3F9A1C2E)
+CREATE OR REPLACE FUNCTION generate_return_number()
+RETURNS TEXT AS $$
+DECLARE
+  candidate TEXT;
+BEGIN
+  LOOP
+    candidate := 'RMA-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 8));
+    EXIT WHEN NOT EXISTS (SELECT 1 FROM return_requests WHERE return_number = candidate);
+  END LOOP;
+
+  RETURN candidate;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+-- ============================================
+-- 2. Create return_requests and return_items tables
+-- ============================================
+-- Status flow: requested → approved → received → refunded, or rejected
+-- (from requested or approved). Only request_return and update_return_status
+-- write these tables.
+CREATE TABLE IF NOT EXISTS return_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_number TEXT NOT NULL UNIQUE DEFAULT generate_return_number(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'received', 'refunded', 'rejected')),
+  reason TEXT NOT NULL CHECK (reason IN ('damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other')),
+  details TEXT,
+  photo_paths TEXT[] NOT NULL DEFAULT '{}',
+  refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+  staff_note TEXT,
+  received_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS return_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_request_id UUID NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+  order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  refund_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0),
+  UNIQUE (return_request_id, order_item_id)
+);
+
+-- ============================================
+-- 3. Create indexes for performance
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_customer_id ON return_requests(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item_id ON return_items(order_item_id);
+
+-- ============================================
+-- 4. Create trigger for auto-updating updated_at
+-- ============================================
+DROP TRIGGER IF EXISTS update_return_requests_updated_at ON return_requests;
+CREATE TRIGGER update_return_requests_updated_at
+  BEFORE UPDATE ON return_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- 5. Create request_return function
+-- ============================================
+-- Opens a return for some of the lines of one of the customer's delivered orders.
+-- items: [{ order_item_id, quantity }]
+-- Each line can be returned up to the quantity ordered, minus what other
+-- (not rejected) returns already cover. A line's refund is its share of what was
+-- paid for it: price after discount, plus tax when it was added on top.
+-- photo_paths are paths the customer uploaded to the return-photos bucket.
+CREATE OR REPLACE FUNCTION request_return(
+  order_uuid UUID,
+  items JSONB,
+  reason TEXT,
+  details TEXT DEFAULT NULL,
+  photo_paths TEXT[] DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  order_row orders%ROWTYPE;
+  delivered_at TIMESTAMPTZ;
+  new_return return_requests%ROWTYPE;
+  bad_line RECORD;
+BEGIN
+  -- Lock the order so two returns can't both claim the same units
+  SELECT * INTO order_row
+  FROM orders
+  WHERE id = order_uuid
+  FOR UPDATE;
+
+  IF NOT FOUND OR current_user_id IS NULL OR order_row.customer_id IS DISTINCT FROM current_user_id THEN
+    RAISE EXCEPTION 'Order % not found', order_uuid;
+  END IF;
+
+  IF order_row.status != 'delivered' THEN
+    RAISE EXCEPTION 'Only delivered orders can be returned';
+  END IF;
+
+  delivered_at := order_delivered_at(order_uuid);
+
+  IF delivered_at IS NULL OR delivered_at + make_interval(days => return_window_days()) < NOW() THEN
+    RAISE EXCEPTION 'The return window for this order has closed';
+  END IF;
+
+  IF jsonb_typeof(items) IS DISTINCT FROM 'array' OR jsonb_array_length(items) = 0 THEN
+    RAISE EXCEPTION 'Choose at least one item to return';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM unnest(photo_paths) AS path
+    WHERE path NOT LIKE current_user_id::text || '/%'
+  ) THEN
+    RAISE EXCEPTION 'Photos must be uploaded by the customer';
+  END IF;
+
+  -- Every line must belong to the order and still have that many units to return
+  SELECT l.order_item_id, l.quantity INTO bad_line
+  FROM jsonb_to_recordset(items) AS l(order_item_id UUID, quantity INTEGER)
+  LEFT JOIN order_items oi ON oi.id = l.order_item_id AND oi.order_id = order_uuid
+  WHERE oi.id IS NULL
+  OR l.quantity IS NULL
+  OR l.quantity <= 0
+  OR l.quantity > oi.quantity - COALESCE((
+    SELECT SUM(ri.quantity)
+    FROM return_items ri
+    JOIN return_requests rr ON rr.id = ri.return_request_id
+    WHERE ri.order_item_id = oi.id
+    AND rr.status != 'rejected'
+  ), 0)
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Item % can''t be returned in a quantity of %', bad_line.order_item_id, bad_line.quantity;
+  END IF;
+
+  INSERT INTO return_requests (order_id, customer_id, reason, details, photo_paths)
+  VALUES (order_uuid, current_user_id, reason, NULLIF(btrim(details), ''), COALESCE(photo_paths, '{}'))
+  RETURNING * INTO new_return;
+
+  INSERT INTO return_items (return_request_id, order_item_id, quantity, refund_amount)
+  SELECT
+    new_return.id,
+    oi.id,
+    l.quantity,
+    ROUND(
+      (oi.quantity * oi.price_at_time - oi.discount_amount
+        + CASE WHEN oi.tax_included THEN 0 ELSE oi.tax_amount END)
+      * l.quantity / oi.quantity,
+      2
+    )
+  FROM jsonb_to_recordset(items) AS l(order_item_id UUID, quantity INTEGER)
+  JOIN order_items oi ON oi.id = l.order_item_id;
+
+  UPDATE return_requests
+  SET refund_amount = (
+    SELECT COALESCE(SUM(refund_amount), 0) FROM return_items WHERE return_request_id = new_return.id
+  )
+  WHERE id = new_return.id
+  RETURNING * INTO new_return;
+
+  RETURN to_jsonb(new_return);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- 6. Create update_return_status function
+-- ============================================
+-- Staff move a return along: requested → approved | rejected,
+-- approved → received | rejected, received → refunded.
+-- Receiving the items puts them back into stock. Only the service role marks a
+-- return refunded: the refund-payment Edge Function refunds it through the
+-- payment provider first (refundReturn in returnService.js).
+CREATE OR REPLACE FUNCTION update_return_status(return_uuid UUID, new_status TEXT, note TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  return_row return_requests%ROWTYPE;
+BEGIN
+  IF NOT is_staff() THEN
+    RAISE EXCEPTION 'Only staff can update returns'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  SELECT * INTO return_row
+  FROM return_requests
+  WHERE id = return_uuid
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Return % not found', return_uuid;
+  END IF;
+
+  IF new_status = 'refunded' AND NOT is_service_role() THEN
+    RAISE EXCEPTION 'Returns can only be marked refunded by the server'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  IF NOT (
+    (return_row.status = 'requested' AND new_status IN ('approved', 'rejected'))
+    OR (return_row.status = 'approved' AND new_status IN ('received', 'rejected'))
+    OR (return_row.status = 'received' AND new_status = 'refunded')
+  ) THEN
+    RAISE EXCEPTION 'A return cannot change from % to %', return_row.status, new_status;
+  END IF;
+
+  IF new_status = 'received' THEN
+    UPDATE products p
+    SET stock_quantity = p.stock_quantity + ri.quantity
+    FROM (
+      SELECT oi.product_id, SUM(ri.quantity) AS quantity
+      FROM return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+      WHERE ri.return_request_id = return_uuid
+      AND oi.variant_id IS NULL
+      GROUP BY oi.product_id
+    ) ri
+    WHERE p.id = ri.product_id;
+
+    UPDATE product_variants v
+    SET stock_quantity = v.stock_quantity + ri.quantity
+    FROM (
+      SELECT oi.variant_id, SUM(ri.quantity) AS quantity
+      FROM return_items ri
+      JOIN order_items oi ON oi.id = ri.order_item_id
+      WHERE ri.return_request_id = return_uuid
+      AND oi.variant_id IS NOT NULL
+      GROUP BY oi.variant_id
+    ) ri
+    WHERE v.id = ri.variant_id;
+  END IF;
+
+  UPDATE return_requests
+  SET
+    status = new_status,
+    staff_note = COALESCE(NULLIF(btrim(note), ''), staff_note),
+    received_at = CASE WHEN new_status = 'received' THEN NOW() ELSE received_at END,
+    refunded_at = CASE WHEN new_status = 'refunded' THEN NOW() ELSE refunded_at END
+  WHERE id = return_uuid
+  RETURNING * INTO return_row;
+
+  RETURN to_jsonb(return_row);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- 7. Create the return-photos storage bucket
+-- ============================================
+-- Private: customers upload into a folder named after their user ID and only
+-- they and staff can see the photos
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('return-photos', 'return-photos', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Customers can upload return photos" ON storage.objects;
+CREATE POLICY "Customers can upload return photos"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (bucket_id = 'return-photos' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+DROP POLICY IF EXISTS "Customers and staff can view return photos" ON storage.objects;
+CREATE POLICY "Customers and staff can view return photos"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (bucket_id = 'return-photos' AND ((storage.foldername(name))[1] = auth.uid()::text OR is_staff()));
+
+-- ============================================
+-- 8. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE return_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE return_items ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9. Create RLS Policies
+-- ============================================
+
+-- Customers can view their own returns, staff can view all of them
+CREATE POLICY "Customers can view their own returns"
+  ON return_requests
+  FOR SELECT
+  TO authenticated
+  USING (customer_id = auth.uid() OR is_staff());
+
+CREATE POLICY "Customers can view their own return items"
+  ON return_items
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM return_requests
+      WHERE return_requests.id = return_items.return_request_id
+      AND (return_requests.customer_id = auth.uid() OR is_staff())
+    )
+  );
+
+-- Staff refund returns, so they need to see every order's payments
+CREATE POLICY "Staff can view all payments"
+  ON payments
+  FOR SELECT
+  TO authenticated
+  USING (is_staff());
+
+-- ============================================
+-- 10. Add table and column comments
+-- ============================================
+COMMENT ON TABLE return_requests IS 'Customer requests to return items from delivered orders (RMA)';
+COMMENT ON COLUMN return_requests.return_number IS 'Customer-facing return number (RMA)';
+COMMENT ON COLUMN return_requests.status IS 'requested, approved, received, refunded, or rejected';
+COMMENT ON COLUMN return_requests.reason IS 'Why the items are being returned: damaged, wrong_item, not_as_described, no_longer_needed, or other';
+COMMENT ON COLUMN return_requests.photo_paths IS 'Paths of the customer''s photos in the return-photos bucket';
+COMMENT ON COLUMN return_requests.refund_amount IS 'Amount refunded once the return is refunded (sum of its items)';
+COMMENT ON COLUMN return_requests.staff_note IS 'Latest note from staff (e.g. why it was rejected)';
+COMMENT ON TABLE return_items IS 'Order lines and quantities included in a return';
+COMMENT ON COLUMN return_items.refund_amount IS 'Share of what was paid for the line, for the returned quantity';
+COMMENT ON FUNCTION request_return IS 'Opens a return for lines of one of the customer''s delivered orders, within the return window';
+COMMENT ON FUNCTION update_return_status IS 'Staff only: approves, rejects, receives (restocking the items) or refunds a return';
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Returns are now ready to use.
+--
+-- Features:
+-- ✅ Return requests with items, reason and photos
+-- ✅ Return window in days since delivery
+-- ✅ requested → approved → received → refunded (or rejected)
+-- ✅ Received items restocked
+-- ✅ Staff can refund returns through the payment provider
@@ -0,0 +1,295 @@
+-- ============================================
+-- BuildFast Shop - Invoices Migration
+-- ============================================
+-- This gives every order an invoice when it is paid, with a sequential, gap-free
+-- invoice number and a copy of the seller details, lines and totals it billed
+-- Run this in Supabase SQL Editor AFTER 25_line_cancellations.sql
+
+-- ============================================
+-- 1. Seller details
+-- ============================================
+-- Printed at the top of every invoice. Change these to your business details;
+-- invoices already issued keep the details they were issued with.
+CREATE OR REPLACE FUNCTION seller_details()
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'name', 'BuildFast Shop',
+    'address', jsonb_build_array('123 Commerce Street', 'San Francisco, CA 94103', 'United States'),
+    'email', 'billing@buildfast.shop',
+    'tax_id', NULL
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================
+-- 2. Create invoice_counter and invoices tables
+-- ============================================
+-- A single-row counter rather than a sequence: sequences skip numbers when a
+-- transaction rolls back, and invoice numbers must not have gaps
+CREATE TABLE IF NOT EXISTS invoice_counter (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  last_number INTEGER NOT NULL DEFAULT 0 CHECK (last_number >= 0)
+);
+
+INSERT INTO invoice_counter (id, last_number)
+VALUES (true, 0)
+ON CONFLICT (id) DO NOTHING;
+
+-- One invoice per paid order, with a copy of what was billed. Only issue_invoice
+-- writes this table.
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+  sequence_number INTEGER NOT NULL UNIQUE CHECK (sequence_number > 0),
+  invoice_number TEXT NOT NULL UNIQUE,
+  seller JSONB NOT NULL,
+  order_number TEXT NOT NULL,
+  ordered_at TIMESTAMPTZ NOT NULL,
+  paid_at TIMESTAMPTZ NOT NULL,
+  bill_to JSONB NOT NULL,
+  lines JSONB NOT NULL,
+  totals JSONB NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- 3. Issue invoices when orders are paid
+-- ============================================
+-- Issues an order's invoice (INV-000001, INV-000002, ...) with a snapshot of its
+-- customer, lines and totals, so later changes to the order or its products don't
+-- change what was billed. Returns the existing invoice if there is one.
+CREATE OR REPLACE FUNCTION issue_invoice(order_uuid UUID, paid_time TIMESTAMPTZ DEFAULT NOW())
+RETURNS invoices AS $$
+DECLARE
+  order_row orders%ROWTYPE;
+  invoice_row invoices%ROWTYPE;
+  next_number INTEGER;
+BEGIN
+  SELECT * INTO invoice_row
+  FROM invoices
+  WHERE order_id = order_uuid;
+
+  IF FOUND THEN
+    RETURN invoice_row;
+  END IF;
+
+  SELECT * INTO order_row
+  FROM orders
+  WHERE id = order_uuid;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % not found', order_uuid;
+  END IF;
+
+  -- Locks the counter until the payment's transaction commits, so numbers follow
+  -- the order payments are captured in
+  UPDATE invoice_counter
+  SET last_number = last_number + 1
+  WHERE id
+  RETURNING last_number INTO next_number;
+
+  INSERT INTO invoices (
+    order_id, sequence_number, invoice_number, seller,
+    order_number, ordered_at, paid_at, bill_to, lines, totals
+  )
+  VALUES (
+    order_uuid,
+    next_number,
+    'INV-' || lpad(next_number::text, 6, '0'),
+    seller_details(),
+    order_row.order_number,
+    order_row.created_at,
+    paid_time,
+    jsonb_build_object(
+      'name', COALESCE(
+        order_row.shipping_address_snapshot->>'full_name',
+        order_row.shipping_address_snapshot->>'name',
+        ''
+      ),
+      'email', order_row.customer_email,
+      'address', order_row.shipping_address_snapshot,
+      'address_text', order_row.shipping_address
+    ),
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'order_item_id', oi.id,
+        'description', COALESCE(p.name, 'Product no longer available') || COALESCE(' (' || (
+          SELECT string_agg(opt.value, ', ')
+          FROM jsonb_each_text(v.options) opt
+        ) || ')', ''),
+        'quantity', oi.quantity,
+        'cancelled_quantity', oi.cancelled_quantity,
+        'unit_price', oi.price_at_time,
+        'tax_rate', oi.tax_rate,
+        'tax_amount', oi.tax_amount,
+        'tax_included', oi.tax_included
+      ) ORDER BY oi.created_at)
+      FROM order_items oi
+      LEFT JOIN products p ON p.id = oi.product_id
+      LEFT JOIN product_variants v ON v.id = oi.variant_id
+      WHERE oi.order_id = order_uuid
+    ), '[]'::jsonb),
+    jsonb_build_object(
+      'subtotal_amount', order_row.subtotal_amount,
+      'discount_amount', order_row.discount_amount,
+      'coupon_code', order_row.coupon_code,
+      'shipping_amount', order_row.shipping_amount,
+      'shipping_method_name', order_row.shipping_method_name,
+      'tax_amount', order_row.tax_amount,
+      'tax_included', NOT EXISTS (
+        SELECT 1 FROM order_items
+        WHERE order_id = order_uuid
+        AND NOT tax_included
+      ),
+      'cancelled_amount', order_row.cancelled_amount,
+      'total_amount', order_row.total_amount
+    )
+  )
+  RETURNING * INTO invoice_row;
+
+  RETURN invoice_row;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the trigger below (and the backfill) should issue invoices
+REVOKE EXECUTE ON FUNCTION issue_invoice(UUID, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- Capturing the payment is the only way an order moves from pending to
+-- processing (see require_captured_payment), so this runs once per paid order
+CREATE OR REPLACE FUNCTION issue_invoice_on_payment()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM issue_invoice(NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS issue_invoice_on_payment ON orders;
+CREATE TRIGGER issue_invoice_on_payment
+  AFTER UPDATE OF status ON orders
+  FOR EACH ROW
+  WHEN (OLD.status = 'pending' AND NEW.status = 'processing')
+  EXECUTE FUNCTION issue_invoice_on_payment();
+
+-- Orders paid before this migration get their invoices in the order they were paid
+DO $$
+DECLARE
+  paid_order RECORD;
+BEGIN
+  FOR paid_order IN
+    SELECT h.order_id, MIN(h.created_at) AS paid_at
+    FROM order_status_history h
+    WHERE h.from_status = 'pending'
+    AND h.to_status IN ('processing', 'shipped', 'delivered')
+    AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.order_id = h.order_id)
+    GROUP BY h.order_id
+    ORDER BY MIN(h.created_at), h.order_id
+  LOOP
+    PERFORM issue_invoice(paid_order.order_id, paid_order.paid_at);
+  END LOOP;
+END;
+$$;
+
+-- ============================================
+-- 4. Create get_invoice function
+-- ============================================
+-- Returns an order's invoice. Guests pass the order's lookup token.
+CREATE OR REPLACE FUNCTION get_invoice(order_uuid UUID, lookup_token UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  order_row orders%ROWTYPE;
+  invoice_row invoices%ROWTYPE;
+BEGIN
+  SELECT * INTO order_row
+  FROM orders
+  WHERE id = order_uuid;
+
+  IF NOT FOUND OR NOT (
+    is_staff()
+    OR (current_user_id IS NOT NULL AND order_row.customer_id = current_user_id)
+    OR (lookup_token IS NOT NULL AND order_row.guest_lookup_token = lookup_token)
+  ) THEN
+    RAISE EXCEPTION 'Order % not found', order_uuid;
+  END IF;
+
+  SELECT * INTO invoice_row
+  FROM invoices
+  WHERE order_id = order_uuid;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Order % has no invoice; invoices are issued when an order is paid', order_row.order_number;
+  END IF;
+
+  RETURN to_jsonb(invoice_row);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Same as 21_guest_checkout.sql, plus the order's invoice number (NULL until paid)
+CREATE OR REPLACE FUNCTION get_guest_order(token UUID)
+RETURNS JSONB AS $$
+  SELECT order_details(o.id) || jsonb_build_object(
+    'guest_lookup_token', o.guest_lookup_token,
+    'payments', COALESCE((
+      SELECT jsonb_agg(to_jsonb(p) ORDER BY p.created_at)
+      FROM payments p
+      WHERE p.order_id = o.id
+    ), '[]'::jsonb),
+    'invoices', (
+      SELECT jsonb_build_object('invoice_number', i.invoice_number)
+      FROM invoices i
+      WHERE i.order_id = o.id
+    )
+  )
+  FROM orders o
+  WHERE o.guest_lookup_token = token;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- 5. Enable Row Level Security (RLS)
+-- ============================================
+ALTER TABLE invoice_counter ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 6. Create RLS Policies
+-- ============================================
+
+-- Customers can view the invoices for their own orders, staff can view all of them.
+-- invoice_counter has no policies: only issue_invoice uses it.
+CREATE POLICY "Customers can view their own invoices"
+  ON invoices
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM orders
+      WHERE orders.id = invoices.order_id
+      AND (orders.customer_id = auth.uid() OR is_staff())
+    )
+  );
+
+-- ============================================
+-- 7. Add table and column comments
+-- ============================================
+COMMENT ON TABLE invoice_counter IS 'Last invoice number issued (single row, used by issue_invoice)';
+COMMENT ON TABLE invoices IS 'Invoices issued when orders are paid, one per order';
+COMMENT ON COLUMN invoices.sequence_number IS 'Gap-free running number the invoice number is made from';
+COMMENT ON COLUMN invoices.invoice_number IS 'Invoice number printed on the invoice (e.g. INV-000042)';
+COMMENT ON COLUMN invoices.seller IS 'Seller details when the invoice was issued (see seller_details())';
+COMMENT ON COLUMN invoices.paid_at IS 'When the order''s payment was captured';
+COMMENT ON COLUMN invoices.bill_to IS 'Customer name, email and shipping address when the invoice was issued';
+COMMENT ON COLUMN invoices.lines IS 'Order lines when the invoice was issued (description, quantity, unit price, tax)';
+COMMENT ON COLUMN invoices.totals IS 'Order subtotal, discount, shipping, tax and total when the invoice was issued';
+COMMENT ON FUNCTION issue_invoice IS 'Issues an order''s invoice with the next invoice number and a snapshot of the order (called when it is paid)';
+COMMENT ON FUNCTION get_invoice IS 'Returns an order''s invoice to its customer, a guest with its lookup token, or staff';
+
+-- ============================================
+-- Migration Complete!
+-- ============================================
+-- Invoices are now ready to use.
+--
+-- Features:
+-- ✅ Sequential invoice numbers without gaps
+-- ✅ One invoice per paid order, numbered in the order payments are captured
+-- ✅ Seller details, lines and totals kept as they were when issued
+-- ✅ Customers, guests (with their lookup token) and staff can get invoices
@@ -0,0 +1,243 @@
+import { createClient, type SupabaseClient } from 'npm:@supabase/supabase-js@2'
+
+/**
+ * Server-side payment helpers for the Edge Functions
+ * Captures, refunds and voids are made here, with the provider's secret credentials,
+ * and recorded with the service role; record_payment refuses them from anyone else.
+ */
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+/**
+ * JSON response with CORS headers
+ */
+export const json = (body: unknown, status = 200) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+/**
+ * Supabase client with the service role key (bypasses RLS)
+ */
+export const createAdminClient = () => {
+  return createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+    { auth: { persistSession: false } }
+  )
+}
+
+/**
+ * The signed-in user making a request, if any
+ * Staff are users whose app_metadata.role is admin (the same check as is_staff()).
+ */
+export const getCaller = async (admin: SupabaseClient, req: Request) => {
+  const jwt = req.headers.get('Authorization')?.replace(/^Bearer /, '')
+  const { data: { user } } = jwt
+    ? await admin.auth.getUser(jwt)
+    : { data: { user: null } }
+
+  return { user, staff: user?.app_metadata?.role === 'admin' }
+}
+
+// A payments row
+export interface PaymentRow {
+  id: string
+  order_id: string
+  provider: string
+  provider_reference: string | null
+  status: string
+  amount: number
+  captured_amount: number
+  refunded_amount: number
+}
+
+// Same shape as the browser adapters' results (src/features/payments/providers)
+export interface ProviderResult {
+  status: string
+  reference?: string | null
+  capturedAmount?: number
+  refundedAmount?: number
+  failureCode?: string
+  failureMessage?: string
+}
+
+/**
+ * Server half of a provider adapter
+ * capture: charge an authorized payment
+ * refund: give back part or all of a captured payment
+ * void: release an authorization that wasn't captured
+ * verifyWebhook: check that a webhook request really came from the provider
+ * parseWebhook: turn a verified webhook body into the payment it is about and its
+ *   new state, or null for events that don't change a payment
+ */
+export interface ServerPaymentProvider {
+  name: string
+  capture: (payment: PaymentRow, amount: number) => Promise<ProviderResult>
+  refund: (payment: PaymentRow, amount: number) => Promise<ProviderResult>
+  void: (payment: PaymentRow) => Promise<ProviderResult>
+  verifyWebhook: (request: Request, body: string) => Promise<boolean>
+  parseWebhook: (body: string) => { reference: string, result: ProviderResult } | null
+}
+
+/**
+ * Check a hex HMAC-SHA256 signature of a request body
+ * @returns Whether the signature matches (compared in constant time)
+ */
+export const verifyHmacSignature = async (body: string, signature: string | null, secret: string | undefined) => {
+  if (!signature || !secret || !/^([0-9a-f]{2})+$/i.test(signature)) return false
+
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  )
+  const signatureBytes = new Uint8Array(signature.match(/../g)!.map(byte => parseInt(byte, 16)))
+
+  return crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(body))
+}
+
+// The local test gateway. Its captures, refunds and voids always succeed; its webhooks are signed with
+// PAYMENT_WEBHOOK_SECRET in an x-mock-signature header and look like
+// { type: 'payment.captured' | 'payment.capture_failed', reference, amount, failure_code }
+const mockProvider: ServerPaymentProvider = {
+  name: 'mock',
+
+  async capture(payment, amount) {
+    return { status: 'captured', reference: payment.provider_reference, capturedAmount: amount }
+  },
+
+  async refund(payment, amount) {
+    const refundedAmount = Number(payment.refunded_amount) + amount
+
+    return {
+      status: refundedAmount >= Number(payment.captured_amount) ? 'refunded' : 'partially_refunded',
+      reference: payment.provider_reference,
+      refundedAmount,
+    }
+  },
+
+  async void(payment) {
+    return { status: 'voided', reference: payment.provider_reference }
+  },
+
+  verifyWebhook(request, body) {
+    return verifyHmacSignature(body, request.headers.get('x-mock-signature'), Deno.env.get('PAYMENT_WEBHOOK_SECRET'))
+  },
+
+  parseWebhook(body) {
+    const event = JSON.parse(body)
+
+    switch (event.type) {
+      case 'payment.captured':
+        return {
+          reference: event.reference,
+          result: { status: 'captured', reference: event.reference, capturedAmount: Number(event.amount) },
+        }
+      case 'payment.capture_failed':
+        return {
+          reference: event.reference,
+          result: {
+            status: 'failed',
+            reference: event.reference,
+            failureCode: event.failure_code,
+            failureMessage: event.failure_message,
+          },
+        }
+      default:
+        return null
+    }
+  },
+}
+
+const providers: Record<string, ServerPaymentProvider> = {
+  [mockProvider.name]: mockProvider,
+}
+
+/**
+ * Get the provider adapter this deployment takes payments with
+ * Only PAYMENT_PROVIDER is accepted, so payments made with another adapter (e.g. the
+ * mock gateway on a production site) can't be captured, refunded or voided.
+ * @param name - Provider the payment was made with (defaults to PAYMENT_PROVIDER)
+ */
+export const getServerPaymentProvider = (name = Deno.env.get('PAYMENT_PROVIDER')) => {
+  const configured = Deno.env.get('PAYMENT_PROVIDER')
+
+  if (!configured) {
+    throw new Error('No payment provider configured: set the PAYMENT_PROVIDER secret')
+  }
+
+  if (name !== configured || !providers[name]) {
+    throw new Error(`Payments with provider ${name} are not accepted`)
+  }
+
+  return providers[name]
+}
+
+/**
+ * Record a provider result for a payment as the service role
+ * @returns The saved payments row
+ */
+export const recordProviderResult = async (admin: SupabaseClient, payment: PaymentRow, result: ProviderResult) => {
+  const { data, error } = await admin.rpc('record_payment', {
+    order_uuid: payment.order_id,
+    payment: {
+      id: payment.id,
+      status: result.status,
+      reference: result.reference ?? null,
+      captured_amount: result.capturedAmount ?? null,
+      refunded_amount: result.refundedAmount ?? null,
+      failure_code: result.failureCode ?? null,
+      failure_message: result.failureMessage ?? null,
+    },
+  })
+
+  if (error) throw error
+
+  return data
+}
+
+/**
+ * How much of a payment can still be refunded
+ */
+export const refundableAmount = (payment: PaymentRow) => {
+  return ['captured', 'partially_refunded'].includes(payment.status)
+    ? Number(payment.captured_amount) - Number(payment.refunded_amount)
+    : 0
+}
+
+/**
+ * Refund part of a captured payment with its provider and record it
+ * @returns The saved payments row
+ */
+export const refundPayment = async (admin: SupabaseClient, payment: PaymentRow, amount: number) => {
+  if (amount <= 0 || amount > refundableAmount(payment)) {
+    throw new Error(`Refund must be between 0 and ${refundableAmount(payment)}`)
+  }
+
+  const provider = getServerPaymentProvider(payment.provider)
+  return recordProviderResult(admin, payment, await provider.refund(payment, amount))
+}
+
+/**
+ * Get an order's payments, oldest first
+ */
+export const getOrderPayments = async (admin: SupabaseClient, orderId: string): Promise<PaymentRow[]> => {
+  const { data, error } = await admin
+    .from('payments')
+    .select('*')
+    .eq('order_id', orderId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  return data
+}
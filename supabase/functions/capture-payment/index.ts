@@ -0,0 +1,57 @@
+import {
+  corsHeaders,
+  createAdminClient,
+  getCaller,
+  getServerPaymentProvider,
+  json,
+  recordProviderResult,
+} from '../_shared/payments.ts'
+
+/**
+ * capture-payment
+ * Called by checkout once a payment is authorized: captures it with the provider and
+ * records the capture, which moves the order to processing.
+ * Body: { paymentId, lookupToken } (lookupToken for guest orders)
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { paymentId, lookupToken = null } = await req.json()
+    const admin = createAdminClient()
+
+    const { data: payment, error } = await admin
+      .from('payments')
+      .select('*, orders (customer_id, guest_lookup_token)')
+      .eq('id', paymentId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    // Only the customer who placed the order, or a guest with its lookup token
+    const { user } = await getCaller(admin, req)
+
+    const ownsOrder = payment && (
+      (user && payment.orders.customer_id === user.id) ||
+      (lookupToken && payment.orders.guest_lookup_token === lookupToken)
+    )
+
+    if (!ownsOrder) {
+      return json({ error: 'Payment not found' }, 404)
+    }
+
+    if (payment.status !== 'authorized') {
+      return json({ error: `Cannot capture a ${payment.status} payment` }, 409)
+    }
+
+    const provider = getServerPaymentProvider(payment.provider)
+    const result = await provider.capture(payment, Number(payment.amount))
+
+    return json(await recordProviderResult(admin, payment, result))
+  } catch (error) {
+    console.error('Error capturing payment:', error)
+    return json({ error: error.message }, 500)
+  }
+})
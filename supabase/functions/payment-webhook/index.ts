@@ -0,0 +1,52 @@
+import {
+  createAdminClient,
+  getServerPaymentProvider,
+  json,
+  recordProviderResult,
+} from '../_shared/payments.ts'
+
+/**
+ * payment-webhook
+ * Receives the provider's notifications for captures that finish (or fail) after
+ * checkout. Requests are verified with the provider's signature before anything is
+ * recorded. Deploy with --no-verify-jwt: the provider doesn't send a Supabase JWT.
+ */
+Deno.serve(async (req) => {
+  try {
+    const provider = getServerPaymentProvider()
+    const body = await req.text()
+
+    if (!(await provider.verifyWebhook(req, body))) {
+      return json({ error: 'Invalid signature' }, 401)
+    }
+
+    const event = provider.parseWebhook(body)
+    if (!event) {
+      return json({ received: true })
+    }
+
+    const admin = createAdminClient()
+    const { data: payment, error } = await admin
+      .from('payments')
+      .select('*')
+      .eq('provider', provider.name)
+      .eq('provider_reference', event.reference)
+      .maybeSingle()
+
+    if (error) throw error
+
+    if (!payment) {
+      return json({ error: 'Payment not found' }, 404)
+    }
+
+    // Providers retry webhooks, and capture-payment may have recorded it already
+    if (payment.status === 'authorized') {
+      await recordProviderResult(admin, payment, event.result)
+    }
+
+    return json({ received: true })
+  } catch (error) {
+    console.error('Error handling payment webhook:', error)
+    return json({ error: error.message }, 500)
+  }
+})
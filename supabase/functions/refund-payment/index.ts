@@ -0,0 +1,150 @@
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import {
+  corsHeaders,
+  createAdminClient,
+  getCaller,
+  getOrderPayments,
+  json,
+  refundableAmount,
+  refundPayment,
+} from '../_shared/payments.ts'
+
+/**
+ * refund-payment
+ * Gives money back through the provider and records it. The amounts come from the
+ * database, never from the request.
+ * Body: { orderId } - refunds the order's owed refunds (cancelled lines) and, once the
+ *         order is cancelled, everything left on its payments. For the order's
+ *         customer or staff.
+ *       { returnId, note } - refunds a received return's refund_amount and marks it
+ *         refunded. Staff only.
+ */
+
+/**
+ * Refund what an order is owed
+ * @returns The refunds settled and the order's payments afterwards
+ */
+const refundOrder = async (admin: SupabaseClient, order: { id: string, status: string }) => {
+  const { data: owed, error } = await admin
+    .from('refunds')
+    .select('*')
+    .eq('order_id', order.id)
+    .eq('status', 'owed')
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  let payments = await getOrderPayments(admin, order.id)
+  const refunds = []
+
+  for (const refund of owed) {
+    const amount = Number(refund.amount)
+    let payment = payments.find(p => refundableAmount(p) >= amount)
+
+    if (!payment) {
+      throw new Error('No payment on this order can cover the refund')
+    }
+
+    if (amount > 0) {
+      const refunded = await refundPayment(admin, payment, amount)
+      payments = payments.map(p => (p.id === refunded.id ? refunded : p))
+      payment = refunded
+    }
+
+    const { data, error: settleError } = await admin
+      .rpc('settle_refund', { refund_uuid: refund.id, payment_uuid: payment.id })
+
+    if (settleError) throw settleError
+
+    refunds.push(data)
+  }
+
+  // A cancelled order gets back everything that was charged
+  if (order.status === 'cancelled') {
+    for (const payment of payments.filter(p => refundableAmount(p) > 0)) {
+      const refunded = await refundPayment(admin, payment, refundableAmount(payment))
+      payments = payments.map(p => (p.id === refunded.id ? refunded : p))
+    }
+  }
+
+  return { refunds, payments }
+}
+
+/**
+ * Refund a received return and mark it refunded
+ * @returns The updated return
+ */
+const refundReturn = async (admin: SupabaseClient, returnRequest: { id: string, order_id: string, refund_amount: number }, note: string | null) => {
+  const amount = Number(returnRequest.refund_amount)
+
+  if (amount > 0) {
+    const payments = await getOrderPayments(admin, returnRequest.order_id)
+    const payment = payments.find(p => refundableAmount(p) >= amount)
+
+    if (!payment) {
+      throw new Error('No payment on this order can cover the refund')
+    }
+
+    await refundPayment(admin, payment, amount)
+  }
+
+  const { data, error } = await admin
+    .rpc('update_return_status', { return_uuid: returnRequest.id, new_status: 'refunded', note })
+
+  if (error) throw error
+
+  return data
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { orderId = null, returnId = null, note = null } = await req.json()
+    const admin = createAdminClient()
+    const { user, staff } = await getCaller(admin, req)
+
+    if (returnId) {
+      if (!staff) {
+        return json({ error: 'Only staff can refund returns' }, 403)
+      }
+
+      const { data: returnRequest, error } = await admin
+        .from('return_requests')
+        .select('id, order_id, status, refund_amount')
+        .eq('id', returnId)
+        .maybeSingle()
+
+      if (error) throw error
+
+      if (!returnRequest) {
+        return json({ error: 'Return not found' }, 404)
+      }
+
+      if (returnRequest.status !== 'received') {
+        return json({ error: 'Only received returns can be refunded' }, 409)
+      }
+
+      return json(await refundReturn(admin, returnRequest, note))
+    }
+
+    const { data: order, error } = await admin
+      .from('orders')
+      .select('id, status, customer_id')
+      .eq('id', orderId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    if (!order || !(staff || (user && order.customer_id === user.id))) {
+      return json({ error: 'Order not found' }, 404)
+    }
+
+    return json(await refundOrder(admin, order))
+  } catch (error) {
+    console.error('Error refunding payment:', error)
+    return json({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,58 @@
+import {
+  corsHeaders,
+  createAdminClient,
+  getCaller,
+  getServerPaymentProvider,
+  json,
+  recordProviderResult,
+} from '../_shared/payments.ts'
+
+/**
+ * void-payment
+ * Releases an authorization that wasn't captured (a stale checkout attempt, or an
+ * order being cancelled) with the provider and records it.
+ * Body: { paymentId, lookupToken } (lookupToken for guest orders)
+ */
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { paymentId, lookupToken = null } = await req.json()
+    const admin = createAdminClient()
+
+    const { data: payment, error } = await admin
+      .from('payments')
+      .select('*, orders (customer_id, guest_lookup_token)')
+      .eq('id', paymentId)
+      .maybeSingle()
+
+    if (error) throw error
+
+    // The order's customer, a guest with its lookup token, or staff
+    const { user, staff } = await getCaller(admin, req)
+
+    const ownsOrder = payment && (
+      staff ||
+      (user && payment.orders.customer_id === user.id) ||
+      (lookupToken && payment.orders.guest_lookup_token === lookupToken)
+    )
+
+    if (!ownsOrder) {
+      return json({ error: 'Payment not found' }, 404)
+    }
+
+    if (payment.status !== 'authorized') {
+      return json({ error: `Cannot void a ${payment.status} payment` }, 409)
+    }
+
+    const provider = getServerPaymentProvider(payment.provider)
+    const result = await provider.void(payment)
+
+    return json(await recordProviderResult(admin, payment, result))
+  } catch (error) {
+    console.error('Error voiding payment:', error)
+    return json({ error: error.message }, 500)
+  }
+})